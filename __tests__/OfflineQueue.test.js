@@ -9,6 +9,16 @@ jest.mock('../src/api/apiService', () => ({
     checkIn: jest.fn(),
     checkOut: jest.fn(),
   },
+  worktime: {
+    quickCheckout: jest.fn(),
+    startBreak: jest.fn(),
+    endBreak: jest.fn(),
+  },
+  employees: {
+    create: jest.fn(),
+    update: jest.fn(),
+    sendInvitation: jest.fn(),
+  },
 }));
 
 // Import after mocks are set up
@@ -23,6 +33,11 @@ describe('OfflineQueueService', () => {
     AsyncStorage.removeItem.mockResolvedValue(null);
   });
 
+  afterAll(() => {
+    // Stop the backoff timer scheduled by failed retries
+    OfflineQueueService.cleanup();
+  });
+
   describe('enqueue', () => {
     it('should add operation to queue', async () => {
       const operation = {
@@ -70,6 +85,18 @@ describe('OfflineQueueService', () => {
         status: 'pending',
       });
     });
+
+    it('should leave the alert to the screen when silent', async () => {
+      const alertSpy = jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+      const operation = { type: 'invitation-send', payload: { employeeId: 9 } };
+
+      await OfflineQueueService.enqueue({ ...operation, silent: true });
+      expect(alertSpy).not.toHaveBeenCalled();
+
+      await OfflineQueueService.enqueue(operation);
+      expect(alertSpy).toHaveBeenCalledTimes(1);
+      alertSpy.mockRestore();
+    });
   });
 
   describe('processQueue', () => {
@@ -83,6 +110,7 @@ describe('OfflineQueueService', () => {
             location: '32.0853,34.7818',
             timestamp: '2025-01-12T10:00:00Z',
           },
+          idempotency_key: 'check-in:test-1',
           retry_count: 0,
           max_retries: 3,
           status: 'pending',
@@ -99,7 +127,12 @@ describe('OfflineQueueService', () => {
 
       expect(apiService.biometrics.checkIn).toHaveBeenCalledWith(
         'base64_image',
-        '32.0853,34.7818'
+        '32.0853,34.7818',
+        null,
+        expect.objectContaining({
+          idempotencyKey: 'check-in:test-1',
+          eventTime: expect.objectContaining({ event_time: '2025-01-12T10:00:00Z' }),
+        })
       );
     });
 
@@ -192,6 +225,7 @@ describe('OfflineQueueService', () => {
           image: 'base64_image',
           location: '32.0853,34.7818',
         },
+        idempotency_key: 'check-in:item-1',
       };
 
       apiService.biometrics.checkIn.mockResolvedValue({ success: true });
@@ -200,7 +234,32 @@ describe('OfflineQueueService', () => {
 
       expect(apiService.biometrics.checkIn).toHaveBeenCalledWith(
         'base64_image',
-        '32.0853,34.7818'
+        '32.0853,34.7818',
+        null,
+        { idempotencyKey: 'check-in:item-1', officeId: null }
+      );
+    });
+
+    it('should send the office matched when the check-in was queued', async () => {
+      const item = {
+        operation_type: 'check-in',
+        payload: {
+          image: 'base64_image',
+          location: '32.0853,34.7818',
+          officeId: 'office-2',
+        },
+        idempotency_key: 'check-in:item-2',
+      };
+
+      apiService.biometrics.checkIn.mockResolvedValue({ success: true });
+
+      await OfflineQueueService.processItem(item);
+
+      expect(apiService.biometrics.checkIn).toHaveBeenCalledWith(
+        'base64_image',
+        '32.0853,34.7818',
+        null,
+        expect.objectContaining({ officeId: 'office-2' })
       );
     });
 
@@ -211,6 +270,7 @@ describe('OfflineQueueService', () => {
           image: 'base64_image',
           location: '32.0853,34.7818',
         },
+        idempotency_key: 'check-out:item-2',
       };
 
       apiService.biometrics.checkOut.mockResolvedValue({ success: true });
@@ -219,7 +279,8 @@ describe('OfflineQueueService', () => {
 
       expect(apiService.biometrics.checkOut).toHaveBeenCalledWith(
         'base64_image',
-        '32.0853,34.7818'
+        '32.0853,34.7818',
+        { idempotencyKey: 'check-out:item-2' }
       );
     });
 
@@ -235,6 +296,575 @@ describe('OfflineQueueService', () => {
     });
   });
 
+  describe('operation registry', () => {
+    it('should reject unknown operation types at enqueue', async () => {
+      await expect(
+        OfflineQueueService.enqueue({ type: 'unknown-operation', payload: {} })
+      ).rejects.toThrow('Unknown operation type: unknown-operation');
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should store conflict and idempotency keys for typed operations', async () => {
+      await OfflineQueueService.enqueue({
+        type: 'manual-checkout',
+        payload: { employeeId: 42 },
+      });
+
+      const queue = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+      expect(queue[0]).toMatchObject({
+        operation_type: 'manual-checkout',
+        payload: { employeeId: 42, timestamp: expect.any(String) },
+        conflict_key: 'manual-checkout:42',
+        idempotency_key: expect.stringMatching(/^manual-checkout:42:/),
+      });
+    });
+
+    it('should skip a duplicate manual checkout for the same employee', async () => {
+      const pending = [
+        {
+          id: 'existing-1',
+          operation_type: 'manual-checkout',
+          payload: { employeeId: 42 },
+          conflict_key: 'manual-checkout:42',
+          status: 'pending',
+        },
+      ];
+      AsyncStorage.getItem.mockResolvedValue(JSON.stringify(pending));
+
+      const queueId = await OfflineQueueService.enqueue({
+        type: 'manual-checkout',
+        payload: { employeeId: 42 },
+      });
+
+      expect(queueId).toBe('existing-1');
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should merge pending employee updates and rotate the idempotency key', async () => {
+      const pending = [
+        {
+          id: 'existing-1',
+          operation_type: 'employee-update',
+          payload: { employeeId: 7, data: { phone: '050', first_name: 'Old' } },
+          conflict_key: 'employee-update:7',
+          idempotency_key: 'employee-update:7:existing-1',
+          retry_count: 2,
+          status: 'pending',
+        },
+      ];
+      AsyncStorage.getItem.mockResolvedValue(JSON.stringify(pending));
+
+      const queueId = await OfflineQueueService.enqueue({
+        type: 'employee-update',
+        payload: { employeeId: 7, data: { first_name: 'New' } },
+      });
+
+      const queue = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+      expect(queueId).toBe('existing-1');
+      expect(queue).toHaveLength(1);
+      expect(queue[0].payload.data).toEqual({ phone: '050', first_name: 'New' });
+      expect(queue[0].retry_count).toBe(0);
+      expect(queue[0].idempotency_key).not.toBe('employee-update:7:existing-1');
+    });
+
+    it('should send the idempotency key with typed operations', async () => {
+      apiService.employees.sendInvitation.mockResolvedValue({ success: true });
+
+      await OfflineQueueService.processItem({
+        id: 'inv-1',
+        operation_type: 'invitation-send',
+        payload: { employeeId: 9 },
+        idempotency_key: 'invitation-send:9:inv-1',
+      });
+
+      expect(apiService.employees.sendInvitation).toHaveBeenCalledWith(9, undefined, {
+        idempotencyKey: 'invitation-send:9:inv-1',
+      });
+    });
+
+    it('should treat an already closed session as a successful manual checkout', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 400, data: { error: 'No active check-in found' } };
+      apiService.worktime.quickCheckout.mockRejectedValue(error);
+
+      const result = await OfflineQueueService.processItem({
+        id: 'mc-1',
+        operation_type: 'manual-checkout',
+        payload: { employeeId: 42 },
+        idempotency_key: 'manual-checkout:42:mc-1',
+      });
+
+      expect(result).toEqual({ already_applied: true });
+    });
+  });
+
+  describe('check-in/check-out idempotency', () => {
+    const attendanceItem = (id, type, timestamp) => ({
+      id,
+      operation_type: type,
+      payload: { image: `img-${id}`, location: 'loc', timestamp },
+      idempotency_key: `${type}:${id}`,
+      retry_count: 0,
+      max_retries: 3,
+      status: 'pending',
+    });
+
+    it('should give each queued check-in its own idempotency key', async () => {
+      await OfflineQueueService.enqueue({
+        type: 'check-in',
+        payload: { image: 'img', location: 'loc' },
+      });
+
+      const queue = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+      expect(queue[0].idempotency_key).toBe(`check-in:${queue[0].id}`);
+    });
+
+    it('should keep the key of the online attempt when falling back to the queue', async () => {
+      await OfflineQueueService.enqueue({
+        type: 'check-in',
+        payload: { image: 'img', location: 'loc' },
+        idempotencyKey: 'check-in:online-attempt',
+      });
+
+      const queue = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+      expect(queue[0].idempotency_key).toBe('check-in:online-attempt');
+    });
+
+    it('should treat a duplicate response as a successful check-in', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 409, data: { detail: 'Duplicate request' } };
+      apiService.biometrics.checkIn.mockRejectedValue(error);
+
+      const result = await OfflineQueueService.processItem(
+        attendanceItem('ci-1', 'check-in', '2025-01-12T08:00:00Z')
+      );
+
+      expect(result).toEqual({ already_applied: true });
+    });
+
+    it('should treat "already checked in" on replay as success and remove the item', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 400, data: { error: 'Already checked in' } };
+      apiService.biometrics.checkIn.mockRejectedValue(error);
+      AsyncStorage.getItem.mockResolvedValue(
+        JSON.stringify([attendanceItem('ci-1', 'check-in', '2025-01-12T08:00:00Z')])
+      );
+
+      await OfflineQueueService.processQueue();
+
+      const lastQueueWrite = AsyncStorage.setItem.mock.calls
+        .filter(call => call[0] === 'MyHours.OfflineQueue')
+        .pop();
+      expect(JSON.parse(lastQueueWrite[1])).toEqual([]);
+      expect(
+        AsyncStorage.setItem.mock.calls.find(call => call[0] === 'MyHours.FailedQueue')
+      ).toBeUndefined();
+    });
+
+    it('should not treat unrelated server errors as duplicates', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 400, data: { error: 'Face recognition failed' } };
+      apiService.biometrics.checkIn.mockRejectedValue(error);
+
+      await expect(
+        OfflineQueueService.processItem(attendanceItem('ci-1', 'check-in', '2025-01-12T08:00:00Z'))
+      ).rejects.toThrow('Request failed');
+    });
+
+    it('should move a check-out without an open session to the failed queue', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 400, data: { error: 'No active check-in found' } };
+      apiService.biometrics.checkOut.mockRejectedValue(error);
+      AsyncStorage.getItem.mockImplementation(key =>
+        Promise.resolve(
+          key === 'MyHours.OfflineQueue'
+            ? JSON.stringify([attendanceItem('out-1', 'check-out', '2025-01-12T17:00:00Z')])
+            : '[]'
+        )
+      );
+
+      await OfflineQueueService.processQueue();
+
+      expect(apiService.biometrics.checkOut).toHaveBeenCalledTimes(1);
+      const failedQueueCall = AsyncStorage.setItem.mock.calls.find(
+        call => call[0] === 'MyHours.FailedQueue'
+      );
+      expect(JSON.parse(failedQueueCall[1])).toEqual([
+        expect.objectContaining({
+          id: 'out-1',
+          failure_reason: 'rejected',
+          last_error: '400: No active check-in found',
+        }),
+      ]);
+    });
+
+    it('should hold a check-out while its check-in waits for a retry', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 503, data: { detail: 'Service unavailable' } };
+      apiService.biometrics.checkIn.mockRejectedValue(error);
+      AsyncStorage.getItem.mockImplementation(key =>
+        Promise.resolve(
+          key === 'MyHours.OfflineQueue'
+            ? JSON.stringify([
+                attendanceItem('in-1', 'check-in', '2025-01-12T08:00:00Z'),
+                attendanceItem('out-1', 'check-out', '2025-01-12T17:00:00Z'),
+              ])
+            : '[]'
+        )
+      );
+
+      await OfflineQueueService.processQueue();
+
+      expect(apiService.biometrics.checkIn).toHaveBeenCalledTimes(1);
+      expect(apiService.biometrics.checkOut).not.toHaveBeenCalled();
+      expect(
+        AsyncStorage.setItem.mock.calls.find(call => call[0] === 'MyHours.FailedQueue')
+      ).toBeUndefined();
+    });
+
+    it('should treat "not on break" as applied but reject a break end without a session', () => {
+      const notOnBreak = new Error('Request failed');
+      notOnBreak.response = { status: 400, data: { error: 'Not on break' } };
+      const noSession = new Error('Request failed');
+      noSession.response = { status: 400, data: { error: 'No active check-in' } };
+      const handler = OfflineQueueService.getHandler('break-end');
+
+      expect(handler.isAlreadyApplied(notOnBreak)).toBe(true);
+      expect(handler.isAlreadyApplied(noSession)).toBe(false);
+      expect(handler.isRejected(noSession)).toBe(true);
+    });
+
+    it('should reorder check-in/check-out by event time', () => {
+      const queue = [
+        attendanceItem('out-1', 'check-out', '2025-01-12T17:00:00Z'),
+        { id: 'inv-1', operation_type: 'invitation-send', payload: {}, status: 'pending' },
+        attendanceItem('in-1', 'check-in', '2025-01-12T08:00:00Z'),
+      ];
+
+      const result = OfflineQueueService.normalizeSequence(queue);
+
+      expect(result.queue.map(item => item.id)).toEqual(['in-1', 'inv-1', 'out-1']);
+      expect(result.dropped).toEqual([]);
+      expect(result.changed).toBe(true);
+    });
+
+    it('should drop the later of two check-ins in a row', () => {
+      const queue = [
+        attendanceItem('in-1', 'check-in', '2025-01-12T08:00:00Z'),
+        attendanceItem('in-2', 'check-in', '2025-01-12T08:05:00Z'),
+        attendanceItem('out-1', 'check-out', '2025-01-12T17:00:00Z'),
+      ];
+
+      const result = OfflineQueueService.normalizeSequence(queue);
+
+      expect(result.queue.map(item => item.id)).toEqual(['in-1', 'out-1']);
+      expect(result.dropped.map(item => item.id)).toEqual(['in-2']);
+    });
+
+    it('should treat a manual checkout as a check-out in the sequence', () => {
+      const queue = [
+        attendanceItem('out-1', 'check-out', '2025-01-12T17:00:00Z'),
+        {
+          id: 'mc-1',
+          operation_type: 'manual-checkout',
+          payload: { employeeId: 42, timestamp: '2025-01-12T17:01:00Z' },
+          status: 'pending',
+        },
+      ];
+
+      const result = OfflineQueueService.normalizeSequence(queue);
+
+      expect(result.dropped.map(item => item.id)).toEqual(['mc-1']);
+    });
+
+    it('should check breaks separately from check-in/check-out', () => {
+      const queue = [
+        attendanceItem('in-1', 'check-in', '2025-01-12T08:00:00Z'),
+        attendanceItem('bs-1', 'break-start', '2025-01-12T12:00:00Z'),
+        attendanceItem('be-1', 'break-end', '2025-01-12T12:30:00Z'),
+        attendanceItem('bs-2', 'break-start', '2025-01-12T15:00:00Z'),
+        attendanceItem('bs-3', 'break-start', '2025-01-12T15:05:00Z'),
+        attendanceItem('out-1', 'check-out', '2025-01-12T17:00:00Z'),
+      ];
+
+      const result = OfflineQueueService.normalizeSequence(queue);
+
+      expect(result.dropped.map(item => item.id)).toEqual(['bs-3']);
+      expect(result.queue.map(item => item.id)).toEqual(['in-1', 'bs-1', 'be-1', 'bs-2', 'out-1']);
+    });
+
+    it('should start a new break sequence after a check-out and check-in', () => {
+      const queue = [
+        attendanceItem('bs-1', 'break-start', '2025-01-12T12:00:00Z'),
+        attendanceItem('out-1', 'check-out', '2025-01-12T13:00:00Z'),
+        attendanceItem('in-1', 'check-in', '2025-01-12T14:00:00Z'),
+        attendanceItem('bs-2', 'break-start', '2025-01-12T15:00:00Z'),
+      ];
+
+      const result = OfflineQueueService.normalizeSequence(queue);
+
+      expect(result.dropped).toEqual([]);
+      expect(result.queue.map(item => item.id)).toEqual(['bs-1', 'out-1', 'in-1', 'bs-2']);
+    });
+
+    it('should leave a valid sequence untouched', () => {
+      const queue = [
+        attendanceItem('in-1', 'check-in', '2025-01-12T08:00:00Z'),
+        attendanceItem('out-1', 'check-out', '2025-01-12T17:00:00Z'),
+      ];
+
+      expect(OfflineQueueService.normalizeSequence(queue)).toEqual({
+        queue,
+        dropped: [],
+        changed: false,
+      });
+    });
+
+    it('should move dropped events to the failed queue without sending them', async () => {
+      const queue = [
+        attendanceItem('in-1', 'check-in', '2025-01-12T08:00:00Z'),
+        attendanceItem('in-2', 'check-in', '2025-01-12T08:05:00Z'),
+      ];
+      AsyncStorage.getItem.mockImplementation(key =>
+        Promise.resolve(key === 'MyHours.OfflineQueue' ? JSON.stringify(queue) : '[]')
+      );
+      apiService.biometrics.checkIn.mockResolvedValue({ success: true });
+
+      await OfflineQueueService.processQueue();
+
+      expect(apiService.biometrics.checkIn).toHaveBeenCalledTimes(1);
+      expect(apiService.biometrics.checkIn).toHaveBeenCalledWith(
+        'img-in-1',
+        'loc',
+        null,
+        expect.objectContaining({ idempotencyKey: 'check-in:in-1' })
+      );
+
+      const failedQueueCall = AsyncStorage.setItem.mock.calls.find(
+        call => call[0] === 'MyHours.FailedQueue'
+      );
+      expect(JSON.parse(failedQueueCall[1])).toEqual([
+        expect.objectContaining({ id: 'in-2', failure_reason: 'impossible_sequence' }),
+      ]);
+    });
+  });
+
+  describe('original event time', () => {
+    it('should capture the device time, time-zone offset and clock reading at enqueue', async () => {
+      await OfflineQueueService.enqueue({
+        type: 'check-in',
+        payload: { image: 'img', location: 'loc' },
+      });
+
+      const [item] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+      expect(item.payload).toMatchObject({
+        timestamp: expect.any(String),
+        timezone_offset: 0 - new Date(item.payload.timestamp).getTimezoneOffset(),
+        clock: {
+          session_id: expect.any(String),
+          wall_ms: Date.parse(item.payload.timestamp),
+          monotonic_ms: expect.any(Number),
+        },
+      });
+    });
+
+    it('should keep the time captured before the online attempt', async () => {
+      const eventTime = {
+        timestamp: '2025-01-12T08:00:00.000Z',
+        timezone_offset: 120,
+        clock: { session_id: 'earlier', wall_ms: 0, monotonic_ms: 0, session_drift_ms: 0 },
+      };
+
+      await OfflineQueueService.enqueue({
+        type: 'manual-checkout',
+        payload: { employeeId: 42 },
+        eventTime,
+      });
+
+      const [item] = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+      expect(item.payload).toEqual({ employeeId: 42, ...eventTime });
+    });
+
+    it('should send the original time as the claimed event time on replay', async () => {
+      apiService.worktime.quickCheckout.mockResolvedValue({ success: true });
+
+      await OfflineQueueService.processItem({
+        id: 'mc-1',
+        operation_type: 'manual-checkout',
+        payload: {
+          employeeId: 42,
+          timestamp: '2025-01-12T08:00:00.000Z',
+          timezone_offset: 120,
+          clock: { session_id: 'previous-app-run', wall_ms: 0, monotonic_ms: 0 },
+        },
+        idempotency_key: 'manual-checkout:42:mc-1',
+      });
+
+      expect(apiService.worktime.quickCheckout).toHaveBeenCalledWith(42, {
+        idempotencyKey: 'manual-checkout:42:mc-1',
+        eventTime: {
+          event_time: '2025-01-12T08:00:00.000Z',
+          event_tz_offset: 120,
+          clock_check: expect.objectContaining({ same_session: false, suspicious: false }),
+        },
+      });
+    });
+  });
+
+  describe('queue inspector actions', () => {
+    const pendingItem = (id, overrides = {}) => ({
+      id,
+      operation_type: 'check-in',
+      payload: { image: 'img', location: 'loc', timestamp: '2025-01-12T08:00:00Z' },
+      idempotency_key: `check-in:${id}`,
+      retry_count: 1,
+      max_retries: 3,
+      status: 'pending',
+      ...overrides,
+    });
+
+    const storeQueues = (queue, failedQueue = []) => {
+      AsyncStorage.getItem.mockImplementation(key =>
+        Promise.resolve(JSON.stringify(key === 'MyHours.OfflineQueue' ? queue : failedQueue))
+      );
+    };
+
+    const lastWrite = key =>
+      JSON.parse(AsyncStorage.setItem.mock.calls.filter(call => call[0] === key).pop()[1]);
+
+    it('should record the last error and next retry time on failure', async () => {
+      storeQueues([pendingItem('p-1', { retry_count: 0 })]);
+      const error = new Error('Request failed');
+      error.response = { status: 500, data: { detail: 'Server unavailable' } };
+      apiService.biometrics.checkIn.mockRejectedValue(error);
+
+      const before = Date.now();
+      await OfflineQueueService.processQueue();
+
+      const [item] = lastWrite('MyHours.OfflineQueue');
+      expect(item.retry_count).toBe(1);
+      expect(item.last_error).toBe('500: Server unavailable');
+      expect(Date.parse(item.next_retry_at)).toBeGreaterThanOrEqual(before + 30 * 1000);
+    });
+
+    it('should wait for next_retry_at unless forced', async () => {
+      const future = new Date(Date.now() + 60 * 1000).toISOString();
+      storeQueues([pendingItem('p-1', { next_retry_at: future })]);
+      apiService.biometrics.checkIn.mockResolvedValue({ success: true });
+
+      await OfflineQueueService.processQueue();
+      expect(apiService.biometrics.checkIn).not.toHaveBeenCalled();
+
+      await OfflineQueueService.processQueue({ force: true });
+      expect(apiService.biometrics.checkIn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hold a check-out while its check-in waits for next_retry_at', async () => {
+      const future = new Date(Date.now() + 60 * 1000).toISOString();
+      storeQueues([
+        pendingItem('p-1', { next_retry_at: future }),
+        pendingItem('p-2', {
+          operation_type: 'check-out',
+          payload: { image: 'img', location: 'loc', timestamp: '2025-01-12T17:00:00Z' },
+        }),
+      ]);
+      apiService.biometrics.checkOut.mockResolvedValue({ success: true });
+
+      await OfflineQueueService.processQueue();
+
+      expect(apiService.biometrics.checkIn).not.toHaveBeenCalled();
+      expect(apiService.biometrics.checkOut).not.toHaveBeenCalled();
+    });
+
+    it('should edit only the editable fields of a queued employee', async () => {
+      const item = pendingItem('e-1', {
+        operation_type: 'employee-create',
+        payload: { data: { first_name: 'Dana', email: 'dana@example', role: 'employee' } },
+        idempotency_key: 'employee-create:old',
+      });
+      storeQueues([], [item]);
+
+      expect(OfflineQueueService.getEditableFields(item).map(field => field.key)).toEqual([
+        'first_name',
+        'email',
+      ]);
+      await expect(
+        OfflineQueueService.editItem('e-1', { email: 'dana@example.com', role: 'admin' })
+      ).resolves.toBe(true);
+
+      const [edited] = lastWrite('MyHours.FailedQueue');
+      expect(edited.payload.data).toEqual({
+        first_name: 'Dana',
+        email: 'dana@example.com',
+        role: 'employee',
+      });
+      expect(edited.conflict_key).toBe('employee-create:dana@example.com');
+      expect(edited.idempotency_key).not.toBe('employee-create:old');
+      await expect(OfflineQueueService.editItem('missing', {})).resolves.toBe(false);
+    });
+
+    it('should retry a waiting item now', async () => {
+      const future = new Date(Date.now() + 60 * 1000).toISOString();
+      storeQueues([pendingItem('p-1', { next_retry_at: future })]);
+      AsyncStorage.setItem.mockImplementation((key, value) => {
+        if (key === 'MyHours.OfflineQueue') storeQueues(JSON.parse(value));
+        return Promise.resolve(null);
+      });
+      apiService.biometrics.checkIn.mockResolvedValue({ success: true });
+
+      await OfflineQueueService.retryNow('p-1');
+
+      expect(apiService.biometrics.checkIn).toHaveBeenCalledTimes(1);
+      expect(lastWrite('MyHours.OfflineQueue')).toEqual([]);
+    });
+
+    it('should move every failed item back and process the queue on retry all', async () => {
+      storeQueues(
+        [],
+        [
+          pendingItem('f-1', { status: 'failed', retry_count: 3 }),
+          pendingItem('f-2', {
+            operation_type: 'check-out',
+            status: 'failed',
+            retry_count: 3,
+            payload: { image: 'img', location: 'loc', timestamp: '2025-01-12T17:00:00Z' },
+          }),
+        ]
+      );
+
+      await OfflineQueueService.retryAll();
+
+      const queue = JSON.parse(
+        AsyncStorage.setItem.mock.calls.find(call => call[0] === 'MyHours.OfflineQueue')[1]
+      );
+      expect(queue.map(item => [item.id, item.status, item.retry_count])).toEqual([
+        ['f-1', 'pending', 0],
+        ['f-2', 'pending', 0],
+      ]);
+      expect(AsyncStorage.removeItem).toHaveBeenCalledWith('MyHours.FailedQueue');
+    });
+
+    it('should discard pending and failed items from their own queue', async () => {
+      storeQueues([pendingItem('p-1')], [pendingItem('f-1', { status: 'failed' })]);
+
+      await OfflineQueueService.discard('p-1');
+      expect(lastWrite('MyHours.OfflineQueue')).toEqual([]);
+
+      await OfflineQueueService.discard('f-1');
+      expect(lastWrite('MyHours.FailedQueue')).toEqual([]);
+    });
+
+    it('should describe operations for the inspector', () => {
+      expect(OfflineQueueService.getOperationDescription(pendingItem('p-1'))).toBe('loc');
+      expect(
+        OfflineQueueService.getOperationDescription({
+          operation_type: 'invitation-send',
+          payload: { employeeId: 9 },
+        })
+      ).toBe('Employee #9');
+    });
+  });
+
   describe('getQueueStatus', () => {
     it('should return correct status', async () => {
       const mockQueue = [
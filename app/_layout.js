@@ -237,6 +237,54 @@ function TabsNavigator() {
           }}
         />
 
+        <Tabs.Screen
+          name="offline-queue"
+          options={{
+            title: 'Sync Queue',
+            href: null,
+          }}
+        />
+
+        <Tabs.Screen
+          name="worklog-correction"
+          options={{
+            title: 'Correct Worklog',
+            href: null,
+          }}
+        />
+
+        <Tabs.Screen
+          name="correction-requests"
+          options={{
+            title: 'Correction Requests',
+            href: null,
+          }}
+        />
+
+        <Tabs.Screen
+          name="presence"
+          options={{
+            title: "Who's In",
+            href: null,
+          }}
+        />
+
+        <Tabs.Screen
+          name="shift-planner"
+          options={{
+            title: 'Shift Planner',
+            href: null,
+          }}
+        />
+
+        <Tabs.Screen
+          name="holidays"
+          options={{
+            title: 'Holidays',
+            href: null,
+          }}
+        />
+
         <Tabs.Screen
           name="biometric-verification"
           options={{
@@ -3,6 +3,8 @@ import { View, Text, StyleSheet, Platform } from 'react-native';
 import { router } from 'expo-router';
 import ApiService from '../src/api/apiService';
 import { showGlassAlert } from '../hooks/useGlobalGlassModal';
+import OfflineQueueService from '../src/services/OfflineQueueService';
+import { OPERATION_TYPES, isNetworkError } from '../src/services/offlineOperations';
 import { useEmployeeForm } from '../hooks/useEmployeeForm';
 import { EmployeeForm } from '../components/EmployeeForm';
 import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
@@ -44,8 +46,9 @@ export default function AddEmployeeScreen() {
   const handleSubmit = async () => {
     if (!validateForm()) return;
 
+    let employeeData;
     try {
-      const employeeData = {
+      employeeData = {
         ...formData,
         hourly_rate:
           formData.employment_type === 'hourly' && formData.hourly_rate
@@ -88,6 +91,26 @@ export default function AddEmployeeScreen() {
       ]);
     } catch (error) {
       console.error('Error creating employee:', error);
+
+      // Offline: queue the employee and let the admin send the invitation later
+      if (isNetworkError(error)) {
+        try {
+          await OfflineQueueService.enqueue({
+            type: OPERATION_TYPES.EMPLOYEE_CREATE,
+            payload: { data: employeeData },
+            silent: true,
+          });
+          showGlassAlert(
+            'Saved Offline',
+            'The employee will be created when the connection is restored. You can send the invitation afterwards from the employee list.',
+            [{ text: 'OK', onPress: () => router.push('/team-management') }]
+          );
+          return;
+        } catch (queueError) {
+          console.error('Failed to queue employee creation:', queueError);
+        }
+      }
+
       let errorMessage = 'Failed to create employee. Please try again.';
 
       if (error.response?.data?.error) {
@@ -1,4 +1,4 @@
-/* Full screen for managing office GPS, radius and remote-work policy.
+/* Full screen for managing offices (sites): GPS, radius and remote-work policy per office.
    All labels/buttons are in English. */
 
 import React, { useState, useEffect } from 'react';
@@ -24,6 +24,13 @@ import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
 import LiquidGlassButton from '../components/LiquidGlassButton';
 import useLiquidGlassTheme from '../hooks/useLiquidGlassTheme';
 import { maskCoordinates } from '../src/utils/safeLogging';
+import {
+  DEFAULT_CHECK_RADIUS,
+  MIN_POLYGON_VERTICES,
+  REMOTE_POLICIES,
+  REMOTE_POLICY_LABELS,
+} from '../src/utils/offices';
+import { getDeviceTimeZone, isValidTimeZone } from '../src/utils/timeZone';
 // FIX: Import shared styles
 import {
   commonStyles,
@@ -33,6 +40,52 @@ import {
   TYPOGRAPHY,
 } from '../constants/CommonStyles';
 
+/* ---------------------------------------------------------------- */
+/*  Helpers                                                         */
+/* ---------------------------------------------------------------- */
+const EMPTY_DRAFT = {
+  id: null,
+  name: '',
+  coords: '',
+  geofenceType: 'circle',
+  radius: String(DEFAULT_CHECK_RADIUS),
+  vertices: [],
+  vertexInput: '',
+  remotePolicy: 'hybrid',
+};
+
+const GEOFENCE_LABELS = {
+  circle: 'Circle',
+  polygon: 'Polygon',
+};
+
+const formatCoords = location =>
+  location?.latitude != null && location?.longitude != null
+    ? `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}`
+    : '';
+
+// Settings are shared through the server, so saving needs a connection
+const SAVE_FAILED_MESSAGE =
+  'Could not save to the server. Check your connection and try again. If another admin changed the offices meanwhile, the latest settings have been loaded.';
+
+const getSyncText = (version, officeCount) => {
+  if (version) return `Shared with all devices · version ${version}`;
+  if (officeCount > 0)
+    return 'Saved on this device only. Save an office to share it with employees.';
+  return 'Not configured on the server yet';
+};
+
+const getGeofenceText = office =>
+  office.geofenceType === 'polygon'
+    ? `Polygon · ${office.polygon.length} vertices`
+    : `${office.checkRadius} m radius`;
+
+const POLICY_DESCRIPTIONS = {
+  'office-only': 'Employees must work from office',
+  'remote-only': 'Employees work remotely',
+  hybrid: 'Mix of office and remote work',
+};
+
 /* ---------------------------------------------------------------- */
 /*  Screen Component                                                */
 /* ---------------------------------------------------------------- */
@@ -40,46 +93,33 @@ export default function AdvancedOfficeSettingsScreen() {
   /* ------------- Context / hooks --------------------------------- */
   const { user, hasAccess } = useUser();
   const {
-    officeSettings,
+    offices,
+    version,
+    syncing,
     loading: officeLoading,
-    updateOfficeLocation,
-    updateCheckRadius,
-    updateRemotePolicy,
+    addOffice,
+    updateOffice,
+    removeOffice,
+    syncSettings,
+    timeZone,
+    updateTimeZone,
   } = useOffice();
   const { palette: _palette } = useColors();
   const theme = useLiquidGlassTheme();
   const { modalState, showModal, showConfirm, showAlert, showError, hideModal } = useGlassModal();
 
   /* ------------- Local state ------------------------------------- */
-  const [locationStr, setLocationStr] = useState('');
-  const [radiusStr, setRadiusStr] = useState('');
-  const [policy, setPolicy] = useState('hybrid');
+  // Office being added (id === null) or edited; null when the editor is closed
+  const [draft, setDraft] = useState(null);
   const [gettingLocation, setGettingLocation] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [timeZoneInput, setTimeZoneInput] = useState(timeZone);
+  const [savingTimeZone, setSavingTimeZone] = useState(false);
 
-  // Confirmation state for number inputs
-  const [locationInput, setLocationInput] = useState('');
-  const [locationConfirmed, setLocationConfirmed] = useState(false);
-  const [radiusInput, setRadiusInput] = useState('');
-  const [radiusConfirmed, setRadiusConfirmed] = useState(false);
-
-  /* ------------- Populate form when context ready ---------------- */
+  // Show the zone another admin saved once settings sync
   useEffect(() => {
-    if (!officeLoading && officeSettings) {
-      const { latitude, longitude } = officeSettings.location ?? {};
-      if (latitude != null && longitude != null) {
-        const locationValue = `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`;
-        setLocationStr(locationValue);
-        setLocationInput(locationValue);
-        setLocationConfirmed(true);
-      }
-      const radiusValue = String(officeSettings.checkRadius ?? '');
-      setRadiusStr(radiusValue);
-      setRadiusInput(radiusValue);
-      setRadiusConfirmed(!!radiusValue);
-      setPolicy(officeSettings.remotePolicy ?? 'hybrid');
-    }
-  }, [officeLoading, officeSettings]);
+    setTimeZoneInput(timeZone);
+  }, [timeZone]);
 
   /* ------------- Guard – non-admins are bounced ------------------ */
   useEffect(() => {
@@ -104,57 +144,48 @@ export default function AdvancedOfficeSettingsScreen() {
     return Number.isNaN(lat) || Number.isNaN(lon) ? null : { latitude: lat, longitude: lon };
   };
 
-  /** Confirm location coordinates */
-  const handleLocationConfirm = () => {
-    if (locationInput.trim() === '') {
-      showError({ message: 'Please enter location coordinates' });
-      return;
-    }
-
-    const coords = splitCoords(locationInput);
-    if (!coords) {
-      showError({ message: 'Enter coordinates as "latitude, longitude"' });
-      return;
-    }
-
-    setLocationStr(locationInput);
-    setLocationConfirmed(true);
-  };
+  const updateDraft = updates => setDraft(current => ({ ...current, ...updates }));
 
-  /** Edit location coordinates */
-  const handleLocationEdit = () => {
-    setLocationConfirmed(false);
-    setLocationInput(locationStr);
+  const handleAddOffice = () => {
+    setDraft({ ...EMPTY_DRAFT, name: offices.length === 0 ? 'Main Office' : '' });
   };
 
-  /** Confirm radius */
-  const handleRadiusConfirm = () => {
-    if (radiusInput.trim() === '') {
-      showError({ message: 'Please enter a radius value' });
-      return;
-    }
-
-    const rad = parseFloat(radiusInput.replace(',', '.'));
-    if (Number.isNaN(rad) || rad <= 0) {
-      showError({ message: 'Radius must be a positive number' });
-      return;
-    }
-
-    setRadiusStr(radiusInput);
-    setRadiusConfirmed(true);
+  const handleEditOffice = office => {
+    setDraft({
+      id: office.id,
+      name: office.name,
+      // A polygon office without its own location uses the vertex center
+      coords: office.geofenceType === 'polygon' ? '' : formatCoords(office.location),
+      geofenceType: office.geofenceType,
+      radius: String(office.checkRadius),
+      vertices: office.polygon,
+      vertexInput: '',
+      remotePolicy: office.remotePolicy,
+    });
   };
 
-  /** Edit radius */
-  const handleRadiusEdit = () => {
-    setRadiusConfirmed(false);
-    setRadiusInput(radiusStr);
+  const handleRemoveOffice = office => {
+    showConfirm({
+      title: 'Remove Office',
+      message: `Remove "${office.name}"? Check-ins at this site will be recorded as remote.`,
+      confirmText: 'Remove',
+      confirmType: 'danger',
+      onConfirm: async () => {
+        const removed = await removeOffice(office.id);
+        if (!removed) {
+          showError({ message: SAVE_FAILED_MESSAGE });
+        } else if (draft?.id === office.id) {
+          setDraft(null);
+        }
+      },
+    });
   };
 
   /* ----------------------------------------------------------------
         Get current device location
      ---------------------------------------------------------------- */
-  const handleGetLocation = async () => {
-    setGettingLocation(true);
+  /** Current position, or null after telling the user why it is unavailable. */
+  const readCurrentPosition = async () => {
     console.log('Requesting location permissions...');
     const { status } = await Location.requestForegroundPermissionsAsync();
 
@@ -163,8 +194,7 @@ export default function AdvancedOfficeSettingsScreen() {
         title: 'Permission Required',
         message: 'Please allow location access in your device settings',
       });
-      setGettingLocation(false);
-      return;
+      return null;
     }
 
     try {
@@ -177,79 +207,194 @@ export default function AdvancedOfficeSettingsScreen() {
       console.log(
         `Location obtained: ${maskCoordinates(latitude, longitude)}, accuracy=${accuracy}m`
       );
+      return { latitude, longitude, accuracy };
+    } catch (error) {
+      console.error('Location error:', error);
+      showError({ message: 'Failed to retrieve current location' });
+      return null;
+    }
+  };
+
+  const handleGetLocation = async () => {
+    setGettingLocation(true);
+    try {
+      const position = await readCurrentPosition();
+      if (!position) return;
 
+      const { latitude, longitude, accuracy } = position;
       showConfirm({
         title: 'Location Retrieved',
         message: `Coordinates: ${latitude.toFixed(6)}, ${longitude.toFixed(6)}\nAccuracy: ${accuracy.toFixed(0)} m`,
-        confirmText: 'Set as Office Location',
-        onConfirm: async () => {
-          try {
-            await updateOfficeLocation({ latitude, longitude });
-            setLocationStr(`${latitude.toFixed(6)}, ${longitude.toFixed(6)}`);
-            setLocationInput(`${latitude.toFixed(6)}, ${longitude.toFixed(6)}`);
-            setLocationConfirmed(true);
-          } catch (err) {
-            console.error('Save location failed:', err);
-            showError({ message: 'Could not save office location' });
-          }
-        },
+        confirmText: 'Use for This Office',
+        onConfirm: () => updateDraft({ coords: formatCoords({ latitude, longitude }) }),
       });
-    } catch (error) {
-      console.error('Location error:', error);
-      showError({ message: 'Failed to retrieve current location' });
     } finally {
       setGettingLocation(false);
     }
   };
 
   /* ----------------------------------------------------------------
-        Save updated settings
+        Polygon vertices
      ---------------------------------------------------------------- */
-  const handleSave = async () => {
-    /* ---- Validate confirmations --------------------------------- */
-    if (!locationConfirmed) {
-      showError({ message: 'Please confirm the location coordinates' });
+  const appendVertex = ({ latitude, longitude }) =>
+    setDraft(current => ({
+      ...current,
+      vertices: [...current.vertices, { latitude, longitude }],
+    }));
+
+  // Walk the site perimeter and add a vertex at each corner
+  const handleAddCurrentVertex = async () => {
+    setGettingLocation(true);
+    try {
+      const position = await readCurrentPosition();
+      if (!position) return;
+
+      appendVertex(position);
+      if (position.accuracy > 20) {
+        showAlert({
+          title: 'Low Accuracy',
+          message: `This vertex is only accurate to ${position.accuracy.toFixed(0)} m. Consider re-adding it outdoors.`,
+        });
+      }
+    } finally {
+      setGettingLocation(false);
+    }
+  };
+
+  const handleAddTypedVertex = () => {
+    const vertex = splitCoords(draft.vertexInput);
+    if (!vertex) {
+      showError({ message: 'Enter the vertex as "latitude, longitude"' });
       return;
     }
+    appendVertex(vertex);
+    updateDraft({ vertexInput: '' });
+  };
 
-    if (!radiusConfirmed) {
-      showError({ message: 'Please confirm the check-in radius' });
+  const handleRemoveVertex = index =>
+    setDraft(current => ({
+      ...current,
+      vertices: current.vertices.filter((_, i) => i !== index),
+    }));
+
+  const handleSelectPolicy = () => {
+    const selectPolicy = remotePolicy => {
+      updateDraft({ remotePolicy });
+      hideModal();
+    };
+
+    showModal({
+      title: 'Select Work Policy',
+      message: 'Choose the remote work policy for this office:',
+      buttons: [
+        {
+          label: 'Cancel',
+          type: 'secondary',
+          onPress: () => hideModal(),
+        },
+        ...REMOTE_POLICIES.map(remotePolicy => ({
+          label: REMOTE_POLICY_LABELS[remotePolicy],
+          type: draft?.remotePolicy === remotePolicy ? 'primary' : 'secondary',
+          onPress: () => selectPolicy(remotePolicy),
+        })),
+      ],
+    });
+  };
+
+  /* ----------------------------------------------------------------
+        Save office
+     ---------------------------------------------------------------- */
+  const handleSave = async () => {
+    /* ---- Validate name ------------------------------------------ */
+    const name = draft.name.trim();
+    if (!name) {
+      showError({ message: 'Please enter an office name' });
+      return;
+    }
+    if (offices.some(office => office.id !== draft.id && office.name === name)) {
+      showError({ message: `An office named "${name}" already exists` });
       return;
     }
 
-    /* ---- Validate coordinates ----------------------------------- */
-    const coords = splitCoords(locationStr);
-    if (!coords) {
+    /* ---- Validate geofence -------------------------------------- */
+    const isPolygon = draft.geofenceType === 'polygon';
+    // The location is optional for polygons (the vertex center is used)
+    const locationOmitted = isPolygon && !draft.coords.trim();
+    const coords = locationOmitted ? null : splitCoords(draft.coords);
+    if (!coords && !locationOmitted) {
       showError({ message: 'Enter coordinates as "latitude, longitude"' });
       return;
     }
 
+    if (isPolygon && draft.vertices.length < MIN_POLYGON_VERTICES) {
+      showError({ message: `A polygon needs at least ${MIN_POLYGON_VERTICES} vertices` });
+      return;
+    }
+
     /* ---- Validate radius ---------------------------------------- */
-    const rad = parseFloat(radiusStr.replace(',', '.'));
-    if (Number.isNaN(rad) || rad <= 0) {
+    const rad = parseFloat(draft.radius.replace(',', '.'));
+    if (!isPolygon && (Number.isNaN(rad) || rad <= 0)) {
       showError({ message: 'Radius must be a positive number' });
       return;
     }
 
-    /* ---- Call API / Context ------------------------------------- */
+    /* ---- Call Context ------------------------------------------- */
+    const office = {
+      name,
+      location: coords,
+      geofenceType: draft.geofenceType,
+      checkRadius: rad,
+      polygon: isPolygon ? draft.vertices : [],
+      remotePolicy: draft.remotePolicy,
+    };
+
     setSaving(true);
     try {
-      await updateOfficeLocation(coords);
-      await updateCheckRadius(rad);
-      await updateRemotePolicy(policy);
+      const saved = draft.id ? await updateOffice(draft.id, office) : await addOffice(office);
+      if (!saved) {
+        showError({ message: SAVE_FAILED_MESSAGE });
+        return;
+      }
 
+      setDraft(null);
       showAlert({
         title: 'Success',
-        message: 'Office settings have been saved',
+        message: `"${name}" has been saved`,
       });
     } catch (err) {
       console.error('Save failed:', err);
-      showError({ message: 'Failed to save one or more settings' });
+      showError({ message: 'Failed to save office' });
     } finally {
       setSaving(false);
     }
   };
 
+  /* ----------------------------------------------------------------
+        Company time zone
+     ---------------------------------------------------------------- */
+  const handleSaveTimeZone = async () => {
+    const zone = timeZoneInput.trim();
+    if (!isValidTimeZone(zone)) {
+      showError({ message: 'Enter a time zone name such as "Asia/Jerusalem"' });
+      return;
+    }
+    if (zone === timeZone) return;
+
+    setSavingTimeZone(true);
+    try {
+      if (!(await updateTimeZone(zone))) {
+        showError({ message: SAVE_FAILED_MESSAGE });
+        return;
+      }
+      showAlert({
+        title: 'Success',
+        message: `Work days and pay periods now follow ${zone}`,
+      });
+    } finally {
+      setSavingTimeZone(false);
+    }
+  };
+
   /* ----------------------------------------------------------------
         Render
      ---------------------------------------------------------------- */
@@ -270,196 +415,251 @@ export default function AdvancedOfficeSettingsScreen() {
       showLogout={true}
       scrollable={true}
     >
-      {/* Office Location */}
+      {/* Offices */}
       <View style={commonStyles.sectionCard}>
         <View style={commonStyles.sectionTitleContainer}>
-          <Text style={commonStyles.sectionTitleIcon}>📍</Text>
-          <Text style={commonStyles.sectionTitle}>Office Location</Text>
+          <Text style={commonStyles.sectionTitleIcon}>🏢</Text>
+          <Text style={commonStyles.sectionTitle}>Offices</Text>
         </View>
         <Text style={commonStyles.sectionDescription}>
-          Set the GPS coordinates of your office for location-based check-ins
+          Each site has its own location, check-in radius and work policy. Check-ins record the
+          office they were made at.
         </Text>
 
-        {!locationConfirmed ? (
-          <View style={commonStyles.inputWithButton}>
-            <TextInput
-              style={[commonStyles.input, commonStyles.inputWithButtonText]}
-              placeholder="latitude, longitude (e.g., 32.0853, 34.7818)"
-              value={locationInput}
-              onChangeText={setLocationInput}
-              keyboardType="decimal-pad"
-              placeholderTextColor={COLORS.textSecondary}
-            />
-            <LiquidGlassButton
-              title="✓"
-              onPress={handleLocationConfirm}
-              variant="primary"
-              style={commonStyles.confirmButton}
-            />
-          </View>
-        ) : (
-          <View style={commonStyles.confirmedInput}>
-            <Text style={commonStyles.confirmedText}>{locationStr}</Text>
-            <TouchableOpacity style={commonStyles.editButton} onPress={handleLocationEdit}>
-              <Text style={styles(theme).editButtonText}>Edit</Text>
-            </TouchableOpacity>
-          </View>
+        <View style={styles(theme).syncRow}>
+          <Text style={styles(theme).syncText}>
+            {syncing ? 'Syncing with server…' : getSyncText(version, offices.length)}
+          </Text>
+          <TouchableOpacity onPress={syncSettings} disabled={syncing}>
+            <Text style={styles(theme).editButtonText}>Refresh</Text>
+          </TouchableOpacity>
+        </View>
+
+        {offices.length === 0 && (
+          <Text style={styles(theme).emptyText}>No offices configured yet</Text>
         )}
 
-        <LiquidGlassButton
-          title={gettingLocation ? 'Getting Location…' : 'Use Current Location'}
-          onPress={handleGetLocation}
-          disabled={gettingLocation}
-          variant="primary"
-          style={{ marginTop: SPACING.md }}
-        />
+        {offices.map(office => (
+          <View key={office.id} style={styles(theme).officeRow}>
+            <View style={styles(theme).officeInfo}>
+              <Text style={styles(theme).officeName}>{office.name}</Text>
+              <Text style={styles(theme).officeDetail}>
+                {formatCoords(office.location) || 'Location not set'}
+              </Text>
+              <Text style={styles(theme).officeDetail}>
+                {getGeofenceText(office)} · {REMOTE_POLICY_LABELS[office.remotePolicy]}
+              </Text>
+            </View>
+            <View style={styles(theme).officeActions}>
+              <TouchableOpacity
+                style={styles(theme).rowButton}
+                onPress={() => handleEditOffice(office)}
+              >
+                <Text style={styles(theme).editButtonText}>Edit</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles(theme).rowButton}
+                onPress={() => handleRemoveOffice(office)}
+              >
+                <Text style={[styles(theme).editButtonText, styles(theme).removeButtonText]}>
+                  Remove
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+
+        {!draft && (
+          <LiquidGlassButton
+            title="+ Add Office"
+            onPress={handleAddOffice}
+            variant="primary"
+            style={styles(theme).addButton}
+          />
+        )}
       </View>
 
-      {/* Check Radius */}
-      <View style={commonStyles.sectionCard}>
-        <View style={commonStyles.sectionTitleContainer}>
-          <Text style={commonStyles.sectionTitleIcon}>📏</Text>
-          <Text style={commonStyles.sectionTitle}>Check-in Radius</Text>
-        </View>
-        <Text style={commonStyles.sectionDescription}>
-          Maximum distance (in meters) from office to allow office check-ins
-        </Text>
+      {/* Office editor */}
+      {draft && (
+        <View style={commonStyles.sectionCard}>
+          <View style={commonStyles.sectionTitleContainer}>
+            <Text style={commonStyles.sectionTitleIcon}>📍</Text>
+            <Text style={commonStyles.sectionTitle}>{draft.id ? 'Edit Office' : 'New Office'}</Text>
+          </View>
+
+          <Text style={commonStyles.label}>Name</Text>
+          <TextInput
+            style={commonStyles.input}
+            placeholder="e.g., Tel Aviv HQ"
+            value={draft.name}
+            onChangeText={name => updateDraft({ name })}
+            placeholderTextColor={COLORS.textSecondary}
+          />
+
+          <Text style={[commonStyles.label, styles(theme).fieldLabel]}>Geofence</Text>
+          <View style={styles(theme).segmentRow}>
+            {Object.entries(GEOFENCE_LABELS).map(([geofenceType, label]) => (
+              <TouchableOpacity
+                key={geofenceType}
+                style={[
+                  styles(theme).segment,
+                  draft.geofenceType === geofenceType && styles(theme).segmentActive,
+                ]}
+                onPress={() => updateDraft({ geofenceType })}
+              >
+                <Text style={styles(theme).editButtonText}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
 
-        {!radiusConfirmed ? (
-          <View style={commonStyles.inputWithButton}>
-            <TextInput
-              style={[commonStyles.input, commonStyles.inputWithButtonText]}
-              placeholder="100"
-              value={radiusInput}
-              onChangeText={setRadiusInput}
-              keyboardType="numeric"
-              placeholderTextColor={COLORS.textSecondary}
+          <Text style={[commonStyles.label, styles(theme).fieldLabel]}>
+            {draft.geofenceType === 'polygon' ? 'Reference Point (optional)' : 'Location'}
+          </Text>
+          <TextInput
+            style={commonStyles.input}
+            placeholder="latitude, longitude (e.g., 32.0853, 34.7818)"
+            value={draft.coords}
+            onChangeText={coords => updateDraft({ coords })}
+            keyboardType="decimal-pad"
+            placeholderTextColor={COLORS.textSecondary}
+          />
+          <LiquidGlassButton
+            title={gettingLocation ? 'Getting Location…' : 'Use Current Location'}
+            onPress={handleGetLocation}
+            disabled={gettingLocation}
+            variant="secondary"
+            style={styles(theme).locationButton}
+          />
+
+          {draft.geofenceType === 'polygon' ? (
+            <>
+              <Text style={[commonStyles.label, styles(theme).fieldLabel]}>
+                Vertices ({draft.vertices.length})
+              </Text>
+              {draft.vertices.length === 0 && (
+                <Text style={styles(theme).helpText}>
+                  💡 Walk the perimeter and add your position at each corner, in order
+                </Text>
+              )}
+              {draft.vertices.map((vertex, index) => (
+                <View key={`${index}-${vertex.latitude}`} style={styles(theme).vertexRow}>
+                  <Text style={styles(theme).officeDetail}>
+                    {index + 1}. {formatCoords(vertex)}
+                  </Text>
+                  <TouchableOpacity onPress={() => handleRemoveVertex(index)}>
+                    <Text style={[styles(theme).editButtonText, styles(theme).removeButtonText]}>
+                      Remove
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+              <View style={[commonStyles.inputWithButton, styles(theme).vertexInputRow]}>
+                <TextInput
+                  style={[commonStyles.input, styles(theme).rowInput]}
+                  placeholder="latitude, longitude"
+                  value={draft.vertexInput}
+                  onChangeText={vertexInput => updateDraft({ vertexInput })}
+                  keyboardType="decimal-pad"
+                  placeholderTextColor={COLORS.textSecondary}
+                />
+                <TouchableOpacity style={styles(theme).rowButton} onPress={handleAddTypedVertex}>
+                  <Text style={styles(theme).editButtonText}>Add</Text>
+                </TouchableOpacity>
+              </View>
+              <LiquidGlassButton
+                title={gettingLocation ? 'Getting Location…' : 'Add My Current Position as Vertex'}
+                onPress={handleAddCurrentVertex}
+                disabled={gettingLocation}
+                variant="secondary"
+                style={styles(theme).locationButton}
+              />
+            </>
+          ) : (
+            <>
+              <Text style={[commonStyles.label, styles(theme).fieldLabel]}>
+                Check-in Radius (meters)
+              </Text>
+              <TextInput
+                style={commonStyles.input}
+                placeholder={String(DEFAULT_CHECK_RADIUS)}
+                value={draft.radius}
+                onChangeText={radius => updateDraft({ radius })}
+                keyboardType="numeric"
+                placeholderTextColor={COLORS.textSecondary}
+              />
+              <Text style={styles(theme).helpText}>
+                💡 Recommended: 50-200 m depending on your building
+              </Text>
+            </>
+          )}
+
+          <Text style={[commonStyles.label, styles(theme).fieldLabel]}>Work Policy</Text>
+          <TouchableOpacity style={styles(theme).policySelector} onPress={handleSelectPolicy}>
+            <Text style={styles(theme).policySelectorText}>
+              {REMOTE_POLICY_LABELS[draft.remotePolicy]}
+            </Text>
+            <Text style={styles(theme).policySelectorSubtext}>
+              {POLICY_DESCRIPTIONS[draft.remotePolicy]}
+            </Text>
+          </TouchableOpacity>
+
+          <View style={styles(theme).editorActions}>
+            <LiquidGlassButton
+              title="Cancel"
+              onPress={() => setDraft(null)}
+              disabled={saving}
+              variant="ghost"
+              style={styles(theme).editorButton}
             />
             <LiquidGlassButton
-              title="✓"
-              onPress={handleRadiusConfirm}
+              title={saving ? '' : '💾 Save Office'}
+              onPress={handleSave}
+              disabled={saving}
               variant="primary"
-              style={commonStyles.confirmButton}
-            />
+              style={styles(theme).editorButton}
+            >
+              {saving && <ActivityIndicator color="#FFFFFF" />}
+            </LiquidGlassButton>
           </View>
-        ) : (
-          <View style={commonStyles.confirmedInput}>
-            <Text style={commonStyles.confirmedText}>{radiusStr} m</Text>
-            <TouchableOpacity style={commonStyles.editButton} onPress={handleRadiusEdit}>
-              <Text style={styles(theme).editButtonText}>Edit</Text>
-            </TouchableOpacity>
-          </View>
-        )}
-
-        <Text style={styles(theme).helpText}>
-          💡 Recommended: 50-200 m depending on your building
-        </Text>
-      </View>
+        </View>
+      )}
 
-      {/* Work Policy */}
+      {/* Company time zone */}
       <View style={commonStyles.sectionCard}>
         <View style={commonStyles.sectionTitleContainer}>
-          <Text style={commonStyles.sectionTitleIcon}>🔄</Text>
-          <Text style={commonStyles.sectionTitle}>Work Policy</Text>
+          <Text style={commonStyles.sectionTitleIcon}>🕰️</Text>
+          <Text style={commonStyles.sectionTitle}>Company Time Zone</Text>
         </View>
-        <Text style={[commonStyles.sectionDescription, { marginBottom: SPACING.md }]}>
-          Choose your company&apos;s remote-work policy
+        <Text style={commonStyles.sectionDescription}>
+          Work days, pay periods and Sabbath follow this zone on every device, wherever the employee
+          is.
         </Text>
 
-        <TouchableOpacity
-          style={styles(theme).policySelector}
-          onPress={() => {
-            showModal({
-              title: 'Select Work Policy',
-              message: 'Choose your company&apos;s remote work policy:',
-              buttons: [
-                {
-                  label: 'Cancel',
-                  type: 'secondary',
-                  onPress: () => hideModal(),
-                },
-                {
-                  label: 'Office Only',
-                  type: policy === 'office-only' ? 'primary' : 'secondary',
-                  onPress: () => {
-                    setPolicy('office-only');
-                    hideModal();
-                  },
-                },
-                {
-                  label: 'Remote Only',
-                  type: policy === 'remote-only' ? 'primary' : 'secondary',
-                  onPress: () => {
-                    setPolicy('remote-only');
-                    hideModal();
-                  },
-                },
-                {
-                  label: 'Hybrid',
-                  type: policy === 'hybrid' ? 'primary' : 'secondary',
-                  onPress: () => {
-                    setPolicy('hybrid');
-                    hideModal();
-                  },
-                },
-              ],
-            });
-          }}
-        >
-          <Text style={styles(theme).policySelectorText}>
-            {policy === 'office-only'
-              ? 'Office Only'
-              : policy === 'remote-only'
-                ? 'Remote Only'
-                : 'Hybrid'}
-          </Text>
-          <Text style={styles(theme).policySelectorSubtext}>
-            {policy === 'office-only'
-              ? 'Employees must work from office'
-              : policy === 'remote-only'
-                ? 'Employees work remotely'
-                : 'Mix of office and remote work'}
-          </Text>
-        </TouchableOpacity>
-      </View>
-
-      {/* Summary */}
-      <View style={commonStyles.sectionCard}>
-        <View style={commonStyles.sectionTitleContainer}>
-          <Text style={commonStyles.sectionTitleIcon}>📋</Text>
-          <Text style={commonStyles.sectionTitle}>Current Configuration</Text>
-        </View>
-        <View style={styles(theme).summaryItem}>
-          <Text style={styles(theme).summaryLabel}>Office Location:</Text>
-          <Text style={styles(theme).summaryValue}>{locationStr || 'Not configured'}</Text>
-        </View>
-        <View style={styles(theme).summaryItem}>
-          <Text style={styles(theme).summaryLabel}>Check Radius:</Text>
-          <Text style={styles(theme).summaryValue}>{radiusStr || '100'} m</Text>
+        <View style={commonStyles.inputWithButton}>
+          <TextInput
+            style={[commonStyles.input, styles(theme).rowInput]}
+            placeholder="e.g., Asia/Jerusalem"
+            value={timeZoneInput}
+            onChangeText={setTimeZoneInput}
+            autoCapitalize="none"
+            autoCorrect={false}
+            placeholderTextColor={COLORS.textSecondary}
+          />
+          <TouchableOpacity
+            style={styles(theme).rowButton}
+            onPress={handleSaveTimeZone}
+            disabled={savingTimeZone}
+          >
+            <Text style={styles(theme).editButtonText}>{savingTimeZone ? '…' : 'Save'}</Text>
+          </TouchableOpacity>
         </View>
-        <View style={styles(theme).summaryItem}>
-          <Text style={styles(theme).summaryLabel}>Work Policy:</Text>
-          <Text style={styles(theme).summaryValue}>
-            {policy === 'office-only'
-              ? 'Office Only'
-              : policy === 'remote-only'
-                ? 'Remote Only'
-                : 'Hybrid'}
+        <TouchableOpacity onPress={() => setTimeZoneInput(getDeviceTimeZone())}>
+          <Text style={styles(theme).helpText}>
+            Use the zone of this device ({getDeviceTimeZone()})
           </Text>
-        </View>
+        </TouchableOpacity>
       </View>
 
-      {/* Save Button */}
-      <LiquidGlassButton
-        title={saving ? '' : '💾 Save Office Settings'}
-        onPress={handleSave}
-        disabled={saving}
-        variant="primary"
-        style={{ marginBottom: SPACING.xxl }}
-      >
-        {saving && <ActivityIndicator color="#FFFFFF" />}
-      </LiquidGlassButton>
-
       {/* Glass Modal */}
       <GlassModal
         visible={modalState.visible}
@@ -545,24 +745,108 @@ const styles = theme => {
       textAlign: 'center',
     },
 
-    /* Summary section styles */
-    summaryItem: {
+    /* Office list */
+    syncRow: {
+      alignItems: 'center',
       flexDirection: 'row',
+      gap: SPACING.sm,
       justifyContent: 'space-between',
-      marginBottom: 4,
+      marginBottom: SPACING.md,
     },
-    summaryLabel: {
+    syncText: {
       color: COLORS.textSecondary,
       flex: 1,
+      fontSize: TYPOGRAPHY.caption.fontSize,
+    },
+    emptyText: {
+      color: COLORS.textSecondary,
       fontSize: TYPOGRAPHY.body.fontSize,
-      fontWeight: '500',
+      marginBottom: SPACING.md,
+      textAlign: 'center',
     },
-    summaryValue: {
-      color: COLORS.textPrimary,
+    officeRow: {
+      alignItems: 'center',
+      borderBottomColor: COLORS.glassBorder,
+      borderBottomWidth: 1,
+      flexDirection: 'row',
+      paddingVertical: SPACING.sm,
+    },
+    officeInfo: {
       flex: 1,
+    },
+    officeName: {
+      color: COLORS.textPrimary,
       fontSize: TYPOGRAPHY.body.fontSize,
       fontWeight: 'bold',
-      textAlign: 'right',
+      marginBottom: 2,
+    },
+    officeDetail: {
+      color: COLORS.textSecondary,
+      fontSize: TYPOGRAPHY.caption.fontSize,
+    },
+    officeActions: {
+      flexDirection: 'row',
+      gap: SPACING.sm,
+    },
+    rowButton: {
+      backgroundColor: COLORS.glassMedium,
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.xl,
+      borderWidth: 1,
+      minWidth: 60,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+    },
+    removeButtonText: {
+      color: COLORS.error,
+    },
+    addButton: {
+      marginTop: SPACING.md,
+    },
+
+    /* Office editor */
+    segmentRow: {
+      flexDirection: 'row',
+      gap: SPACING.sm,
+    },
+    segment: {
+      alignItems: 'center',
+      backgroundColor: COLORS.glassLight,
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.xl,
+      borderWidth: 1,
+      flex: 1,
+      paddingVertical: SPACING.sm,
+    },
+    segmentActive: {
+      backgroundColor: COLORS.glassMedium,
+      borderColor: COLORS.textPrimary,
+    },
+    vertexRow: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      paddingVertical: SPACING.xs,
+    },
+    vertexInputRow: {
+      marginTop: SPACING.sm,
+    },
+    rowInput: {
+      flex: 1,
+    },
+    fieldLabel: {
+      marginTop: SPACING.md,
+    },
+    locationButton: {
+      marginTop: SPACING.sm,
+    },
+    editorActions: {
+      flexDirection: 'row',
+      gap: SPACING.sm,
+      marginTop: SPACING.lg,
+    },
+    editorButton: {
+      flex: 1,
     },
   });
 };
@@ -29,6 +29,12 @@ import LiquidGlassButton from '../components/LiquidGlassButton';
 import useLiquidGlassTheme from '../hooks/useLiquidGlassTheme';
 import useBiometricCamera from '../hooks/useBiometricCamera';
 import OfflineQueueService from '../src/services/OfflineQueueService';
+import {
+  OPERATION_TYPES,
+  generateIdempotencyKey,
+  isNetworkError,
+} from '../src/services/offlineOperations';
+import { buildClaimedEventTime, captureEventTime } from '../src/utils/eventClock';
 
 export default function BiometricCheckScreen() {
   // Get `mode` safely: string | undefined | string[]  →  string | undefined
@@ -56,7 +62,7 @@ export default function BiometricCheckScreen() {
     watchPosition: false,
     highAccuracy: true,
   });
-  const { isInsideOffice, officeSettings } = useOffice();
+  const { isInsideOffice, isOfficeConfigured } = useOffice();
   const { _showSuccess, showError } = useToast();
 
   // Define callback for biometric camera hook before using it
@@ -68,6 +74,10 @@ export default function BiometricCheckScreen() {
       // Declare variables outside try-catch so they're accessible in catch block
       let imageData;
       let locationString;
+      let idempotencyKey;
+      let officeId = null;
+      // Moment of the punch - kept if the request ends up in the offline queue
+      const eventTime = captureEventTime();
 
       try {
         // Create new AbortController for this request
@@ -81,6 +91,9 @@ export default function BiometricCheckScreen() {
           return 'Location not available';
         };
         locationString = getLocationString();
+        // Recorded with the check-in so the worklog knows which site it belongs to
+        const matchedOffice = location?.coords ? isInsideOffice(location.coords) : null;
+        officeId = matchedOffice?.id || null;
 
         // Call the appropriate API endpoint
         console.log(
@@ -90,9 +103,18 @@ export default function BiometricCheckScreen() {
         // Debug authentication state
         await ApiService.auth.debugAuthState();
 
+        // Same key is reused if this attempt ends up in the offline queue
+        idempotencyKey = generateIdempotencyKey(
+          isCheckIn ? OPERATION_TYPES.CHECK_IN : OPERATION_TYPES.CHECK_OUT
+        );
+
+        const requestOptions = { idempotencyKey, eventTime: buildClaimedEventTime(eventTime) };
         const result = await (isCheckIn
-          ? ApiService.biometrics.checkIn(imageData, locationString)
-          : ApiService.biometrics.checkOut(imageData, locationString));
+          ? ApiService.biometrics.checkIn(imageData, locationString, null, {
+              ...requestOptions,
+              officeId,
+            })
+          : ApiService.biometrics.checkOut(imageData, locationString, requestOptions));
 
         console.log(
           `${isCheckIn ? 'Check-in' : 'Check-out'} successful for ${result?.employee_name ? maskName(result.employee_name) : 'employee'}`
@@ -133,22 +155,18 @@ export default function BiometricCheckScreen() {
         }
 
         // Check if this is a network error - queue it for later
-        const isNetworkError =
-          _error.message === 'Network Error' ||
-          _error.message?.includes('timeout') ||
-          _error.code === 'ECONNABORTED' ||
-          _error.code === 'ERR_NETWORK' ||
-          !_error.response; // No response = network issue
-
-        if (isNetworkError) {
+        if (isNetworkError(_error)) {
           try {
             // Store operation in offline queue
             const queueId = await OfflineQueueService.enqueue({
-              type: isCheckIn ? 'check-in' : 'check-out',
+              type: isCheckIn ? OPERATION_TYPES.CHECK_IN : OPERATION_TYPES.CHECK_OUT,
               payload: {
                 image: imageData,
                 location: locationString,
-              }
+                officeId,
+              },
+              idempotencyKey,
+              eventTime,
             });
 
             console.log(`✅ Operation queued for offline processing: ${queueId}`);
@@ -210,7 +228,7 @@ export default function BiometricCheckScreen() {
         setLoading(false);
       }
     },
-    [isCheckIn, location, user, handleCheckInSuccess, handleCheckOutSuccess]
+    [isCheckIn, location, user, isInsideOffice, handleCheckInSuccess, handleCheckOutSuccess]
   );
 
   // Use hook only for photo processing and countdown
@@ -290,7 +308,8 @@ export default function BiometricCheckScreen() {
     );
   }
 
-  const inside = location && location.coords ? isInsideOffice(location.coords) : false;
+  const matchedOffice = location && location.coords ? isInsideOffice(location.coords) : null;
+  const inside = !!matchedOffice;
 
   const _getRoleDisplayName = _role => {
     switch (_role) {
@@ -315,7 +334,7 @@ export default function BiometricCheckScreen() {
       }
 
       const coords = location.coords;
-      const status = inside ? 'Office' : 'Remote';
+      const status = inside ? matchedOffice.name : 'Remote';
 
       // Ensure coordinates are numbers before calling toFixed
       const lat =
@@ -345,11 +364,11 @@ export default function BiometricCheckScreen() {
       return 'Location unavailable - will record as remote';
     }
 
-    if (!officeSettings || !officeSettings.location || !officeSettings.location.latitude) {
+    if (!isOfficeConfigured()) {
       return 'Office location not configured';
     }
 
-    return inside ? 'You are at the office' : 'You are working remotely';
+    return inside ? `You are at ${matchedOffice.name}` : 'You are working remotely';
   };
 
   if (hasPermission === null) {
@@ -456,7 +475,7 @@ export default function BiometricCheckScreen() {
               <Text style={styles(theme).sideModeText}>{isCheckIn ? 'Check In' : 'Check Out'}</Text>
               <Text style={styles(theme).sideUserText}>{user?.first_name || 'User'}</Text>
               <Text style={styles(theme).sideStatusText}>
-                {inside ? 'Inside Office' : 'Outside Office'}
+                {inside ? matchedOffice.name : 'Outside Office'}
               </Text>
             </View>
           </View>
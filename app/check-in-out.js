@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { useFocusEffect } from '@react-navigation/native';
 import { StyleSheet, View, Text, ActivityIndicator, Alert, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
@@ -8,12 +8,22 @@ import { useOffice } from '../src/contexts/OfficeContext';
 import { useWorkStatus } from '../src/contexts/WorkStatusContext';
 import useColors from '../hooks/useColors';
 import useLocation from '../hooks/useLocation';
-import { safeLog, safeLogUser, safeLogLocation } from '../src/utils/safeLogging';
+import { safeLog, safeLogUser } from '../src/utils/safeLogging';
 import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
 import LiquidGlassCard from '../components/LiquidGlassCard';
 import LiquidGlassButton from '../components/LiquidGlassButton';
 import useLiquidGlassTheme from '../hooks/useLiquidGlassTheme';
+import ApiService from '../src/api/apiService';
 import OfflineQueueService from '../src/services/OfflineQueueService';
+import {
+  OPERATION_TYPES,
+  generateIdempotencyKey,
+  isNetworkError,
+} from '../src/services/offlineOperations';
+import { buildClaimedEventTime, captureEventTime } from '../src/utils/eventClock';
+import { formatZonedClock } from '../src/utils/holidayCalendar';
+import { describeWorkedSplit, findPremiumWindow } from '../src/utils/premiumHours';
+import { DAY_STATUS, OVERTIME_DAILY_HOURS } from '../src/utils/worktimeCalendar';
 import {
   commonStyles,
   COLORS,
@@ -22,10 +32,15 @@ import {
   BORDER_RADIUS,
 } from '../constants/CommonStyles';
 
+// How far ahead a check-in warns about a Shabbat or holiday: a full work day
+const PREMIUM_WARNING_HORIZON_MS = OVERTIME_DAILY_HOURS * 60 * 60 * 1000;
+
 export default function CheckInOutScreen() {
   const [refreshing, setRefreshing] = useState(false);
   const [manualOperation, setManualOperation] = useState(false);
+  const [breakOperation, setBreakOperation] = useState(false);
   const [queueStatus, setQueueStatus] = useState({ pending: 0, processing: false, failed: 0 });
+  const [, setClockTick] = useState(0);
   const lastFocusTime = useRef(0);
 
   // Check for manual mode parameter
@@ -35,10 +50,24 @@ export default function CheckInOutScreen() {
   const { user } = useUser();
   const { palette: _palette } = useColors();
   const theme = useLiquidGlassTheme();
-  const { officeSettings } = useOffice();
-  const { location, isUserInRadius } = useLocation({ watchPosition: false });
-  const { workStatus, loading, loadWorkStatus, getCurrentDuration, shiftStartTime } =
-    useWorkStatus();
+  const { isInsideOffice, isOfficeConfigured } = useOffice();
+  const { location } = useLocation({ watchPosition: false });
+  const {
+    workStatus,
+    loading,
+    loadWorkStatus,
+    getCurrentDuration,
+    getBreakDuration,
+    getCurrentSplit,
+    loadPremiumWindows,
+    premiumWindows,
+    shiftStartTime,
+    breaks,
+    isOnBreak,
+    handleCheckOutSuccess,
+    handleBreakStartSuccess,
+    handleBreakEndSuccess,
+  } = useWorkStatus();
 
   // Load queue status
   const loadQueueStatus = useCallback(async () => {
@@ -63,7 +92,8 @@ export default function CheckInOutScreen() {
         setRefreshing(true);
         Promise.all([
           loadWorkStatus(true),
-          loadQueueStatus() // Also load queue status
+          loadQueueStatus(), // Also load queue status
+          loadPremiumWindows()
         ]).finally(() => {
           setRefreshing(false);
         });
@@ -73,9 +103,17 @@ export default function CheckInOutScreen() {
       return () => {
         safeLog('Check-in/out screen unfocused');
       };
-    }, [user, refreshing, loadWorkStatus, loadQueueStatus]) // Include all dependencies
+    }, [user, refreshing, loadWorkStatus, loadQueueStatus, loadPremiumWindows]) // Include all dependencies
   );
 
+  // Re-render every minute on shift so the worked time and its split stay live
+  useEffect(() => {
+    if (workStatus !== 'on-shift') return undefined;
+
+    const intervalId = setInterval(() => setClockTick(tick => tick + 1), 60 * 1000);
+    return () => clearInterval(intervalId);
+  }, [workStatus]);
+
   // Ensure theme is loaded before using it
   if (!theme) {
     return (
@@ -246,8 +284,54 @@ export default function CheckInOutScreen() {
       color: '#ef4444', // Red text for errors
       fontWeight: '600',
     },
+    queueStatusChevron: {
+      marginLeft: SPACING.xs,
+    },
+
+    // Shabbat / holiday notice before check-in
+    premiumBanner: {
+      alignItems: 'flex-start',
+      backgroundColor: 'rgba(245, 158, 11, 0.15)', // Liquid Glass with warning tint
+      borderColor: 'rgba(245, 158, 11, 0.4)',
+      borderRadius: BORDER_RADIUS.lg,
+      borderWidth: 1,
+      flexDirection: 'row',
+      marginBottom: SPACING.md,
+      padding: SPACING.md,
+    },
+    premiumBannerContent: {
+      flex: 1,
+      marginLeft: SPACING.sm,
+    },
+    premiumBannerTitle: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    premiumBannerText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+      marginTop: SPACING.xs / 2,
+    },
   });
 
+  // Shabbat or holiday in effect now or starting within a work day
+  const premiumWindow =
+    workStatus !== 'on-shift'
+      ? findPremiumWindow(premiumWindows, new Date(), PREMIUM_WARNING_HORIZON_MS)
+      : null;
+
+  const describePremiumWindow = premium => {
+    const rate = premium.type === DAY_STATUS.SABBATH ? 'the Shabbat rate' : 'the holiday rate';
+    const when =
+      premium.start <= new Date()
+        ? `In effect until ${formatZonedClock(premium.end)}`
+        : `Starts at ${formatZonedClock(premium.start)}`;
+    return `${when}. Hours worked during it are paid at ${rate}, and work may be restricted.`;
+  };
+
+  const workedSplit = workStatus === 'on-shift' ? describeWorkedSplit(getCurrentSplit()) : '';
+
   const handleCheckIn = () => {
     safeLog('Navigating to check-in');
     router.push({
@@ -288,64 +372,119 @@ export default function CheckInOutScreen() {
     }
   };
 
-  const handleManualCheckOut = async () => {
+  const performManualCheckOut = async () => {
+    const employeeId = user?.employee_id || user?.id;
+    const eventTime = captureEventTime();
+    setManualOperation(true);
     try {
-      setManualOperation(true);
-      safeLog('Performing manual check-out', safeLogUser(user, 'manual_checkout'));
+      const result = await ApiService.worktime.quickCheckout(employeeId, {
+        eventTime: buildClaimedEventTime(eventTime),
+      });
+      safeLog('Manual check-out completed');
 
+      await handleCheckOutSuccess({ success: true, ...result });
       Alert.alert(
-        'Manual Check-out',
-        'This will check you out without biometric verification. Continue?',
-        [
-          {
-            text: 'Yes, Check Out',
-            onPress: async () => {
-              try {
-                // Call manual check-out API endpoint
-                const _ApiService = (await import('../src/api/apiService')).default;
-                const _locationString = location
-                  ? `Manual (${safeLogLocation(location.coords.latitude, location.coords.longitude)})`
-                  : 'Manual (Location unavailable)';
-
-                // For now, we'll simulate manual check-out
-                safeLog('Simulating manual check-out');
-                Alert.alert(
-                  'Manual Check-out Complete',
-                  'You have been checked out manually. Please contact your administrator if you continue to have biometric issues.',
-                  [{ text: 'OK', onPress: () => router.replace('/check-in-out') }]
-                );
-              } catch (error) {
-                safeLog('Manual check-out failed', { error: error.message });
-                Alert.alert(
-                  'Manual Check-out Failed',
-                  'Unable to complete manual check-out. Please contact your administrator.',
-                  [{ text: 'OK' }]
-                );
-              }
-            },
-          },
-          {
-            text: 'Cancel',
-            style: 'cancel',
-          },
-        ]
+        'Manual Check-out Complete',
+        'You have been checked out manually. Please contact your administrator if you continue to have biometric issues.',
+        [{ text: 'OK', onPress: () => router.replace('/check-in-out') }]
       );
     } catch (error) {
-      safeLog('Manual check-out error', { error: error.message });
+      safeLog('Manual check-out failed', { error: error.message });
+
+      if (isNetworkError(error)) {
+        try {
+          // Queue for delivery when connection is back; the queue shows its own alert
+          await OfflineQueueService.enqueue({
+            type: OPERATION_TYPES.MANUAL_CHECKOUT,
+            payload: { employeeId },
+            eventTime,
+          });
+          await handleCheckOutSuccess({ success: true, check_out_time: eventTime.timestamp });
+          loadQueueStatus();
+          return;
+        } catch (queueError) {
+          safeLog('Failed to queue manual check-out', { error: queueError.message });
+        }
+      }
+
+      Alert.alert(
+        'Manual Check-out Failed',
+        'Unable to complete manual check-out. Please contact your administrator.',
+        [{ text: 'OK' }]
+      );
     } finally {
       setManualOperation(false);
     }
   };
 
-  const isInOffice =
-    location &&
-    officeSettings.location.latitude &&
-    isUserInRadius(officeSettings.location, officeSettings.checkRadius);
+  const handleManualCheckOut = () => {
+    safeLog('Performing manual check-out', safeLogUser(user, 'manual_checkout'));
+
+    Alert.alert(
+      'Manual Check-out',
+      'This will check you out without biometric verification. Continue?',
+      [
+        {
+          text: 'Yes, Check Out',
+          onPress: performManualCheckOut,
+        },
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+      ]
+    );
+  };
+
+  // Starts or ends a break; queued like punches when offline
+  const handleBreak = async () => {
+    const starting = !isOnBreak;
+    const type = starting ? OPERATION_TYPES.BREAK_START : OPERATION_TYPES.BREAK_END;
+    const eventTime = captureEventTime();
+    const idempotencyKey = generateIdempotencyKey(type);
+    setBreakOperation(true);
+    try {
+      const requestOptions = { idempotencyKey, eventTime: buildClaimedEventTime(eventTime) };
+      const result = await (starting
+        ? ApiService.worktime.startBreak(requestOptions)
+        : ApiService.worktime.endBreak(requestOptions));
+      safeLog(starting ? 'Break started' : 'Break ended');
+      await (starting ? handleBreakStartSuccess(result) : handleBreakEndSuccess(result));
+    } catch (error) {
+      safeLog('Break request failed', { error: error.message });
+
+      if (isNetworkError(error)) {
+        try {
+          // The queue shows its own alert
+          await OfflineQueueService.enqueue({ type, payload: {}, idempotencyKey, eventTime });
+          await (starting
+            ? handleBreakStartSuccess({ start: eventTime.timestamp })
+            : handleBreakEndSuccess({ end: eventTime.timestamp }));
+          loadQueueStatus();
+          return;
+        } catch (queueError) {
+          safeLog('Failed to queue break', { error: queueError.message });
+        }
+      }
+
+      Alert.alert(
+        starting ? 'Could Not Start Break' : 'Could Not End Break',
+        error.response?.data?.detail || error.response?.data?.error || 'Please try again.',
+        [{ text: 'OK' }]
+      );
+    } finally {
+      setBreakOperation(false);
+    }
+  };
+
+  // Office whose geofence contains the user, null when remote
+  const currentOffice = location?.coords ? isInsideOffice(location.coords) : null;
+  const isInOffice = !!currentOffice;
 
   const getLocationStatus = () => {
     if (!location) return 'Location not available';
-    if (!officeSettings.location.latitude) return 'Office location not configured';
-    return isInOffice ? 'In office' : 'Remote';
+    if (!isOfficeConfigured()) return 'Office location not configured';
+    return isInOffice ? `In office · ${currentOffice.name}` : 'Remote';
   };
 
   if (loading) {
@@ -400,29 +539,7 @@ export default function CheckInOutScreen() {
               styles.queueStatusIndicator,
               queueStatus.failed > 0 && styles.queueStatusError
             ]}
-            onPress={async () => {
-              if (queueStatus.failed > 0) {
-                const failedQueue = await OfflineQueueService.getFailedQueue();
-                if (failedQueue.length > 0) {
-                  Alert.alert(
-                    'Failed Operations',
-                    `${failedQueue.length} operations failed to sync.\n\nWould you like to retry them now?`,
-                    [
-                      { text: 'Cancel', style: 'cancel' },
-                      {
-                        text: 'Retry All',
-                        onPress: async () => {
-                          for (const item of failedQueue) {
-                            await OfflineQueueService.retryFailedItem(item.id);
-                          }
-                          await loadQueueStatus();
-                        }
-                      }
-                    ]
-                  );
-                }
-              }
-            }}
+            onPress={() => router.push('/offline-queue')}
           >
             <Ionicons
               name={queueStatus.processing ? "sync" : queueStatus.failed > 0 ? "alert-circle" : "cloud-upload"}
@@ -438,9 +555,30 @@ export default function CheckInOutScreen() {
               {queueStatus.pending > 0 && queueStatus.failed > 0 && ', '}
               {queueStatus.failed > 0 && `${queueStatus.failed} failed`}
             </Text>
+            <Ionicons
+              name="chevron-forward"
+              size={14}
+              color={COLORS.textSecondary}
+              style={styles.queueStatusChevron}
+            />
           </TouchableOpacity>
         )}
 
+        {/* Shabbat / Holiday Notice */}
+        {premiumWindow && (
+          <View style={styles.premiumBanner}>
+            <Ionicons
+              name={premiumWindow.type === DAY_STATUS.SABBATH ? 'moon' : 'calendar'}
+              size={20}
+              color={COLORS.warning}
+            />
+            <View style={styles.premiumBannerContent}>
+              <Text style={styles.premiumBannerTitle}>{premiumWindow.name}</Text>
+              <Text style={styles.premiumBannerText}>{describePremiumWindow(premiumWindow)}</Text>
+            </View>
+          </View>
+        )}
+
         {/* Current Status Card */}
         <LiquidGlassCard variant="elevated" padding="lg" style={styles.statusCard}>
           <Text style={styles.statusTitle}>Current Status</Text>
@@ -451,7 +589,7 @@ export default function CheckInOutScreen() {
             ]}
           >
             <Text style={styles.currentStatusText}>
-              {workStatus === 'on-shift' ? 'On Shift' : 'Off Shift'}
+              {workStatus !== 'on-shift' ? 'Off Shift' : isOnBreak ? 'On Break' : 'On Shift'}
             </Text>
           </View>
 
@@ -464,7 +602,11 @@ export default function CheckInOutScreen() {
                   minute: '2-digit',
                 })}
               </Text>
-              <Text style={styles.shiftInfoText}>Duration: {getCurrentDuration()}</Text>
+              <Text style={styles.shiftInfoText}>Worked: {getCurrentDuration()}</Text>
+              {!!workedSplit && <Text style={styles.shiftInfoText}>{workedSplit}</Text>}
+              {breaks.length > 0 && (
+                <Text style={styles.shiftInfoText}>Breaks: {getBreakDuration()}</Text>
+              )}
             </View>
           )}
         </LiquidGlassCard>
@@ -485,11 +627,23 @@ export default function CheckInOutScreen() {
         <LiquidGlassButton
           title={workStatus === 'on-shift' ? 'Check Out' : 'Check In'}
           onPress={workStatus === 'on-shift' ? handleCheckOut : handleCheckIn}
-          disabled={refreshing || manualOperation}
+          disabled={refreshing || manualOperation || breakOperation}
           variant={workStatus === 'on-shift' ? 'secondary' : 'primary'}
           style={{ width: '100%', marginVertical: SPACING.lg }}
         />
 
+        {workStatus === 'on-shift' && (
+          <LiquidGlassButton
+            title={breakOperation ? '' : isOnBreak ? 'End Break' : 'Start Break'}
+            onPress={handleBreak}
+            disabled={refreshing || manualOperation || breakOperation}
+            variant={isOnBreak ? 'primary' : 'ghost'}
+            style={{ width: '100%', marginBottom: SPACING.md }}
+          >
+            {breakOperation && <ActivityIndicator color="#FFFFFF" />}
+          </LiquidGlassButton>
+        )}
+
         {/* Info Text */}
         <Text style={styles.infoText}>
           {workStatus === 'on-shift'
@@ -0,0 +1,321 @@
+import React, { useState, useCallback } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import { StyleSheet, View, Text, ActivityIndicator, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
+import LiquidGlassCard from '../components/LiquidGlassCard';
+import { showGlassAlert, showGlassConfirm } from '../hooks/useGlobalGlassModal';
+import { useUser, ROLES } from '../src/contexts/UserContext';
+import ApiService from '../src/api/apiService';
+import {
+  CORRECTION_STATUS,
+  CORRECTION_STATUS_LABELS,
+  formatTimeInput,
+} from '../src/utils/worklogCorrections';
+import {
+  commonStyles,
+  COLORS,
+  SPACING,
+  TYPOGRAPHY,
+  BORDER_RADIUS,
+} from '../constants/CommonStyles';
+
+const FILTERS = {
+  [CORRECTION_STATUS.PENDING]: 'Pending',
+  reviewed: 'Reviewed',
+};
+
+const formatDay = value => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? '—'
+    : date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+const formatRange = (checkIn, checkOut) =>
+  `${formatTimeInput(checkIn) || '—'} – ${checkOut ? formatTimeInput(checkOut) : 'no check-out'}`;
+
+/**
+ * Worklog correction inbox
+ * Managers review correction requests from employees. Approving applies the
+ * requested times to the worklog; the original times stay on record.
+ */
+export default function CorrectionRequestsScreen() {
+  const { hasAccess } = useUser();
+  const canReview = hasAccess(ROLES.ACCOUNTANT);
+  const [filter, setFilter] = useState(CORRECTION_STATUS.PENDING);
+  const [corrections, setCorrections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadCorrections = useCallback(async () => {
+    if (!canReview) return;
+    setLoading(true);
+    try {
+      const params =
+        filter === CORRECTION_STATUS.PENDING
+          ? { status: CORRECTION_STATUS.PENDING }
+          : { status__in: `${CORRECTION_STATUS.APPROVED},${CORRECTION_STATUS.REJECTED}` };
+      const data = await ApiService.worktime.getCorrections({ ...params, ordering: '-created_at' });
+      setCorrections(data?.results || data || []);
+    } catch (error) {
+      console.error('Failed to load correction requests:', error);
+      setCorrections([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [canReview, filter]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadCorrections();
+    }, [loadCorrections])
+  );
+
+  const runReview = async (correction, review) => {
+    setBusyId(correction.id);
+    try {
+      await review();
+    } catch (error) {
+      console.error('Failed to review correction:', error);
+      showGlassAlert(
+        'Error',
+        error.response?.data?.detail || 'Could not update the request. Please try again.'
+      );
+    } finally {
+      setBusyId(null);
+      await loadCorrections();
+    }
+  };
+
+  const handleApprove = correction => {
+    showGlassConfirm(
+      'Approve Correction',
+      `${correction.employee_name || 'The employee'}'s worklog for ${formatDay(
+        correction.original_check_in
+      )} will change to ${formatRange(
+        correction.requested_check_in,
+        correction.requested_check_out
+      )}.`,
+      () => runReview(correction, () => ApiService.worktime.approveCorrection(correction.id))
+    );
+  };
+
+  const handleReject = correction => {
+    showGlassConfirm('Reject Correction', 'The worklog will keep its recorded times.', () =>
+      runReview(correction, () => ApiService.worktime.rejectCorrection(correction.id))
+    );
+  };
+
+  const styles = StyleSheet.create({
+    loadingContainer: {
+      ...commonStyles.loader,
+    },
+    filterRow: {
+      flexDirection: 'row',
+      gap: SPACING.sm,
+      marginBottom: SPACING.md,
+    },
+    filterButton: {
+      alignItems: 'center',
+      backgroundColor: COLORS.glassLight,
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.md,
+      borderWidth: 1,
+      flex: 1,
+      paddingVertical: SPACING.sm,
+    },
+    filterButtonActive: {
+      backgroundColor: COLORS.primary,
+    },
+    filterText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    emptyText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textMuted,
+      marginTop: SPACING.lg,
+      textAlign: 'center',
+    },
+    itemCard: {
+      marginBottom: SPACING.sm,
+    },
+    itemHeader: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginBottom: SPACING.xs,
+    },
+    itemTitle: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    itemMeta: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    changeRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginTop: SPACING.xs,
+    },
+    changeLabel: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textMuted,
+    },
+    originalText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+      textDecorationLine: 'line-through',
+    },
+    requestedText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    reasonText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+      fontStyle: 'italic',
+      marginTop: SPACING.sm,
+    },
+    reviewText: {
+      marginTop: SPACING.sm,
+    },
+    itemActions: {
+      flexDirection: 'row',
+      gap: SPACING.sm,
+      justifyContent: 'flex-end',
+      marginTop: SPACING.sm,
+    },
+    actionButton: {
+      alignItems: 'center',
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.md,
+      borderWidth: 1,
+      flexDirection: 'row',
+      gap: SPACING.xs,
+      paddingHorizontal: SPACING.md,
+      paddingVertical: SPACING.xs,
+    },
+    actionText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    rejectText: {
+      color: COLORS.error,
+    },
+  });
+
+  const renderCorrection = correction => {
+    const pending = correction.status === CORRECTION_STATUS.PENDING;
+
+    return (
+      <LiquidGlassCard key={correction.id} variant="bordered" padding="md" style={styles.itemCard}>
+        <View style={styles.itemHeader}>
+          <Text style={styles.itemTitle}>{correction.employee_name || 'Employee'}</Text>
+          <Text style={styles.itemMeta}>{formatDay(correction.original_check_in)}</Text>
+        </View>
+
+        <View style={styles.changeRow}>
+          <Text style={styles.changeLabel}>Recorded</Text>
+          <Text style={styles.originalText}>
+            {formatRange(correction.original_check_in, correction.original_check_out)}
+          </Text>
+        </View>
+        <View style={styles.changeRow}>
+          <Text style={styles.changeLabel}>Requested</Text>
+          <Text style={styles.requestedText}>
+            {formatRange(correction.requested_check_in, correction.requested_check_out)}
+          </Text>
+        </View>
+
+        {!!correction.reason && <Text style={styles.reasonText}>“{correction.reason}”</Text>}
+
+        {pending ? (
+          <View style={styles.itemActions}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleReject(correction)}
+              disabled={!!busyId}
+            >
+              <Ionicons name="close" size={14} color={COLORS.error} />
+              <Text style={[styles.actionText, styles.rejectText]}>Reject</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleApprove(correction)}
+              disabled={!!busyId}
+            >
+              {busyId === correction.id ? (
+                <ActivityIndicator size="small" color={COLORS.textPrimary} />
+              ) : (
+                <Ionicons name="checkmark" size={14} color={COLORS.textPrimary} />
+              )}
+              <Text style={styles.actionText}>Approve</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <Text style={[styles.itemMeta, styles.reviewText]}>
+            {CORRECTION_STATUS_LABELS[correction.status] || correction.status}
+            {correction.reviewed_by_name ? ` by ${correction.reviewed_by_name}` : ''}
+            {correction.reviewed_at ? ` · ${formatDay(correction.reviewed_at)}` : ''}
+          </Text>
+        )}
+      </LiquidGlassCard>
+    );
+  };
+
+  if (!canReview) {
+    return (
+      <LiquidGlassScreenLayout.WithGlassHeader
+        title="Correction Requests"
+        backDestination="/worktime"
+        showLogout={true}
+      >
+        <Text style={styles.emptyText}>Only managers can review correction requests</Text>
+      </LiquidGlassScreenLayout.WithGlassHeader>
+    );
+  }
+
+  return (
+    <LiquidGlassScreenLayout.WithGlassHeader
+      title="Correction Requests"
+      subtitle="Worklog changes proposed by employees"
+      backDestination="/worktime"
+      showLogout={true}
+      scrollable={true}
+    >
+      <View style={styles.filterRow}>
+        {Object.entries(FILTERS).map(([key, label]) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.filterButton, filter === key && styles.filterButtonActive]}
+            onPress={() => setFilter(key)}
+          >
+            <Text style={styles.filterText}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.textPrimary} />
+        </View>
+      ) : corrections.length === 0 ? (
+        <Text style={styles.emptyText}>
+          {filter === CORRECTION_STATUS.PENDING
+            ? 'No requests waiting for review'
+            : 'No reviewed requests'}
+        </Text>
+      ) : (
+        corrections.map(renderCorrection)
+      )}
+    </LiquidGlassScreenLayout.WithGlassHeader>
+  );
+}
@@ -53,7 +53,11 @@ export default function EditEmployeeScreen() {
 
   const handleSave = async () => {
     const result = await saveEmployee();
-    if (result) {
+    if (result?.queued) {
+      showGlassAlert('Saved Offline', 'Changes will be synced when the connection is restored.', [
+        { text: 'OK', onPress: () => router.push('/team-management') },
+      ]);
+    } else if (result) {
       showGlassAlert('Success', 'Employee updated successfully', [
         { text: 'OK', onPress: () => router.push('/team-management') },
       ]);
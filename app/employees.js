@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useFocusEffect } from '@react-navigation/native';
 import { StyleSheet, View, Text, ActivityIndicator } from 'react-native';
-import { showGlassAlert } from '../hooks/useGlobalGlassModal';
+import { showGlassAlert, showGlassConfirm } from '../hooks/useGlobalGlassModal';
 import { router } from 'expo-router';
 import { useUser, ROLES } from '../src/contexts/UserContext';
 import { useOffice } from '../src/contexts/OfficeContext';
@@ -15,6 +15,16 @@ import { safeLogWorkLogs } from '../src/utils/safeLogging';
 import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
 import LiquidGlassCard from '../components/LiquidGlassCard';
 import useLiquidGlassTheme from '../hooks/useLiquidGlassTheme';
+import useOrphanedSessions from '../hooks/useOrphanedSessions';
+import OrphanedSessionsCard from '../components/OrphanedSessionsCard';
+import useAttendanceComparison from '../hooks/useAttendanceComparison';
+import AttendanceCard from '../components/AttendanceCard';
+import useDeviceSessions from '../hooks/useDeviceSessions';
+import DeviceSessionsCard from '../components/DeviceSessionsCard';
+import { detectSessionAnomaly } from '../src/utils/sessionAnomalies';
+import { buildTimesheet, formatHours, totalsByDay } from '../src/utils/timesheet';
+import { toDateKey } from '../src/utils/worktimeCalendar';
+import { getZonedCalendarDate, toZonedDateKey } from '../src/utils/timeZone';
 
 export default function EmployeesScreen() {
   const [loading, setLoading] = useState(true);
@@ -27,14 +37,24 @@ export default function EmployeesScreen() {
   const { user, hasAccess: _hasAccess, logout, loading: userLoading } = useUser();
   const { palette: _palette } = useColors();
   const theme = useLiquidGlassTheme();
-  const { officeSettings } = useOffice();
-  const { location: _location, isUserInRadius } = useLocation({ watchPosition: false });
+  const { isInsideOffice, isOfficeConfigured } = useOffice();
+  const { location } = useLocation({ watchPosition: false });
   const {
     workStatus,
+    isOnBreak,
     loading: workStatusLoading,
     loadWorkStatus,
     getCurrentDuration: _getCurrentDuration,
   } = useWorkStatus();
+  const { sessions: orphanedSessions } = useOrphanedSessions();
+  const { issues: attendanceIssues, hasShifts } = useAttendanceComparison();
+  const {
+    sessions: deviceSessions,
+    loading: deviceSessionsLoading,
+    error: deviceSessionsError,
+    revokingId: revokingDeviceId,
+    revoke: revokeDevice,
+  } = useDeviceSessions();
 
   // Define roles - MOVED BEFORE EARLY RETURN
   const _isEmployee = user?.role === ROLES.EMPLOYEE;
@@ -47,60 +67,37 @@ export default function EmployeesScreen() {
     }
 
     try {
-      const today = new Date().toISOString().split('T')[0];
+      const now = new Date();
+      const today = toZonedDateKey(now);
+      const yesterday = getZonedCalendarDate(now);
+      yesterday.setDate(yesterday.getDate() - 1);
       console.log(` Calculating today's hours for user ${user.id} on ${today}`);
 
+      // From yesterday so a night shift still running (or ended) today is included
       const workLogs = await ApiService.worktime.getLogs({
-        date: today,
+        date_from: toDateKey(yesterday),
+        date_to: today,
         // Don't pass employee param - let backend determine from token
         page_size: 50, // Limit the number of records
       });
 
       console.log(` Work logs for current user:`, safeLogWorkLogs(workLogs, 'current_user_logs'));
 
-      let totalMinutes = 0;
-
-      if (workLogs && workLogs.results && workLogs.results.length > 0) {
-        const todayLogs = workLogs.results.filter(log => {
-          if (!log.check_in) return false;
-
-          const checkInDate = new Date(log.check_in).toISOString().split('T')[0];
-          const checkOutDate = log.check_out
-            ? new Date(log.check_out).toISOString().split('T')[0]
-            : null;
-          const todayDate = new Date().toISOString().split('T')[0];
-
-          // Include shifts that started today OR ended today (for night shifts)
-          return checkInDate === todayDate || checkOutDate === todayDate;
-        });
-
-        console.log(
-          ` Filtered logs for current user: ${todayLogs.length}/${workLogs.results.length}`
-        );
-
-        todayLogs.forEach(log => {
-          const hoursWorked = log.total_hours || log.hours_worked;
-          console.log(
-            ` Processing log: hours=${hoursWorked}, check_in=${log.check_in}, check_out=${log.check_out}`
-          );
-
-          // Count both completed work logs AND active sessions
-          if (hoursWorked && hoursWorked > 0) {
-            const minutesToAdd = Math.round(hoursWorked * 60);
-            const sessionType = log.check_out ? 'completed work' : 'active session';
-            console.log(`Adding ${minutesToAdd} minutes (${hoursWorked}h) - ${sessionType}`);
-            totalMinutes += minutesToAdd;
-          } else if (log.check_in && !log.check_out) {
-            console.log(` Found active session without total_hours: check_in=${log.check_in}`);
-          }
-        });
-      }
+      // A forgotten check-out would inflate the total until it is corrected
+      const countedLogs = (workLogs?.results || []).filter(log => {
+        if (detectSessionAnomaly(log, { now })) {
+          console.log(` Skipping orphaned session: check_in=${log.check_in}`);
+          return false;
+        }
+        return true;
+      });
 
-      const hours = Math.floor(totalMinutes / 60);
-      const minutes = totalMinutes % 60;
-      const formattedTime = `${hours}h ${minutes}m`;
+      // Active sessions count up to now; only the part worked today is added
+      const { segments } = buildTimesheet(countedLogs, { now });
+      const hoursToday = totalsByDay(segments)[today] || 0;
+      const formattedTime = formatHours(hoursToday);
 
-      console.log(` Today's hours calculated: ${formattedTime} (${totalMinutes} total minutes)`);
+      console.log(` Today's hours calculated: ${formattedTime} (${hoursToday.toFixed(2)}h)`);
       setTodayHours(formattedTime);
     } catch (error) {
       if (error.message?.includes('Network Error') || error.message?.includes('timeout')) {
@@ -282,6 +279,31 @@ export default function EmployeesScreen() {
     }
   };
 
+  // Sign out one of the user's devices; signing out this one ends the session here too
+  const handleRevokeDevice = session => {
+    showGlassConfirm(
+      'Sign Out Device',
+      session.isCurrent
+        ? 'This is the device you are using now. You will be logged out.'
+        : `Sign out ${session.name}? It will need to log in again to use your account.`,
+      async () => {
+        try {
+          const wasCurrent = await revokeDevice(session);
+          if (wasCurrent) {
+            await logout();
+            router.replace('/');
+          }
+        } catch (error) {
+          console.error('Error signing out device:', error);
+          showGlassAlert({
+            title: 'Error',
+            message: error.response?.data?.detail || 'Failed to sign out the device',
+          });
+        }
+      }
+    );
+  };
+
   // Handle self-service biometric registration
   const handleSelfBiometricRegistration = () => {
     if (!user || !user.id) {
@@ -313,15 +335,14 @@ export default function EmployeesScreen() {
     });
   };
 
-  const isInOffice =
-    location &&
-    officeSettings.location.latitude &&
-    isUserInRadius(officeSettings.location, officeSettings.checkRadius);
+  // Office whose geofence contains the user, null when remote
+  const currentOffice = location?.coords ? isInsideOffice(location.coords) : null;
+  const isInOffice = !!currentOffice;
 
   const getLocationStatus = () => {
     if (!location) return 'Location not available';
-    if (!officeSettings.location.latitude) return 'Office not configured';
-    return isInOffice ? 'In office' : 'Remote';
+    if (!isOfficeConfigured()) return 'Office not configured';
+    return isInOffice ? `In office · ${currentOffice.name}` : 'Remote';
   };
 
   const _getRoleDisplayName = role => {
@@ -398,6 +419,13 @@ export default function EmployeesScreen() {
         <View style={styles(theme).section}>
           <Text style={styles(theme).sectionHeader}>Shift Summary</Text>
 
+          <OrphanedSessionsCard
+            sessions={orphanedSessions}
+            title="Did you forget to check out?"
+            description="This session is not counted in today's hours until it is closed or corrected."
+            onCheckOut={() => router.push('/check-in-out')}
+          />
+
           {/* Status Card */}
           <LiquidGlassCard
             variant="elevated"
@@ -430,10 +458,19 @@ export default function EmployeesScreen() {
               </Text>
             </View>
             {workStatus === 'on-shift' && (
-              <Text style={styles(theme).shiftTimeText}>Shift in progress</Text>
+              <Text style={styles(theme).shiftTimeText}>
+                {isOnBreak ? 'On a break' : 'Shift in progress'}
+              </Text>
             )}
           </LiquidGlassCard>
 
+          <AttendanceCard
+            issues={attendanceIssues}
+            hasShifts={hasShifts}
+            title="My Schedule vs Attendance"
+            description="Your planned shifts compared with your check-ins over the last 7 days."
+          />
+
           {/* Stats Grid - Read-only data tiles */}
           <View style={styles(theme).statsGrid}>
             <View
@@ -469,7 +506,7 @@ export default function EmployeesScreen() {
               </View>
               <View style={styles(theme).statContent}>
                 <Text style={styles(theme).statValue} numberOfLines={1} ellipsizeMode="tail">
-                  {isInOffice ? 'Office' : 'Remote'}
+                  {isInOffice ? currentOffice.name : 'Remote'}
                 </Text>
               </View>
               <Text style={styles(theme).statLabel} numberOfLines={1} ellipsizeMode="tail">
@@ -601,6 +638,30 @@ export default function EmployeesScreen() {
                 </>
               )}
 
+              <LiquidGlassCard
+                variant="elevated"
+                padding="md"
+                style={styles(theme).actionCard}
+                onPress={() => router.push('/holidays')}
+                accessibilityRole="button"
+                accessibilityLabel="Holidays - View holidays and Shabbat times"
+              >
+                <Ionicons
+                  name="calendar"
+                  size={24}
+                  color={theme.colors.text.primary}
+                  style={styles(theme).actionIcon}
+                />
+                <Text style={styles(theme).actionTitle}>Holidays</Text>
+                <Text style={styles(theme).actionSubtext}>Shabbat times</Text>
+                <Ionicons
+                  name="chevron-forward"
+                  size={14}
+                  color={theme.colors.text.secondary}
+                  style={styles(theme).actionChevron}
+                />
+              </LiquidGlassCard>
+
               {/* Modal Demo Button - Hidden in production */}
               {__DEV__ && (
                 <LiquidGlassCard
@@ -637,6 +698,20 @@ export default function EmployeesScreen() {
             )}
           </View>
         </View>
+
+        {/* Signed-in devices */}
+        <View style={styles(theme).section}>
+          <Text style={styles(theme).sectionHeader}>Security</Text>
+
+          <DeviceSessionsCard
+            sessions={deviceSessions}
+            loading={deviceSessionsLoading}
+            error={deviceSessionsError}
+            description="Phones and browsers signed in to your account. Sign out any you no longer use or have lost."
+            onRevoke={handleRevokeDevice}
+            revokingId={revokingDeviceId}
+          />
+        </View>
       </View>
 
       {/* Bottom gradient mask for navigation */}
@@ -0,0 +1,325 @@
+import React, { useState, useMemo } from 'react';
+import { StyleSheet, View, Text, ActivityIndicator, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
+import LiquidGlassCard from '../components/LiquidGlassCard';
+import LiquidGlassButton from '../components/LiquidGlassButton';
+import WorktimeCalendar from '../components/WorktimeCalendar';
+import { showGlassAlert, showGlassConfirm } from '../hooks/useGlobalGlassModal';
+import useHolidayCalendar from '../hooks/useHolidayCalendar';
+import { useUser } from '../src/contexts/UserContext';
+import { useOffice } from '../src/contexts/OfficeContext';
+import { describeShabbatTimes, groupHolidaysByMonth } from '../src/utils/holidayCalendar';
+import { getOfficeCoordinates } from '../src/utils/offices';
+import { getZonedParts } from '../src/utils/timeZone';
+import {
+  DAY_STATUS,
+  buildCalendarMonth,
+  indexHolidays,
+  parseDateKey,
+} from '../src/utils/worktimeCalendar';
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from '../constants/CommonStyles';
+
+const formatDay = dateKey =>
+  parseDateKey(dateKey).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+
+/**
+ * Holidays and Shabbat
+ * The days payroll pays at holiday and Shabbat rates: a month calendar, the
+ * year's holidays and each week's Shabbat times for an office. Admins can
+ * import a year's holidays on the server.
+ */
+export default function HolidaysScreen() {
+  const { isAdmin } = useUser();
+  const { offices } = useOffice();
+  const [calendarMonth, setCalendarMonth] = useState(() => {
+    const { year, month } = getZonedParts(new Date());
+    return { year, month };
+  });
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [officeId, setOfficeId] = useState(null);
+
+  const locatedOffices = useMemo(
+    () => offices.filter(office => getOfficeCoordinates(office)),
+    [offices]
+  );
+  const office = locatedOffices.find(item => item.id === officeId) || locatedOffices[0] || null;
+  const location = useMemo(() => (office ? getOfficeCoordinates(office) : null), [office]);
+
+  const { year, month } = calendarMonth;
+  const { holidays, shabbatWeeks, loading, error, cachedAt, syncing, syncYear } =
+    useHolidayCalendar({ year, month, location });
+
+  const holidayIndex = useMemo(() => indexHolidays(holidays), [holidays]);
+  const weeks = useMemo(
+    () => buildCalendarMonth(year, month, { holidays: holidayIndex }),
+    [year, month, holidayIndex]
+  );
+  const holidayMonths = useMemo(() => groupHolidaysByMonth(holidays, year), [holidays, year]);
+
+  const handleChangeMonth = delta => {
+    setSelectedDay(null);
+    setCalendarMonth(current => {
+      const date = new Date(current.year, current.month - 1 + delta, 1);
+      return { year: date.getFullYear(), month: date.getMonth() + 1 };
+    });
+  };
+
+  const handleChangeYear = delta => {
+    setSelectedDay(null);
+    setCalendarMonth(current => ({ ...current, year: current.year + delta }));
+  };
+
+  const handleSyncYear = () => {
+    showGlassConfirm(
+      'Sync Holidays',
+      `Import the holidays of ${year} from the calendar service? Payroll uses them for holiday pay.`,
+      async () => {
+        try {
+          await syncYear();
+          showGlassAlert('Holidays Synced', `The holidays of ${year} are up to date.`);
+        } catch (syncError) {
+          console.error('Error syncing holidays:', syncError);
+          showGlassAlert(
+            'Error',
+            syncError.response?.data?.detail || 'Could not sync the holidays. Please try again.'
+          );
+        }
+      }
+    );
+  };
+
+  const describeSelectedDay = () => {
+    const holiday = holidayIndex[selectedDay];
+    if (holiday && !holiday.isShabbat) return `${holiday.name} · paid as a holiday`;
+    const week = shabbatWeeks.find(item => item.date === selectedDay);
+    if (week) return `Shabbat starts · ${describeShabbatTimes(week)}`;
+    const cell = weeks.flat().find(item => item?.dateKey === selectedDay);
+    if (cell?.status === DAY_STATUS.SABBATH) return 'Shabbat · paid at the Shabbat rate';
+    return 'Regular work day';
+  };
+
+  const styles = StyleSheet.create({
+    noticeText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.warning,
+      marginBottom: SPACING.md,
+    },
+    yearRow: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginBottom: SPACING.md,
+    },
+    yearNav: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      gap: SPACING.sm,
+    },
+    yearButton: {
+      padding: SPACING.xs,
+    },
+    yearTitle: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    selectedDayRow: {
+      marginBottom: SPACING.md,
+      marginTop: -SPACING.xs,
+    },
+    selectedDayTitle: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    selectedDayText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    sectionCard: {
+      marginBottom: SPACING.md,
+    },
+    sectionHeader: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      gap: SPACING.xs,
+      marginBottom: SPACING.xs,
+    },
+    sectionTitle: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    sectionDescription: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+      marginBottom: SPACING.sm,
+    },
+    officeRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: SPACING.xs,
+      marginBottom: SPACING.sm,
+    },
+    officeOption: {
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.md,
+      borderWidth: 1,
+      paddingHorizontal: SPACING.sm,
+      paddingVertical: SPACING.xs,
+    },
+    officeOptionActive: {
+      backgroundColor: COLORS.glassMedium,
+      borderColor: COLORS.textPrimary,
+    },
+    officeOptionText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textPrimary,
+    },
+    row: {
+      borderTopColor: COLORS.glassBorder,
+      borderTopWidth: 1,
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      paddingVertical: SPACING.sm,
+    },
+    rowLabel: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      flex: 1,
+      paddingRight: SPACING.sm,
+    },
+    rowValue: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    monthLabel: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textMuted,
+      marginTop: SPACING.sm,
+      textTransform: 'uppercase',
+    },
+    emptyText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textMuted,
+      paddingVertical: SPACING.xs,
+    },
+  });
+
+  return (
+    <LiquidGlassScreenLayout.WithGlassHeader
+      title="Holidays & Shabbat"
+      subtitle="Days paid at holiday and Shabbat rates"
+      backDestination="/employees"
+      showLogout={true}
+      scrollable={true}
+    >
+      {!!error && <Text style={styles.noticeText}>{error}</Text>}
+      {!!cachedAt && (
+        <Text style={styles.noticeText}>
+          Offline · showing holidays saved {new Date(cachedAt).toLocaleDateString()}
+        </Text>
+      )}
+
+      <View style={styles.yearRow}>
+        <View style={styles.yearNav}>
+          <TouchableOpacity style={styles.yearButton} onPress={() => handleChangeYear(-1)}>
+            <Ionicons name="chevron-back" size={18} color={COLORS.textPrimary} />
+          </TouchableOpacity>
+          <Text style={styles.yearTitle}>{year}</Text>
+          <TouchableOpacity style={styles.yearButton} onPress={() => handleChangeYear(1)}>
+            <Ionicons name="chevron-forward" size={18} color={COLORS.textPrimary} />
+          </TouchableOpacity>
+          {loading && <ActivityIndicator size="small" color={COLORS.textSecondary} />}
+        </View>
+        {isAdmin() && (
+          <LiquidGlassButton
+            title={syncing ? 'Syncing...' : `Sync ${year}`}
+            onPress={handleSyncYear}
+            disabled={syncing}
+            variant="secondary"
+          />
+        )}
+      </View>
+
+      <WorktimeCalendar
+        year={year}
+        month={month}
+        weeks={weeks}
+        selectedDateKey={selectedDay}
+        onSelectDay={setSelectedDay}
+        onChangeMonth={handleChangeMonth}
+        legendStatuses={[DAY_STATUS.HOLIDAY, DAY_STATUS.SABBATH]}
+      />
+      {selectedDay && (
+        <View style={styles.selectedDayRow}>
+          <Text style={styles.selectedDayTitle}>{formatDay(selectedDay)}</Text>
+          <Text style={styles.selectedDayText}>{describeSelectedDay()}</Text>
+        </View>
+      )}
+
+      <LiquidGlassCard variant="bordered" padding="md" style={styles.sectionCard}>
+        <View style={styles.sectionHeader}>
+          <Ionicons name="moon" size={18} color={COLORS.textPrimary} />
+          <Text style={styles.sectionTitle}>Shabbat Times</Text>
+        </View>
+        <Text style={styles.sectionDescription}>
+          {office
+            ? `Candle lighting to havdalah at ${office.name}`
+            : 'Candle lighting to havdalah in the company time zone'}
+        </Text>
+        {locatedOffices.length > 1 && (
+          <View style={styles.officeRow}>
+            {locatedOffices.map(item => (
+              <TouchableOpacity
+                key={item.id}
+                style={[styles.officeOption, item.id === office?.id && styles.officeOptionActive]}
+                onPress={() => setOfficeId(item.id)}
+              >
+                <Text style={styles.officeOptionText}>{item.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+        {shabbatWeeks.map(week => (
+          <View key={week.date} style={styles.row}>
+            <Text style={styles.rowLabel}>
+              {formatDay(week.date)}
+              {week.parasha ? ` · ${week.parasha}` : ''}
+            </Text>
+            <Text style={styles.rowValue}>{describeShabbatTimes(week)}</Text>
+          </View>
+        ))}
+      </LiquidGlassCard>
+
+      <LiquidGlassCard variant="bordered" padding="md" style={styles.sectionCard}>
+        <View style={styles.sectionHeader}>
+          <Ionicons name="calendar" size={18} color={COLORS.textPrimary} />
+          <Text style={styles.sectionTitle}>Holidays in {year}</Text>
+        </View>
+        {holidayMonths.length === 0 ? (
+          <Text style={styles.emptyText}>
+            {loading ? 'Loading...' : 'No holidays for this year yet'}
+          </Text>
+        ) : (
+          holidayMonths.map(group => (
+            <View key={group.month}>
+              <Text style={styles.monthLabel}>{group.label}</Text>
+              {group.holidays.map(holiday => (
+                <View key={`${holiday.date}-${holiday.name}`} style={styles.row}>
+                  <Text style={styles.rowLabel}>{holiday.name}</Text>
+                  <Text style={styles.rowValue}>{formatDay(holiday.date)}</Text>
+                </View>
+              ))}
+            </View>
+          ))
+        )}
+      </LiquidGlassCard>
+    </LiquidGlassScreenLayout.WithGlassHeader>
+  );
+}
@@ -0,0 +1,422 @@
+import React, { useState, useCallback } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import { StyleSheet, View, Text, ActivityIndicator, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
+import LiquidGlassCard from '../components/LiquidGlassCard';
+import LiquidGlassButton from '../components/LiquidGlassButton';
+import LiquidGlassInput from '../components/LiquidGlassInput';
+import { showGlassConfirm } from '../hooks/useGlobalGlassModal';
+import OfflineQueueService from '../src/services/OfflineQueueService';
+import {
+  commonStyles,
+  COLORS,
+  SPACING,
+  TYPOGRAPHY,
+  BORDER_RADIUS,
+} from '../constants/CommonStyles';
+
+const formatDateTime = value => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? '—'
+    : date.toLocaleString([], {
+        day: '2-digit',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+      });
+};
+
+const FAILURE_REASONS = {
+  max_retries: 'Retry limit reached',
+  rejected: 'Rejected by the server',
+  impossible_sequence: 'Same punch already queued before it',
+};
+
+const getNextRetryText = item => {
+  if (!item.next_retry_at) return 'On next sync';
+  const nextRetry = new Date(item.next_retry_at);
+  return nextRetry <= new Date() ? 'Due now' : formatDateTime(item.next_retry_at);
+};
+
+/**
+ * Offline queue inspector
+ * Lists pending and failed offline operations so a stuck punch can be found,
+ * retried immediately or discarded. Queued employee forms can also be
+ * corrected, e.g. an email the server refused, before they are retried.
+ */
+export default function OfflineQueueScreen() {
+  const [pending, setPending] = useState([]);
+  const [failed, setFailed] = useState([]);
+  const [processing, setProcessing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  // Item whose fields are being corrected: { id, values }
+  const [editing, setEditing] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      const [queue, failedQueue, status] = await Promise.all([
+        OfflineQueueService.getQueue(),
+        OfflineQueueService.getFailedQueue(),
+        OfflineQueueService.getQueueStatus(),
+      ]);
+      setPending(queue.filter(item => item.status !== 'completed'));
+      setFailed(failedQueue);
+      setProcessing(status.processing);
+    } catch (error) {
+      console.error('Failed to load offline queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadQueue();
+    }, [loadQueue])
+  );
+
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    try {
+      await action();
+    } finally {
+      setBusyId(null);
+      await loadQueue();
+    }
+  };
+
+  const handleRetry = item => runAction(item.id, () => OfflineQueueService.retryNow(item.id));
+
+  const handleDiscard = item => {
+    showGlassConfirm(
+      'Discard Operation',
+      `${OfflineQueueService.getOperationLabel(item.operation_type)} from ${formatDateTime(
+        item.payload?.timestamp || item.created_at
+      )} will not be sent. If it is a punch, ask HR to correct your hours.`,
+      () => runAction(item.id, () => OfflineQueueService.discard(item.id))
+    );
+  };
+
+  const handleEdit = item =>
+    setEditing({
+      id: item.id,
+      values: Object.fromEntries(
+        OfflineQueueService.getEditableFields(item).map(field => [
+          field.key,
+          String(item.payload.data[field.key] ?? ''),
+        ])
+      ),
+    });
+
+  const handleEditChange = (key, value) =>
+    setEditing(current => ({ ...current, values: { ...current.values, [key]: value } }));
+
+  const handleSaveEdit = () =>
+    runAction(editing.id, async () => {
+      await OfflineQueueService.editItem(editing.id, editing.values);
+      setEditing(null);
+    });
+
+  const handleRetryAll = () => runAction('all', () => OfflineQueueService.retryAll());
+
+  const handleClearFailed = () => {
+    showGlassConfirm(
+      'Clear Failed Operations',
+      `${failed.length} failed operations will be discarded and never sent.`,
+      () => runAction('clear', () => OfflineQueueService.clearFailedQueue())
+    );
+  };
+
+  const styles = StyleSheet.create({
+    loadingContainer: {
+      ...commonStyles.loader,
+    },
+    summaryCard: {
+      marginBottom: SPACING.md,
+    },
+    summaryRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-around',
+      marginBottom: SPACING.md,
+    },
+    summaryItem: {
+      alignItems: 'center',
+    },
+    summaryValue: {
+      ...TYPOGRAPHY.title,
+      color: COLORS.textPrimary,
+    },
+    summaryValueError: {
+      color: COLORS.error,
+    },
+    summaryLabel: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    summaryActions: {
+      gap: SPACING.sm,
+    },
+    sectionTitle: {
+      ...TYPOGRAPHY.subtitle,
+      color: COLORS.textPrimary,
+      marginBottom: SPACING.sm,
+      marginTop: SPACING.md,
+    },
+    emptyText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textMuted,
+      marginBottom: SPACING.md,
+      textAlign: 'center',
+    },
+    itemCard: {
+      marginBottom: SPACING.sm,
+    },
+    itemHeader: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginBottom: SPACING.xs,
+    },
+    itemTitleRow: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      gap: SPACING.xs,
+    },
+    itemTitle: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    itemTime: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    itemDetail: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+      marginBottom: SPACING.xs,
+    },
+    itemMeta: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textMuted,
+    },
+    itemError: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.error,
+      marginTop: SPACING.xs,
+    },
+    itemActions: {
+      flexDirection: 'row',
+      gap: SPACING.sm,
+      justifyContent: 'flex-end',
+      marginTop: SPACING.sm,
+    },
+    actionButton: {
+      alignItems: 'center',
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.md,
+      borderWidth: 1,
+      flexDirection: 'row',
+      gap: SPACING.xs,
+      paddingHorizontal: SPACING.md,
+      paddingVertical: SPACING.xs,
+    },
+    actionText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    discardText: {
+      color: COLORS.error,
+    },
+    editFields: {
+      gap: SPACING.sm,
+      marginTop: SPACING.sm,
+    },
+  });
+
+  const renderItem = (item, isFailed) => {
+    const busy = busyId === item.id;
+    const description = OfflineQueueService.getOperationDescription(item);
+    const editableFields = OfflineQueueService.getEditableFields(item);
+    const isEditing = editing?.id === item.id;
+
+    return (
+      <LiquidGlassCard key={item.id} variant="bordered" padding="md" style={styles.itemCard}>
+        <View style={styles.itemHeader}>
+          <View style={styles.itemTitleRow}>
+            <Ionicons
+              name={isFailed ? 'alert-circle' : 'cloud-upload'}
+              size={16}
+              color={isFailed ? COLORS.error : COLORS.textPrimary}
+            />
+            <Text style={styles.itemTitle}>
+              {OfflineQueueService.getOperationLabel(item.operation_type)}
+            </Text>
+          </View>
+          <Text style={styles.itemTime}>
+            {formatDateTime(item.payload?.timestamp || item.created_at)}
+          </Text>
+        </View>
+
+        {!!description && <Text style={styles.itemDetail}>{description}</Text>}
+
+        <Text style={styles.itemMeta}>
+          Attempts: {item.retry_count || 0}/{item.max_retries || 3}
+          {isFailed
+            ? ` · Failed ${formatDateTime(item.failed_at)}`
+            : ` · Next retry: ${getNextRetryText(item)}`}
+        </Text>
+
+        {isFailed && !!FAILURE_REASONS[item.failure_reason] && (
+          <Text style={styles.itemMeta}>{FAILURE_REASONS[item.failure_reason]}</Text>
+        )}
+
+        {!!item.last_error && <Text style={styles.itemError}>{item.last_error}</Text>}
+
+        {isEditing && (
+          <View style={styles.editFields}>
+            {editableFields.map(field => (
+              <LiquidGlassInput
+                key={field.key}
+                placeholder={field.label}
+                value={editing.values[field.key]}
+                onChangeText={value => handleEditChange(field.key, value)}
+                autoCapitalize={field.key === 'email' ? 'none' : 'words'}
+                autoCorrect={false}
+              />
+            ))}
+          </View>
+        )}
+
+        {isEditing ? (
+          <View style={styles.itemActions}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => setEditing(null)}
+              disabled={!!busyId}
+            >
+              <Text style={styles.actionText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={handleSaveEdit}
+              disabled={!!busyId}
+            >
+              {busy ? (
+                <ActivityIndicator size="small" color={COLORS.textPrimary} />
+              ) : (
+                <Ionicons name="checkmark" size={14} color={COLORS.textPrimary} />
+              )}
+              <Text style={styles.actionText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.itemActions}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleRetry(item)}
+              disabled={!!busyId}
+            >
+              {busy ? (
+                <ActivityIndicator size="small" color={COLORS.textPrimary} />
+              ) : (
+                <Ionicons name="refresh" size={14} color={COLORS.textPrimary} />
+              )}
+              <Text style={styles.actionText}>Retry now</Text>
+            </TouchableOpacity>
+            {editableFields.length > 0 && (
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={() => handleEdit(item)}
+                disabled={!!busyId}
+              >
+                <Ionicons name="create-outline" size={14} color={COLORS.textPrimary} />
+                <Text style={styles.actionText}>Edit</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleDiscard(item)}
+              disabled={!!busyId}
+            >
+              <Ionicons name="trash-outline" size={14} color={COLORS.error} />
+              <Text style={[styles.actionText, styles.discardText]}>Discard</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </LiquidGlassCard>
+    );
+  };
+
+  if (loading) {
+    return (
+      <LiquidGlassScreenLayout scrollable={false}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.textPrimary} />
+        </View>
+      </LiquidGlassScreenLayout>
+    );
+  }
+
+  return (
+    <LiquidGlassScreenLayout.WithGlassHeader
+      title="Sync Queue"
+      subtitle={processing ? 'Syncing...' : 'Operations waiting to be sent'}
+      backDestination="/check-in-out"
+      showLogout={true}
+      scrollable={true}
+    >
+      <LiquidGlassCard variant="elevated" padding="lg" style={styles.summaryCard}>
+        <View style={styles.summaryRow}>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryValue}>{pending.length}</Text>
+            <Text style={styles.summaryLabel}>Pending</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={[styles.summaryValue, failed.length > 0 && styles.summaryValueError]}>
+              {failed.length}
+            </Text>
+            <Text style={styles.summaryLabel}>Failed</Text>
+          </View>
+        </View>
+
+        <View style={styles.summaryActions}>
+          <LiquidGlassButton
+            title="Retry All"
+            onPress={handleRetryAll}
+            disabled={!!busyId || (pending.length === 0 && failed.length === 0)}
+            loading={busyId === 'all'}
+            variant="primary"
+          />
+          {failed.length > 0 && (
+            <LiquidGlassButton
+              title="Clear Failed"
+              onPress={handleClearFailed}
+              disabled={!!busyId}
+              variant="ghost"
+            />
+          )}
+        </View>
+      </LiquidGlassCard>
+
+      <Text style={styles.sectionTitle}>Failed</Text>
+      {failed.length === 0 ? (
+        <Text style={styles.emptyText}>No failed operations</Text>
+      ) : (
+        failed.map(item => renderItem(item, true))
+      )}
+
+      <Text style={styles.sectionTitle}>Pending</Text>
+      {pending.length === 0 ? (
+        <Text style={styles.emptyText}>Everything is synced</Text>
+      ) : (
+        pending.map(item => renderItem(item, false))
+      )}
+    </LiquidGlassScreenLayout.WithGlassHeader>
+  );
+}
@@ -6,6 +6,22 @@ import { router } from 'expo-router';
 import useColors from '../hooks/useColors';
 import ApiService from '../src/api/apiService';
 import { safeLog } from '../src/utils/safeLogging';
+import { exportPayroll, EXPORT_FORMATS } from '../src/utils/payrollExport';
+import {
+  PAYROLL_STATUS,
+  canTransitionPayroll,
+  getPayrollStatusLabel,
+  findSalaryRecord,
+  normalizePayrollStatus,
+  normalizeStatusHistory,
+} from '../src/utils/payrollStatus';
+import PayrollHistoryDrawer from '../components/PayrollHistoryDrawer';
+import EarningsProjectionCard from '../components/EarningsProjectionCard';
+import useEarningsEstimate from '../hooks/useEarningsEstimate';
+import PayslipService from '../src/services/PayslipService';
+import { canAccessPayslip } from '../src/utils/payslip';
+import { reconcileEarnings } from '../src/utils/earningsEstimate';
+import { getPayPeriodRange } from '../src/utils/worktimeCalendar';
 import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
 import LiquidGlassCard from '../components/LiquidGlassCard';
 import useLiquidGlassTheme from '../hooks/useLiquidGlassTheme';
@@ -17,6 +33,10 @@ import {
   BORDER_RADIUS,
 } from '../constants/CommonStyles';
 
+// Shown when a row has no salary record to change status on or read history from
+const NO_SALARY_RECORD_MESSAGE =
+  'No salary record exists for this period yet, so its status cannot be changed here.';
+
 export default function PayrollScreen() {
   // ALWAYS call all hooks in the same order - add guards to prevent hook violations
   const [payrollData, setPayrollData] = useState([]);
@@ -25,6 +45,11 @@ export default function PayrollScreen() {
   const [selectedEmployee, setSelectedEmployee] = useState(null);
   const [selectedPeriod, setSelectedPeriod] = useState(null); // null = current month
   const [employees, setEmployees] = useState([]);
+  const [historyItemId, setHistoryItemId] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [transitioningId, setTransitioningId] = useState(null);
+  const [generatingPayslipId, setGeneratingPayslipId] = useState(null);
+  const [cachedSnapshotAt, setCachedSnapshotAt] = useState(null);
   
   // Pagination and search states
   const [currentPage, setCurrentPage] = useState(1);
@@ -133,13 +158,14 @@ export default function PayrollScreen() {
     };
 
     const fetchData = async () => {
+      let snapshotKey = null;
       try {
         setLoading(true);
 
         // Build API parameters
         const apiParams = {
-          month: selectedPeriod ? selectedPeriod.split('-')[1] : new Date().getMonth() + 1,
-          year: selectedPeriod ? selectedPeriod.split('-')[0] : new Date().getFullYear(),
+          month: selectedPeriod ? selectedPeriod.split('-')[1] : getPayPeriodRange(0).month,
+          year: selectedPeriod ? selectedPeriod.split('-')[0] : getPayPeriodRange(0).year,
           page: currentPage,
           limit: 10, // Fixed at 10 records per page as requested
         };
@@ -155,6 +181,13 @@ export default function PayrollScreen() {
 
         console.log(' Fetching payroll data...', { selectedEmployee, selectedPeriod });
 
+        // Snapshot key for the offline payslip cache (period + filter scope + page)
+        snapshotKey = [
+          `${apiParams.year}-${String(apiParams.month).padStart(2, '0')}`,
+          canViewAllEmployees ? selectedEmployee?.id || 'all' : 'self',
+          currentPage,
+        ].join(':');
+
         let response;
         if (!canViewAllEmployees) {
           // For regular employees, use the standard earnings endpoint without employee_id
@@ -246,7 +279,12 @@ export default function PayrollScreen() {
                   email: item.employee?.email || item.email || 'unknown@example.com',
                 },
             period: `${new Date(apiParams.year, apiParams.month - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}${selectedPeriod === null ? ' (Current)' : ''}`,
-            status: 'In Progress',
+            // Regular employees only ever receive their own earnings
+            selfScoped: !canViewAllEmployees,
+            // item.id is the employee's id on employee-shaped rows, never a salary record
+            salaryId: item.salary_id || item.payroll_id || null,
+            status: normalizePayrollStatus(item.status || item.payroll_status),
+            statusHistory: normalizeStatusHistory(item.status_history),
             baseSalary: item.base_salary || item.salary || 0,
             baseHourlyRate: item.hourly_rate || item.rate || 0,
             hourlyRate: item.hourly_rate || item.rate || 0,
@@ -270,18 +308,57 @@ export default function PayrollScreen() {
           };
         });
 
+        // Earnings rows carry no salary record id; look it up so the status
+        // actions and history also work for a single selected employee
+        if (canViewAllEmployees && selectedEmployee && transformedData.some(row => !row.salaryId)) {
+          try {
+            const salaries = await ApiService.payroll.getSalaries({
+              year: apiParams.year,
+              month: apiParams.month,
+              employee_id: selectedEmployee.id,
+            });
+            const record = findSalaryRecord(salaries, selectedEmployee.id);
+            if (record) {
+              transformedData.forEach(row => {
+                if (!row.salaryId) Object.assign(row, record);
+              });
+            }
+          } catch (salaryError) {
+            console.warn('Could not look up the salary record:', salaryError.message);
+          }
+        }
+
         console.log(' Found salaries for employees:', {
           employee_count: transformedData.length,
           has_data: transformedData.length > 0,
         });
 
         setPayrollData(transformedData);
+        setCachedSnapshotAt(null);
+
+        // Keep unfiltered results for offline payslips
+        if (!apiParams.search) {
+          PayslipService.cachePayrollSnapshot(snapshotKey, transformedData);
+        }
 
         // Set current salary data to null for now
         setCurrentSalaryData(null);
       } catch (error) {
         console.error('Error fetching payroll data:', error);
-        setPayrollData([]);
+
+        // Fall back to the last cached snapshot so payslips stay available offline
+        const snapshot =
+          snapshotKey && !searchTerm.trim()
+            ? await PayslipService.getCachedPayrollSnapshot(snapshotKey)
+            : null;
+        if (snapshot && snapshot.items.length > 0) {
+          console.log(' Using cached payroll snapshot from', snapshot.cachedAt);
+          setPayrollData(snapshot.items);
+          setCachedSnapshotAt(snapshot.cachedAt);
+        } else {
+          setPayrollData([]);
+          setCachedSnapshotAt(null);
+        }
       } finally {
         setLoading(false);
       }
@@ -299,6 +376,15 @@ export default function PayrollScreen() {
     return () => clearTimeout(debounceTimer);
   }, [selectedEmployee, selectedPeriod, canViewAllEmployees, user, theme, currentPage, searchTerm, employees]);
 
+  // Projected earnings of the current month for a single employee
+  const showProjection = selectedPeriod === null && (!canViewAllEmployees || !!selectedEmployee);
+  const serverEarnings = showProjection && payrollData.length === 1 ? payrollData[0] : null;
+  const projection = useEarningsEstimate({
+    employeeId: canViewAllEmployees ? (selectedEmployee?.id ?? null) : null,
+    fallbackTerms: serverEarnings?.enhancedBreakdown,
+    enabled: showProjection,
+  });
+
   // Show loading during logout transition to prevent hook violations
   if (loading || userLoading || !user || !theme) {
     return (
@@ -453,20 +539,44 @@ export default function PayrollScreen() {
       fontWeight: '600',
       textAlign: 'center',
     },
+    actionsRow: {
+      flexDirection: 'row',
+      justifyContent: 'center',
+      gap: theme.spacing.sm,
+      marginTop: theme.spacing.md,
+    },
+    offlineNotice: {
+      color: theme.colors.status.warning[0],
+      fontSize: theme.typography.caption.fontSize,
+      marginTop: theme.spacing.sm,
+      textAlign: 'center',
+    },
+    actionsUnavailable: {
+      color: theme.colors.text.secondary,
+      fontSize: theme.typography.caption.fontSize,
+      marginTop: theme.spacing.md,
+      textAlign: 'center',
+    },
+    historyLink: {
+      color: theme.colors.status.info[0],
+      fontSize: theme.typography.caption.fontSize,
+      marginTop: theme.spacing.xs,
+      textDecorationLine: 'underline',
+    },
   });
 
   // Debug mode only for development and when explicitly not disabled
   const _isDebugMode = __DEV__ && !process.env.DISABLE_PAYROLL_DEBUG;
 
-  // Generate available periods (current + last 6 months)
+  // Generate available periods (current + last 6 months); the current month
+  // is the company's, which may differ from the device's on the 1st
   const getAvailablePeriods = () => {
     const periods = [];
-    const now = new Date();
 
     for (let i = 0; i < 7; i++) {
-      const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+      const { from: date, year, month } = getPayPeriodRange(-i);
       const monthName = date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-      const periodKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      const periodKey = `${year}-${String(month).padStart(2, '0')}`;
 
       periods.push({
         key: i === 0 ? null : periodKey, // null for current month
@@ -480,52 +590,217 @@ export default function PayrollScreen() {
 
   const availablePeriods = getAvailablePeriods();
 
-  const handleExport = async () => {
+  // Period key (YYYY-MM) of the data currently on screen
+  const getSelectedPeriodKey = () => {
+    if (selectedPeriod) return selectedPeriod;
+    const { year, month } = getPayPeriodRange(0);
+    return `${year}-${String(month).padStart(2, '0')}`;
+  };
+
+  const runExport = async format => {
     try {
-      showGlassAlert({
-        title: 'Export Report',
-        message: 'Payroll report exported successfully',
-        buttons: [
-          {
-            label: 'Download CSV',
-            type: 'primary',
-            onPress: () => {
-              showGlassAlert({ title: 'Success', message: 'Payroll report exported as CSV' });
-            },
-          },
-          {
-            label: 'Email',
-            type: 'secondary',
-            onPress: () => {
-              showGlassAlert({ title: 'Success', message: 'Payroll report sent via email' });
-            },
-          },
-          {
-            label: 'Cancel',
-            type: 'ghost',
-            onPress: () => {},
-          },
-        ],
+      const result = await exportPayroll(payrollData, {
+        format,
+        periodKey: getSelectedPeriodKey(),
       });
+      safeLog(' Payroll exported', { format, rows: result.rowCount, shared: result.shared });
+
+      if (!result.shared) {
+        showGlassAlert({
+          title: 'Export Saved',
+          message: 'Sharing is not available on this device. The file was saved to app storage.',
+        });
+      }
     } catch (error) {
       console.error('Export error:', error);
       showGlassAlert({ title: 'Error', message: 'Failed to export payroll report' });
     }
   };
 
-  const handleConfirm = id => {
+  const handleExport = () => {
+    const periodLabel =
+      availablePeriods.find(p => p.key === selectedPeriod)?.label || getSelectedPeriodKey();
+
+    showGlassAlert(
+      'Export Report',
+      `Export ${payrollData.length} payroll record(s) for ${periodLabel}`,
+      [
+        { text: 'CSV', onPress: () => runExport(EXPORT_FORMATS.CSV) },
+        { text: 'Excel (XLSX)', onPress: () => runExport(EXPORT_FORMATS.XLSX) },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  const getActorName = () =>
+    `${user?.first_name || ''} ${user?.last_name || ''}`.trim() || user?.email || 'Unknown';
+
+  const updatePayrollItem = (id, changes) => {
+    setPayrollData(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  /**
+   * Applies a server transition result to a card. Falls back to a locally built
+   * audit entry when the response does not carry the history.
+   */
+  const applyTransitionResult = (item, toStatus, response, note) => {
+    const status = normalizePayrollStatus(response?.status, toStatus);
+    const statusHistory = Array.isArray(response?.status_history)
+      ? normalizeStatusHistory(response.status_history)
+      : [
+          {
+            from: item.status,
+            to: status,
+            by: getActorName(),
+            byId: user?.id ?? null,
+            at: new Date().toISOString(),
+            note,
+          },
+          ...item.statusHistory,
+        ];
+
+    updatePayrollItem(item.id, { status, statusHistory });
+  };
+
+  const runTransition = async (item, toStatus, request, successMessage, note = '') => {
+    if (!item.salaryId) {
+      showGlassAlert({
+        title: 'Unavailable',
+        message: 'This payroll record has no server identifier and cannot change status',
+      });
+      return;
+    }
+    if (!canTransitionPayroll(item.status, toStatus)) {
+      showGlassAlert({
+        title: 'Not Allowed',
+        message: `Cannot move payroll from ${getPayrollStatusLabel(item.status)} to ${getPayrollStatusLabel(toStatus)}`,
+      });
+      return;
+    }
+
+    setTransitioningId(item.id);
+    try {
+      const response = await request(item.salaryId);
+      applyTransitionResult(item, toStatus, response, note);
+      safeLog(' Payroll status changed', { from: item.status, to: toStatus });
+      showGlassAlert({ title: 'Success', message: successMessage });
+    } catch (error) {
+      console.error('Payroll status change error:', error);
+      const errorMessage = error.response?.data?.detail || error.response?.data?.message;
+      showGlassAlert({
+        title: 'Error',
+        message: errorMessage || 'Failed to update payroll status. Please try again.',
+      });
+    } finally {
+      setTransitioningId(null);
+    }
+  };
+
+  const handleCalculate = item => {
+    runTransition(
+      item,
+      PAYROLL_STATUS.CALCULATED,
+      ApiService.payroll.calculateSalary,
+      'Payroll recalculated successfully'
+    );
+  };
+
+  const handleConfirm = item => {
     showGlassConfirm(
       'Confirm Calculation',
       'Are you sure you want to confirm this payroll calculation?',
-      () => {
-        setPayrollData(
-          payrollData.map(item => (item.id === id ? { ...item, status: 'Confirmed' } : item))
-        );
-        showGlassAlert({ title: 'Success', message: 'Payroll calculation confirmed successfully' });
-      }
+      () =>
+        runTransition(
+          item,
+          PAYROLL_STATUS.CONFIRMED,
+          ApiService.payroll.confirm,
+          'Payroll calculation confirmed successfully'
+        )
     );
   };
 
+  const handleReopen = item => {
+    showGlassConfirm(
+      'Reopen Payroll',
+      'Reopening returns this payroll to Calculated so it can be corrected. Continue?',
+      () =>
+        runTransition(
+          item,
+          PAYROLL_STATUS.CALCULATED,
+          ApiService.payroll.reopen,
+          'Payroll reopened for corrections'
+        )
+    );
+  };
+
+  const handleMarkPaid = item => {
+    showGlassConfirm(
+      'Mark as Paid',
+      `Mark ${item.employee.name}'s payroll as paid? Paid records can no longer be changed.`,
+      () =>
+        runTransition(
+          item,
+          PAYROLL_STATUS.PAID,
+          ApiService.payroll.markPaid,
+          'Payroll marked as paid'
+        )
+    );
+  };
+
+  const openHistory = async item => {
+    setHistoryItemId(item.id);
+    if (!item.salaryId) return;
+
+    setHistoryLoading(true);
+    try {
+      const response = await ApiService.payroll.getStatusHistory(item.salaryId);
+      const history = Array.isArray(response) ? response : response?.results;
+      if (Array.isArray(history)) {
+        updatePayrollItem(item.id, { statusHistory: normalizeStatusHistory(history) });
+      }
+    } catch (error) {
+      // Keep whatever history came with the payroll list
+      console.warn('Failed to load payroll history:', error.message);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const handleDownloadPayslip = async item => {
+    setGeneratingPayslipId(item.id);
+    try {
+      const result = await PayslipService.generatePayslip(item, getSelectedPeriodKey());
+      safeLog(' Payslip generated', { shared: result.shared, offline: !!cachedSnapshotAt });
+
+      if (!result.shared) {
+        showGlassAlert({
+          title: 'Payslip Saved',
+          message: 'Sharing is not available on this device. The PDF was saved to app storage.',
+        });
+      }
+    } catch (error) {
+      console.error('Payslip generation error:', error);
+      showGlassAlert({ title: 'Error', message: 'Failed to generate payslip' });
+    } finally {
+      setGeneratingPayslipId(null);
+    }
+  };
+
+  const historyItem = payrollData.find(item => item.id === historyItemId);
+
+  const getStatusColor = status => {
+    switch (status) {
+      case PAYROLL_STATUS.CONFIRMED:
+        return theme.colors.status.success[0];
+      case PAYROLL_STATUS.PAID:
+        return theme.colors.status.info[0];
+      case PAYROLL_STATUS.DRAFT:
+        return theme.colors.text.muted;
+      default:
+        return theme.colors.status.warning[0];
+    }
+  };
+
   // Ultra-simplified renderPayrollItem for testing
   const _renderPayrollItem = ({ item }) => {
     return (
@@ -538,6 +813,14 @@ export default function PayrollScreen() {
     );
   };
 
+  // Reconcile once payroll has a figure for the month
+  const reconciliation =
+    projection.estimate &&
+    serverEarnings &&
+    (serverEarnings.status !== PAYROLL_STATUS.DRAFT || serverEarnings.totalPayout > 0)
+      ? reconcileEarnings(projection.estimate, serverEarnings.enhancedBreakdown)
+      : [];
+
   const renderEmptyComponent = () => (
     <View style={stylesWithDarkMode.emptyContainer}>
       <Text style={stylesWithDarkMode.emptyTitle}>No Payroll Data</Text>
@@ -659,6 +942,12 @@ export default function PayrollScreen() {
             />
           </View>
 
+          {cachedSnapshotAt && (
+            <Text style={stylesWithDarkMode.offlineNotice}>
+              Offline – showing data cached {new Date(cachedSnapshotAt).toLocaleString('en-US')}
+            </Text>
+          )}
+
           {/* Pagination Info */}
           {paginationInfo.total_count > 0 && (
             <View style={stylesWithDarkMode.paginationInfo}>
@@ -669,6 +958,15 @@ export default function PayrollScreen() {
           )}
         </View>
 
+        {showProjection && (
+          <EarningsProjectionCard
+            estimate={projection.estimate}
+            reconciliation={reconciliation}
+            loading={projection.loading}
+            error={projection.error}
+          />
+        )}
+
         {loading ? (
           <ActivityIndicator
             size="large"
@@ -735,15 +1033,32 @@ export default function PayrollScreen() {
                       <Text
                         style={{
                           fontSize: theme.typography.caption.fontSize,
-                          color:
-                            item.status === 'In Progress'
-                              ? theme.colors.status.warning[0]
-                              : theme.colors.status.success[0],
+                          color: getStatusColor(item.status),
                           fontWeight: '600',
                         }}
                       >
-                        {item.status}
+                        {getPayrollStatusLabel(item.status)}
                       </Text>
+                      <TouchableOpacity onPress={() => openHistory(item)}>
+                        <Text style={stylesWithDarkMode.historyLink}>History</Text>
+                      </TouchableOpacity>
+                      {canAccessPayslip({
+                        isAccountant: canViewAllEmployees,
+                        user,
+                        employee: item.employee,
+                        selfScoped: item.selfScoped,
+                      }) &&
+                        (generatingPayslipId === item.id ? (
+                          <ActivityIndicator
+                            size="small"
+                            color={theme.colors.text.primary}
+                            style={{ marginTop: theme.spacing.xs }}
+                          />
+                        ) : (
+                          <TouchableOpacity onPress={() => handleDownloadPayslip(item)}>
+                            <Text style={stylesWithDarkMode.historyLink}>Payslip</Text>
+                          </TouchableOpacity>
+                        ))}
                     </View>
                   </View>
                 </View>
@@ -1144,15 +1459,55 @@ export default function PayrollScreen() {
                   </View>
                 )}
 
-                {/* FIX: Updated confirm button with proper app styling */}
-                {canExportAndConfirm && item.status === 'In Progress' && (
-                  <View style={{ marginTop: theme.spacing.md, alignItems: 'center' }}>
-                    <TouchableOpacity
-                      style={stylesWithDarkMode.confirmButton}
-                      onPress={() => handleConfirm(item.id)}
-                    >
-                      <Text style={stylesWithDarkMode.confirmButtonText}>Confirm Calculation</Text>
-                    </TouchableOpacity>
+                {canExportAndConfirm && !item.salaryId && (
+                  <Text style={stylesWithDarkMode.actionsUnavailable}>
+                    {NO_SALARY_RECORD_MESSAGE}
+                  </Text>
+                )}
+
+                {/* Status workflow actions, only for rows backed by a salary record */}
+                {canExportAndConfirm && !!item.salaryId && item.status !== PAYROLL_STATUS.PAID && (
+                  <View style={stylesWithDarkMode.actionsRow}>
+                    {transitioningId === item.id ? (
+                      <ActivityIndicator color={theme.colors.text.primary} />
+                    ) : (
+                      <>
+                        {item.status === PAYROLL_STATUS.DRAFT && (
+                          <TouchableOpacity
+                            style={stylesWithDarkMode.confirmButton}
+                            onPress={() => handleCalculate(item)}
+                          >
+                            <Text style={stylesWithDarkMode.confirmButtonText}>Calculate</Text>
+                          </TouchableOpacity>
+                        )}
+                        {item.status === PAYROLL_STATUS.CALCULATED && (
+                          <TouchableOpacity
+                            style={stylesWithDarkMode.confirmButton}
+                            onPress={() => handleConfirm(item)}
+                          >
+                            <Text style={stylesWithDarkMode.confirmButtonText}>
+                              Confirm Calculation
+                            </Text>
+                          </TouchableOpacity>
+                        )}
+                        {item.status === PAYROLL_STATUS.CONFIRMED && (
+                          <>
+                            <TouchableOpacity
+                              style={stylesWithDarkMode.confirmButton}
+                              onPress={() => handleReopen(item)}
+                            >
+                              <Text style={stylesWithDarkMode.confirmButtonText}>Reopen</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                              style={stylesWithDarkMode.confirmButton}
+                              onPress={() => handleMarkPaid(item)}
+                            >
+                              <Text style={stylesWithDarkMode.confirmButtonText}>Mark Paid</Text>
+                            </TouchableOpacity>
+                          </>
+                        )}
+                      </>
+                    )}
                   </View>
                 )}
               </LiquidGlassCard>
@@ -1207,6 +1562,16 @@ export default function PayrollScreen() {
           </View>
         )}
       </View>
+
+      <PayrollHistoryDrawer
+        visible={!!historyItem}
+        title={historyItem ? `${historyItem.employee.name} – Status History` : ''}
+        subtitle={historyItem?.period}
+        history={historyItem?.statusHistory || []}
+        loading={historyLoading}
+        emptyMessage={historyItem && !historyItem.salaryId ? NO_SALARY_RECORD_MESSAGE : undefined}
+        onClose={() => setHistoryItemId(null)}
+      />
     </LiquidGlassScreenLayout.WithGlassHeader>
   );
 }
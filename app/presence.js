@@ -0,0 +1,237 @@
+import React from 'react';
+import { StyleSheet, View, Text, ActivityIndicator, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
+import LiquidGlassCard from '../components/LiquidGlassCard';
+import usePresenceBoard from '../hooks/usePresenceBoard';
+import { useUser, ROLES } from '../src/contexts/UserContext';
+import { PRESENCE_STATUS } from '../src/utils/presence';
+import { formatHours } from '../src/utils/timesheet';
+import { getCompanyTimeZone } from '../src/utils/timeZone';
+import {
+  commonStyles,
+  COLORS,
+  SPACING,
+  TYPOGRAPHY,
+  BORDER_RADIUS,
+} from '../constants/CommonStyles';
+
+const STATUS_COLORS = {
+  [PRESENCE_STATUS.IN_OFFICE]: COLORS.success,
+  [PRESENCE_STATUS.REMOTE]: COLORS.info,
+  [PRESENCE_STATUS.NOT_ARRIVED]: COLORS.textMuted,
+  [PRESENCE_STATUS.CHECKED_OUT]: COLORS.secondary,
+};
+
+const formatClock = date =>
+  date.toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: getCompanyTimeZone(),
+  });
+
+const describeEntry = entry => {
+  if (entry.status === PRESENCE_STATUS.NOT_ARRIVED) return 'No check-in today';
+  if (entry.status === PRESENCE_STATUS.CHECKED_OUT) {
+    return `${formatClock(entry.since)} – ${formatClock(entry.until)} · ${formatHours(
+      entry.elapsedHours
+    )}`;
+  }
+  const where = entry.officeName ? ` at ${entry.officeName}` : '';
+  const onBreak = entry.onBreak ? ' · on a break' : '';
+  return `Since ${formatClock(entry.since)}${where} · ${formatHours(entry.elapsedHours)}${onBreak}`;
+};
+
+/**
+ * Live "who's in" board
+ * Managers see who is at an office, working remotely, not arrived yet or
+ * already gone for the day, refreshed every minute while the screen is open.
+ */
+export default function PresenceScreen() {
+  const { hasAccess } = useUser();
+  const canView = hasAccess(ROLES.ACCOUNTANT);
+  const { groups, loading, updatedAt, error, refresh } = usePresenceBoard({ enabled: canView });
+
+  const styles = StyleSheet.create({
+    loadingContainer: {
+      ...commonStyles.loader,
+    },
+    summaryRow: {
+      flexDirection: 'row',
+      gap: SPACING.sm,
+      marginBottom: SPACING.md,
+    },
+    summaryItem: {
+      alignItems: 'center',
+      backgroundColor: COLORS.glassLight,
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.md,
+      borderWidth: 1,
+      flex: 1,
+      paddingVertical: SPACING.sm,
+    },
+    summaryCount: {
+      ...TYPOGRAPHY.body,
+      fontWeight: 'bold',
+    },
+    summaryLabel: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+      textAlign: 'center',
+    },
+    updateRow: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginBottom: SPACING.md,
+    },
+    updateText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+      flex: 1,
+    },
+    errorText: {
+      color: COLORS.warning,
+    },
+    refreshButton: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      gap: SPACING.xs,
+      paddingHorizontal: SPACING.sm,
+    },
+    refreshText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    groupCard: {
+      marginBottom: SPACING.md,
+    },
+    groupHeader: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      gap: SPACING.sm,
+      marginBottom: SPACING.xs,
+    },
+    groupDot: {
+      borderRadius: 5,
+      height: 10,
+      width: 10,
+    },
+    groupTitle: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      flex: 1,
+      fontWeight: '600',
+    },
+    groupCount: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    entryRow: {
+      borderTopColor: COLORS.glassBorder,
+      borderTopWidth: 1,
+      paddingVertical: SPACING.sm,
+    },
+    entryName: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+    },
+    entryDetail: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    orphanedText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.warning,
+    },
+    emptyText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textMuted,
+      paddingVertical: SPACING.xs,
+    },
+  });
+
+  if (!canView) {
+    return (
+      <LiquidGlassScreenLayout.WithGlassHeader
+        title="Who's In"
+        backDestination="/team-management"
+        showLogout={true}
+      >
+        <Text style={styles.emptyText}>Only managers can view team presence</Text>
+      </LiquidGlassScreenLayout.WithGlassHeader>
+    );
+  }
+
+  return (
+    <LiquidGlassScreenLayout.WithGlassHeader
+      title="Who's In"
+      subtitle="Live team presence"
+      backDestination="/team-management"
+      showLogout={true}
+      scrollable={true}
+    >
+      {loading && groups.length === 0 ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.textPrimary} />
+        </View>
+      ) : (
+        <>
+          <View style={styles.summaryRow}>
+            {groups.map(group => (
+              <View key={group.status} style={styles.summaryItem}>
+                <Text style={[styles.summaryCount, { color: STATUS_COLORS[group.status] }]}>
+                  {group.entries.length}
+                </Text>
+                <Text style={styles.summaryLabel}>{group.label}</Text>
+              </View>
+            ))}
+          </View>
+
+          <View style={styles.updateRow}>
+            <Text style={[styles.updateText, !!error && styles.errorText]}>
+              {error ||
+                (updatedAt
+                  ? `Updated ${formatClock(updatedAt)} · refreshes automatically`
+                  : 'Not loaded yet')}
+            </Text>
+            <TouchableOpacity style={styles.refreshButton} onPress={refresh}>
+              <Ionicons name="refresh" size={14} color={COLORS.textPrimary} />
+              <Text style={styles.refreshText}>Refresh</Text>
+            </TouchableOpacity>
+          </View>
+
+          {groups.map(group => (
+            <LiquidGlassCard
+              key={group.status}
+              variant="bordered"
+              padding="md"
+              style={styles.groupCard}
+            >
+              <View style={styles.groupHeader}>
+                <View style={[styles.groupDot, { backgroundColor: STATUS_COLORS[group.status] }]} />
+                <Text style={styles.groupTitle}>{group.label}</Text>
+                <Text style={styles.groupCount}>{group.entries.length}</Text>
+              </View>
+
+              {group.entries.length === 0 ? (
+                <Text style={styles.emptyText}>Nobody</Text>
+              ) : (
+                group.entries.map(entry => (
+                  <View key={entry.employeeId} style={styles.entryRow}>
+                    <Text style={styles.entryName}>{entry.name}</Text>
+                    <Text style={styles.entryDetail}>{describeEntry(entry)}</Text>
+                    {entry.orphaned && (
+                      <Text style={styles.orphanedText}>Possibly forgot to check out</Text>
+                    )}
+                  </View>
+                ))
+              )}
+            </LiquidGlassCard>
+          ))}
+        </>
+      )}
+    </LiquidGlassScreenLayout.WithGlassHeader>
+  );
+}
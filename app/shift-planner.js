@@ -0,0 +1,606 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
+import LiquidGlassButton from '../components/LiquidGlassButton';
+import { showGlassAlert, showGlassConfirm } from '../hooks/useGlobalGlassModal';
+import { useUser, ROLES } from '../src/contexts/UserContext';
+import ApiService from '../src/api/apiService';
+import {
+  WEEKDAY_LABELS,
+  getWeekDays,
+  getWeekStart,
+  normalizeShift,
+  shiftsToTemplateDays,
+  validateShiftTimes,
+} from '../src/utils/shiftSchedule';
+import { getZonedCalendarDate } from '../src/utils/timeZone';
+import { listOf } from '../src/utils/timesheet';
+import { parseDateKey } from '../src/utils/worktimeCalendar';
+import {
+  commonStyles,
+  COLORS,
+  SPACING,
+  TYPOGRAPHY,
+  BORDER_RADIUS,
+} from '../constants/CommonStyles';
+
+const MAX_REPEAT_WEEKS = 12;
+
+const getEmployeeName = employee =>
+  `${employee.first_name || ''} ${employee.last_name || ''}`.trim() || employee.email || 'Employee';
+
+const formatDayHeader = dateKey => {
+  const day = parseDateKey(dateKey);
+  return `${WEEKDAY_LABELS[day.getDay()]} ${day.getDate()}`;
+};
+
+const describeTemplate = template =>
+  (template.days || [])
+    .map(day => `${WEEKDAY_LABELS[day.weekday]} ${day.start_time}–${day.end_time}`)
+    .join(', ') || 'No shifts';
+
+/**
+ * Shift planner
+ * Managers plan a weekly grid of shifts per employee, save a week as a
+ * template and roll templates out over the coming weeks. The plan is compared
+ * with actual check-ins on the team and dashboard screens.
+ */
+export default function ShiftPlannerScreen() {
+  const { hasAccess } = useUser();
+  const canPlan = hasAccess(ROLES.ACCOUNTANT);
+  const [weekOffset, setWeekOffset] = useState(0);
+  const [employees, setEmployees] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // { employeeId, date, shiftId, startTime, endTime } of the cell being edited
+  const [editing, setEditing] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [templateName, setTemplateName] = useState('');
+  const [repeatWeeks, setRepeatWeeks] = useState('1');
+
+  const weekDays = useMemo(() => {
+    const weekStart = getWeekStart(getZonedCalendarDate(new Date()));
+    weekStart.setDate(weekStart.getDate() + weekOffset * 7);
+    return getWeekDays(weekStart);
+  }, [weekOffset]);
+
+  const loadWeek = useCallback(async () => {
+    if (!canPlan) return;
+    setLoading(true);
+    try {
+      const [employeesResponse, shiftsResponse, templatesResponse] = await Promise.all([
+        ApiService.employees.getAll({ page_size: 100 }),
+        ApiService.scheduling.getShifts({
+          date_from: weekDays[0],
+          date_to: weekDays[6],
+          page_size: 500,
+        }),
+        ApiService.scheduling.getTemplates(),
+      ]);
+      setEmployees(listOf(employeesResponse).filter(employee => employee.is_active !== false));
+      setShifts(listOf(shiftsResponse).map(normalizeShift).filter(Boolean));
+      setTemplates(listOf(templatesResponse));
+    } catch (error) {
+      console.error('Failed to load the shift plan:', error);
+      showGlassAlert('Error', 'Could not load the shift plan. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [canPlan, weekDays]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadWeek();
+    }, [loadWeek])
+  );
+
+  const shiftAt = (employeeId, date) =>
+    shifts.find(shift => String(shift.employeeId) === String(employeeId) && shift.date === date);
+
+  const targetIds = selectedIds.length > 0 ? selectedIds : employees.map(employee => employee.id);
+
+  const toggleSelected = employeeId =>
+    setSelectedIds(ids =>
+      ids.includes(employeeId) ? ids.filter(id => id !== employeeId) : [...ids, employeeId]
+    );
+
+  const handleEditCell = (employee, date) => {
+    const shift = shiftAt(employee.id, date);
+    setEditing({
+      employeeId: employee.id,
+      employeeName: getEmployeeName(employee),
+      date,
+      shiftId: shift?.shiftId ?? null,
+      startTime: shift?.startTime || '09:00',
+      endTime: shift?.endTime || '17:00',
+    });
+  };
+
+  const runSave = async save => {
+    setSaving(true);
+    try {
+      await save();
+      setEditing(null);
+      await loadWeek();
+    } catch (error) {
+      console.error('Failed to save the shift plan:', error);
+      showGlassAlert(
+        'Error',
+        error.response?.data?.detail || 'Could not save the change. Please try again.'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveShift = () => {
+    const validationError = validateShiftTimes(editing.startTime, editing.endTime);
+    if (validationError) {
+      showGlassAlert('Invalid Shift', validationError);
+      return;
+    }
+
+    const times = { start_time: editing.startTime.trim(), end_time: editing.endTime.trim() };
+    runSave(() =>
+      editing.shiftId
+        ? ApiService.scheduling.updateShift(editing.shiftId, times)
+        : ApiService.scheduling.createShift({
+            employee: editing.employeeId,
+            date: editing.date,
+            ...times,
+          })
+    );
+  };
+
+  const handleRemoveShift = () => {
+    showGlassConfirm(
+      'Remove Shift',
+      `${editing.employeeName} will have no shift on ${formatDayHeader(editing.date)}.`,
+      () => runSave(() => ApiService.scheduling.deleteShift(editing.shiftId))
+    );
+  };
+
+  const handleSaveTemplate = () => {
+    const [employeeId] = selectedIds;
+    const days = shiftsToTemplateDays(
+      shifts.filter(shift => String(shift.employeeId) === String(employeeId))
+    );
+    if (selectedIds.length !== 1 || days.length === 0) {
+      showGlassAlert('Save Template', 'Select one employee who has shifts this week.');
+      return;
+    }
+    if (!templateName.trim()) {
+      showGlassAlert('Save Template', 'Enter a name for the template.');
+      return;
+    }
+
+    runSave(async () => {
+      await ApiService.scheduling.createTemplate({ name: templateName.trim(), days });
+      setTemplateName('');
+    });
+  };
+
+  const handleApplyTemplate = template => {
+    const weeks = parseInt(repeatWeeks, 10);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_REPEAT_WEEKS) {
+      showGlassAlert('Apply Template', `Repeat for 1 to ${MAX_REPEAT_WEEKS} weeks.`);
+      return;
+    }
+
+    showGlassConfirm(
+      'Apply Template',
+      `Plan "${template.name}" for ${targetIds.length} employee(s), ${weeks} week(s) from ${formatDayHeader(
+        weekDays[0]
+      )}. Days that already have a shift are kept.`,
+      () =>
+        runSave(() =>
+          ApiService.scheduling.applyTemplate(template.id, {
+            employeeIds: targetIds,
+            weekStart: weekDays[0],
+            weeks,
+          })
+        )
+    );
+  };
+
+  const handleDeleteTemplate = template => {
+    showGlassConfirm(
+      'Delete Template',
+      `"${template.name}" will be deleted. Shifts already planned from it stay.`,
+      () => runSave(() => ApiService.scheduling.deleteTemplate(template.id))
+    );
+  };
+
+  const styles = StyleSheet.create({
+    loadingContainer: {
+      ...commonStyles.loader,
+    },
+    weekRow: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginBottom: SPACING.md,
+    },
+    weekTitle: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    weekButton: {
+      padding: SPACING.xs,
+    },
+    hintText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+      marginBottom: SPACING.sm,
+    },
+    gridRow: {
+      flexDirection: 'row',
+    },
+    nameCell: {
+      justifyContent: 'center',
+      paddingRight: SPACING.xs,
+      width: 110,
+    },
+    nameText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textPrimary,
+    },
+    selectedName: {
+      fontWeight: 'bold',
+    },
+    headerCell: {
+      alignItems: 'center',
+      paddingVertical: SPACING.xs,
+      width: 64,
+    },
+    headerText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    cell: {
+      alignItems: 'center',
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.sm,
+      borderWidth: 1,
+      height: 44,
+      justifyContent: 'center',
+      margin: 2,
+      width: 60,
+    },
+    plannedCell: {
+      backgroundColor: COLORS.glassMedium,
+    },
+    activeCell: {
+      borderColor: COLORS.textPrimary,
+    },
+    cellText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textPrimary,
+    },
+    emptyCellText: {
+      color: COLORS.textMuted,
+    },
+    emptyText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textMuted,
+      marginTop: SPACING.lg,
+      textAlign: 'center',
+    },
+    timeRow: {
+      flexDirection: 'row',
+      gap: SPACING.sm,
+    },
+    timeField: {
+      flex: 1,
+    },
+    editorActions: {
+      flexDirection: 'row',
+      gap: SPACING.sm,
+      marginTop: SPACING.md,
+    },
+    editorButton: {
+      flex: 1,
+    },
+    templateRow: {
+      alignItems: 'center',
+      borderTopColor: COLORS.glassBorder,
+      borderTopWidth: 1,
+      flexDirection: 'row',
+      paddingVertical: SPACING.sm,
+    },
+    templateInfo: {
+      flex: 1,
+      paddingRight: SPACING.sm,
+    },
+    templateName: {
+      ...TYPOGRAPHY.body,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    templateDetail: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    rowButton: {
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.md,
+      borderWidth: 1,
+      marginLeft: SPACING.xs,
+      paddingHorizontal: SPACING.sm,
+      paddingVertical: SPACING.xs,
+    },
+    rowButtonText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textPrimary,
+      fontWeight: '600',
+    },
+    removeText: {
+      color: COLORS.error,
+    },
+    section: {
+      marginTop: SPACING.md,
+    },
+    fieldLabel: {
+      marginTop: SPACING.md,
+    },
+    rowInput: {
+      flex: 1,
+    },
+  });
+
+  if (!canPlan) {
+    return (
+      <LiquidGlassScreenLayout.WithGlassHeader
+        title="Shift Planner"
+        backDestination="/team-management"
+        showLogout={true}
+      >
+        <Text style={styles.emptyText}>Only managers can plan shifts</Text>
+      </LiquidGlassScreenLayout.WithGlassHeader>
+    );
+  }
+
+  return (
+    <LiquidGlassScreenLayout.WithGlassHeader
+      title="Shift Planner"
+      subtitle="Weekly schedule"
+      backDestination="/team-management"
+      showLogout={true}
+      scrollable={true}
+    >
+      <View style={styles.weekRow}>
+        <TouchableOpacity style={styles.weekButton} onPress={() => setWeekOffset(weekOffset - 1)}>
+          <Ionicons name="chevron-back" size={20} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.weekTitle}>
+          {formatDayHeader(weekDays[0])} – {formatDayHeader(weekDays[6])}
+          {weekOffset === 0 ? ' · This week' : ''}
+        </Text>
+        <TouchableOpacity style={styles.weekButton} onPress={() => setWeekOffset(weekOffset + 1)}>
+          <Ionicons name="chevron-forward" size={20} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.textPrimary} />
+        </View>
+      ) : employees.length === 0 ? (
+        <Text style={styles.emptyText}>No active employees to plan</Text>
+      ) : (
+        <>
+          <Text style={styles.hintText}>
+            Tap a day to plan or change a shift. Tap names to select employees for templates.
+          </Text>
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            <View>
+              <View style={styles.gridRow}>
+                <View style={styles.nameCell} />
+                {weekDays.map(date => (
+                  <View key={date} style={styles.headerCell}>
+                    <Text style={styles.headerText}>{formatDayHeader(date)}</Text>
+                  </View>
+                ))}
+              </View>
+
+              {employees.map(employee => {
+                const selected = selectedIds.includes(employee.id);
+                return (
+                  <View key={employee.id} style={styles.gridRow}>
+                    <TouchableOpacity
+                      style={styles.nameCell}
+                      onPress={() => toggleSelected(employee.id)}
+                    >
+                      <Text
+                        style={[styles.nameText, selected && styles.selectedName]}
+                        numberOfLines={2}
+                      >
+                        {selected ? '✓ ' : ''}
+                        {getEmployeeName(employee)}
+                      </Text>
+                    </TouchableOpacity>
+                    {weekDays.map(date => {
+                      const shift = shiftAt(employee.id, date);
+                      const active = editing?.employeeId === employee.id && editing?.date === date;
+                      return (
+                        <TouchableOpacity
+                          key={date}
+                          style={[
+                            styles.cell,
+                            shift && styles.plannedCell,
+                            active && styles.activeCell,
+                          ]}
+                          onPress={() => handleEditCell(employee, date)}
+                        >
+                          {shift ? (
+                            <>
+                              <Text style={styles.cellText}>{shift.startTime}</Text>
+                              <Text style={styles.cellText}>{shift.endTime}</Text>
+                            </>
+                          ) : (
+                            <Text style={[styles.cellText, styles.emptyCellText]}>+</Text>
+                          )}
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                );
+              })}
+            </View>
+          </ScrollView>
+        </>
+      )}
+
+      {/* Shift editor */}
+      {editing && (
+        <View style={[commonStyles.sectionCard, styles.section]}>
+          <View style={commonStyles.sectionTitleContainer}>
+            <Text style={commonStyles.sectionTitleIcon}>🕘</Text>
+            <Text style={commonStyles.sectionTitle}>
+              {editing.employeeName} · {formatDayHeader(editing.date)}
+            </Text>
+          </View>
+          <Text style={commonStyles.sectionDescription}>
+            An end before the start runs into the next day.
+          </Text>
+
+          <View style={styles.timeRow}>
+            <View style={styles.timeField}>
+              <Text style={commonStyles.label}>Start</Text>
+              <TextInput
+                style={commonStyles.input}
+                placeholder="09:00"
+                value={editing.startTime}
+                onChangeText={startTime => setEditing({ ...editing, startTime })}
+                keyboardType="numbers-and-punctuation"
+                placeholderTextColor={COLORS.textSecondary}
+              />
+            </View>
+            <View style={styles.timeField}>
+              <Text style={commonStyles.label}>End</Text>
+              <TextInput
+                style={commonStyles.input}
+                placeholder="17:00"
+                value={editing.endTime}
+                onChangeText={endTime => setEditing({ ...editing, endTime })}
+                keyboardType="numbers-and-punctuation"
+                placeholderTextColor={COLORS.textSecondary}
+              />
+            </View>
+          </View>
+
+          <View style={styles.editorActions}>
+            <LiquidGlassButton
+              title="Cancel"
+              onPress={() => setEditing(null)}
+              disabled={saving}
+              variant="ghost"
+              style={styles.editorButton}
+            />
+            {!!editing.shiftId && (
+              <LiquidGlassButton
+                title="Remove"
+                onPress={handleRemoveShift}
+                disabled={saving}
+                variant="secondary"
+                style={styles.editorButton}
+              />
+            )}
+            <LiquidGlassButton
+              title={saving ? '' : 'Save'}
+              onPress={handleSaveShift}
+              disabled={saving}
+              variant="primary"
+              style={styles.editorButton}
+            >
+              {saving && <ActivityIndicator color="#FFFFFF" />}
+            </LiquidGlassButton>
+          </View>
+        </View>
+      )}
+
+      {/* Templates */}
+      <View style={[commonStyles.sectionCard, styles.section]}>
+        <View style={commonStyles.sectionTitleContainer}>
+          <Text style={commonStyles.sectionTitleIcon}>🔁</Text>
+          <Text style={commonStyles.sectionTitle}>Recurring Templates</Text>
+        </View>
+        <Text style={commonStyles.sectionDescription}>
+          Apply a weekly pattern to{' '}
+          {selectedIds.length > 0
+            ? `the ${selectedIds.length} selected employee(s)`
+            : 'all employees'}{' '}
+          from the week shown above.
+        </Text>
+
+        <Text style={commonStyles.label}>Repeat for (weeks)</Text>
+        <TextInput
+          style={commonStyles.input}
+          placeholder="1"
+          value={repeatWeeks}
+          onChangeText={setRepeatWeeks}
+          keyboardType="numeric"
+          placeholderTextColor={COLORS.textSecondary}
+        />
+
+        {templates.length === 0 && (
+          <Text style={[styles.hintText, styles.fieldLabel]}>No templates yet</Text>
+        )}
+        <View style={styles.fieldLabel}>
+          {templates.map(template => (
+            <View key={template.id} style={styles.templateRow}>
+              <View style={styles.templateInfo}>
+                <Text style={styles.templateName}>{template.name}</Text>
+                <Text style={styles.templateDetail}>{describeTemplate(template)}</Text>
+              </View>
+              <TouchableOpacity
+                style={styles.rowButton}
+                onPress={() => handleApplyTemplate(template)}
+                disabled={saving}
+              >
+                <Text style={styles.rowButtonText}>Apply</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.rowButton}
+                onPress={() => handleDeleteTemplate(template)}
+                disabled={saving}
+              >
+                <Text style={[styles.rowButtonText, styles.removeText]}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+
+        <Text style={[commonStyles.label, styles.fieldLabel]}>
+          Save the selected employee&apos;s week as a template
+        </Text>
+        <View style={commonStyles.inputWithButton}>
+          <TextInput
+            style={[commonStyles.input, styles.rowInput]}
+            placeholder="e.g., Morning shift Sun–Thu"
+            value={templateName}
+            onChangeText={setTemplateName}
+            placeholderTextColor={COLORS.textSecondary}
+          />
+          <TouchableOpacity style={styles.rowButton} onPress={handleSaveTemplate} disabled={saving}>
+            <Text style={styles.rowButtonText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </LiquidGlassScreenLayout.WithGlassHeader>
+  );
+}
@@ -8,6 +8,8 @@ import { useWorkStatus } from '../src/contexts/WorkStatusContext';
 import useColors from '../hooks/useColors';
 import useLocation from '../hooks/useLocation';
 import ApiService from '../src/api/apiService';
+import OfflineQueueService from '../src/services/OfflineQueueService';
+import { OPERATION_TYPES, isNetworkError } from '../src/services/offlineOperations';
 import { safeLog } from '../src/utils/safeLogging';
 import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
 import LiquidGlassCard from '../components/LiquidGlassCard';
@@ -15,6 +17,36 @@ import LiquidGlassButton from '../components/LiquidGlassButton';
 import useLiquidGlassTheme from '../hooks/useLiquidGlassTheme';
 import GlassModal from '../components/GlassModal';
 import useGlassModal from '../hooks/useGlassModal';
+import useOrphanedSessions from '../hooks/useOrphanedSessions';
+import OrphanedSessionsCard from '../components/OrphanedSessionsCard';
+import useAttendanceComparison from '../hooks/useAttendanceComparison';
+import AttendanceCard from '../components/AttendanceCard';
+import { detectSessionAnomaly } from '../src/utils/sessionAnomalies';
+import {
+  buildTimesheet,
+  formatHours,
+  getWorklogEmployeeId,
+  totalsByDay,
+} from '../src/utils/timesheet';
+import { getZonedCalendarDate, toZonedDateKey } from '../src/utils/timeZone';
+import { toDateKey } from '../src/utils/worktimeCalendar';
+
+// Today's hours and shift status of one employee, by the shared timesheet rules
+const summarizeEmployeeDay = (emp, logs, now) => {
+  const fullName = `${emp.first_name || ''} ${emp.last_name || ''}`.trim();
+  const employeeLogs = (logs || []).filter(
+    log =>
+      (getWorklogEmployeeId(log) === emp.id || log.employee_name === fullName) &&
+      // Forgotten check-outs are listed separately and not counted
+      !detectSessionAnomaly(log, { now })
+  );
+  const { sessions, segments } = buildTimesheet(employeeLogs, { now });
+
+  return {
+    status: sessions.some(session => session.open) ? 'on-shift' : 'off-shift',
+    todayHours: formatHours(totalsByDay(segments)[toZonedDateKey(now)] || 0),
+  };
+};
 
 // Force reload Wed Aug 27 22:45:18 IDT 2025
 export default function TeamManagementScreen() {
@@ -35,6 +67,11 @@ export default function TeamManagementScreen() {
     getCurrentDuration: _getCurrentDuration,
   } = useWorkStatus();
   const { modalState, showModal, hideModal, showConfirm, showAlert, showError } = useGlassModal();
+  const { sessions: orphanedSessions, refresh: refreshOrphanedSessions } = useOrphanedSessions({
+    team: true,
+  });
+  const [closingSessionId, setClosingSessionId] = useState(null);
+  const { issues: attendanceIssues, hasShifts } = useAttendanceComparison({ team: true });
 
   // Define roles MOVED BEFORE EARLY RETURN
   const _isEmployee = user?.role === ROLES.EMPLOYEE;
@@ -43,6 +80,43 @@ export default function TeamManagementScreen() {
   const canManageEmployees = isAccountant || isAdmin;
 
   // ALL HOOKS MOVED BEFORE EARLY RETURN
+  // Today's hours of every employee, loaded in batches (see getEmployeesDayLogs)
+  const fetchEmployeesWithHours = useCallback(async employeesBasic => {
+    try {
+      const now = new Date();
+      const today = toZonedDateKey(now);
+      const yesterdayDate = getZonedCalendarDate(now);
+      yesterdayDate.setDate(yesterdayDate.getDate() - 1);
+      const employeeIds = employeesBasic.map(emp => emp.id);
+
+      console.log(' Starting batched team hours fetch:', {
+        employeeCount: employeeIds.length,
+        date: today,
+      });
+
+      // Yesterday too, so a night shift running into today is counted. Both days
+      // go out as one batched date-range request and are cached per employee.
+      const [todayLogs, yesterdayLogs] = await Promise.all([
+        ApiService.worktime.getEmployeesDayLogs(employeeIds, today),
+        ApiService.worktime.getEmployeesDayLogs(employeeIds, toDateKey(yesterdayDate)),
+      ]);
+
+      setEmployees(
+        employeesBasic.map(emp => ({
+          ...emp,
+          ...summarizeEmployeeDay(
+            emp,
+            [...(yesterdayLogs[emp.id] || []), ...(todayLogs[emp.id] || [])],
+            now
+          ),
+        }))
+      );
+      safeLog(` Loaded hours for ${employeeIds.length} employees (batched)`);
+    } catch (error) {
+      console.error(' Error loading employee hours:', error);
+    }
+  }, []);
+
   const fetchEmployees = useCallback(
     async (useCache = false, retryCount = 0) => {
       // Don't make API calls if logout is in progress
@@ -87,6 +161,7 @@ export default function TeamManagementScreen() {
 
         console.log(` Loaded ${employeesList.length} employees for team management`);
         setEmployees(employeesList);
+        fetchEmployeesWithHours(employeesList);
       } catch (error) {
         console.error(' Failed to fetch employees:', error.message || error);
 
@@ -113,7 +188,7 @@ export default function TeamManagementScreen() {
         }
       }
     },
-    [user, canManageEmployees, showError, logout, isLoggingOut]
+    [user, canManageEmployees, showError, logout, isLoggingOut, fetchEmployeesWithHours]
   );
 
   useEffect(() => {
@@ -191,6 +266,9 @@ export default function TeamManagementScreen() {
       paddingVertical: 16,
       paddingHorizontal: 32,
     },
+    secondaryActionButton: {
+      marginTop: theme.spacing.sm,
+    },
     addButtonText: {
       color: theme.colors.text.primary,
       fontSize: theme.typography.body.fontSize,
@@ -304,163 +382,6 @@ export default function TeamManagementScreen() {
     },
   });
 
-  const _fetchEmployeesWithHours = async employeesBasic => {
-    try {
-      const today = new Date().toISOString().split('T')[0];
-      const updatedEmployees = [...employeesBasic];
-
-      console.log(' Starting optimized team hours fetch:', {
-        employeeCount: updatedEmployees.length,
-        date: today,
-      });
-
-      // Extract employee IDs for bulk fetch
-      const employeeIds = updatedEmployees.map(emp => emp.id);
-
-      try {
-        // Use new bulk API method instead of individual calls
-        const teamWorkLogs = await ApiService.worktime.getTeamHours(employeeIds, today);
-
-        // Process the bulk results
-        updatedEmployees.forEach((emp, index) => {
-          let todayHours = '0h 0m';
-          let status = 'off-shift';
-
-          if (teamWorkLogs && teamWorkLogs.results && teamWorkLogs.results.length > 0) {
-            let totalMinutes = 0;
-            let _hasActiveSession = false;
-
-            // Filter logs for this specific employee
-            const employeeLogs = teamWorkLogs.results.filter(log => {
-              if (!log.check_in) return false;
-              const isForThisEmployee =
-                log.employee === emp.id ||
-                log.employee_id === emp.id ||
-                log.employee_name === `${emp.first_name || ''} ${emp.last_name || ''}`.trim();
-
-              if (!isForThisEmployee) return false;
-
-              const logDate = new Date(log.check_in).toISOString().split('T')[0];
-              const todayDate = new Date().toISOString().split('T')[0];
-
-              return logDate === todayDate;
-            });
-
-            employeeLogs.forEach(log => {
-              if (log.check_in && !log.check_out) {
-                _hasActiveSession = true;
-                status = 'on-shift';
-              } else {
-                const hoursWorked = log.total_hours || log.hours_worked;
-                if (hoursWorked && hoursWorked > 0) {
-                  const minutesToAdd = Math.round(hoursWorked * 60);
-                  totalMinutes += minutesToAdd;
-                }
-              }
-            });
-
-            const hours = Math.floor(totalMinutes / 60);
-            const minutes = totalMinutes % 60;
-            todayHours = `${hours}h ${minutes}m`;
-          }
-
-          updatedEmployees[index] = {
-            ...emp,
-            status,
-            todayHours,
-          };
-        });
-
-        // Single update instead of progressive updates
-        setEmployees(updatedEmployees);
-        safeLog(` Loaded hours for ${updatedEmployees.length} employees (bulk fetch)`);
-      } catch (bulkError) {
-        console.warn(' Bulk fetch failed, falling back to individual requests:', bulkError);
-
-        // Fallback to original individual fetch method
-        for (let i = 0; i < updatedEmployees.length; i++) {
-          const emp = updatedEmployees[i];
-
-          try {
-            const workLogs = await ApiService.worktime.getLogs({
-              date: today,
-              employee: emp.id,
-              page_size: 20,
-            });
-
-            let todayHours = '0h 0m';
-            let status = 'off-shift';
-
-            if (workLogs && workLogs.results && workLogs.results.length > 0) {
-              let totalMinutes = 0;
-              let _hasActiveSession = false;
-
-              const todayLogs = workLogs.results.filter(log => {
-                if (!log.check_in) return false;
-                const isForThisEmployee =
-                  log.employee === emp.id ||
-                  log.employee_id === emp.id ||
-                  log.employee_name === `${emp.first_name || ''} ${emp.last_name || ''}`.trim();
-
-                if (!isForThisEmployee) return false;
-
-                const logDate = new Date(log.check_in).toISOString().split('T')[0];
-                const todayDate = new Date().toISOString().split('T')[0];
-
-                return logDate === todayDate;
-              });
-
-              todayLogs.forEach(log => {
-                if (log.check_in && !log.check_out) {
-                  _hasActiveSession = true;
-                  status = 'on-shift';
-                } else {
-                  const hoursWorked = log.total_hours || log.hours_worked;
-                  if (hoursWorked && hoursWorked > 0) {
-                    const minutesToAdd = Math.round(hoursWorked * 60);
-                    totalMinutes += minutesToAdd;
-                  }
-                }
-              });
-
-              const hours = Math.floor(totalMinutes / 60);
-              const minutes = totalMinutes % 60;
-              todayHours = `${hours}h ${minutes}m`;
-            }
-
-            updatedEmployees[i] = {
-              ...emp,
-              status,
-              todayHours,
-            };
-
-            // Update employees progressively for better UX
-            if (i % 3 === 0 || i === updatedEmployees.length - 1) {
-              setEmployees([...updatedEmployees]);
-            }
-          } catch (error) {
-            console.error(` Error fetching hours for employee ${emp.id}:`, error);
-            updatedEmployees[i] = {
-              ...emp,
-              status: 'off-shift',
-              todayHours: '0h 0m',
-            };
-          }
-
-          // Small delay for fallback method
-          if (i < updatedEmployees.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 50));
-          }
-        }
-
-        setEmployees(updatedEmployees);
-        safeLog(` Loaded hours for ${updatedEmployees.length} employees (fallback)`);
-      }
-    } catch (error) {
-      console.error(' Error loading employee hours:', error);
-    }
-  };
-
   const handleBiometricRegistration = employee => {
     router.push({
       pathname: '/biometric-registration',
@@ -489,6 +410,24 @@ export default function TeamManagementScreen() {
           fetchEmployees(false);
         } catch (error) {
           console.error(' Error sending invitation:', error);
+
+          if (isNetworkError(error)) {
+            try {
+              await OfflineQueueService.enqueue({
+                type: OPERATION_TYPES.INVITATION_SEND,
+                payload: { employeeId: employee.id },
+                silent: true,
+              });
+              showAlert({
+                title: 'Queued',
+                message: `Invitation to ${employee.email} will be sent when the connection is restored`,
+              });
+              return;
+            } catch (queueError) {
+              console.error(' Failed to queue invitation:', queueError);
+            }
+          }
+
           showError({
             message: error.response?.data?.error || 'Failed to send invitation',
           });
@@ -516,6 +455,54 @@ export default function TeamManagementScreen() {
     });
   };
 
+  const handleCloseOrphanedSession = session => {
+    showConfirm({
+      title: 'Check Out Employee',
+      message: `Close ${session.employeeName}'s open session now? The check-out will be recorded at the current time; adjust it afterwards with a correction if needed.`,
+      confirmText: 'Check Out',
+      onConfirm: async () => {
+        setClosingSessionId(session.worklogId);
+        try {
+          await ApiService.worktime.quickCheckout(session.employeeId);
+          safeLog(' Closed orphaned session:', session.worklogId);
+        } catch (error) {
+          console.error(' Error closing orphaned session:', error);
+          showError({
+            message: error.response?.data?.detail || 'Failed to check out employee',
+          });
+        } finally {
+          setClosingSessionId(null);
+          refreshOrphanedSessions();
+        }
+      },
+    });
+  };
+
+  // Ends the employee's sessions on every device, e.g. when a phone is lost
+  const handleRevokeEmployeeSessions = employee => {
+    showConfirm({
+      title: 'Sign Out Devices',
+      message: `Sign ${employee.first_name} ${employee.last_name} out on all devices? They will need to log in again on each one.`,
+      confirmText: 'Sign Out',
+      confirmType: 'danger',
+      onConfirm: async () => {
+        try {
+          safeLog(' Revoking sessions of employee:', employee.id);
+          await ApiService.auth.revokeEmployeeSessions(employee.id);
+          showAlert({
+            title: 'Success',
+            message: `${employee.first_name} has been signed out on all devices`,
+          });
+        } catch (error) {
+          console.error(' Error revoking employee sessions:', error);
+          showError({
+            message: error.response?.data?.detail || 'Failed to sign out devices',
+          });
+        }
+      },
+    });
+  };
+
   const handleDeactivateEmployee = async employee => {
     showConfirm({
       title: 'Deactivate Employee',
@@ -610,6 +597,19 @@ export default function TeamManagementScreen() {
             handleEditEmployee(employee);
           },
         },
+        // Signing out another user's devices is for admins only
+        ...(isAdmin
+          ? [
+              {
+                label: 'Sign Out Devices',
+                type: 'secondary',
+                onPress: () => {
+                  hideModal(); // Close modal first
+                  handleRevokeEmployeeSessions(employee);
+                },
+              },
+            ]
+          : []),
         {
           label: 'Deactivate',
           type: 'danger',
@@ -778,15 +778,49 @@ export default function TeamManagementScreen() {
         style={{ flex: 1, backgroundColor: 'transparent' }}
         removeClippedSubviews={false}
         ListHeaderComponent={() => (
-          // Add Member button at the top
-          <View style={styles.fixedAddButtonContainer}>
-            <LiquidGlassButton
-              title="Add Member"
-              onPress={() => router.push('/add-employee')}
-              variant="ghost"
-              style={styles.addMemberButton}
+          <>
+            {/* Add Member button at the top */}
+            <View style={styles.fixedAddButtonContainer}>
+              <LiquidGlassButton
+                title="Add Member"
+                onPress={() => router.push('/add-employee')}
+                variant="ghost"
+                style={styles.addMemberButton}
+              />
+              <LiquidGlassButton
+                title="Who's In Now"
+                onPress={() => router.push('/presence')}
+                variant="ghost"
+                style={[styles.addMemberButton, styles.secondaryActionButton]}
+              />
+              <LiquidGlassButton
+                title="Shift Planner"
+                onPress={() => router.push('/shift-planner')}
+                variant="ghost"
+                style={[styles.addMemberButton, styles.secondaryActionButton]}
+              />
+            </View>
+
+            <OrphanedSessionsCard
+              sessions={orphanedSessions}
+              title={`Open sessions needing attention (${orphanedSessions.length})`}
+              description="These employees appear to have forgotten to check out."
+              showEmployee={true}
+              busyId={closingSessionId}
+              onCheckOut={handleCloseOrphanedSession}
             />
-          </View>
+
+            <AttendanceCard
+              issues={attendanceIssues}
+              hasShifts={hasShifts}
+              description="Planned shifts compared with check-ins over the last 7 days."
+              showEmployee={true}
+              nameOf={employeeId => {
+                const emp = employees.find(item => String(item.id) === String(employeeId));
+                return emp ? `${emp.first_name || ''} ${emp.last_name || ''}`.trim() : '';
+              }}
+            />
+          </>
         )}
         ListEmptyComponent={() => (
           <View style={styles.emptyState}>
@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react';
+import { StyleSheet, View, Text, TextInput } from 'react-native';
+import { router, useLocalSearchParams } from 'expo-router';
+import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
+import LiquidGlassCard from '../components/LiquidGlassCard';
+import LiquidGlassButton from '../components/LiquidGlassButton';
+import { showGlassAlert } from '../hooks/useGlobalGlassModal';
+import ApiService from '../src/api/apiService';
+import {
+  buildCorrectedTimes,
+  buildCorrectionPayload,
+  formatTimeInput,
+  validateCorrection,
+} from '../src/utils/worklogCorrections';
+import { commonStyles, COLORS, SPACING, TYPOGRAPHY } from '../constants/CommonStyles';
+
+const formatDay = value =>
+  new Date(value).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  });
+
+/**
+ * Worklog correction request
+ * Lets an employee propose new check-in/check-out times for one worklog, e.g. after
+ * a forgotten check-out. The worklog is only changed once a manager approves.
+ */
+export default function WorklogCorrectionScreen() {
+  const { worklogId, checkIn, checkOut } = useLocalSearchParams();
+  const [checkInInput, setCheckInInput] = useState(formatTimeInput(checkIn));
+  const [checkOutInput, setCheckOutInput] = useState(formatTimeInput(checkOut));
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Tab screens stay mounted: reset the form when another worklog is opened
+  useEffect(() => {
+    setCheckInInput(formatTimeInput(checkIn));
+    setCheckOutInput(formatTimeInput(checkOut));
+    setReason('');
+  }, [worklogId, checkIn, checkOut]);
+
+  const corrected = buildCorrectedTimes(checkIn, checkInInput, checkOutInput);
+
+  const handleSubmit = async () => {
+    const error = corrected
+      ? validateCorrection({
+          checkIn: corrected.checkIn,
+          checkOut: corrected.checkOut,
+          reason,
+          original: { checkIn, checkOut },
+        })
+      : 'Enter times as HH:MM';
+    if (error) {
+      showGlassAlert('Check the Times', error);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await ApiService.worktime.requestCorrection(
+        buildCorrectionPayload(worklogId, { ...corrected, reason })
+      );
+      showGlassAlert('Request Sent', 'Your manager will review the correction.', [
+        { text: 'OK', onPress: () => router.push('/worktime') },
+      ]);
+    } catch (err) {
+      console.error('Failed to request worklog correction:', err);
+      const message =
+        err.response?.data?.detail ||
+        err.response?.data?.error ||
+        'Could not send the request. Please try again.';
+      showGlassAlert('Error', message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const styles = StyleSheet.create({
+    card: {
+      marginBottom: SPACING.md,
+    },
+    dayText: {
+      ...TYPOGRAPHY.subtitle,
+      color: COLORS.textPrimary,
+      marginBottom: SPACING.xs,
+    },
+    recordedText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textSecondary,
+    },
+    fieldLabel: {
+      marginTop: SPACING.md,
+    },
+    timeRow: {
+      flexDirection: 'row',
+      gap: SPACING.md,
+    },
+    timeField: {
+      flex: 1,
+    },
+    hintText: {
+      ...TYPOGRAPHY.caption,
+      color: COLORS.textMuted,
+      marginTop: SPACING.xs,
+    },
+    reasonInput: {
+      minHeight: 90,
+      textAlignVertical: 'top',
+    },
+    actions: {
+      gap: SPACING.sm,
+    },
+  });
+
+  if (!worklogId || !checkIn) {
+    return (
+      <LiquidGlassScreenLayout.WithGlassHeader
+        title="Correct Worklog"
+        backDestination="/worktime"
+        showLogout={true}
+      >
+        <Text style={commonStyles.emptyStateText}>Worklog not found</Text>
+      </LiquidGlassScreenLayout.WithGlassHeader>
+    );
+  }
+
+  return (
+    <LiquidGlassScreenLayout.WithGlassHeader
+      title="Correct Worklog"
+      subtitle="Changes apply after manager approval"
+      backDestination="/worktime"
+      showLogout={true}
+      scrollable={true}
+    >
+      <LiquidGlassCard variant="elevated" padding="lg" style={styles.card}>
+        <Text style={styles.dayText}>{formatDay(checkIn)}</Text>
+        <Text style={styles.recordedText}>
+          Recorded: {formatTimeInput(checkIn)} –{' '}
+          {checkOut ? formatTimeInput(checkOut) : 'no check-out'}
+        </Text>
+      </LiquidGlassCard>
+
+      <LiquidGlassCard variant="bordered" padding="lg" style={styles.card}>
+        <View style={styles.timeRow}>
+          <View style={styles.timeField}>
+            <Text style={commonStyles.label}>Check-in</Text>
+            <TextInput
+              style={commonStyles.input}
+              value={checkInInput}
+              onChangeText={setCheckInInput}
+              placeholder="09:00"
+              keyboardType="numbers-and-punctuation"
+              placeholderTextColor={COLORS.textSecondary}
+            />
+          </View>
+          <View style={styles.timeField}>
+            <Text style={commonStyles.label}>Check-out</Text>
+            <TextInput
+              style={commonStyles.input}
+              value={checkOutInput}
+              onChangeText={setCheckOutInput}
+              placeholder="18:00"
+              keyboardType="numbers-and-punctuation"
+              placeholderTextColor={COLORS.textSecondary}
+            />
+          </View>
+        </View>
+        {corrected?.overnight && (
+          <Text style={styles.hintText}>
+            Check-out is on the next day ({formatDay(corrected.checkOut)})
+          </Text>
+        )}
+
+        <Text style={[commonStyles.label, styles.fieldLabel]}>Reason</Text>
+        <TextInput
+          style={[commonStyles.input, styles.reasonInput]}
+          value={reason}
+          onChangeText={setReason}
+          placeholder="e.g., Forgot to check out when leaving at 18:00"
+          multiline
+          placeholderTextColor={COLORS.textSecondary}
+        />
+      </LiquidGlassCard>
+
+      <View style={styles.actions}>
+        <LiquidGlassButton
+          title="Send for Approval"
+          onPress={handleSubmit}
+          loading={submitting}
+          disabled={submitting}
+          variant="primary"
+        />
+        <LiquidGlassButton
+          title="Cancel"
+          onPress={() => router.push('/worktime')}
+          disabled={submitting}
+          variant="ghost"
+        />
+      </View>
+    </LiquidGlassScreenLayout.WithGlassHeader>
+  );
+}
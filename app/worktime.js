@@ -8,7 +8,9 @@ import {
   ScrollView,
   Platform,
   Alert,
+  TextInput,
 } from 'react-native';
+import { router } from 'expo-router';
 import { useUser, ROLES } from '../src/contexts/UserContext';
 import useColors from '../hooks/useColors';
 import ApiService from '../src/api/apiService';
@@ -16,6 +18,30 @@ import LiquidGlassScreenLayout from '../components/LiquidGlassScreenLayout';
 import LiquidGlassCard from '../components/LiquidGlassCard';
 import LiquidGlassButton from '../components/LiquidGlassButton';
 import useLiquidGlassTheme from '../hooks/useLiquidGlassTheme';
+import { showGlassAlert } from '../hooks/useGlobalGlassModal';
+import { CORRECTION_STATUS } from '../src/utils/worklogCorrections';
+import WorktimeCalendar from '../components/WorktimeCalendar';
+import {
+  buildCalendarMonth,
+  getLookbackRange,
+  getMonthRange,
+  getPayPeriodRange,
+  indexHolidays,
+  parseDateKey,
+  toDateKey,
+  validateDateRange,
+} from '../src/utils/worktimeCalendar';
+import { exportWorktime, WORKTIME_EXPORT_FORMATS } from '../src/utils/worktimeExport';
+import { getCompanyTimeZone, getZonedParts, toZonedDateKey } from '../src/utils/timeZone';
+import {
+  formatHours,
+  getWorklogEmployeeId,
+  getWorklogEmployeeName,
+  normalizeWorklog,
+  peakEmployeeHoursByDay,
+  splitSessionByDay,
+  totalsByDay,
+} from '../src/utils/timesheet';
 import {
   commonStyles,
   COLORS,
@@ -30,6 +56,16 @@ const TIME_FILTERS = {
   '14_DAYS': { label: '14 Days', days: 14 },
   '1_MONTH': { label: '1 Month', days: 30 },
   '3_MONTHS': { label: '3 Months', days: 90 },
+  // Pay periods match payroll months
+  PAY_PERIOD: { label: 'This Pay Period', payPeriodOffset: 0 },
+  PREVIOUS_PAY_PERIOD: { label: 'Previous Pay Period', payPeriodOffset: -1 },
+  CUSTOM: { label: 'Custom', custom: true },
+};
+
+const VIEW_MODES = {
+  CARDS: 'cards',
+  TABLE: 'table',
+  CALENDAR: 'calendar',
 };
 
 export default function WorktimeScreen() {
@@ -38,7 +74,16 @@ export default function WorktimeScreen() {
   const [selectedEmployee, setSelectedEmployee] = useState(null);
   const [employees, setEmployees] = useState([]);
   const [selectedTimeFilter, setSelectedTimeFilter] = useState('7_DAYS');
-  const [isTableView, setIsTableView] = useState(false);
+  const [viewMode, setViewMode] = useState(VIEW_MODES.CARDS);
+  const [customRange, setCustomRange] = useState(() => getLookbackRange(7));
+  const [customFromInput, setCustomFromInput] = useState(() => toDateKey(getLookbackRange(7).from));
+  const [customToInput, setCustomToInput] = useState(() => toZonedDateKey(new Date()));
+  const [calendarMonth, setCalendarMonth] = useState(() => {
+    const { year, month } = getZonedParts(new Date());
+    return { year, month };
+  });
+  const [selectedDay, setSelectedDay] = useState(null); // YYYY-MM-DD picked in the calendar
+  const [holidays, setHolidays] = useState({});
   const [displayCount, setDisplayCount] = useState(10); // Initially show 10 items
   const [isExpanded, setIsExpanded] = useState(false); // Track expansion state
   const abortControllerRef = React.useRef(null); // For cancelling requests
@@ -46,6 +91,18 @@ export default function WorktimeScreen() {
   const { palette: _palette } = useColors();
   const theme = useLiquidGlassTheme();
   const canViewAll = hasAccess(ROLES.ACCOUNTANT);
+  const isTableView = viewMode === VIEW_MODES.TABLE;
+  const isCalendarView = viewMode === VIEW_MODES.CALENDAR;
+
+  // Dates requested from the server; the calendar always loads its whole month
+  const getActiveRange = () => {
+    if (isCalendarView) return getMonthRange(calendarMonth.year, calendarMonth.month);
+
+    const filter = TIME_FILTERS[selectedTimeFilter];
+    if (filter.custom) return customRange;
+    if (filter.payPeriodOffset !== undefined) return getPayPeriodRange(filter.payPeriodOffset);
+    return getLookbackRange(filter.days);
+  };
 
   // Function definitions moved before useEffect hooks to avoid React ESLint errors
   const _fetchWorktimeData = async () => {
@@ -73,14 +130,11 @@ export default function WorktimeScreen() {
       abortControllerRef.current = new AbortController();
 
       // Calculate date range based on selected filter
-      const daysBack = TIME_FILTERS[selectedTimeFilter].days;
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - daysBack);
+      const { from: startDate, to: endDate } = getActiveRange();
 
       // Format dates for API (YYYY-MM-DD)
-      const startDateStr = startDate.toISOString().split('T')[0];
-      const endDateStr = endDate.toISOString().split('T')[0];
+      const startDateStr = toDateKey(startDate);
+      const endDateStr = toDateKey(endDate);
 
       // Build parameters object for ApiService
       // Optimize page_size based on whether filtering by employee
@@ -125,6 +179,8 @@ export default function WorktimeScreen() {
         });
       }
       const apiData = responseData.results || responseData || [];
+      const fetchedAt = new Date();
+      const timeZone = getCompanyTimeZone();
 
       // Transform API data
       const transformedData = Array.isArray(apiData)
@@ -135,60 +191,38 @@ export default function WorktimeScreen() {
             const isValidCheckIn = checkInDate && !isNaN(checkInDate.getTime());
             const isValidCheckOut = checkOutDate && !isNaN(checkOutDate.getTime());
 
-            // Enhanced employee data extraction
+            // Employee and hours come from the shared timesheet rules
+            const session = normalizeWorklog(worklog, { now: fetchedAt });
             const employeeData = worklog.employee || worklog.employee_data || {};
-
-            const employeeName = (() => {
-              // Priority 1: Try employee object with name fields
-              if (employeeData.first_name && employeeData.last_name) {
-                return `${employeeData.first_name} ${employeeData.last_name}`.trim();
-              }
-              // Priority 2: Try employee_name field in employee object
-              if (employeeData.employee_name) {
-                return employeeData.employee_name;
-              }
-              // Priority 3: Try employee_name field directly on worklog
-              if (worklog.employee_name) {
-                return worklog.employee_name;
-              }
-              // Priority 4: Try name field
-              if (employeeData.name) {
-                return employeeData.name;
-              }
-              // Priority 5: Try get_full_name field
-              if (employeeData.get_full_name) {
-                return employeeData.get_full_name;
-              }
-              // Priority 6: Try full_name field
-              if (employeeData.full_name) {
-                return employeeData.full_name;
-              }
-              // Priority 7: Check if employee is just a string (name)
-              if (typeof worklog.employee === 'string') {
-                return worklog.employee;
-              }
-              // Priority 8: Try email
-              if (employeeData.email) {
-                return employeeData.email.split('@')[0]; // Use email username
-              }
-              // Fallback
-              return 'Unknown Employee';
-            })();
-
-            // Calculate total hours
-            let totalHours = worklog.total_hours;
-            if (totalHours === undefined && isValidCheckIn && isValidCheckOut) {
-              const diffMs = checkOutDate - checkInDate;
-              totalHours = diffMs / (1000 * 60 * 60);
-            }
-
-            // Extract employee ID with multiple fallbacks
-            const employeeId =
-              employeeData.id || worklog.employee_id || worklog.employee || user.id;
+            const employeeName = getWorklogEmployeeName(worklog);
+            const employeeId = getWorklogEmployeeId(worklog) || user.id;
             const employeeEmail = employeeData.email || 'unknown@example.com';
 
+            // Set by the server once a correction was approved
+            const originalCheckIn = worklog.original_check_in
+              ? new Date(worklog.original_check_in)
+              : null;
+            const originalCheckOut = worklog.original_check_out
+              ? new Date(worklog.original_check_out)
+              : null;
+            // Shown in the company zone so rows match the day they are counted on
+            const formatTime = date =>
+              date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone });
+
             return {
               id: worklog.id || Math.random(),
+              worklogId: worklog.id,
+              checkInRaw: isValidCheckIn ? worklog.check_in : null,
+              checkOutRaw: isValidCheckOut ? worklog.check_out : null,
+              correctionStatus: worklog.correction_status || null,
+              originalTimes:
+                originalCheckIn && !isNaN(originalCheckIn.getTime())
+                  ? `${formatTime(originalCheckIn)} – ${
+                      originalCheckOut && !isNaN(originalCheckOut.getTime())
+                        ? formatTime(originalCheckOut)
+                        : 'no check-out'
+                    }`
+                  : null,
               employee: {
                 id: employeeId,
                 name: employeeName,
@@ -201,25 +235,22 @@ export default function WorktimeScreen() {
                     year: 'numeric',
                     month: 'long',
                     day: 'numeric',
+                    timeZone,
                   })
                 : 'Date not available',
               dateShort: isValidCheckIn
                 ? checkInDate.toLocaleDateString('en-US', {
                     month: 'short',
                     day: 'numeric',
+                    timeZone,
                   })
                 : 'N/A',
               dateRaw: isValidCheckIn ? checkInDate : null, // For sorting and filtering
-              checkIn: isValidCheckIn
-                ? checkInDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-                : 'Not recorded',
-              checkOut: isValidCheckOut
-                ? checkOutDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-                : 'Still working',
-              totalHours:
-                totalHours !== null && totalHours !== undefined
-                  ? `${Math.floor(totalHours)}h ${Math.round((totalHours % 1) * 60)}m`
-                  : 'In progress',
+              session,
+              hoursValue: session ? session.hours : 0,
+              checkIn: isValidCheckIn ? formatTime(checkInDate) : 'Not recorded',
+              checkOut: isValidCheckOut ? formatTime(checkOutDate) : 'Still working',
+              totalHours: session && !session.open ? formatHours(session.hours) : 'In progress',
               workMode: worklog.location_check_in
                 ? worklog.location_check_in.includes('office')
                   ? 'Office'
@@ -355,6 +386,7 @@ export default function WorktimeScreen() {
     // Reset display count when filters change
     setDisplayCount(10);
     setIsExpanded(false);
+    setSelectedDay(null);
 
     // Only load worktime data when user is authenticated
     if (user && user.id) {
@@ -362,7 +394,36 @@ export default function WorktimeScreen() {
     } else {
       console.log('Waiting for user authentication before loading worktime data...');
     }
-  }, [selectedEmployee, selectedTimeFilter, canViewAll, user]);
+  }, [
+    selectedEmployee,
+    selectedTimeFilter,
+    customRange,
+    isCalendarView,
+    calendarMonth,
+    canViewAll,
+    user,
+  ]);
+
+  // Holidays and Sabbaths for coloring the calendar
+  useEffect(() => {
+    if (!isCalendarView || !user?.id) return undefined;
+
+    let cancelled = false;
+    const { from, to } = getMonthRange(calendarMonth.year, calendarMonth.month);
+    ApiService.integrations
+      .getHolidays({ date_from: toDateKey(from), date_to: toDateKey(to) })
+      .then(data => {
+        if (!cancelled) setHolidays(indexHolidays(data?.results || data));
+      })
+      .catch(error => {
+        console.warn('Could not load holidays for the calendar:', error.message);
+        if (!cancelled) setHolidays({});
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isCalendarView, calendarMonth, user]);
 
   // useEffect to load employees list for admin/accountant users
   useEffect(() => {
@@ -614,6 +675,71 @@ export default function WorktimeScreen() {
     colHours: {
       flex: 1.3,
     },
+
+    // Custom range and calendar
+    customRangeRow: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      gap: SPACING.xs,
+      marginTop: SPACING.sm,
+    },
+    customRangeInput: {
+      ...commonStyles.input,
+      flex: 1,
+      minHeight: 36,
+      paddingVertical: SPACING.xs,
+    },
+    customRangeSeparator: {
+      color: COLORS.textSecondary,
+    },
+    selectedDayRow: {
+      alignItems: 'center',
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginBottom: SPACING.md,
+    },
+    selectedDayText: {
+      color: COLORS.textPrimary,
+      fontSize: TYPOGRAPHY.body.fontSize * 0.9,
+      fontWeight: '600',
+    },
+
+    // Worklog corrections
+    correctionRow: {
+      alignItems: 'center',
+      borderTopColor: COLORS.glassBorder,
+      borderTopWidth: 1,
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginTop: SPACING.sm,
+      paddingTop: SPACING.sm,
+    },
+    correctionText: {
+      color: COLORS.textSecondary,
+      flexShrink: 1,
+      fontSize: TYPOGRAPHY.caption.fontSize,
+      fontStyle: 'italic',
+    },
+    correctionLink: {
+      color: COLORS.textPrimary,
+      fontSize: TYPOGRAPHY.caption.fontSize,
+      fontWeight: '600',
+      textDecorationLine: 'underline',
+    },
+    inboxButton: {
+      alignItems: 'center',
+      backgroundColor: COLORS.glassMedium,
+      borderColor: COLORS.glassBorder,
+      borderRadius: BORDER_RADIUS.md,
+      borderWidth: 1,
+      marginBottom: SPACING.md,
+      paddingVertical: SPACING.sm,
+    },
+    inboxButtonText: {
+      color: COLORS.textPrimary,
+      fontSize: TYPOGRAPHY.body.fontSize * 0.9,
+      fontWeight: '600',
+    },
   });
 
   const handleShowMore = () => {
@@ -623,11 +749,133 @@ export default function WorktimeScreen() {
       setIsExpanded(false);
     } else {
       // Expand - show all items
-      setDisplayCount(worktimeData.length);
+      setDisplayCount(visibleData.length);
       setIsExpanded(true);
     }
   };
 
+  const handleApplyCustomRange = () => {
+    const from = parseDateKey(customFromInput);
+    const to = parseDateKey(customToInput);
+    const error = validateDateRange(from, to);
+    if (error) {
+      showGlassAlert('Invalid Date Range', error);
+      return;
+    }
+    setCustomRange({ from, to });
+  };
+
+  const handleChangeCalendarMonth = delta => {
+    setCalendarMonth(({ year, month }) => {
+      const date = new Date(year, month - 1 + delta, 1);
+      return { year: date.getFullYear(), month: date.getMonth() + 1 };
+    });
+  };
+
+  const calendarSegments = isCalendarView
+    ? worktimeData.flatMap(item => (item.session ? splitSessionByDay(item.session) : []))
+    : [];
+
+  // The calendar narrows the list to sessions worked on the picked day,
+  // including overnight shifts that started the day before
+  const selectedDayWorklogs = new Set(
+    calendarSegments
+      .filter(segment => segment.dateKey === selectedDay)
+      .map(segment => segment.worklogId)
+  );
+  const visibleData = selectedDay
+    ? worktimeData.filter(item => selectedDayWorklogs.has(item.worklogId))
+    : worktimeData;
+
+  const calendarWeeks = isCalendarView
+    ? buildCalendarMonth(calendarMonth.year, calendarMonth.month, {
+        hoursByDay: totalsByDay(calendarSegments),
+        peakHours: peakEmployeeHoursByDay(calendarSegments),
+        holidays,
+      })
+    : [];
+  const today = getZonedParts(new Date());
+  const isCurrentCalendarMonth =
+    calendarMonth.year === today.year && calendarMonth.month === today.month;
+  const noData = worktimeData.length === 0 && !isCalendarView;
+
+  const runExport = async format => {
+    // A day picked in the calendar narrows the export to that day
+    const range = selectedDay
+      ? { from: parseDateKey(selectedDay), to: parseDateKey(selectedDay) }
+      : getActiveRange();
+    const employeeName = canViewAll
+      ? selectedEmployee?.name
+      : `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email;
+
+    try {
+      const result = await exportWorktime(visibleData, { format, range, employeeName });
+      console.log('Worktime exported:', { format, rows: result.rowCount, shared: result.shared });
+
+      if (!result.shared) {
+        showGlassAlert(
+          'Export Saved',
+          'Sharing is not available on this device. The file was saved to app storage.'
+        );
+      }
+    } catch (error) {
+      console.error('Worktime export error:', error);
+      showGlassAlert('Error', 'Failed to export worktime history');
+    }
+  };
+
+  const handleExport = () => {
+    showGlassAlert(
+      'Export Worktime',
+      `Export ${visibleData.length} work record(s)${
+        selectedEmployee && canViewAll ? ` for ${selectedEmployee.name}` : ''
+      }`,
+      [
+        { text: 'CSV', onPress: () => runExport(WORKTIME_EXPORT_FORMATS.CSV) },
+        { text: 'Calendar (.ics)', onPress: () => runExport(WORKTIME_EXPORT_FORMATS.ICS) },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  // Own rows only; managers correct other employees' worklogs through approvals.
+  // A session opened today is still in progress rather than a forgotten check-out.
+  const canRequestCorrection = item =>
+    !!item.worklogId &&
+    !!item.checkInRaw &&
+    (!canViewAll || String(item.employee.id) === String(user.employee_id ?? user.id)) &&
+    (!!item.checkOutRaw ||
+      toZonedDateKey(new Date(item.checkInRaw)) !== toZonedDateKey(new Date()));
+
+  const handleRequestCorrection = item => {
+    if (item.correctionStatus === CORRECTION_STATUS.PENDING) {
+      showGlassAlert(
+        'Correction Pending',
+        'A correction for this worklog is already waiting for manager approval.'
+      );
+      return;
+    }
+
+    router.push({
+      pathname: '/worklog-correction',
+      params: {
+        worklogId: String(item.worklogId),
+        checkIn: item.checkInRaw,
+        checkOut: item.checkOutRaw || '',
+      },
+    });
+  };
+
+  const renderCorrectionInfo = item => {
+    if (item.correctionStatus === CORRECTION_STATUS.PENDING) {
+      return <Text style={styles.correctionText}>Correction pending approval</Text>;
+    }
+    if (item.originalTimes) {
+      return <Text style={styles.correctionText}>Corrected · was {item.originalTimes}</Text>;
+    }
+    return null;
+  };
+
   const renderItem = ({ item }) => (
     <LiquidGlassCard variant="bordered" padding="md" style={{ marginBottom: theme.spacing.md }}>
       <View
@@ -733,6 +981,18 @@ export default function WorktimeScreen() {
           </Text>
         </View>
       </View>
+      {(renderCorrectionInfo(item) || canRequestCorrection(item)) && (
+        <View style={styles.correctionRow}>
+          {renderCorrectionInfo(item) || <View />}
+          {canRequestCorrection(item) && (
+            <TouchableOpacity onPress={() => handleRequestCorrection(item)}>
+              <Text style={styles.correctionLink}>
+                {item.checkOut === 'Still working' ? 'Fix missing check-out' : 'Request correction'}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
     </LiquidGlassCard>
   );
 
@@ -761,81 +1021,117 @@ export default function WorktimeScreen() {
     >
       <View style={{ flex: 1 }}>
         <View style={styles.header}>
-          {/* Time Period Filter */}
-          <View style={styles.timeFilterSection}>
-            <Text style={styles.selectorLabel}>Time Period:</Text>
-            <ScrollView
-              horizontal
-              showsHorizontalScrollIndicator={false}
-              style={styles.selectorScroll}
-              contentContainerStyle={styles.selectorScrollContent}
+          {/* Correction approvals for managers */}
+          {canViewAll && (
+            <TouchableOpacity
+              style={styles.inboxButton}
+              onPress={() => router.push('/correction-requests')}
             >
-              {Object.entries(TIME_FILTERS).map(([key, filter]) => (
-                <TouchableOpacity
-                  key={key}
-                  style={[
-                    styles.selectorButton,
-                    selectedTimeFilter === key && styles.selectorButtonActive,
-                  ]}
-                  onPress={() => setSelectedTimeFilter(key)}
-                >
-                  <Text
+              <Text style={styles.inboxButtonText}>Correction Requests</Text>
+            </TouchableOpacity>
+          )}
+
+          {/* Time Period Filter (the calendar picks its own month) */}
+          {!isCalendarView && (
+            <View style={styles.timeFilterSection}>
+              <Text style={styles.selectorLabel}>Time Period:</Text>
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={styles.selectorScroll}
+                contentContainerStyle={styles.selectorScrollContent}
+              >
+                {Object.entries(TIME_FILTERS).map(([key, filter]) => (
+                  <TouchableOpacity
+                    key={key}
                     style={[
-                      styles.selectorButtonText,
-                      selectedTimeFilter === key && styles.selectorButtonTextActive,
+                      styles.selectorButton,
+                      selectedTimeFilter === key && styles.selectorButtonActive,
                     ]}
+                    onPress={() => setSelectedTimeFilter(key)}
                   >
-                    {filter.label}
-                  </Text>
-                </TouchableOpacity>
-              ))}
-            </ScrollView>
-          </View>
+                    <Text
+                      style={[
+                        styles.selectorButtonText,
+                        selectedTimeFilter === key && styles.selectorButtonTextActive,
+                      ]}
+                    >
+                      {filter.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+
+              {TIME_FILTERS[selectedTimeFilter].custom && (
+                <View style={styles.customRangeRow}>
+                  <TextInput
+                    style={styles.customRangeInput}
+                    value={customFromInput}
+                    onChangeText={setCustomFromInput}
+                    placeholder="YYYY-MM-DD"
+                    placeholderTextColor={COLORS.textMuted}
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={10}
+                    accessibilityLabel="Start date"
+                  />
+                  <Text style={styles.customRangeSeparator}>–</Text>
+                  <TextInput
+                    style={styles.customRangeInput}
+                    value={customToInput}
+                    onChangeText={setCustomToInput}
+                    placeholder="YYYY-MM-DD"
+                    placeholderTextColor={COLORS.textMuted}
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={10}
+                    accessibilityLabel="End date"
+                  />
+                  <TouchableOpacity
+                    style={[styles.selectorButton, styles.selectorButtonActive]}
+                    onPress={handleApplyCustomRange}
+                  >
+                    <Text style={[styles.selectorButtonText, styles.selectorButtonTextActive]}>
+                      Apply
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </View>
+          )}
 
           {/* View Toggle */}
           <View style={styles.viewToggleSection}>
             <Text style={styles.selectorLabel}>View:</Text>
-            <View
-              style={[styles.viewToggle, worktimeData.length === 0 && styles.viewToggleDisabled]}
-            >
-              <TouchableOpacity
-                style={[
-                  styles.toggleButton,
-                  !isTableView && styles.toggleButtonActive,
-                  worktimeData.length === 0 && styles.toggleButtonDisabled,
-                ]}
-                onPress={() => worktimeData.length > 0 && setIsTableView(false)}
-                disabled={worktimeData.length === 0}
-              >
-                <Text
-                  style={[
-                    styles.toggleButtonText,
-                    !isTableView && styles.toggleButtonTextActive,
-                    worktimeData.length === 0 && styles.toggleButtonTextDisabled,
-                  ]}
-                >
-                  Cards
-                </Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={[
-                  styles.toggleButton,
-                  isTableView && styles.toggleButtonActive,
-                  worktimeData.length === 0 && styles.toggleButtonDisabled,
-                ]}
-                onPress={() => worktimeData.length > 0 && setIsTableView(true)}
-                disabled={worktimeData.length === 0}
-              >
-                <Text
-                  style={[
-                    styles.toggleButtonText,
-                    isTableView && styles.toggleButtonTextActive,
-                    worktimeData.length === 0 && styles.toggleButtonTextDisabled,
-                  ]}
-                >
-                  Table
-                </Text>
-              </TouchableOpacity>
+            <View style={[styles.viewToggle, noData && styles.viewToggleDisabled]}>
+              {[
+                [VIEW_MODES.CARDS, 'Cards'],
+                [VIEW_MODES.TABLE, 'Table'],
+                [VIEW_MODES.CALENDAR, 'Calendar'],
+              ].map(([mode, label]) => {
+                // An empty period still has a calendar to browse
+                const disabled = noData && mode !== VIEW_MODES.CALENDAR;
+                return (
+                  <TouchableOpacity
+                    key={mode}
+                    style={[
+                      styles.toggleButton,
+                      viewMode === mode && styles.toggleButtonActive,
+                      disabled && styles.toggleButtonDisabled,
+                    ]}
+                    onPress={() => setViewMode(mode)}
+                    disabled={disabled}
+                  >
+                    <Text
+                      style={[
+                        styles.toggleButtonText,
+                        viewMode === mode && styles.toggleButtonTextActive,
+                        disabled && styles.toggleButtonTextDisabled,
+                      ]}
+                    >
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
             </View>
           </View>
 
@@ -884,11 +1180,46 @@ export default function WorktimeScreen() {
               </ScrollView>
             </View>
           )}
+
+          {/* Timesheet export of the records on screen */}
+          {!loading && visibleData.length > 0 && (
+            <TouchableOpacity style={styles.inboxButton} onPress={handleExport}>
+              <Text style={styles.inboxButtonText}>Export</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
+        {isCalendarView && (
+          <>
+            <WorktimeCalendar
+              year={calendarMonth.year}
+              month={calendarMonth.month}
+              weeks={calendarWeeks}
+              selectedDateKey={selectedDay}
+              onSelectDay={setSelectedDay}
+              onChangeMonth={handleChangeCalendarMonth}
+              disableNext={isCurrentCalendarMonth}
+            />
+            {selectedDay && (
+              <View style={styles.selectedDayRow}>
+                <Text style={styles.selectedDayText}>
+                  {parseDateKey(selectedDay).toLocaleDateString('en-US', {
+                    weekday: 'long',
+                    month: 'long',
+                    day: 'numeric',
+                  })}
+                </Text>
+                <TouchableOpacity onPress={() => setSelectedDay(null)}>
+                  <Text style={styles.correctionLink}>Show whole month</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </>
+        )}
+
         {loading ? (
           <ActivityIndicator size="large" color={theme.colors.text.primary} style={styles.loader} />
-        ) : worktimeData.length === 0 ? (
+        ) : visibleData.length === 0 ? (
           renderEmptyComponent()
         ) : (
           <>
@@ -906,10 +1237,12 @@ export default function WorktimeScreen() {
                     <Text style={[styles.tableHeaderText, styles.colHours]}>Hours</Text>
                   </View>
                   {/* Table Rows */}
-                  {worktimeData.slice(0, displayCount).map((item, index) => (
-                    <View
+                  {visibleData.slice(0, displayCount).map((item, index) => (
+                    <TouchableOpacity
                       key={item.id}
                       style={[styles.tableRow, index % 2 === 0 && styles.tableRowEven]}
+                      onPress={() => handleRequestCorrection(item)}
+                      disabled={!canRequestCorrection(item)}
                     >
                       <Text style={[styles.tableCellText, styles.colDate]}>{item.dateShort}</Text>
                       {canViewAll && (
@@ -924,11 +1257,14 @@ export default function WorktimeScreen() {
                       <Text style={[styles.tableCellText, styles.colTime]}>
                         {item.checkOut === 'Still working' ? '--' : item.checkOut}
                       </Text>
-                      <Text style={[styles.tableCellText, styles.colHours]}>{item.totalHours}</Text>
-                    </View>
+                      <Text style={[styles.tableCellText, styles.colHours]}>
+                        {item.totalHours}
+                        {item.originalTimes || item.correctionStatus ? ' ✎' : ''}
+                      </Text>
+                    </TouchableOpacity>
                   ))}
                 </View>
-                {worktimeData.length > 10 && (
+                {visibleData.length > 10 && (
                   <View style={styles.showMoreContainer}>
                     <LiquidGlassButton
                       title={isExpanded ? 'Hide' : 'Show more'}
@@ -941,10 +1277,10 @@ export default function WorktimeScreen() {
               </View>
             ) : (
               <View style={styles.listContent}>
-                {worktimeData.slice(0, displayCount).map(item => (
+                {visibleData.slice(0, displayCount).map(item => (
                   <View key={item.id}>{renderItem({ item })}</View>
                 ))}
-                {!loading && worktimeData.length > 10 && (
+                {!loading && visibleData.length > 10 && (
                   <View style={styles.showMoreContainer}>
                     <LiquidGlassButton
                       title={isExpanded ? 'Hide' : 'Show more'}
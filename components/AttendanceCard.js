@@ -0,0 +1,157 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LiquidGlassCard from './LiquidGlassCard';
+import {
+  ATTENDANCE_ISSUE,
+  ATTENDANCE_ISSUE_LABELS,
+  countAttendanceIssues,
+  describeAttendanceIssue,
+} from '../src/utils/shiftSchedule';
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from '../constants/CommonStyles';
+
+const ISSUE_COLORS = {
+  [ATTENDANCE_ISSUE.LATE]: COLORS.warning,
+  [ATTENDANCE_ISSUE.EARLY_DEPARTURE]: COLORS.warning,
+  [ATTENDANCE_ISSUE.NO_SHOW]: COLORS.error,
+  [ATTENDANCE_ISSUE.UNPLANNED]: COLORS.info,
+};
+
+/**
+ * Planned shifts against actual attendance: counts per kind of deviation and
+ * the most recent ones. Hidden when nothing was planned.
+ */
+const AttendanceCard = ({
+  issues,
+  hasShifts,
+  title = 'Schedule vs Attendance',
+  description,
+  showEmployee = false,
+  nameOf = () => '',
+  maxItems = 5,
+  style,
+}) => {
+  if (!hasShifts && (!issues || issues.length === 0)) return null;
+
+  const counts = countAttendanceIssues(issues);
+  const shown = issues.slice(0, maxItems);
+
+  return (
+    <LiquidGlassCard variant="bordered" padding="md" style={[styles.card, style]}>
+      <View style={styles.header}>
+        <Ionicons name="calendar" size={18} color={COLORS.textPrimary} />
+        <Text style={styles.title}>{title}</Text>
+      </View>
+      {!!description && <Text style={styles.description}>{description}</Text>}
+
+      <View style={styles.countRow}>
+        {Object.values(ATTENDANCE_ISSUE).map(type => (
+          <View key={type} style={styles.countItem}>
+            <Text style={[styles.count, { color: ISSUE_COLORS[type] }]}>{counts[type]}</Text>
+            <Text style={styles.countLabel}>{ATTENDANCE_ISSUE_LABELS[type]}</Text>
+          </View>
+        ))}
+      </View>
+
+      {shown.length === 0 ? (
+        <Text style={styles.detail}>Everything went as planned</Text>
+      ) : (
+        shown.map(issue => (
+          <View
+            key={`${issue.type}-${issue.shift?.shiftId ?? issue.session?.worklogId}`}
+            style={styles.row}
+          >
+            <View style={[styles.dot, { backgroundColor: ISSUE_COLORS[issue.type] }]} />
+            <View style={styles.info}>
+              {showEmployee && (
+                <Text style={styles.employee}>
+                  {nameOf(issue.employeeId) || issue.session?.employeeName || 'Employee'}
+                </Text>
+              )}
+              <Text style={styles.detail}>{describeAttendanceIssue(issue)}</Text>
+            </View>
+          </View>
+        ))
+      )}
+      {issues.length > shown.length && (
+        <Text style={styles.more}>+{issues.length - shown.length} more</Text>
+      )}
+    </LiquidGlassCard>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: SPACING.md,
+  },
+  header: {
+    alignItems: 'center',
+    flexDirection: 'row',
+    gap: SPACING.xs,
+    marginBottom: SPACING.xs,
+  },
+  title: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textPrimary,
+    fontWeight: '600',
+  },
+  description: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.sm,
+  },
+  countRow: {
+    flexDirection: 'row',
+    gap: SPACING.xs,
+    marginBottom: SPACING.sm,
+  },
+  countItem: {
+    alignItems: 'center',
+    borderColor: COLORS.glassBorder,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    flex: 1,
+    paddingVertical: SPACING.xs,
+  },
+  count: {
+    ...TYPOGRAPHY.body,
+    fontWeight: 'bold',
+  },
+  countLabel: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+  },
+  row: {
+    alignItems: 'center',
+    borderTopColor: COLORS.glassBorder,
+    borderTopWidth: 1,
+    flexDirection: 'row',
+    gap: SPACING.sm,
+    paddingVertical: SPACING.sm,
+  },
+  dot: {
+    borderRadius: 4,
+    height: 8,
+    width: 8,
+  },
+  info: {
+    flex: 1,
+  },
+  employee: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textPrimary,
+    fontWeight: '600',
+  },
+  detail: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+  },
+  more: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    marginTop: SPACING.xs,
+  },
+});
+
+export default AttendanceCard;
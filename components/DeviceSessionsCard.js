@@ -0,0 +1,139 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LiquidGlassCard from './LiquidGlassCard';
+import { describeDeviceSession, describeLastSeen } from '../src/utils/deviceSessions';
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from '../constants/CommonStyles';
+
+const PLATFORM_ICONS = {
+  ios: 'phone-portrait',
+  android: 'phone-portrait',
+  web: 'desktop',
+};
+
+/**
+ * Devices signed in to the account, each with a sign-out action
+ */
+const DeviceSessionsCard = ({
+  sessions,
+  loading = false,
+  error = null,
+  title = 'My Devices',
+  description,
+  onRevoke,
+  revokingId = null,
+  style,
+}) => (
+  <LiquidGlassCard variant="bordered" padding="md" style={[styles.card, style]}>
+    <View style={styles.header}>
+      <Ionicons name="phone-portrait-outline" size={18} color={COLORS.textPrimary} />
+      <Text style={styles.title}>{title}</Text>
+      {loading && <ActivityIndicator size="small" color={COLORS.textSecondary} />}
+    </View>
+    {!!description && <Text style={styles.description}>{description}</Text>}
+    {!!error && <Text style={styles.error}>{error}</Text>}
+    {!loading && !error && sessions.length === 0 && (
+      <Text style={styles.detail}>No active sessions</Text>
+    )}
+
+    {sessions.map(session => (
+      <View key={session.id} style={styles.row}>
+        <Ionicons
+          name={PLATFORM_ICONS[session.platform] || 'hardware-chip-outline'}
+          size={20}
+          color={COLORS.textSecondary}
+        />
+        <View style={styles.info}>
+          <Text style={styles.name}>
+            {session.name}
+            {session.isCurrent && <Text style={styles.current}> · This device</Text>}
+          </Text>
+          <Text style={styles.detail}>{describeDeviceSession(session)}</Text>
+          <Text style={styles.detail}>{describeLastSeen(session.lastSeen)}</Text>
+        </View>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => onRevoke(session)}
+          disabled={revokingId !== null}
+          accessibilityRole="button"
+          accessibilityLabel={`Sign out ${session.name}`}
+        >
+          {revokingId === session.id ? (
+            <ActivityIndicator size="small" color={COLORS.textPrimary} />
+          ) : (
+            <Text style={styles.actionText}>Sign Out</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    ))}
+  </LiquidGlassCard>
+);
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: SPACING.md,
+  },
+  header: {
+    alignItems: 'center',
+    flexDirection: 'row',
+    gap: SPACING.xs,
+    marginBottom: SPACING.xs,
+  },
+  title: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textPrimary,
+    flex: 1,
+    fontWeight: '600',
+  },
+  description: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.sm,
+  },
+  error: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.error,
+    marginBottom: SPACING.sm,
+  },
+  row: {
+    alignItems: 'center',
+    borderTopColor: COLORS.glassBorder,
+    borderTopWidth: 1,
+    flexDirection: 'row',
+    gap: SPACING.sm,
+    paddingVertical: SPACING.sm,
+  },
+  info: {
+    flex: 1,
+  },
+  name: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textPrimary,
+    fontWeight: '600',
+  },
+  current: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.info,
+  },
+  detail: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+  },
+  actionButton: {
+    alignItems: 'center',
+    borderColor: COLORS.error,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    minWidth: 80,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.xs,
+  },
+  actionText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.error,
+    fontWeight: '600',
+  },
+});
+
+export default DeviceSessionsCard;
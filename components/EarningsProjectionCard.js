@@ -0,0 +1,176 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { View, Text, StyleSheet, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LiquidGlassCard from './LiquidGlassCard';
+import { EMPLOYMENT_TYPES, PAY_RATES } from '../src/utils/earningsEstimate';
+import { COLORS, SPACING, TYPOGRAPHY } from '../constants/CommonStyles';
+
+const formatMoney = amount =>
+  `₪${(amount || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+const formatDifference = amount =>
+  amount === 0 ? 'matches' : `${amount > 0 ? '+' : '−'}${formatMoney(Math.abs(amount))}`;
+
+const percentOf = rate => `${Math.round(rate * 100)}%`;
+
+// Lines of the estimate, in payslip order; lines without hours or pay are left out
+const projectionLines = estimate => [
+  estimate.employment_type === EMPLOYMENT_TYPES.FULL_TIME
+    ? {
+        label: estimate.total_working_days
+          ? `Base salary · ${estimate.worked_days}/${estimate.total_working_days} days`
+          : 'Base salary',
+        amount: estimate.base_salary,
+      }
+    : {
+        label: 'Regular hours',
+        hours: estimate.regular_hours,
+        amount: estimate.regular_pay,
+      },
+  {
+    label: `Overtime ${percentOf(PAY_RATES.OVERTIME_125)}`,
+    hours: estimate.breakdown.overtime_125_hours,
+    amount: estimate.breakdown.overtime_125_pay,
+  },
+  {
+    label: `Overtime ${percentOf(PAY_RATES.OVERTIME_150)}`,
+    hours: estimate.breakdown.overtime_150_hours,
+    amount: estimate.breakdown.overtime_150_pay,
+  },
+  { label: 'Shabbat work', hours: estimate.sabbath_hours, amount: estimate.sabbath_pay },
+  { label: 'Holiday work', hours: estimate.holiday_hours, amount: estimate.holiday_pay },
+];
+
+/**
+ * Earnings projected from the hours worked so far in the pay period, and how
+ * they compare with the payroll figure once the server has one
+ */
+const EarningsProjectionCard = ({
+  estimate,
+  reconciliation = [],
+  loading = false,
+  error = null,
+  style,
+}) => (
+  <LiquidGlassCard variant="bordered" padding="md" style={[styles.card, style]}>
+    <View style={styles.header}>
+      <Ionicons name="trending-up" size={18} color={COLORS.textPrimary} />
+      <Text style={styles.title}>Projected Earnings</Text>
+      {loading && <ActivityIndicator size="small" color={COLORS.textSecondary} />}
+    </View>
+    <Text style={styles.description}>
+      Estimated from the hours worked so far this month. The payroll run is final.
+    </Text>
+    {!!error && <Text style={styles.error}>{error}</Text>}
+
+    {estimate && (
+      <>
+        <Text style={styles.total}>{formatMoney(estimate.total_salary)}</Text>
+        <Text style={styles.detail}>
+          {estimate.total_hours}h over {estimate.worked_days} day(s)
+        </Text>
+
+        {projectionLines(estimate)
+          .filter(line => line.hours > 0 || line.amount > 0)
+          .map(line => (
+            <View key={line.label} style={styles.row}>
+              <Text style={styles.label}>
+                {line.label}
+                {line.hours > 0 ? ` · ${line.hours}h` : ''}
+              </Text>
+              <Text style={styles.value}>{formatMoney(line.amount)}</Text>
+            </View>
+          ))}
+
+        {reconciliation.length > 0 && (
+          <View style={styles.reconciliation}>
+            <Text style={styles.sectionTitle}>Compared with payroll</Text>
+            {reconciliation.map(line => (
+              <View key={line.key} style={styles.row}>
+                <Text style={styles.label}>{line.label}</Text>
+                <Text style={styles.value}>
+                  {formatMoney(line.actual)}{' '}
+                  <Text style={line.difference === 0 ? styles.matches : styles.difference}>
+                    ({formatDifference(line.difference)})
+                  </Text>
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </>
+    )}
+  </LiquidGlassCard>
+);
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: SPACING.md,
+  },
+  header: {
+    alignItems: 'center',
+    flexDirection: 'row',
+    gap: SPACING.xs,
+    marginBottom: SPACING.xs,
+  },
+  title: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textPrimary,
+    flex: 1,
+    fontWeight: '600',
+  },
+  description: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.sm,
+  },
+  error: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.error,
+    marginBottom: SPACING.sm,
+  },
+  total: {
+    ...TYPOGRAPHY.title,
+    color: COLORS.textPrimary,
+  },
+  detail: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.sm,
+  },
+  row: {
+    borderTopColor: COLORS.glassBorder,
+    borderTopWidth: 1,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: SPACING.xs,
+  },
+  label: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textPrimary,
+    flex: 1,
+    paddingRight: SPACING.sm,
+  },
+  value: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+  },
+  reconciliation: {
+    marginTop: SPACING.sm,
+  },
+  sectionTitle: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    marginBottom: SPACING.xs,
+    textTransform: 'uppercase',
+  },
+  matches: {
+    color: COLORS.success,
+  },
+  difference: {
+    color: COLORS.warning,
+  },
+});
+
+export default EarningsProjectionCard;
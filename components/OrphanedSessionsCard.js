@@ -0,0 +1,138 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { router } from 'expo-router';
+import LiquidGlassCard from './LiquidGlassCard';
+import { describeSessionAnomaly } from '../src/utils/sessionAnomalies';
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from '../constants/CommonStyles';
+
+// Opens the correction form for the open worklog
+const openCorrection = session =>
+  router.push({
+    pathname: '/worklog-correction',
+    params: {
+      worklogId: String(session.worklogId),
+      checkIn: session.checkIn,
+      checkOut: '',
+    },
+  });
+
+/**
+ * Open sessions flagged as forgotten check-outs, each with a check-out and a
+ * correction action
+ */
+const OrphanedSessionsCard = ({
+  sessions,
+  title = 'Open Sessions',
+  description,
+  showEmployee = false,
+  checkOutLabel = 'Check Out',
+  onCheckOut,
+  busyId = null,
+  style,
+}) => {
+  if (!sessions || sessions.length === 0) return null;
+
+  return (
+    <LiquidGlassCard variant="bordered" padding="md" style={[styles.card, style]}>
+      <View style={styles.header}>
+        <Ionicons name="warning" size={18} color={COLORS.warning} />
+        <Text style={styles.title}>{title}</Text>
+      </View>
+      {!!description && <Text style={styles.description}>{description}</Text>}
+
+      {sessions.map(session => (
+        <View key={session.worklogId} style={styles.row}>
+          <View style={styles.info}>
+            {showEmployee && <Text style={styles.employee}>{session.employeeName}</Text>}
+            <Text style={styles.detail}>{describeSessionAnomaly(session)}</Text>
+          </View>
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => onCheckOut(session)}
+              disabled={!!busyId}
+            >
+              {busyId === session.worklogId ? (
+                <ActivityIndicator size="small" color={COLORS.textPrimary} />
+              ) : (
+                <Text style={styles.actionText}>{checkOutLabel}</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => openCorrection(session)}
+              disabled={!!busyId}
+            >
+              <Text style={styles.actionText}>Correct</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+    </LiquidGlassCard>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    borderColor: COLORS.warning,
+    marginBottom: SPACING.md,
+  },
+  header: {
+    alignItems: 'center',
+    flexDirection: 'row',
+    gap: SPACING.xs,
+    marginBottom: SPACING.xs,
+  },
+  title: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textPrimary,
+    fontWeight: '600',
+  },
+  description: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.sm,
+  },
+  row: {
+    alignItems: 'center',
+    borderTopColor: COLORS.glassBorder,
+    borderTopWidth: 1,
+    flexDirection: 'row',
+    paddingVertical: SPACING.sm,
+  },
+  info: {
+    flex: 1,
+    paddingRight: SPACING.sm,
+  },
+  employee: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textPrimary,
+    fontWeight: '600',
+  },
+  detail: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: SPACING.xs,
+  },
+  actionButton: {
+    alignItems: 'center',
+    borderColor: COLORS.glassBorder,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    minWidth: 64,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.xs,
+  },
+  actionText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textPrimary,
+    fontWeight: '600',
+  },
+});
+
+export default OrphanedSessionsCard;
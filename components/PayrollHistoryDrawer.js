@@ -0,0 +1,172 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useLiquidGlassTheme from '../hooks/useLiquidGlassTheme';
+import { getPayrollStatusLabel, PAYROLL_STATUS } from '../src/utils/payrollStatus';
+
+/**
+ * Bottom drawer with the status audit trail of a single payroll record.
+ * `emptyMessage` replaces the default text shown when there is no history.
+ */
+const PayrollHistoryDrawer = ({
+  visible,
+  title,
+  subtitle,
+  history = [],
+  loading,
+  emptyMessage,
+  onClose,
+}) => {
+  const theme = useLiquidGlassTheme();
+
+  if (!theme) return null;
+
+  const statusColor = status => {
+    switch (status) {
+      case PAYROLL_STATUS.PAID:
+        return theme.colors.status.info[0];
+      case PAYROLL_STATUS.CONFIRMED:
+        return theme.colors.status.success[0];
+      case PAYROLL_STATUS.DRAFT:
+        return theme.colors.text.muted;
+      default:
+        return theme.colors.status.warning[0];
+    }
+  };
+
+  const formatTimestamp = value => {
+    if (!value) return 'Unknown time';
+    const date = new Date(value);
+    return isNaN(date.getTime())
+      ? value
+      : date.toLocaleString('en-US', {
+          day: 'numeric',
+          month: 'short',
+          year: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit',
+        });
+  };
+
+  const styles = StyleSheet.create({
+    backdrop: {
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      flex: 1,
+      justifyContent: 'flex-end',
+    },
+    drawer: {
+      backgroundColor: theme.colors.background.primary[1],
+      borderColor: theme.colors.glass.border,
+      borderTopLeftRadius: theme.borderRadius.xl,
+      borderTopRightRadius: theme.borderRadius.xl,
+      borderWidth: 1,
+      maxHeight: '70%',
+      paddingBottom: theme.spacing.xl,
+      paddingHorizontal: theme.spacing.lg,
+      paddingTop: theme.spacing.md,
+    },
+    header: {
+      alignItems: 'flex-start',
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginBottom: theme.spacing.md,
+    },
+    title: {
+      color: theme.colors.text.primary,
+      fontSize: theme.typography.body.fontSize,
+      fontWeight: 'bold',
+    },
+    subtitle: {
+      color: theme.colors.text.secondary,
+      fontSize: theme.typography.caption.fontSize,
+      marginTop: theme.spacing.xs,
+    },
+    entry: {
+      borderLeftWidth: 2,
+      marginBottom: theme.spacing.md,
+      paddingLeft: theme.spacing.md,
+    },
+    entryTransition: {
+      fontSize: theme.typography.body.fontSize,
+      fontWeight: '600',
+    },
+    entryMeta: {
+      color: theme.colors.text.secondary,
+      fontSize: theme.typography.caption.fontSize,
+      marginTop: 2,
+    },
+    entryNote: {
+      color: theme.colors.text.muted,
+      fontSize: theme.typography.caption.fontSize,
+      fontStyle: 'italic',
+      marginTop: 2,
+    },
+    emptyText: {
+      color: theme.colors.text.secondary,
+      fontSize: theme.typography.caption.fontSize,
+      paddingVertical: theme.spacing.lg,
+      textAlign: 'center',
+    },
+  });
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop}>
+          <TouchableWithoutFeedback>
+            <View style={styles.drawer}>
+              <View style={styles.header}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.title}>{title || 'Status History'}</Text>
+                  {subtitle ? <Text style={styles.subtitle}>{subtitle}</Text> : null}
+                </View>
+                <TouchableOpacity onPress={onClose}>
+                  <Ionicons name="close" size={22} color={theme.colors.text.primary} />
+                </TouchableOpacity>
+              </View>
+
+              {loading ? (
+                <ActivityIndicator color={theme.colors.text.primary} />
+              ) : history.length === 0 ? (
+                <Text style={styles.emptyText}>
+                  {emptyMessage || 'No status changes recorded yet'}
+                </Text>
+              ) : (
+                <ScrollView>
+                  {history.map((entry, index) => (
+                    <View
+                      key={`${entry.at || 'unknown'}-${index}`}
+                      style={[styles.entry, { borderLeftColor: statusColor(entry.to) }]}
+                    >
+                      <Text style={[styles.entryTransition, { color: statusColor(entry.to) }]}>
+                        {entry.from
+                          ? `${getPayrollStatusLabel(entry.from)} → ${getPayrollStatusLabel(entry.to)}`
+                          : getPayrollStatusLabel(entry.to)}
+                      </Text>
+                      <Text style={styles.entryMeta}>
+                        {entry.by} · {formatTimestamp(entry.at)}
+                      </Text>
+                      {entry.note ? <Text style={styles.entryNote}>{entry.note}</Text> : null}
+                    </View>
+                  ))}
+                </ScrollView>
+              )}
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+export default PayrollHistoryDrawer;
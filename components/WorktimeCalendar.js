@@ -0,0 +1,177 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import LiquidGlassCard from './LiquidGlassCard';
+import { DAY_STATUS, DAY_STATUS_LABELS } from '../src/utils/worktimeCalendar';
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from '../constants/CommonStyles';
+
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const STATUS_COLORS = {
+  [DAY_STATUS.OVERTIME]: COLORS.warning,
+  [DAY_STATUS.HOLIDAY]: COLORS.secondary,
+  [DAY_STATUS.SABBATH]: COLORS.info,
+};
+
+const formatHours = hours => (hours > 0 ? `${Math.round(hours * 10) / 10}h` : '');
+
+/**
+ * Month calendar of worked hours
+ * Each day shows its total and is tinted by overtime, holiday or Sabbath
+ * status. Tapping a day selects it; tapping it again clears the selection.
+ */
+const WorktimeCalendar = ({
+  year,
+  month,
+  weeks,
+  selectedDateKey,
+  onSelectDay,
+  onChangeMonth,
+  disableNext = false,
+  legendStatuses = Object.keys(STATUS_COLORS),
+}) => {
+  const title = new Date(year, month - 1, 1).toLocaleDateString('en-US', {
+    month: 'long',
+    year: 'numeric',
+  });
+
+  return (
+    <LiquidGlassCard variant="bordered" padding="md" style={styles.card}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => onChangeMonth(-1)} style={styles.navButton}>
+          <Ionicons name="chevron-back" size={18} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.title}>{title}</Text>
+        <TouchableOpacity
+          onPress={() => onChangeMonth(1)}
+          style={[styles.navButton, disableNext && styles.navButtonDisabled]}
+          disabled={disableNext}
+        >
+          <Ionicons name="chevron-forward" size={18} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.week}>
+        {WEEKDAYS.map((weekday, index) => (
+          <Text key={index} style={styles.weekday}>
+            {weekday}
+          </Text>
+        ))}
+      </View>
+
+      {weeks.map((week, weekIndex) => (
+        <View key={weekIndex} style={styles.week}>
+          {week.map((cell, dayIndex) =>
+            cell ? (
+              <TouchableOpacity
+                key={cell.dateKey}
+                style={[
+                  styles.day,
+                  cell.status && { backgroundColor: STATUS_COLORS[cell.status] },
+                  cell.dateKey === selectedDateKey && styles.daySelected,
+                ]}
+                onPress={() => onSelectDay(cell.dateKey === selectedDateKey ? null : cell.dateKey)}
+                accessibilityLabel={`${cell.date.toDateString()}${
+                  cell.hours > 0 ? `, ${formatHours(cell.hours)}` : ''
+                }${cell.status ? `, ${DAY_STATUS_LABELS[cell.status]}` : ''}`}
+              >
+                <Text style={styles.dayNumber}>{cell.day}</Text>
+                <Text style={styles.dayHours}>{formatHours(cell.hours)}</Text>
+              </TouchableOpacity>
+            ) : (
+              <View key={`empty-${dayIndex}`} style={styles.day} />
+            )
+          )}
+        </View>
+      ))}
+
+      <View style={styles.legend}>
+        {legendStatuses.map(status => (
+          <View key={status} style={styles.legendItem}>
+            <View style={[styles.legendSwatch, { backgroundColor: STATUS_COLORS[status] }]} />
+            <Text style={styles.legendText}>{DAY_STATUS_LABELS[status]}</Text>
+          </View>
+        ))}
+      </View>
+    </LiquidGlassCard>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: SPACING.md,
+  },
+  header: {
+    alignItems: 'center',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: SPACING.sm,
+  },
+  title: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textPrimary,
+    fontWeight: '600',
+  },
+  navButton: {
+    padding: SPACING.xs,
+  },
+  navButtonDisabled: {
+    opacity: 0.3,
+  },
+  week: {
+    flexDirection: 'row',
+  },
+  weekday: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    flex: 1,
+    marginBottom: SPACING.xs,
+    textAlign: 'center',
+  },
+  day: {
+    alignItems: 'center',
+    aspectRatio: 1,
+    borderColor: 'transparent',
+    borderRadius: BORDER_RADIUS.sm,
+    borderWidth: 1,
+    flex: 1,
+    justifyContent: 'center',
+    margin: 1,
+  },
+  daySelected: {
+    borderColor: COLORS.textPrimary,
+    borderWidth: 2,
+  },
+  dayNumber: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textPrimary,
+    fontWeight: '600',
+  },
+  dayHours: {
+    color: COLORS.textSecondary,
+    fontSize: 10,
+  },
+  legend: {
+    flexDirection: 'row',
+    gap: SPACING.md,
+    justifyContent: 'center',
+    marginTop: SPACING.sm,
+  },
+  legendItem: {
+    alignItems: 'center',
+    flexDirection: 'row',
+    gap: SPACING.xs,
+  },
+  legendSwatch: {
+    borderRadius: 2,
+    height: 10,
+    width: 10,
+  },
+  legendText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+  },
+});
+
+export default WorktimeCalendar;
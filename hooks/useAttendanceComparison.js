@@ -0,0 +1,73 @@
+// hooks/useAttendanceComparison.js
+import { useState, useCallback } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import ApiService from '../src/api/apiService';
+import { useUser } from '../src/contexts/UserContext';
+import { compareAttendance } from '../src/utils/shiftSchedule';
+import { getLookbackRange, toDateKey } from '../src/utils/worktimeCalendar';
+
+/**
+ * Planned shifts compared with actual attendance over the last days,
+ * refreshed on screen focus
+ * @param {Object} [options]
+ * @param {boolean} [options.team=false] - All employees (managers) instead of the current user
+ * @param {number} [options.days=7] - Days to look back, today included
+ * @param {boolean} [options.enabled=true]
+ * @returns {{issues: Array<Object>, hasShifts: boolean, loading: boolean, refresh: Function}}
+ *   issues - See compareAttendance
+ */
+const useAttendanceComparison = ({ team = false, days = 7, enabled = true } = {}) => {
+  const { user } = useUser();
+  const [issues, setIssues] = useState([]);
+  const [hasShifts, setHasShifts] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!enabled || !user?.id) {
+      setIssues([]);
+      setHasShifts(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { from, to } = getLookbackRange(days - 1);
+      // One more day of worklogs so a night session running into the first day is matched
+      const logsFrom = new Date(from);
+      logsFrom.setDate(logsFrom.getDate() - 1);
+
+      // Managers get everyone's records; the dashboard asks only for the user's own
+      const employeeFilter = team ? {} : { employee: user.employee_id ?? user.id };
+      const [shifts, worklogs] = await Promise.all([
+        ApiService.scheduling.getAllShifts({
+          ...employeeFilter,
+          date_from: toDateKey(from),
+          date_to: toDateKey(to),
+        }),
+        ApiService.worktime.getAllLogs({
+          ...employeeFilter,
+          date_from: toDateKey(logsFrom),
+          date_to: toDateKey(to),
+        }),
+      ]);
+
+      const firstDay = toDateKey(from);
+      setIssues(compareAttendance(shifts, worklogs).filter(issue => issue.date >= firstDay));
+      setHasShifts(shifts.length > 0);
+    } catch (error) {
+      console.warn('Could not compare attendance with the schedule:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user, team, days, enabled]);
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  return { issues, hasShifts, loading, refresh };
+};
+
+export default useAttendanceComparison;
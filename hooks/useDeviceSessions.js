@@ -0,0 +1,66 @@
+// hooks/useDeviceSessions.js
+import { useState, useCallback } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import ApiService from '../src/api/apiService';
+import { useUser } from '../src/contexts/UserContext';
+import { buildDeviceSessions } from '../src/utils/deviceSessions';
+
+/**
+ * Devices the current user is signed in on, refreshed on screen focus
+ * @returns {{sessions: Array<Object>, loading: boolean, error: string|null, revokingId: *,
+ *   refresh: Function, revoke: Function}}
+ *   sessions - See buildDeviceSessions; revoke(session) signs the device out and
+ *   resolves to true when it was this one (the caller should then log out locally)
+ */
+const useDeviceSessions = () => {
+  const { user } = useUser();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!user?.id) {
+      setSessions([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const [response, currentDeviceId] = await Promise.all([
+        ApiService.auth.getDevices(),
+        ApiService.auth.getCurrentDeviceId(),
+      ]);
+      setSessions(buildDeviceSessions(response, { currentDeviceId }));
+      setError(null);
+    } catch (loadError) {
+      console.warn('Could not load signed-in devices:', loadError.message);
+      setError('Could not load your devices');
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  const revoke = useCallback(async session => {
+    setRevokingId(session.id);
+    try {
+      await ApiService.auth.revokeDevice(session.deviceId);
+      if (!session.isCurrent) {
+        setSessions(current => current.filter(item => item.id !== session.id));
+      }
+      return session.isCurrent;
+    } finally {
+      setRevokingId(null);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  return { sessions, loading, error, revokingId, refresh, revoke };
+};
+
+export default useDeviceSessions;
@@ -0,0 +1,106 @@
+// hooks/useEarningsEstimate.js
+import { useState, useCallback, useMemo } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import ApiService from '../src/api/apiService';
+import HolidayCalendarService from '../src/services/HolidayCalendarService';
+import { useUser } from '../src/contexts/UserContext';
+import { useOffice } from '../src/contexts/OfficeContext';
+import { estimateEarnings } from '../src/utils/earningsEstimate';
+import { getOfficeCoordinates } from '../src/utils/offices';
+import { toZonedDateKey } from '../src/utils/timeZone';
+import { getPayPeriodRange, toDateKey } from '../src/utils/worktimeCalendar';
+
+/**
+ * Projected earnings of the current pay period from the worklogs so far,
+ * refreshed on screen focus
+ * @param {Object} [options]
+ * @param {number|string|null} [options.employeeId] - Employee to estimate (managers); the
+ *   current user when null
+ * @param {Object|null} [options.fallbackTerms] - Pay terms to use when the employee profile
+ *   cannot be read, e.g. the server earnings payload (hourly_rate, base_salary); its
+ *   total_working_days, when present, is used to prorate a monthly salary
+ * @param {boolean} [options.enabled=true]
+ * @returns {{estimate: Object|null, loading: boolean, error: string|null, refresh: Function}}
+ *   estimate - See estimateEarnings
+ */
+const useEarningsEstimate = ({ employeeId = null, fallbackTerms = null, enabled = true } = {}) => {
+  const { user } = useUser();
+  const { offices } = useOffice();
+  const [estimate, setEstimate] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const fallbackType = fallbackTerms?.employment_type ?? null;
+  const fallbackRate = fallbackTerms?.hourly_rate ?? null;
+  const fallbackSalary = fallbackTerms?.monthly_salary ?? fallbackTerms?.base_salary ?? null;
+  const totalWorkingDays = fallbackTerms?.total_working_days ?? null;
+
+  // Shabbat times of the first office with a location, like the check-in screen
+  const location = useMemo(
+    () => offices.map(getOfficeCoordinates).find(Boolean) || null,
+    [offices]
+  );
+
+  const refresh = useCallback(async () => {
+    if (!enabled || !user?.id) {
+      setEstimate(null);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const now = new Date();
+      const period = getPayPeriodRange(0, now);
+      const targetId = employeeId ?? user.employee_id ?? user.id;
+
+      const [logs, profile, windows] = await Promise.all([
+        ApiService.worktime.getAllLogs({
+          employee: targetId,
+          date_from: toDateKey(period.from),
+          date_to: toDateKey(period.to),
+        }),
+        ApiService.employees.getById(targetId).catch(() => null),
+        HolidayCalendarService.getPremiumWindowsBetween(period.from, period.to, location),
+      ]);
+
+      // Only sessions that started in the period
+      const firstDay = toDateKey(period.from);
+      const worklogs = logs.filter(
+        worklog => worklog.check_in && toZonedDateKey(new Date(worklog.check_in)) >= firstDay
+      );
+
+      const terms = profile || {
+        employment_type: fallbackType,
+        hourly_rate: fallbackRate,
+        monthly_salary: fallbackSalary,
+      };
+      setEstimate(
+        estimateEarnings({ worklogs, employee: terms, windows, now, period, totalWorkingDays })
+      );
+      setError(null);
+    } catch (loadError) {
+      console.warn('Could not estimate earnings:', loadError.message);
+      setError('Could not load the work hours of this month for the estimate.');
+    } finally {
+      setLoading(false);
+    }
+  }, [
+    user,
+    employeeId,
+    fallbackType,
+    fallbackRate,
+    fallbackSalary,
+    totalWorkingDays,
+    location,
+    enabled,
+  ]);
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  return { estimate, loading, error, refresh };
+};
+
+export default useEarningsEstimate;
@@ -1,5 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import ApiService from '../src/api/apiService';
+import OfflineQueueService from '../src/services/OfflineQueueService';
+import { OPERATION_TYPES, isNetworkError } from '../src/services/offlineOperations';
 import { showGlassAlert } from './useGlobalGlassModal';
 import { router } from 'expo-router';
 
@@ -170,7 +172,8 @@ export function useEmployeeForm(employeeId = null) {
     [resetHourlyRate, resetMonthlySalary]
   );
 
-  // Save employee (create or update) - simplified for hook usage
+  // Save employee (create or update) - simplified for hook usage.
+  // When offline the write is queued and `{ queued: true }` is returned.
   const saveEmployee = useCallback(async () => {
     if (!validateForm()) return false;
 
@@ -185,6 +188,25 @@ export function useEmployeeForm(employeeId = null) {
       return result;
     } catch (error) {
       console.error('Error saving employee:', error);
+
+      if (isNetworkError(error)) {
+        try {
+          // The screen tells the user the change was saved offline
+          const queueId = await OfflineQueueService.enqueue(
+            isEditMode
+              ? {
+                  type: OPERATION_TYPES.EMPLOYEE_UPDATE,
+                  payload: { employeeId, data: formData },
+                  silent: true,
+                }
+              : { type: OPERATION_TYPES.EMPLOYEE_CREATE, payload: { data: formData }, silent: true }
+          );
+          return { queued: true, queueId };
+        } catch (queueError) {
+          console.error('Failed to queue employee save:', queueError);
+        }
+      }
+
       const errorMessage =
         error.response?.data?.message || error.message || 'Unknown error occurred';
       showGlassAlert(
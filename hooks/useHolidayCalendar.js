@@ -0,0 +1,95 @@
+// hooks/useHolidayCalendar.js
+import { useState, useEffect, useCallback } from 'react';
+import HolidayCalendarService from '../src/services/HolidayCalendarService';
+import { getShabbatEves, normalizeShabbatTimes } from '../src/utils/holidayCalendar';
+
+/**
+ * Holidays of a year and Shabbat times of a month, served from the offline
+ * cache when the network is unavailable
+ * @param {Object} options
+ * @param {number} options.year
+ * @param {number} options.month - 1-12, the month whose Shabbat times are loaded
+ * @param {{latitude: number, longitude: number}|null} [options.location] - Office location
+ *   for Shabbat times; company default when null
+ * @param {boolean} [options.enabled=true]
+ * @returns {{holidays: Array<Object>, shabbatWeeks: Array<Object>, loading: boolean,
+ *   error: string|null, cachedAt: string|null, syncing: boolean, refresh: Function,
+ *   syncYear: Function}}
+ *   holidays - Raw API holidays; shabbatWeeks - See normalizeShabbatTimes
+ */
+const useHolidayCalendar = ({ year, month, location = null, enabled = true }) => {
+  const [holidays, setHolidays] = useState([]);
+  const [shabbatWeeks, setShabbatWeeks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const latitude = location?.latitude ?? null;
+  const longitude = location?.longitude ?? null;
+
+  const loadYear = useCallback(async () => {
+    if (!enabled) return;
+
+    setLoading(true);
+    try {
+      const result = await HolidayCalendarService.getYearHolidays(year);
+      setHolidays(result.holidays);
+      setCachedAt(result.cachedAt);
+      setError(null);
+    } catch (loadError) {
+      console.warn('Could not load holidays:', loadError.message);
+      setHolidays([]);
+      setError('Could not load holidays. Connect to the internet to see this year.');
+    } finally {
+      setLoading(false);
+    }
+  }, [year, enabled]);
+
+  const loadShabbat = useCallback(async () => {
+    if (!enabled) return;
+
+    const place = latitude !== null && longitude !== null ? { latitude, longitude } : null;
+    const weeks = await Promise.all(
+      getShabbatEves(year, month).map(async date => {
+        try {
+          const { times } = await HolidayCalendarService.getShabbatTimes(date, place);
+          return normalizeShabbatTimes(times, date);
+        } catch (loadError) {
+          console.warn(`Could not load Shabbat times for ${date}:`, loadError.message);
+          return normalizeShabbatTimes(null, date);
+        }
+      })
+    );
+    setShabbatWeeks(weeks);
+  }, [year, month, latitude, longitude, enabled]);
+
+  useEffect(() => {
+    loadYear();
+  }, [loadYear]);
+
+  useEffect(() => {
+    loadShabbat();
+  }, [loadShabbat]);
+
+  const refresh = useCallback(
+    () => Promise.all([loadYear(), loadShabbat()]),
+    [loadYear, loadShabbat]
+  );
+
+  // Admins: import the year on the server, then show it
+  const syncYear = useCallback(async () => {
+    setSyncing(true);
+    try {
+      const result = await HolidayCalendarService.syncYear(year);
+      setHolidays(result.holidays);
+      setCachedAt(null);
+      setError(null);
+    } finally {
+      setSyncing(false);
+    }
+  }, [year]);
+
+  return { holidays, shabbatWeeks, loading, error, cachedAt, syncing, refresh, syncYear };
+};
+
+export default useHolidayCalendar;
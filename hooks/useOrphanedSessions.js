@@ -0,0 +1,56 @@
+// hooks/useOrphanedSessions.js
+import { useState, useCallback } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import ApiService from '../src/api/apiService';
+import { useUser } from '../src/contexts/UserContext';
+import { findOrphanedSessions } from '../src/utils/sessionAnomalies';
+
+/**
+ * Open sessions that look like forgotten check-outs, refreshed on screen focus
+ * @param {Object} [options]
+ * @param {boolean} [options.team=false] - All employees (managers) instead of the current user
+ * @param {number} [options.thresholdHours] - See detectSessionAnomaly
+ */
+const useOrphanedSessions = ({ team = false, thresholdHours } = {}) => {
+  const { user } = useUser();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!user?.id) {
+      setSessions([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await ApiService.worktime.getCurrentSessions();
+      const openSessions = Array.isArray(response) ? response : response?.results || [];
+      let flagged = findOrphanedSessions(openSessions, { thresholdHours });
+
+      if (!team) {
+        const ownId = String(user.employee_id ?? user.id);
+        flagged = flagged.filter(session => String(session.employeeId) === ownId);
+      }
+
+      if (flagged.length > 0) {
+        console.log(`Found ${flagged.length} orphaned session(s)`);
+      }
+      setSessions(flagged);
+    } catch (error) {
+      console.warn('Could not check for orphaned sessions:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user, team, thresholdHours]);
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  return { sessions, loading, refresh };
+};
+
+export default useOrphanedSessions;
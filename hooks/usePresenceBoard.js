@@ -0,0 +1,84 @@
+// hooks/usePresenceBoard.js
+import { useState, useCallback, useRef } from 'react';
+import { AppState } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import ApiService from '../src/api/apiService';
+import { APP_CONFIG } from '../src/config';
+import { useOffice } from '../src/contexts/OfficeContext';
+import { buildPresenceBoard } from '../src/utils/presence';
+import { startOfZonedDay, toZonedDateKey } from '../src/utils/timeZone';
+
+/**
+ * Live team presence for managers
+ * Loads employees, open sessions and the worklogs of today and yesterday, so a
+ * night shift that ended this morning counts as worked today. Reloads every
+ * APP_CONFIG.PRESENCE_REFRESH_INTERVAL while the screen is focused and whenever
+ * the app returns to the foreground.
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - false for users without access
+ * @returns {{groups: Array<Object>, loading: boolean, updatedAt: Date|null, error: string|null,
+ *   refresh: Function}} groups - See buildPresenceBoard
+ */
+const usePresenceBoard = ({ enabled = true } = {}) => {
+  const { offices } = useOffice();
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [error, setError] = useState(null);
+  // A slow response must not overwrite a newer one
+  const requestIdRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    try {
+      const [employees, openSessions] = await Promise.all([
+        ApiService.employees.getAllPages(),
+        ApiService.worktime.getCurrentSessions(),
+      ]);
+      const now = new Date();
+      const employeeIds = employees.map(employee => employee.id);
+      // Both days go out as one batched request, see getEmployeesDayLogs
+      const days = await Promise.all([
+        ApiService.worktime.getEmployeesDayLogs(employeeIds, toZonedDateKey(now)),
+        ApiService.worktime.getEmployeesDayLogs(
+          employeeIds,
+          toZonedDateKey(startOfZonedDay(now, -1))
+        ),
+      ]);
+      if (requestId !== requestIdRef.current) return;
+
+      const todayLogs = days.flatMap(logsByEmployee => Object.values(logsByEmployee).flat());
+      setGroups(buildPresenceBoard(employees, { openSessions, todayLogs, offices, now }));
+      setUpdatedAt(now);
+      setError(null);
+    } catch (err) {
+      console.warn('Could not load team presence:', err.message);
+      if (requestId === requestIdRef.current) {
+        setError('Could not refresh. Showing the last known status.');
+      }
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  }, [offices]);
+
+  useFocusEffect(
+    useCallback(() => {
+      if (!enabled) return undefined;
+
+      refresh();
+      const interval = setInterval(refresh, APP_CONFIG.PRESENCE_REFRESH_INTERVAL);
+      const subscription = AppState.addEventListener('change', state => {
+        if (state === 'active') refresh();
+      });
+
+      return () => {
+        clearInterval(interval);
+        subscription.remove();
+      };
+    }, [enabled, refresh])
+  );
+
+  return { groups, loading, updatedAt, error, refresh };
+};
+
+export default usePresenceBoard;
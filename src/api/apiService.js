@@ -7,6 +7,11 @@ import * as Device from 'expo-device';
 import Constants from 'expo-constants';
 import { API_URL, API_ENDPOINTS, APP_CONFIG, SECURITY_CONFIG } from '../config';
 import { maskName, safeLog, safeLogUser } from '../utils/safeLogging';
+import { getCompanyTimeZone, startOfZonedDay, toZonedDateKey } from '../utils/timeZone';
+import { getWorklogEmployeeId } from '../utils/timesheet';
+import { createTokenLifecycle } from '../utils/tokenLifecycle';
+import { clearUserCaches, getUserCacheKey } from '../utils/userCache';
+import { createWorklogBatcher } from '../utils/worklogBatcher';
 
 // Create axios instance with security headers
 const apiClient = axios.create({
@@ -107,6 +112,65 @@ const retryRequest = async (fn, retries = APP_CONFIG.RETRY_ATTEMPTS, signal = nu
   }
 };
 
+// Adds an Idempotency-Key header so the server can drop replayed writes
+// (offline queue retries, double taps). No-op when no key is given.
+const withIdempotencyKey = (idempotencyKey, config = {}) =>
+  idempotencyKey
+    ? { ...config, headers: { ...config.headers, 'Idempotency-Key': idempotencyKey } }
+    : config;
+
+// Loads every page of a paginated list. `requestPage(page)` returns the axios
+// response of one page; a plain array answer is the whole list.
+const collectPages = async requestPage => {
+  const rows = [];
+  let page = 1;
+  let hasNext = true;
+  while (hasNext) {
+    const { data } = await requestPage(page);
+    rows.push(...(Array.isArray(data) ? data : data?.results || []));
+    hasNext = !Array.isArray(data) && !!data?.next;
+    page += 1;
+  }
+  return rows;
+};
+
+// Worklogs per (employee, day) for team screens: one request per chunk of
+// employees instead of one per employee, cached between screen visits
+const teamWorklogs = createWorklogBatcher({
+  fetchLogs: ({ employeeIds, dateFrom, dateTo }) =>
+    collectPages(page =>
+      retryRequest(() =>
+        apiClientHeavy.get(API_ENDPOINTS.WORKTIME.LOGS, {
+          params: {
+            employees: employeeIds.join(','),
+            date_from: dateFrom,
+            date_to: dateTo,
+            page,
+            page_size: 500,
+            bulk_fetch: true,
+          },
+        })
+      )
+    ),
+  batchSize: APP_CONFIG.WORKLOG_BATCH_SIZE,
+  maxConcurrent: APP_CONFIG.WORKLOG_BATCH_CONCURRENCY,
+  ttlFor: date =>
+    date === toZonedDateKey(new Date())
+      ? APP_CONFIG.TODAY_WORKLOGS_CACHE_DURATION
+      : APP_CONFIG.CACHE_DURATION,
+});
+
+// Drops the team worklogs a punch changes: its day, and the day before for a
+// check-out closing a night shift. Answers that don't name the employee drop
+// those days for everyone.
+const invalidateTeamWorklogs = (punch, eventTime) => {
+  const at = new Date(eventTime?.event_time || Date.now());
+  const employeeId = getWorklogEmployeeId(punch || {});
+  [toZonedDateKey(at), toZonedDateKey(startOfZonedDay(at, -1))].forEach(date =>
+    teamWorklogs.invalidate({ employeeId, date })
+  );
+};
+
 // Helper function to get device information
 const getDeviceInfo = async () => {
   // Handle web platform where some APIs are not available
@@ -137,6 +201,71 @@ const getUniqueDeviceId = async () => {
   }
 };
 
+const readEnhancedAuthData = async () => {
+  const enhancedAuthData = await SecureStorageManager.getItem(
+    APP_CONFIG.STORAGE_KEYS.ENHANCED_AUTH_DATA
+  );
+  return enhancedAuthData ? JSON.parse(enhancedAuthData) : null;
+};
+
+// Renews the token on the server and stores it. Only called through
+// tokenLifecycle so concurrent callers share one request.
+const requestTokenRefresh = async () => {
+  try {
+    const response = await apiClient.post(API_ENDPOINTS.AUTH.REFRESH_TOKEN, {
+      ttl_days: APP_CONFIG.TOKEN_TTL_DAYS,
+    });
+
+    if (!response.data.success || !response.data.token) {
+      throw new Error('Token refresh was not accepted');
+    }
+
+    // Update stored token
+    await SecureStorageManager.setItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN, response.data.token);
+
+    // Update enhanced auth data
+    const authData = await readEnhancedAuthData();
+    if (authData) {
+      authData.token = response.data.token;
+      authData.expires_at = response.data.expires_at;
+      await SecureStorageManager.setItem(
+        APP_CONFIG.STORAGE_KEYS.ENHANCED_AUTH_DATA,
+        JSON.stringify(authData)
+      );
+    }
+
+    safeLog('Token refreshed successfully');
+    return response.data;
+  } catch (error) {
+    safeLog('Token refresh failed', { status: error.response?.status, error: error.message });
+    throw error;
+  }
+};
+
+// One refresh in flight for all clients; refreshed ahead of expires_at
+const tokenLifecycle = createTokenLifecycle({
+  refresh: requestTokenRefresh,
+  getExpiresAt: async () => {
+    try {
+      return (await readEnhancedAuthData())?.expires_at ?? null;
+    } catch (_error) {
+      return null;
+    }
+  },
+  refreshAheadMs: APP_CONFIG.TOKEN_REFRESH_AHEAD,
+  retryDelayMs: APP_CONFIG.TOKEN_REFRESH_RETRY_DELAY,
+});
+
+// Requests that must not be replayed after a token refresh
+const isAuthRequest = url =>
+  [
+    API_ENDPOINTS.AUTH.REFRESH_TOKEN,
+    API_ENDPOINTS.AUTH.LOGIN,
+    API_ENDPOINTS.AUTH.ENHANCED_LOGIN,
+    API_ENDPOINTS.AUTH.LOGOUT,
+    API_ENDPOINTS.AUTH.LOGOUT_DEVICE,
+  ].some(endpoint => url?.includes(endpoint));
+
 // Helper function to add auth interceptors to all clients
 const addAuthInterceptors = client => {
   // Request interceptor to add auth token
@@ -248,6 +377,36 @@ const addAuthInterceptors = client => {
           throw error;
         }
 
+        // Renew the token once and replay the request. Concurrent 401s from
+        // all clients wait for the same refresh.
+        const originalRequest = error.config;
+        if (
+          originalRequest &&
+          !originalRequest._tokenRefreshed &&
+          !isAuthRequest(originalRequest.url)
+        ) {
+          originalRequest._tokenRefreshed = true;
+          let canReplay = false;
+          try {
+            const token = await SecureStorageManager.getItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+            if (token) {
+              // A request sent before another one refreshed the token only needs a replay
+              if (originalRequest.headers?.Authorization === `Token ${token}`) {
+                await tokenLifecycle.refresh();
+              }
+              canReplay = true;
+            }
+          } catch (refreshError) {
+            safeLog('Could not refresh token after 401', { error: refreshError.message });
+          }
+
+          if (canReplay) {
+            safeLog('Replaying request with refreshed token', { url: originalRequest.url });
+            // The request interceptor sets the new Authorization header
+            return client(originalRequest);
+          }
+        }
+
         // Check if we recently tried to clear tokens (prevent cascade clearing)
         const lastTokenClear = apiClient.lastTokenClear || 0;
         const now = Date.now();
@@ -263,6 +422,7 @@ const addAuthInterceptors = client => {
         apiClient.lastTokenClear = now;
 
         safeLog('Proceeding with token clearing due to 401');
+        tokenLifecycle.stop();
 
         // Remove sensitive keys using SecureStorageManager
         const sensitiveKeys = [
@@ -280,6 +440,7 @@ const addAuthInterceptors = client => {
           APP_CONFIG.STORAGE_KEYS.USER_DATA,
           APP_CONFIG.STORAGE_KEYS.WORK_STATUS,
         ]);
+        await clearUserCaches();
 
         // Add a flag to help components know authentication failed
         error.isAuthenticationError = true;
@@ -488,44 +649,42 @@ const apiService = {
       }
     },
 
-    // Refresh token
-    refreshToken: async (ttlDays = 7) => {
-      try {
-        const response = await apiClient.post(API_ENDPOINTS.AUTH.REFRESH_TOKEN, {
-          ttl_days: ttlDays,
-        });
-
-        if (response.data.success && response.data.token) {
-          // Update stored token
-          await SecureStorageManager.setItem(
-            APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN,
-            response.data.token
-          );
+    // Active sessions: own devices, or an employee's (admins) with { employee }
+    getDevices: async (params = {}) => {
+      const response = await apiClient.get(API_ENDPOINTS.AUTH.DEVICES, { params });
+      return response.data;
+    },
 
-          // Update enhanced auth data
-          const enhancedAuthData = await SecureStorageManager.getItem(
-            APP_CONFIG.STORAGE_KEYS.ENHANCED_AUTH_DATA
-          );
-          if (enhancedAuthData) {
-            const authData = JSON.parse(enhancedAuthData);
-            authData.token = response.data.token;
-            authData.expires_at = response.data.expires_at;
-            await SecureStorageManager.setItem(
-              APP_CONFIG.STORAGE_KEYS.ENHANCED_AUTH_DATA,
-              JSON.stringify(authData)
-            );
-          }
+    // Device id this app signs in with, to tell the current session apart
+    getCurrentDeviceId: () => getUniqueDeviceId(),
 
-          console.log('Token refreshed successfully');
-        }
+    // Signs out one device; its token stops working at once
+    revokeDevice: async deviceId => {
+      const response = await apiClient.post(API_ENDPOINTS.AUTH.LOGOUT_DEVICE, {
+        device_id: deviceId,
+      });
+      return response.data;
+    },
 
-        return response.data;
-      } catch (error) {
-        console.error('Token refresh failed:', error);
-        throw error;
-      }
+    // Signs an employee out on all their devices (admins), e.g. for a lost phone
+    revokeEmployeeSessions: async employeeId => {
+      const response = await apiClient.post(API_ENDPOINTS.AUTH.LOGOUT_DEVICE, {
+        employee_id: employeeId,
+        all_devices: true,
+      });
+      return response.data;
     },
 
+    // Refresh token. Joins a refresh already in flight (e.g. one started by a 401).
+    refreshToken: () => tokenLifecycle.refresh(),
+
+    // Refresh only when the token expires soon, e.g. when the app comes back to the foreground
+    refreshTokenIfDue: () => tokenLifecycle.refreshIfDue(),
+
+    // Proactive refresh ahead of expires_at while a user is signed in
+    startTokenRefresh: () => tokenLifecycle.start(),
+    stopTokenRefresh: () => tokenLifecycle.stop(),
+
     logout: async () => {
       console.log('Logging out...');
       try {
@@ -563,6 +722,8 @@ const apiService = {
       } catch (error) {
         console.error('Logout error:', error);
       } finally {
+        tokenLifecycle.stop();
+
         // Clear all local storage regardless of API response
         // Remove sensitive keys using SecureStorageManager
         const sensitiveKeys = [
@@ -581,6 +742,8 @@ const apiService = {
           APP_CONFIG.STORAGE_KEYS.USER_DATA,
           APP_CONFIG.STORAGE_KEYS.WORK_STATUS,
         ]);
+        await clearUserCaches();
+        teamWorklogs.invalidate();
         console.log('Local storage cleared');
         console.log('Logout successful');
       }
@@ -654,7 +817,7 @@ const apiService = {
             isExpired: now >= expiresAt,
             expiresAt: authData.expires_at,
             timeUntilExpiryMs: timeUntilExpiry,
-            shouldRefresh: timeUntilExpiry < 24 * 60 * 60 * 1000, // Refresh if less than 1 day
+            shouldRefresh: timeUntilExpiry < APP_CONFIG.TOKEN_REFRESH_AHEAD,
           };
         }
 
@@ -719,10 +882,9 @@ const apiService = {
       // Check cache if enabled and no specific params
       if (useCache && Object.keys(params).length === 0) {
         try {
-          // Get current user token to make cache user-specific
-          const token = await SecureStorageManager.getItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN);
-          const userCacheKey = `${APP_CONFIG.STORAGE_KEYS.EMPLOYEES_CACHE}_${token?.substring(0, 8) || 'anonymous'}`;
-          const userTimestampKey = `${APP_CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP}_${token?.substring(0, 8) || 'anonymous'}`;
+          // Cache is user-specific
+          const userCacheKey = await getUserCacheKey(APP_CONFIG.STORAGE_KEYS.EMPLOYEES_CACHE);
+          const userTimestampKey = await getUserCacheKey(APP_CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP);
 
           const cachedData = await AsyncStorage.getItem(userCacheKey);
           const cacheTimestamp = await AsyncStorage.getItem(userTimestampKey);
@@ -766,9 +928,8 @@ const apiService = {
       if (Object.keys(params).length === 0) {
         try {
           // Make cache user-specific
-          const token = await SecureStorageManager.getItem(APP_CONFIG.STORAGE_KEYS.AUTH_TOKEN);
-          const userCacheKey = `${APP_CONFIG.STORAGE_KEYS.EMPLOYEES_CACHE}_${token?.substring(0, 8) || 'anonymous'}`;
-          const userTimestampKey = `${APP_CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP}_${token?.substring(0, 8) || 'anonymous'}`;
+          const userCacheKey = await getUserCacheKey(APP_CONFIG.STORAGE_KEYS.EMPLOYEES_CACHE);
+          const userTimestampKey = await getUserCacheKey(APP_CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP);
 
           await AsyncStorage.multiSet([
             [userCacheKey, JSON.stringify(response.data)],
@@ -783,18 +944,34 @@ const apiService = {
       return response.data;
     },
 
+    // Every employee, page after page, for screens that need the whole team
+    getAllPages: (params = {}) =>
+      collectPages(page =>
+        apiClientHeavy.get(API_ENDPOINTS.EMPLOYEES, {
+          params: { page_size: 100, ...params, page },
+        })
+      ),
+
     getById: async id => {
       const response = await apiClient.get(`${API_ENDPOINTS.EMPLOYEES}${id}/`);
       return response.data;
     },
 
-    create: async employeeData => {
-      const response = await apiClientHeavy.post(API_ENDPOINTS.EMPLOYEES, employeeData);
+    create: async (employeeData, { idempotencyKey } = {}) => {
+      const response = await apiClientHeavy.post(
+        API_ENDPOINTS.EMPLOYEES,
+        employeeData,
+        withIdempotencyKey(idempotencyKey)
+      );
       return response.data;
     },
 
-    update: async (id, employeeData) => {
-      const response = await apiClient.patch(`${API_ENDPOINTS.EMPLOYEES}${id}/`, employeeData);
+    update: async (id, employeeData, { idempotencyKey } = {}) => {
+      const response = await apiClient.patch(
+        `${API_ENDPOINTS.EMPLOYEES}${id}/`,
+        employeeData,
+        withIdempotencyKey(idempotencyKey)
+      );
       return response.data;
     },
 
@@ -808,10 +985,12 @@ const apiService = {
       return response.data;
     },
 
-    sendInvitation: async (id, baseUrl = 'http://localhost:8100') => {
-      const response = await apiClient.post(`${API_ENDPOINTS.EMPLOYEES}${id}/send_invitation/`, {
-        base_url: baseUrl,
-      });
+    sendInvitation: async (id, baseUrl = 'http://localhost:8100', { idempotencyKey } = {}) => {
+      const response = await apiClient.post(
+        `${API_ENDPOINTS.EMPLOYEES}${id}/send_invitation/`,
+        { base_url: baseUrl },
+        withIdempotencyKey(idempotencyKey)
+      );
       return response.data;
     },
 
@@ -827,6 +1006,8 @@ const apiService = {
         await AsyncStorage.multiRemove([
           APP_CONFIG.STORAGE_KEYS.EMPLOYEES_CACHE,
           APP_CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP,
+          await getUserCacheKey(APP_CONFIG.STORAGE_KEYS.EMPLOYEES_CACHE),
+          await getUserCacheKey(APP_CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP),
         ]);
         console.log('Employees cache cleared');
       } catch (error) {
@@ -975,7 +1156,16 @@ const apiService = {
       }
     },
 
-    checkIn: async (imageBase64, location, signal = null) => {
+    // idempotencyKey: reuse the same key when replaying an attempt (offline queue)
+    // so the server returns the original worklog instead of creating a duplicate.
+    // eventTime: claimed event time from buildClaimedEventTime (utils/eventClock)
+    // officeId: office whose geofence matched, null for remote check-ins
+    checkIn: async (
+      imageBase64,
+      location,
+      signal = null,
+      { idempotencyKey, eventTime, officeId = null } = {}
+    ) => {
       try {
         // Validate inputs
         if (!imageBase64) {
@@ -987,6 +1177,7 @@ const apiService = {
           hasImage: !!imageBase64,
           imageSize: imageBase64 ? imageBase64.length : 0,
           hasSignal: !!signal,
+          hasIdempotencyKey: !!idempotencyKey,
           mockMode: APP_CONFIG.ENABLE_MOCK_DATA,
         });
 
@@ -1027,10 +1218,12 @@ const apiService = {
               {
                 image: imageBase64,
                 location: location,
+                office_id: officeId,
+                ...eventTime,
               },
-              {
+              withIdempotencyKey(idempotencyKey, {
                 signal: signal,
-              }
+              })
             );
             return response.data;
           },
@@ -1044,6 +1237,7 @@ const apiService = {
           location: result.location,
         });
 
+        invalidateTeamWorklogs(result, eventTime);
         return result;
       } catch (error) {
         console.error('Biometric check-in failed:', {
@@ -1055,7 +1249,7 @@ const apiService = {
       }
     },
 
-    checkOut: async (imageBase64, location) => {
+    checkOut: async (imageBase64, location, { idempotencyKey, eventTime } = {}) => {
       try {
         // Validate inputs
         if (!imageBase64) {
@@ -1065,6 +1259,7 @@ const apiService = {
         console.log('Starting biometric check-out:', {
           hasLocation: !!location,
           hasImage: !!imageBase64,
+          hasIdempotencyKey: !!idempotencyKey,
           mockMode: APP_CONFIG.ENABLE_MOCK_DATA,
         });
 
@@ -1089,10 +1284,15 @@ const apiService = {
           });
         }
 
-        const response = await apiClientBiometric.post(API_ENDPOINTS.BIOMETRICS.CHECK_OUT, {
-          image: imageBase64,
-          location: location,
-        });
+        const response = await apiClientBiometric.post(
+          API_ENDPOINTS.BIOMETRICS.CHECK_OUT,
+          {
+            image: imageBase64,
+            location: location,
+            ...eventTime,
+          },
+          withIdempotencyKey(idempotencyKey)
+        );
 
         console.log('Biometric check-out successful:', {
           employeeName: response.data.employee_name
@@ -1103,6 +1303,7 @@ const apiService = {
           location: response.data.location,
         });
 
+        invalidateTeamWorklogs(response.data, eventTime);
         return response.data;
       } catch (error) {
         console.error('Biometric check-out failed:', {
@@ -1183,10 +1384,19 @@ const apiService = {
       return response.data;
     },
 
+    // Every worklog matching the filters, all pages
+    getAllLogs: (params = {}) => {
+      const client = params.employee ? apiClientExtraHeavy : apiClientHeavy;
+      return collectPages(page =>
+        client.get(API_ENDPOINTS.WORKTIME.LOGS, { params: { page_size: 500, ...params, page } })
+      );
+    },
+
     // New bulk method for fetching team hours efficiently
     getTeamHours: async (employeeIds = [], date = null) => {
       try {
-        const targetDate = date || new Date().toISOString().split('T')[0];
+        // "Today" is the company's day, not the device's or UTC's
+        const targetDate = date || toZonedDateKey(new Date());
         console.log('Fetching team hours for multiple employees:', {
           employeeCount: employeeIds.length,
           date: targetDate,
@@ -1213,14 +1423,158 @@ const apiService = {
       }
     },
 
+    // Worklogs of many employees on one day, by employee id. Calls made together
+    // are batched into a few date-range requests and answers are cached.
+    getEmployeesDayLogs: async (employeeIds = [], date = null) =>
+      teamWorklogs.loadMany(employeeIds, date || toZonedDateKey(new Date())),
+
     getCurrentSessions: async () => {
       const response = await apiClient.get(API_ENDPOINTS.WORKTIME.CURRENT);
       return response.data;
     },
 
-    quickCheckout: async employeeId => {
-      const response = await apiClient.post(API_ENDPOINTS.WORKTIME.QUICK_CHECKOUT, {
-        employee_id: employeeId,
+    quickCheckout: async (employeeId, { idempotencyKey, eventTime } = {}) => {
+      const response = await apiClient.post(
+        API_ENDPOINTS.WORKTIME.QUICK_CHECKOUT,
+        { employee_id: employeeId, ...eventTime },
+        withIdempotencyKey(idempotencyKey)
+      );
+      // The session may have been open for days, e.g. an orphaned one
+      teamWorklogs.invalidate({ employeeId });
+      return response.data;
+    },
+
+    // Breaks within the open session of the current user. Answers with the
+    // session's `breaks` ([{ start, end }], end null while the break runs).
+    startBreak: async ({ idempotencyKey, eventTime } = {}) => {
+      const response = await apiClient.post(
+        API_ENDPOINTS.WORKTIME.START_BREAK,
+        { ...eventTime },
+        withIdempotencyKey(idempotencyKey)
+      );
+      invalidateTeamWorklogs(response.data, eventTime);
+      return response.data;
+    },
+
+    endBreak: async ({ idempotencyKey, eventTime } = {}) => {
+      const response = await apiClient.post(
+        API_ENDPOINTS.WORKTIME.END_BREAK,
+        { ...eventTime },
+        withIdempotencyKey(idempotencyKey)
+      );
+      invalidateTeamWorklogs(response.data, eventTime);
+      return response.data;
+    },
+
+    // Correction requests. The server keeps the original check-in/check-out
+    // (original_check_in / original_check_out) next to the requested times.
+    requestCorrection: async payload => {
+      const response = await apiClient.post(API_ENDPOINTS.WORKTIME.CORRECTIONS, payload);
+      return response.data;
+    },
+
+    getCorrections: async (params = {}) => {
+      const response = await apiClient.get(API_ENDPOINTS.WORKTIME.CORRECTIONS, { params });
+      return response.data;
+    },
+
+    // Applies the requested times to the worklog and records the reviewer
+    approveCorrection: async (correctionId, note = '') => {
+      const response = await apiClient.post(
+        API_ENDPOINTS.WORKTIME.APPROVE_CORRECTION(correctionId),
+        { note }
+      );
+      // Either day of the change may be cached; drop all of the employee's
+      teamWorklogs.invalidate({ employeeId: getWorklogEmployeeId(response.data || {}) });
+      return response.data;
+    },
+
+    rejectCorrection: async (correctionId, reason = '') => {
+      const response = await apiClient.post(
+        API_ENDPOINTS.WORKTIME.REJECT_CORRECTION(correctionId),
+        { reason }
+      );
+      return response.data;
+    },
+  },
+
+  // Planned shifts and shift templates. Shifts use the server format
+  // { id, employee, date, start_time, end_time, template } (see normalizeShift
+  // in src/utils/shiftSchedule.js).
+  scheduling: {
+    getShifts: async (params = {}) => {
+      const response = await apiClient.get(API_ENDPOINTS.SCHEDULING.SHIFTS, { params });
+      return response.data;
+    },
+
+    // Every shift matching the filters, all pages
+    getAllShifts: (params = {}) =>
+      collectPages(page =>
+        apiClient.get(API_ENDPOINTS.SCHEDULING.SHIFTS, {
+          params: { page_size: 500, ...params, page },
+        })
+      ),
+
+    createShift: async shift => {
+      const response = await apiClient.post(API_ENDPOINTS.SCHEDULING.SHIFTS, shift);
+      return response.data;
+    },
+
+    updateShift: async (shiftId, changes) => {
+      const response = await apiClient.patch(API_ENDPOINTS.SCHEDULING.SHIFT(shiftId), changes);
+      return response.data;
+    },
+
+    deleteShift: async shiftId => {
+      const response = await apiClient.delete(API_ENDPOINTS.SCHEDULING.SHIFT(shiftId));
+      return response.data;
+    },
+
+    // Templates are { id, name, days: [{ weekday (0 = Sunday), start_time, end_time }] }
+    getTemplates: async () => {
+      const response = await apiClient.get(API_ENDPOINTS.SCHEDULING.TEMPLATES);
+      return response.data;
+    },
+
+    createTemplate: async template => {
+      const response = await apiClient.post(API_ENDPOINTS.SCHEDULING.TEMPLATES, template);
+      return response.data;
+    },
+
+    deleteTemplate: async templateId => {
+      const response = await apiClient.delete(API_ENDPOINTS.SCHEDULING.TEMPLATE(templateId));
+      return response.data;
+    },
+
+    // Creates the template's shifts for the employees, starting with the week of
+    // `weekStart` (a Sunday, YYYY-MM-DD) and repeating for `weeks` weeks.
+    // Days that already have a shift are left as they are.
+    applyTemplate: async (templateId, { employeeIds, weekStart, weeks = 1 }) => {
+      const response = await apiClient.post(API_ENDPOINTS.SCHEDULING.APPLY_TEMPLATE(templateId), {
+        employees: employeeIds,
+        week_start: weekStart,
+        weeks,
+      });
+      return response.data;
+    },
+  },
+
+  // Company-wide settings
+  settings: {
+    // Returns { offices, version, updated_at }; offices use the server format
+    // (see serializeOffice in src/utils/offices.js)
+    getOffices: async () => {
+      const response = await apiClient.get(API_ENDPOINTS.SETTINGS.OFFICES);
+      return response.data;
+    },
+
+    // `version` is the version the edit is based on; the server answers 409
+    // when settings were changed by someone else since then
+    updateOffices: async (offices, version, timeZone) => {
+      const response = await apiClient.put(API_ENDPOINTS.SETTINGS.OFFICES, {
+        offices,
+        version,
+        ...(timeZone ? { time_zone: timeZone } : {}),
       });
       return response.data;
     },
@@ -1238,6 +1592,29 @@ const apiService = {
       return response.data;
     },
 
+    // Status transitions (Calculated → Confirmed → Paid, Confirmed → Calculated).
+    // The server records who performed each transition and returns the updated
+    // salary with its `status` and `status_history`.
+    confirm: async (salaryId, note = '') => {
+      const response = await apiClient.post(API_ENDPOINTS.PAYROLL.CONFIRM(salaryId), { note });
+      return response.data;
+    },
+
+    reopen: async (salaryId, reason = '') => {
+      const response = await apiClient.post(API_ENDPOINTS.PAYROLL.REOPEN(salaryId), { reason });
+      return response.data;
+    },
+
+    markPaid: async (salaryId, note = '') => {
+      const response = await apiClient.post(API_ENDPOINTS.PAYROLL.MARK_PAID(salaryId), { note });
+      return response.data;
+    },
+
+    getStatusHistory: async salaryId => {
+      const response = await apiClient.get(API_ENDPOINTS.PAYROLL.STATUS_HISTORY(salaryId));
+      return response.data;
+    },
+
     getEarnings: async (params = {}) => {
       const response = await apiClient.get(API_ENDPOINTS.PAYROLL.EARNINGS, { params });
       return response.data;
@@ -1268,10 +1645,15 @@ const apiService = {
       return response.data;
     },
 
-    getShabbatTimes: async date => {
-      const response = await apiClient.get(API_ENDPOINTS.INTEGRATIONS.SHABBAT_TIMES, {
-        params: { date },
-      });
+    // Sabbath starts and ends at the company's sunset, so ask for that zone.
+    // With a location ({ latitude, longitude }) the times are for that place.
+    getShabbatTimes: async (date, location = null) => {
+      const params = { date, timezone: getCompanyTimeZone() };
+      if (location) {
+        params.latitude = location.latitude;
+        params.longitude = location.longitude;
+      }
+      const response = await apiClient.get(API_ENDPOINTS.INTEGRATIONS.SHABBAT_TIMES, { params });
       return response.data;
     },
   },
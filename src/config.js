@@ -121,6 +121,7 @@ export const API_ENDPOINTS = {
     BIOMETRIC_VERIFICATION: '/api/v1/users/auth/biometric-verification/',
     REFRESH_TOKEN: '/api/v1/users/auth/refresh-token/',
     LOGOUT_DEVICE: '/api/v1/users/auth/logout-device/',
+    DEVICES: '/api/v1/users/auth/devices/',
   },
 
   // Employee management
@@ -141,12 +142,35 @@ export const API_ENDPOINTS = {
     LOGS: '/api/v1/worktime/worklogs/',
     CURRENT: '/api/v1/worktime/worklogs/current_sessions/',
     QUICK_CHECKOUT: '/api/v1/worktime/worklogs/quick_checkout/',
+    START_BREAK: '/api/v1/worktime/worklogs/start_break/',
+    END_BREAK: '/api/v1/worktime/worklogs/end_break/',
+    CORRECTIONS: '/api/v1/worktime/corrections/',
+    APPROVE_CORRECTION: id => `/api/v1/worktime/corrections/${id}/approve/`,
+    REJECT_CORRECTION: id => `/api/v1/worktime/corrections/${id}/reject/`,
+  },
+
+  // Planned shifts
+  SCHEDULING: {
+    SHIFTS: '/api/v1/scheduling/shifts/',
+    SHIFT: id => `/api/v1/scheduling/shifts/${id}/`,
+    TEMPLATES: '/api/v1/scheduling/templates/',
+    TEMPLATE: id => `/api/v1/scheduling/templates/${id}/`,
+    APPLY_TEMPLATE: id => `/api/v1/scheduling/templates/${id}/apply/`,
+  },
+
+  // Company-wide settings
+  SETTINGS: {
+    OFFICES: '/api/v1/settings/offices/',
   },
 
   // Payroll
   PAYROLL: {
     SALARIES: '/api/v1/payroll/salaries/',
     CALCULATE: id => `/api/v1/payroll/salaries/${id}/calculate/`,
+    CONFIRM: id => `/api/v1/payroll/salaries/${id}/confirm/`,
+    REOPEN: id => `/api/v1/payroll/salaries/${id}/reopen/`,
+    MARK_PAID: id => `/api/v1/payroll/salaries/${id}/mark-paid/`,
+    STATUS_HISTORY: id => `/api/v1/payroll/salaries/${id}/history/`,
     EARNINGS: '/api/v1/payroll/earnings/',
     EARNINGS_ENHANCED: '/api/v1/payroll/enhanced-earnings/',
     EARNINGS_DEMO: '/api/v1/payroll/earnings/demo/',
@@ -184,6 +208,18 @@ export const APP_CONFIG = {
 
   // Cache settings
   CACHE_DURATION: 5 * 60 * 1000, // 5 minutes
+  // Worklogs of today still change as people check in and out
+  TODAY_WORKLOGS_CACHE_DURATION: 60 * 1000, // 1 minute
+
+  // Open worklogs older than this (or started before today) are flagged as
+  // forgotten check-outs
+  ORPHANED_SESSION_THRESHOLD_HOURS: 12,
+
+  // How often the team presence board reloads while it is open
+  PRESENCE_REFRESH_INTERVAL: 60 * 1000, // 1 minute
+
+  // Arriving or leaving within this many minutes of a planned shift is on time
+  ATTENDANCE_GRACE_MINUTES: 5,
 
   // Default office settings
   DEFAULT_OFFICE: {
@@ -198,6 +234,13 @@ export const APP_CONFIG = {
   API_TIMEOUT_BIOMETRIC: 60000, // 60 seconds - for biometric operations (face recognition)
   API_TIMEOUT_EXTRA_HEAVY: 60000, // 60 seconds - for extra heavy operations
   RETRY_ATTEMPTS: 3,
+  // Auth token lifecycle (see src/utils/tokenLifecycle.js)
+  TOKEN_TTL_DAYS: 7, // lifetime requested on refresh
+  TOKEN_REFRESH_AHEAD: 24 * 60 * 60 * 1000, // refresh 1 day before expiry
+  TOKEN_REFRESH_RETRY_DELAY: 5 * 60 * 1000, // 5 minutes after a failed refresh
+  // Batched worklog loading (see src/utils/worklogBatcher.js)
+  WORKLOG_BATCH_SIZE: 25, // employees per request
+  WORKLOG_BATCH_CONCURRENCY: 3, // requests in flight at once
 
   // Development flags
   ENABLE_MOCK_DATA: false, // Disabled mock for working with real backend
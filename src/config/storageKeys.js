@@ -18,6 +18,8 @@ export const STORAGE_KEYS = {
   OFFICE_SETTINGS: 'MyHours.OfficeSettings',
   EMPLOYEES_CACHE: 'MyHours.EmployeesCache',
   CACHE_TIMESTAMP: 'MyHours.CacheTimestamp',
+  PAYROLL_CACHE: 'MyHours.PayrollCache',
+  HOLIDAYS_CACHE: 'MyHours.HolidaysCache',
   APP_PREFERENCES: 'MyHours.AppPreferences',
   RECENT_BIOMETRIC_REGISTRATION: 'MyHours.RecentBiometricRegistration',
 };
@@ -1,35 +1,44 @@
 /* eslint-disable react/prop-types */
-import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import ApiService from '../api/apiService';
+import { useUser } from './UserContext';
+import {
+  findMatchingOffice,
+  generateOfficeId,
+  getNearestOffice,
+  isOfficeLocated,
+  normalizeOffice,
+  normalizeOfficeSettings,
+  normalizeTimeZone,
+  resolveOfficeSettings,
+  serializeOffice,
+} from '../utils/offices';
+import { DEFAULT_TIME_ZONE, isValidTimeZone, setCompanyTimeZone } from '../utils/timeZone';
 
 // ─── Persistent storage key ────────────────────────────────────────────────
+// Local cache of the server settings, used offline and until the first sync
 const STORAGE_KEY = 'office_settings';
 
 // ─── Default values ────────────────────────────────────────────────────────
 export const DEFAULT_OFFICE_SETTINGS = {
-  // Office coordinates (null → not configured yet)
-  location: { latitude: null, longitude: null },
-  // Geofence radius in **meters**
-  checkRadius: 100,
-  // Work policy flags: 'office-only' | 'remote-only' | 'hybrid'
-  remotePolicy: 'hybrid',
+  // Named sites: { id, name, location, geofenceType, checkRadius (meters), polygon, remotePolicy }
+  // (see src/utils/offices.js)
+  offices: [],
+  // IANA zone that defines work days, pay periods and Sabbath (see src/utils/timeZone.js)
+  timeZone: DEFAULT_TIME_ZONE,
+  // Server version stamp of the settings, null until synced
+  version: null,
+  updatedAt: null,
 };
 
-// ─── Helpers ───────────────────────────────────────────────────────────────
-const toRad = deg => (deg * Math.PI) / 180;
-
-/**
- * Haversine distance between two lat/lng points (meters)
- */
-function distanceMeters(lat1, lon1, lat2, lon2) {
-  const R = 6371000; // Earth radius
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-  return 2 * R * Math.asin(Math.sqrt(a));
-}
+const cacheSettings = async settings => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.error('Failed to cache office settings', e);
+  }
+};
 
 // ─── Context ───────────────────────────────────────────────────────────────
 const OfficeContext = createContext();
@@ -37,56 +46,182 @@ const OfficeContext = createContext();
 export function OfficeProvider({ children }) {
   const [officeSettings, setOfficeSettings] = useState(DEFAULT_OFFICE_SETTINGS);
   const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  // Latest settings for consecutive updates made before a re-render
+  const settingsRef = useRef(DEFAULT_OFFICE_SETTINGS);
+  // Pending cache read; a sync must not be overwritten by the older cache
+  const cacheLoadRef = useRef(null);
+  const { user } = useUser();
+
+  const applySettings = settings => {
+    settingsRef.current = settings;
+    setOfficeSettings(settings);
+  };
 
   // ─── Load Settings Function ────────────────────────────────────────────
-  const loadSettings = async () => {
+  const loadCachedSettings = async () => {
+    let loaded = DEFAULT_OFFICE_SETTINGS;
     try {
-      console.log('Loading office settings from storage...');
+      console.log('Loading office settings from cache...');
       const stored = await AsyncStorage.getItem(STORAGE_KEY);
       if (stored) {
-        const parsedSettings = JSON.parse(stored);
-        console.log('Loaded office settings:', parsedSettings);
-        setOfficeSettings(parsedSettings);
+        const parsed = JSON.parse(stored);
+        // Also migrates the single-office format
+        loaded = {
+          ...normalizeOfficeSettings(parsed),
+          timeZone: normalizeTimeZone(parsed.timeZone),
+          version: parsed.version ?? null,
+          updatedAt: parsed.updatedAt ?? null,
+        };
+        console.log('Loaded cached office settings:', {
+          offices: loaded.offices.length,
+          version: loaded.version,
+        });
       } else {
-        console.log('No office settings found, using defaults');
-        setOfficeSettings(DEFAULT_OFFICE_SETTINGS);
+        console.log('No cached office settings, using defaults');
       }
     } catch (e) {
       console.error('Failed to load office settings', e);
-      setOfficeSettings(DEFAULT_OFFICE_SETTINGS);
     } finally {
+      settingsRef.current = loaded;
+      setOfficeSettings(loaded);
       setLoading(false);
     }
   };
 
-  // Load saved settings on mount
+  /**
+   * Fetch settings from the server and refresh the cache when they changed.
+   * Keeps the cached settings when the server can't be reached.
+   * @returns {Promise<boolean>} true when the server answered
+   */
+  const syncSettings = useCallback(async () => {
+    setSyncing(true);
+    try {
+      await cacheLoadRef.current;
+      const remote = await ApiService.settings.getOffices();
+      const { settings, changed } = resolveOfficeSettings(settingsRef.current, remote);
+      if (changed) {
+        console.log('Office settings updated from server:', {
+          offices: settings.offices.length,
+          version: settings.version,
+        });
+        settingsRef.current = settings;
+        setOfficeSettings(settings);
+        await cacheSettings(settings);
+      }
+      setLastSyncedAt(new Date().toISOString());
+      return true;
+    } catch (e) {
+      console.warn('Could not sync office settings, using cached:', e.message);
+      return false;
+    } finally {
+      setSyncing(false);
+    }
+  }, []);
+
+  const loadSettings = async () => {
+    cacheLoadRef.current = loadCachedSettings();
+    await cacheLoadRef.current;
+    if (user) await syncSettings();
+  };
+
+  // Load cached settings on mount
   useEffect(() => {
-    loadSettings();
+    cacheLoadRef.current = loadCachedSettings();
   }, []);
 
+  // Day boundaries everywhere in the app follow the company zone
+  useEffect(() => {
+    setCompanyTimeZone(officeSettings.timeZone);
+  }, [officeSettings.timeZone]);
+
+  // Refresh from the server whenever a user signs in
+  useEffect(() => {
+    if (user?.id) syncSettings();
+  }, [user?.id, syncSettings]);
+
   // ─── Save Settings Helper ─────────────────────────────────────────────
+  // Publishes to the server first so every device gets the same geofences;
+  // nothing changes locally if the server rejects the update
   const saveSettings = async updates => {
+    const updated = { ...settingsRef.current, ...updates };
     try {
-      const updated = { ...officeSettings, ...updates };
-      console.log('Saving office settings:', updated);
+      console.log('Saving office settings:', {
+        offices: updated.offices.length,
+        timeZone: updated.timeZone,
+        baseVersion: updated.version,
+      });
 
-      // Save to AsyncStorage
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+      const saved = await ApiService.settings.updateOffices(
+        updated.offices.map(serializeOffice),
+        updated.version,
+        updated.timeZone
+      );
 
-      // Update local state
-      setOfficeSettings(updated);
+      const { settings } = resolveOfficeSettings(null, saved);
+      applySettings(settings);
+      setLastSyncedAt(new Date().toISOString());
+      await cacheSettings(settings);
 
-      console.log('Office settings saved successfully');
+      console.log('Office settings saved successfully, version:', settings.version);
       return true;
     } catch (e) {
-      console.error('Failed to save office settings', e);
+      if (e.response?.status === 409) {
+        // Someone else saved in the meantime: show their settings instead
+        console.warn('Office settings changed on the server, reloading');
+        await syncSettings();
+      } else {
+        console.error('Failed to save office settings', e);
+      }
       return false;
     }
   };
 
+  // ─── Office CRUD ───────────────────────────────────────────────────────
+  /**
+   * Add a new office.
+   * @returns {Promise<Object|null>} Saved office, null on failure
+   */
+  const addOffice = async office => {
+    const { offices } = settingsRef.current;
+    const created = normalizeOffice({ ...office, id: generateOfficeId() }, offices.length);
+    console.log(`Adding office "${created.name}"`);
+    return (await saveSettings({ offices: [...offices, created] })) ? created : null;
+  };
+
+  const updateOffice = async (officeId, updates) => {
+    const { offices } = settingsRef.current;
+    if (!offices.some(office => office.id === officeId)) {
+      console.warn(`Office ${officeId} not found`);
+      return false;
+    }
+    console.log(`Updating office ${officeId}`);
+    return await saveSettings({
+      offices: offices.map((office, index) =>
+        office.id === officeId
+          ? normalizeOffice({ ...office, ...updates, id: officeId }, index)
+          : office
+      ),
+    });
+  };
+
+  const removeOffice = async officeId => {
+    console.log(`Removing office ${officeId}`);
+    return await saveSettings({
+      offices: settingsRef.current.offices.filter(office => office.id !== officeId),
+    });
+  };
+
   // ─── Public Updater Functions ─────────────────────────────────────────
+  // Single-office API: applies to the first (main) office, creating it if needed
+  const updatePrimaryOffice = async updates => {
+    const [primary] = settingsRef.current.offices;
+    return primary ? await updateOffice(primary.id, updates) : !!(await addOffice(updates));
+  };
+
   /**
-   * Update office GPS coordinates.
+   * Update main office GPS coordinates.
    *
    * Accepts two calling styles:
    *   1) updateOfficeLocation({ latitude, longitude })    // ← preferred
@@ -106,100 +241,100 @@ export function OfficeProvider({ children }) {
     }
 
     console.log(`Updating office location to: ${latitude}, ${longitude}`);
-    return await saveSettings({ location: { latitude, longitude } });
+    return await updatePrimaryOffice({ location: { latitude, longitude } });
   };
 
   const updateCheckRadius = async checkRadius => {
     const radiusNum = typeof checkRadius === 'number' ? checkRadius : parseFloat(checkRadius);
     console.log(`Updating check radius to: ${radiusNum} meters`);
-    return await saveSettings({ checkRadius: radiusNum });
+    return await updatePrimaryOffice({ checkRadius: radiusNum });
   };
 
   const updateRemotePolicy = async remotePolicy => {
     console.log(`Updating remote policy to: ${remotePolicy}`);
-    return await saveSettings({ remotePolicy });
+    return await updatePrimaryOffice({ remotePolicy });
+  };
+
+  const updateTimeZone = async timeZone => {
+    if (!isValidTimeZone(timeZone)) {
+      console.warn(`Unknown time zone: ${timeZone}`);
+      return false;
+    }
+    console.log(`Updating company time zone to: ${timeZone}`);
+    return await saveSettings({ timeZone: timeZone.trim() });
   };
 
   // IMPORTANT: This function must be declared BEFORE contextValue
   const updateAllSettings = async newSettings => {
-    console.log('Updating all office settings:', newSettings);
-    return await saveSettings(newSettings);
+    console.log('Updating all office settings');
+    return await saveSettings(normalizeOfficeSettings(newSettings));
   };
 
   const resetSettings = async () => {
     console.log('Resetting office settings to defaults');
-    try {
-      await AsyncStorage.removeItem(STORAGE_KEY);
-      setOfficeSettings(DEFAULT_OFFICE_SETTINGS);
-      return true;
-    } catch (e) {
-      console.error('Failed to reset office settings', e);
-      return false;
-    }
+    return await saveSettings({ offices: DEFAULT_OFFICE_SETTINGS.offices });
   };
 
   // ─── Geofence Functions ────────────────────────────────────────────────
+  /**
+   * Office whose geofence contains the position.
+   * @returns {Object|null} Matching office (truthy) or null
+   */
   const isInsideOffice = useCallback(
-    ({ latitude, longitude }, customRadius) => {
-      const { location, checkRadius } = officeSettings;
-      if (location.latitude == null || location.longitude == null) {
+    (coords, customRadius) => {
+      if (!officeSettings.offices.some(isOfficeLocated)) {
         // Only log once per session to avoid spam
         if (!isInsideOffice._hasLoggedOfficeNotConfigured) {
           console.log('Office location not configured, cannot check if inside office');
           isInsideOffice._hasLoggedOfficeNotConfigured = true;
         }
-        return false; // not configured
+        return null; // not configured
       }
 
-      // Ensure checkRadius is a number
-      const defaultRadius = typeof checkRadius === 'number' ? checkRadius : 100;
-      const radius = typeof customRadius === 'number' ? customRadius : defaultRadius;
-
-      // Ensure coordinates are numbers
-      const lat = typeof latitude === 'number' ? latitude : parseFloat(latitude);
-      const lon = typeof longitude === 'number' ? longitude : parseFloat(longitude);
-      const officeLat =
-        typeof location.latitude === 'number' ? location.latitude : parseFloat(location.latitude);
-      const officeLon =
-        typeof location.longitude === 'number'
-          ? location.longitude
-          : parseFloat(location.longitude);
-
-      const d = distanceMeters(lat, lon, officeLat, officeLon);
-      // console.log(`Distance from office: ${d.toFixed(2)}m, radius: ${radius}m, inside: ${d <= radius}`);
-      return d <= radius;
+      return findMatchingOffice(officeSettings.offices, coords, customRadius);
     },
     [officeSettings]
   );
 
+  const getNearestOfficeTo = useCallback(
+    coords => getNearestOffice(officeSettings.offices, coords),
+    [officeSettings]
+  );
+
+  // Distance to the nearest office (meters), null when none is configured
   const getDistanceFromOffice = useCallback(
-    ({ latitude, longitude }) => {
-      const { location } = officeSettings;
-      if (location.latitude == null || location.longitude == null) {
-        return null; // not configured
-      }
-      return distanceMeters(latitude, longitude, location.latitude, location.longitude);
-    },
+    coords => getNearestOffice(officeSettings.offices, coords)?.distance ?? null,
     [officeSettings]
   );
 
   const isOfficeConfigured = useCallback(() => {
-    return officeSettings.location.latitude != null && officeSettings.location.longitude != null;
+    return officeSettings.offices.some(isOfficeLocated);
   }, [officeSettings]);
 
   // ─── Context Value ─────────────────────────────────────────────────────
   // ALL FUNCTIONS ARE ALREADY DECLARED ABOVE - NOW WE CAN EXPORT THEM
   const contextValue = {
     officeSettings,
+    offices: officeSettings.offices,
+    timeZone: officeSettings.timeZone,
     loading,
+    syncing,
+    lastSyncedAt,
+    version: officeSettings.version,
+    addOffice,
+    updateOffice,
+    removeOffice,
     updateOfficeLocation,
     updateCheckRadius,
     updateRemotePolicy,
+    updateTimeZone,
     updateAllSettings, // Function already exists
     resetSettings,
     isInsideOffice,
+    getNearestOffice: getNearestOfficeTo,
     getDistanceFromOffice,
     isOfficeConfigured,
+    syncSettings,
     reloadSettings: loadSettings,
   };
 
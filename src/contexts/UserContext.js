@@ -1,11 +1,13 @@
 /* eslint-disable react/prop-types */
 // src/contexts/UserContext.js
 import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import apiService from '../api/apiService';
 import { APP_CONFIG } from '../config';
 import { safeLog, safeLogUser } from '../utils/safeLogging';
 import SecureStorageManager from '../utils/secureStorage';
+import { clearUserCaches } from '../utils/userCache';
 
 // Define user roles
 export const ROLES = {
@@ -205,16 +207,8 @@ export const UserProvider = ({ children }) => {
         APP_CONFIG.STORAGE_KEYS.WORK_STATUS,
       ];
 
-      // Add user-specific cache keys if we have a token
-      if (currentToken) {
-        const tokenPrefix = currentToken.substring(0, 8);
-        nonSensitiveKeys.push(
-          `${APP_CONFIG.STORAGE_KEYS.EMPLOYEES_CACHE}_${tokenPrefix}`,
-          `${APP_CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP}_${tokenPrefix}`
-        );
-      }
-
       await AsyncStorage.multiRemove(nonSensitiveKeys);
+      await clearUserCaches();
       safeLog('Local storage cleared');
 
       safeLog('Logout successful');
@@ -264,16 +258,8 @@ export const UserProvider = ({ children }) => {
           APP_CONFIG.STORAGE_KEYS.WORK_STATUS,
         ];
 
-        // Add user-specific cache keys if we have a token
-        if (currentToken) {
-          const tokenPrefix = currentToken.substring(0, 8);
-          nonSensitiveKeys.push(
-            `${APP_CONFIG.STORAGE_KEYS.EMPLOYEES_CACHE}_${tokenPrefix}`,
-            `${APP_CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP}_${tokenPrefix}`
-          );
-        }
-
         await AsyncStorage.multiRemove(nonSensitiveKeys);
+        await clearUserCaches();
         safeLog('Fallback storage cleanup completed');
       } catch (storageError) {
         safeLog('Storage cleanup failed', { error: storageError.message });
@@ -370,6 +356,26 @@ export const UserProvider = ({ children }) => {
     checkConnection();
   }, [loadUserData, checkConnection]);
 
+  // Keep the session alive: refresh the token ahead of expiry while signed in.
+  // Timers do not run while the app is suspended, so check again on return.
+  useEffect(() => {
+    if (!user) return undefined;
+
+    apiService.auth.startTokenRefresh();
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        apiService.auth.refreshTokenIfDue().catch(error => {
+          safeLog('Token refresh on resume failed', { error: error.message });
+        });
+      }
+    });
+
+    return () => {
+      subscription.remove();
+      apiService.auth.stopTokenRefresh();
+    };
+  }, [user]);
+
   // Handle user state changes (including logout)
   useEffect(() => {
     if (!user && !loading) {
@@ -1,13 +1,35 @@
 /* eslint-disable react/prop-types */
-import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import ApiService from '../api/apiService';
+import HolidayCalendarService from '../services/HolidayCalendarService';
 import { useUser } from './UserContext';
+import { useOffice } from './OfficeContext';
+import { getOfficeCoordinates } from '../utils/offices';
+import { splitWorkedMinutes } from '../utils/premiumHours';
 import { maskName } from '../utils/safeLogging';
+import { toZonedDateKey } from '../utils/timeZone';
+import { sumBreakHours } from '../utils/timesheet';
 import { APP_CONFIG } from '../config';
 
 const WORK_STATUS_KEY = APP_CONFIG.STORAGE_KEYS.WORK_STATUS;
 
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatDuration = diffMs => {
+  const hours = Math.floor(diffMs / HOUR_MS);
+  const minutes = Math.floor((diffMs % HOUR_MS) / (1000 * 60));
+  return `${hours}h ${minutes}m`;
+};
+
 // Create context
 const WorkStatusContext = createContext();
 
@@ -16,10 +38,22 @@ export const WorkStatusProvider = ({ children }) => {
   const [workStatus, setWorkStatus] = useState('off-shift'); // 'off-shift' | 'on-shift'
   const [shiftStartTime, setShiftStartTime] = useState(null);
   const [currentSession, setCurrentSession] = useState(null);
+  // Breaks of the open session: [{ start, end }], end is null while the break runs
+  const [breaks, setBreaks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [isLoadingRef, setIsLoadingRef] = useState(false); // Additional throttling
+  // Holiday and Shabbat windows around today (see src/utils/premiumHours.js)
+  const [premiumWindows, setPremiumWindows] = useState([]);
+  const premiumWindowsKey = useRef(null);
   const { user } = useUser();
+  const { offices } = useOffice();
+
+  // Shabbat times of the first office with a location, like the holidays screen
+  const premiumLocation = useMemo(
+    () => offices.map(getOfficeCoordinates).find(Boolean) || null,
+    [offices]
+  );
 
   // Load work status from backend
   const loadWorkStatus = useCallback(
@@ -29,6 +63,7 @@ export const WorkStatusProvider = ({ children }) => {
         setWorkStatus('off-shift');
         setShiftStartTime(null);
         setCurrentSession(null);
+        setBreaks([]);
         setLoading(false);
         return;
       }
@@ -93,6 +128,7 @@ export const WorkStatusProvider = ({ children }) => {
             setWorkStatus('on-shift');
             setShiftStartTime(session.check_in_time);
             setCurrentSession(session);
+            setBreaks(session.breaks || []);
 
             // Save to AsyncStorage
             const statusData = {
@@ -100,6 +136,7 @@ export const WorkStatusProvider = ({ children }) => {
               shiftStartTime: session.check_in_time,
               worklogId: session.worklog_id,
               location: session.location_check_in,
+              breaks: session.breaks || [],
               updatedAt: new Date().toISOString(),
             };
             await AsyncStorage.setItem(`${WORK_STATUS_KEY}_${user.id}`, JSON.stringify(statusData));
@@ -107,6 +144,7 @@ export const WorkStatusProvider = ({ children }) => {
             setWorkStatus('off-shift');
             setShiftStartTime(null);
             setCurrentSession(null);
+            setBreaks([]);
 
             // Clear from AsyncStorage
             await AsyncStorage.removeItem(`${WORK_STATUS_KEY}_${user.id}`);
@@ -121,6 +159,7 @@ export const WorkStatusProvider = ({ children }) => {
           setWorkStatus('off-shift');
           setShiftStartTime(null);
           setCurrentSession(null);
+          setBreaks([]);
           setLoading(false);
           return;
         }
@@ -151,11 +190,13 @@ export const WorkStatusProvider = ({ children }) => {
               check_in_time: statusData.shiftStartTime,
               location_check_in: statusData.location,
             });
+            setBreaks(statusData.breaks || []);
           } else {
             // Default to off-shift if no cache
             setWorkStatus('off-shift');
             setShiftStartTime(null);
             setCurrentSession(null);
+            setBreaks([]);
           }
         } catch (localError) {
           console.error('Error loading cached status:', localError);
@@ -163,6 +204,7 @@ export const WorkStatusProvider = ({ children }) => {
           setWorkStatus('off-shift');
           setShiftStartTime(null);
           setCurrentSession(null);
+          setBreaks([]);
         }
       } finally {
         setLoading(false);
@@ -191,6 +233,7 @@ export const WorkStatusProvider = ({ children }) => {
         check_in_time: checkInData.check_in_time,
         location_check_in: checkInData.location,
       });
+      setBreaks([]);
 
       // Save to AsyncStorage
       if (user && user.id) {
@@ -199,6 +242,7 @@ export const WorkStatusProvider = ({ children }) => {
           shiftStartTime: checkInData.check_in_time,
           worklogId: checkInData.worklog_id,
           location: checkInData.location,
+          breaks: [],
           updatedAt: new Date().toISOString(),
         };
         await AsyncStorage.setItem(`${WORK_STATUS_KEY}_${user.id}`, JSON.stringify(statusData));
@@ -235,10 +279,11 @@ export const WorkStatusProvider = ({ children }) => {
         hasWorklogId: !!checkOutData.worklog_id,
       });
 
-      // Optimistic UI update
+      // Optimistic UI update; check-out also ends a running break
       setWorkStatus('off-shift');
       setShiftStartTime(null);
       setCurrentSession(null);
+      setBreaks([]);
 
       // Clear from AsyncStorage
       if (user && user.id) {
@@ -264,18 +309,101 @@ export const WorkStatusProvider = ({ children }) => {
     [user]
   ); // Remove loadWorkStatus from dependencies
 
-  // Calculate current duration
+  // Keeps the cached status in step with the break state
+  const saveBreaks = useCallback(
+    async nextBreaks => {
+      setBreaks(nextBreaks);
+      if (!user?.id) return;
+
+      try {
+        const savedStatus = await AsyncStorage.getItem(`${WORK_STATUS_KEY}_${user.id}`);
+        if (savedStatus) {
+          await AsyncStorage.setItem(
+            `${WORK_STATUS_KEY}_${user.id}`,
+            JSON.stringify({
+              ...JSON.parse(savedStatus),
+              breaks: nextBreaks,
+              updatedAt: new Date().toISOString(),
+            })
+          );
+        }
+      } catch (error) {
+        console.warn('Could not cache break state:', error.message);
+      }
+    },
+    [user]
+  );
+
+  // Break handlers. The server answers with the session's breaks; a queued
+  // request only knows when it happened.
+  const handleBreakStartSuccess = useCallback(
+    async breakData => {
+      console.log('Break started');
+      await saveBreaks(
+        breakData?.breaks || [
+          ...breaks,
+          { start: breakData?.start || new Date().toISOString(), end: null },
+        ]
+      );
+    },
+    [breaks, saveBreaks]
+  );
+
+  const handleBreakEndSuccess = useCallback(
+    async breakData => {
+      console.log('Break ended');
+      const end = breakData?.end || new Date().toISOString();
+      await saveBreaks(
+        breakData?.breaks || breaks.map(item => (item.end ? item : { ...item, end }))
+      );
+    },
+    [breaks, saveBreaks]
+  );
+
+  // Calculate current duration, net of breaks
   const getCurrentDuration = useCallback(() => {
     if (!shiftStartTime) return '0h 0m';
 
-    const startTime = new Date(shiftStartTime);
     const now = new Date();
-    const diffMs = now - startTime;
-    const hours = Math.floor(diffMs / (1000 * 60 * 60));
-    const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
+    const diffMs = now - new Date(shiftStartTime) - sumBreakHours(breaks, now) * HOUR_MS;
+    return formatDuration(Math.max(0, diffMs));
+  }, [shiftStartTime, breaks]);
+
+  // Time spent on breaks in the current session
+  const getBreakDuration = useCallback(
+    () => formatDuration(sumBreakHours(breaks, new Date()) * HOUR_MS),
+    [breaks]
+  );
+
+  // Split of the open session into regular, overtime, Shabbat and holiday minutes
+  const getCurrentSplit = useCallback(
+    () => splitWorkedMinutes({ start: shiftStartTime, breaks, windows: premiumWindows }),
+    [shiftStartTime, breaks, premiumWindows]
+  );
+
+  // Load the premium windows, at most once a company day per location
+  const loadPremiumWindows = useCallback(
+    async (forceRefresh = false) => {
+      if (!user?.id) return;
+
+      const now = new Date();
+      const key = `${toZonedDateKey(now)}|${premiumLocation?.latitude},${premiumLocation?.longitude}`;
+      if (!forceRefresh && premiumWindowsKey.current === key) return;
+      premiumWindowsKey.current = key;
 
-    return `${hours}h ${minutes}m`;
-  }, [shiftStartTime]);
+      try {
+        setPremiumWindows(await HolidayCalendarService.getPremiumWindows(now, premiumLocation));
+      } catch (error) {
+        premiumWindowsKey.current = null;
+        console.warn('Could not load holiday and Shabbat windows:', error.message);
+      }
+    },
+    [user?.id, premiumLocation]
+  );
+
+  useEffect(() => {
+    loadPremiumWindows();
+  }, [loadPremiumWindows]);
 
   // Initial load when user changes
   useEffect(() => {
@@ -310,6 +438,7 @@ export const WorkStatusProvider = ({ children }) => {
     workStatus,
     shiftStartTime,
     currentSession,
+    breaks,
     loading,
     lastUpdate,
 
@@ -317,10 +446,17 @@ export const WorkStatusProvider = ({ children }) => {
     loadWorkStatus,
     handleCheckInSuccess,
     handleCheckOutSuccess,
+    handleBreakStartSuccess,
+    handleBreakEndSuccess,
     getCurrentDuration,
+    getBreakDuration,
+    getCurrentSplit,
+    loadPremiumWindows,
+    premiumWindows,
 
     // Computed
     isOnShift: workStatus === 'on-shift',
+    isOnBreak: workStatus === 'on-shift' && breaks.some(item => !item.end),
     isOffShift: workStatus === 'off-shift',
   };
 
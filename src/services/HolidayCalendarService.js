@@ -0,0 +1,177 @@
+// src/services/HolidayCalendarService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import ApiService from '../api/apiService';
+import { APP_CONFIG } from '../config';
+import { normalizeShabbatTimes } from '../utils/holidayCalendar';
+import { buildPremiumWindows } from '../utils/premiumHours';
+import { getZonedCalendarDate } from '../utils/timeZone';
+import { listOf } from '../utils/timesheet';
+import { toDateKey } from '../utils/worktimeCalendar';
+
+const FRIDAY = 5;
+
+// Number of Shabbat weeks (per location) kept for offline use
+const MAX_CACHED_SHABBAT_WEEKS = 60;
+
+// Shabbat times differ by a few minutes between cities
+const locationKey = location =>
+  location ? `${location.latitude.toFixed(3)},${location.longitude.toFixed(3)}` : 'company';
+
+/**
+ * HolidayCalendarService
+ *
+ * Loads holidays and Shabbat times from the integrations API and keeps the
+ * last answers, so the calendar still shows which days count as holiday or
+ * Shabbat without network. Holidays are company-wide, so the cache is shared
+ * by every user of the device.
+ *
+ * @example
+ * import HolidayCalendarService from './services/HolidayCalendarService';
+ *
+ * const { holidays, cachedAt } = await HolidayCalendarService.getYearHolidays(2025);
+ * const { times } = await HolidayCalendarService.getShabbatTimes('2025-03-14', location);
+ */
+class HolidayCalendarService {
+  async readCache() {
+    try {
+      const cached = await AsyncStorage.getItem(APP_CONFIG.STORAGE_KEYS.HOLIDAYS_CACHE);
+      const cache = cached ? JSON.parse(cached) : {};
+      return { years: cache.years || {}, shabbat: cache.shabbat || {} };
+    } catch (error) {
+      console.warn('Holidays cache read error:', error);
+      return { years: {}, shabbat: {} };
+    }
+  }
+
+  async updateCache(update) {
+    try {
+      const cache = await this.readCache();
+      update(cache);
+
+      // Drop the oldest Shabbat weeks beyond the limit
+      const keys = Object.keys(cache.shabbat).sort(
+        (a, b) => new Date(cache.shabbat[b].cached_at) - new Date(cache.shabbat[a].cached_at)
+      );
+      keys.slice(MAX_CACHED_SHABBAT_WEEKS).forEach(key => delete cache.shabbat[key]);
+
+      await AsyncStorage.setItem(APP_CONFIG.STORAGE_KEYS.HOLIDAYS_CACHE, JSON.stringify(cache));
+    } catch (error) {
+      console.warn('Holidays cache write error:', error);
+    }
+  }
+
+  /**
+   * Holidays of a calendar year. Falls back to the cached copy when the
+   * request fails; rethrows when there is none.
+   * @param {number} year
+   * @returns {Promise<{holidays: Array<Object>, cachedAt: string|null}>} Raw API holidays;
+   *   cachedAt is set when they came from the cache
+   */
+  async getYearHolidays(year) {
+    try {
+      const response = await ApiService.integrations.getHolidays({
+        date_from: `${year}-01-01`,
+        date_to: `${year}-12-31`,
+        page_size: 500,
+      });
+      const holidays = listOf(response);
+      await this.updateCache(cache => {
+        cache.years[year] = { holidays, cached_at: new Date().toISOString() };
+      });
+      return { holidays, cachedAt: null };
+    } catch (error) {
+      const cached = (await this.readCache()).years[year];
+      if (!cached) throw error;
+      console.warn(`Showing cached holidays for ${year}:`, error.message);
+      return { holidays: cached.holidays, cachedAt: cached.cached_at };
+    }
+  }
+
+  /**
+   * Shabbat times of one week, cached per location like the holidays
+   * @param {string} date - Friday as YYYY-MM-DD
+   * @param {{latitude: number, longitude: number}|null} [location] - Company default when null
+   * @returns {Promise<{times: Object, cachedAt: string|null}>} Raw API times
+   */
+  async getShabbatTimes(date, location = null) {
+    const key = `${date}|${locationKey(location)}`;
+    try {
+      const times = await ApiService.integrations.getShabbatTimes(date, location);
+      await this.updateCache(cache => {
+        cache.shabbat[key] = { times, cached_at: new Date().toISOString() };
+      });
+      return { times, cachedAt: null };
+    } catch (error) {
+      const cached = (await this.readCache()).shabbat[key];
+      if (!cached) throw error;
+      return { times: cached.times, cachedAt: cached.cached_at };
+    }
+  }
+
+  /**
+   * Holiday and Shabbat windows of the company days from `from` to `to`,
+   * including a Shabbat that started the evening before. Sources that cannot
+   * be loaded (offline without a cached copy) are left out.
+   * @param {Date} from - First day, as a calendar date (see getMonthRange)
+   * @param {Date} to - Last day, as a calendar date
+   * @param {{latitude: number, longitude: number}|null} [location] - For the Shabbat times
+   * @returns {Promise<Array<Object>>} See buildPremiumWindows
+   */
+  async getPremiumWindowsBetween(from, to, location = null) {
+    const years = new Set();
+    const fridays = [];
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1);
+    for (; day <= to; day.setDate(day.getDate() + 1)) {
+      years.add(day.getFullYear());
+      if (day.getDay() === FRIDAY) fridays.push(toDateKey(day));
+    }
+
+    const [yearResults, shabbatWeeks] = await Promise.all([
+      Promise.all([...years].map(year => this.getYearHolidays(year).catch(() => null))),
+      Promise.all(
+        fridays.map(date =>
+          this.getShabbatTimes(date, location)
+            .then(({ times }) => normalizeShabbatTimes(times, date))
+            .catch(() => normalizeShabbatTimes(null, date))
+        )
+      ),
+    ]);
+
+    return buildPremiumWindows({
+      holidays: yearResults.filter(Boolean).flatMap(result => result.holidays),
+      shabbatWeeks,
+    });
+  }
+
+  /**
+   * Windows an open session can touch: from yesterday to tomorrow, with this
+   * week's Shabbat
+   * @param {Date} [now=new Date()]
+   * @param {{latitude: number, longitude: number}|null} [location]
+   * @returns {Promise<Array<Object>>} See buildPremiumWindows
+   */
+  getPremiumWindows(now = new Date(), location = null) {
+    const today = getZonedCalendarDate(now);
+    const from = new Date(today);
+    from.setDate(from.getDate() - 1);
+    const to = new Date(today);
+    to.setDate(to.getDate() + Math.max(1, FRIDAY - today.getDay()));
+    return this.getPremiumWindowsBetween(from, to, location);
+  }
+
+  /**
+   * Imports a year's holidays on the server (admins) and reloads them
+   * @param {number} year
+   * @returns {Promise<{holidays: Array<Object>, cachedAt: null}>}
+   */
+  async syncYear(year) {
+    await ApiService.integrations.syncHolidays(year);
+    const result = await this.getYearHolidays(year);
+    if (result.cachedAt) {
+      throw new Error('The holidays were synced but could not be reloaded');
+    }
+    return result;
+  }
+}
+
+export default new HolidayCalendarService();
@@ -1,20 +1,46 @@
 // src/services/OfflineQueueService.js
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
-import apiService from '../api/apiService';
 import { Alert } from 'react-native';
+import {
+  OPERATION_HANDLERS,
+  CONFLICT_STRATEGIES,
+  generateIdempotencyKey,
+} from './offlineOperations';
+import { captureEventTime } from '../utils/eventClock';
+
+// Экспоненциальный backoff между автоматическими повторами
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+/**
+ * Краткое описание ошибки для инспектора очереди
+ * @param {Error} error - Ошибка API вызова
+ * @returns {string}
+ */
+const describeError = error => {
+  const status = error?.response?.status;
+  const data = error?.response?.data;
+  const serverMessage = data?.error || data?.detail || data?.message;
+  const message = typeof serverMessage === 'string' ? serverMessage : error?.message;
+  return status ? `${status}: ${message || 'Request failed'}` : message || 'Unknown error';
+};
 
 /**
  * OfflineQueueService
  *
- * Сервис для управления офлайн-очередью операций check-in/check-out.
+ * Сервис для управления офлайн-очередью операций записи (check-in/check-out,
+ * ручной check-out, создание/обновление сотрудников, отправка приглашений).
  * Обеспечивает надежную доставку данных при нестабильном интернете.
+ * Каждый тип операции описан обработчиком в реестре (см. offlineOperations.js).
  *
  * Features:
  * - Автоматическое сохранение операций при сетевых сбоях
  * - Retry механизм с экспоненциальным backoff
  * - Уведомления пользователя о статусе операций
  * - Автоматическая обработка очереди при восстановлении связи
+ * - Правила конфликтов и idempotency key для каждого типа операции
+ * - Проверка последовательности check-in/check-out перед отправкой
  *
  * @example
  * import OfflineQueueService from './services/OfflineQueueService';
@@ -34,6 +60,8 @@ class OfflineQueueService {
     this.FAILED_QUEUE_KEY = 'MyHours.FailedQueue';
     this.isProcessing = false;
     this.networkUnsubscribe = null;
+    this.retryTimer = null;
+    this.handlers = { ...OPERATION_HANDLERS };
 
     // Инициализация слушателя сети
     this.setupNetworkListener();
@@ -54,10 +82,11 @@ class OfflineQueueService {
           isInternetReachable: state.isInternetReachable
         });
 
-        // Если интернет появился и очередь не обрабатывается
+        // Если интернет появился и очередь не обрабатывается.
+        // Backoff больше не нужен - причина сбоя (нет сети) устранена
         if (state.isConnected && state.isInternetReachable && !this.isProcessing) {
           console.log('📡 Network connected, processing offline queue...');
-          this.processQueue();
+          this.processQueue({ force: true });
         }
       });
 
@@ -71,6 +100,11 @@ class OfflineQueueService {
    * Остановить слушатель сети (для cleanup)
    */
   cleanup() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
     if (this.networkUnsubscribe) {
       this.networkUnsubscribe();
       this.networkUnsubscribe = null;
@@ -78,65 +112,185 @@ class OfflineQueueService {
     }
   }
 
+  /**
+   * Зарегистрировать (или переопределить) обработчик типа операции
+   *
+   * @param {string} type - Тип операции
+   * @param {Object} handler - Обработчик (формат см. в offlineOperations.js)
+   */
+  registerOperation(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Получить обработчик типа операции
+   *
+   * @param {string} type - Тип операции
+   * @returns {Object} Обработчик
+   */
+  getHandler(type) {
+    const handler = this.handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown operation type: ${type}`);
+    }
+    return handler;
+  }
+
+  /**
+   * Название операции для уведомлений пользователю
+   * @param {string} type - Тип операции
+   * @returns {string}
+   */
+  getOperationLabel(type) {
+    return this.handlers[type]?.label || type;
+  }
+
+  /**
+   * Детали операции для инспектора очереди (место, сотрудник)
+   * @param {Object} item - Элемент очереди
+   * @returns {string}
+   */
+  getOperationDescription(item) {
+    const describe = this.handlers[item.operation_type]?.describe;
+    return describe ? describe(item.payload || {}) : '';
+  }
+
   /**
    * Добавить операцию в очередь
    *
    * @param {Object} operation - Операция для добавления
-   * @param {string} operation.type - Тип операции ('check-in' | 'check-out')
-   * @param {Object} operation.payload - Данные операции
-   * @param {string} operation.payload.image - Base64 изображение
-   * @param {Object} operation.payload.location - GPS координаты
+   * @param {string} operation.type - Тип операции (см. OPERATION_TYPES)
+   * @param {Object} operation.payload - Данные операции, например для check-in:
+   *   { image: base64 изображение, location: GPS координаты }
+   * @param {string} [operation.idempotencyKey] - Ключ уже сделанной онлайн-попытки.
+   *   Если запрос дошел до сервера, повтор с тем же ключом не создаст дубликат.
+   * @param {Object} [operation.eventTime] - Время события (captureEventTime), если оно
+   *   было зафиксировано до онлайн-попытки. По умолчанию - момент постановки в очередь.
+   * @param {boolean} [operation.silent=false] - Не показывать уведомление о постановке
+   *   в очередь, если экран показывает свое
    * @returns {Promise<string>} ID элемента очереди
    */
   async enqueue(operation) {
     try {
+      const handler = this.getHandler(operation.type);
       const queue = await this.getQueue();
 
       const queueItem = {
         id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         operation_type: operation.type,
         payload: {
-          image: operation.payload.image,
-          location: operation.payload.location,
-          timestamp: new Date().toISOString(), // Реальное время операции
+          ...handler.buildPayload(operation.payload || {}),
+          // Реальное время операции: timestamp, смещение часового пояса и
+          // показания монотонных часов для проверки перевода часов устройства
+          ...(operation.eventTime || captureEventTime()),
         },
         created_at: new Date().toISOString(),
         retry_count: 0,
         max_retries: 3,
         status: 'pending'
       };
+      queueItem.conflict_key = handler.getConflictKey(queueItem.payload);
+      queueItem.idempotency_key =
+        operation.idempotencyKey || handler.getIdempotencyKey(queueItem.payload, queueItem);
+
+      // Правила конфликтов: ожидающая операция над той же сущностью
+      const existing = queueItem.conflict_key
+        ? queue.find(i => i.status === 'pending' && i.conflict_key === queueItem.conflict_key)
+        : null;
+
+      if (existing && handler.conflictStrategy === CONFLICT_STRATEGIES.SKIP) {
+        console.log(`⏭️  ${operation.type} already queued as ${existing.id}, skipping duplicate`);
+        return existing.id;
+      }
+
+      if (existing && handler.conflictStrategy === CONFLICT_STRATEGIES.REPLACE) {
+        existing.payload = queueItem.payload;
+        existing.retry_count = 0;
+      } else if (existing && handler.conflictStrategy === CONFLICT_STRATEGIES.MERGE) {
+        existing.payload = {
+          ...existing.payload,
+          ...queueItem.payload,
+          data: { ...existing.payload.data, ...queueItem.payload.data },
+        };
+        existing.retry_count = 0;
+        // Новые данные - новый ключ, иначе сервер отбросит их как повтор
+        existing.idempotency_key = queueItem.idempotency_key;
+      } else {
+        queue.push(queueItem);
+      }
 
-      queue.push(queueItem);
       await AsyncStorage.setItem(this.QUEUE_KEY, JSON.stringify(queue));
 
+      const storedItem = existing || queueItem;
       console.log(`✅ Queued ${operation.type}:`, {
-        id: queueItem.id,
-        timestamp: queueItem.payload.timestamp,
-        hasImage: !!queueItem.payload.image,
-        hasLocation: !!queueItem.payload.location
+        id: storedItem.id,
+        timestamp: storedItem.payload.timestamp,
+        merged: !!existing,
+        hasImage: !!storedItem.payload.image,
+        hasLocation: !!storedItem.payload.location
       });
 
       // Показываем пользователю уведомление (только не в тестах)
-      if (typeof Alert !== 'undefined' && Alert && Alert.alert) {
+      if (!operation.silent && typeof Alert !== 'undefined' && Alert && Alert.alert) {
         Alert.alert(
           "Операция в очереди",
-          `${operation.type === 'check-in' ? 'Check-in' : 'Check-out'} будет отправлен при восстановлении связи.`,
+          `${handler.label} будет отправлен при восстановлении связи.`,
           [{ text: "OK" }]
         );
       }
 
-      return queueItem.id;
+      return storedItem.id;
     } catch (error) {
       console.error('❌ Failed to enqueue operation:', error);
       throw new Error(`Failed to enqueue: ${error.message}`);
     }
   }
 
+  /**
+   * Задержка перед следующей автоматической попыткой
+   * @param {number} retryCount - Количество уже сделанных попыток
+   * @returns {number} Задержка в миллисекундах
+   */
+  getRetryDelay(retryCount) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(retryCount - 1, 0), MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Запланировать обработку очереди к ближайшему next_retry_at
+   * @param {Array} queue - Очередь после обработки
+   */
+  scheduleNextRetry(queue) {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    const nextRetryTimes = queue
+      .filter(item => item.status === 'pending' && item.next_retry_at)
+      .map(item => Date.parse(item.next_retry_at))
+      .filter(Number.isFinite);
+
+    if (nextRetryTimes.length === 0) {
+      return;
+    }
+
+    const delay = Math.max(Math.min(...nextRetryTimes) - Date.now(), 0);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processQueue();
+    }, delay);
+    // Таймер не должен удерживать процесс (Node/Jest)
+    this.retryTimer?.unref?.();
+  }
+
   /**
    * Обработать всю очередь
    * Пытается отправить все pending операции на сервер
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Игнорировать next_retry_at (backoff)
    */
-  async processQueue() {
+  async processQueue({ force = false } = {}) {
     if (this.isProcessing) {
       console.log('⏳ Queue processing already in progress, skipping...');
       return;
@@ -144,16 +298,40 @@ class OfflineQueueService {
 
     try {
       this.isProcessing = true;
-      const queue = await this.getQueue();
+      const storedQueue = await this.getQueue();
 
-      if (queue.length === 0) {
+      if (storedQueue.length === 0) {
         console.log('📭 Queue is empty, nothing to process');
         this.isProcessing = false;
         return;
       }
 
+      // Восстанавливаем порядок check-in/check-out и убираем невозможные пары
+      const { queue, dropped, changed } = this.normalizeSequence(storedQueue);
+
+      if (changed) {
+        await AsyncStorage.setItem(this.QUEUE_KEY, JSON.stringify(queue));
+      }
+
+      for (const item of dropped) {
+        console.warn(`🚫 Dropping ${item.operation_type} ${item.id}: impossible sequence`);
+        await this.moveToFailedQueue(item, 'impossible_sequence');
+      }
+
       console.log(`📦 Processing ${queue.length} queued items...`);
 
+      const remaining = [];
+      // Группы событий, где более раннее событие ждет повтора: следующие за ним
+      // не отправляются, иначе check-out уйдет раньше своего check-in
+      const heldGroups = new Set();
+      const hold = item => {
+        const group = this.getSequenceGroup(item);
+        if (!group) return;
+        heldGroups.add(group);
+        // Перерывы идут внутри сессии, которую открывает или закрывает событие посещаемости
+        if (group === 'attendance') heldGroups.add('break');
+      };
+
       // Обрабатываем операции последовательно (не параллельно!)
       for (const item of queue) {
         if (item.status === 'completed') {
@@ -161,6 +339,20 @@ class OfflineQueueService {
           continue;
         }
 
+        const group = this.getSequenceGroup(item);
+        if (group && heldGroups.has(group)) {
+          console.log(`⏸️  Item ${item.id} waits for an earlier ${group} event`);
+          remaining.push(item);
+          continue;
+        }
+
+        if (!force && item.next_retry_at && Date.parse(item.next_retry_at) > Date.now()) {
+          console.log(`⏱️  Item ${item.id} waits for retry at ${item.next_retry_at}`);
+          hold(item);
+          remaining.push(item);
+          continue;
+        }
+
         try {
           console.log(`🔄 Processing item ${item.id} (attempt ${item.retry_count + 1}/${item.max_retries})...`);
 
@@ -176,13 +368,15 @@ class OfflineQueueService {
           if (typeof Alert !== 'undefined' && Alert && Alert.alert) {
             Alert.alert(
               "Операция выполнена",
-              `${item.operation_type === 'check-in' ? 'Check-in' : 'Check-out'} успешно отправлен на сервер.`,
+              `${this.getOperationLabel(item.operation_type)} успешно отправлен на сервер.`,
               [{ text: "OK" }]
             );
           }
 
         } catch (error) {
           item.retry_count++;
+          item.last_error = describeError(error);
+          item.last_attempt_at = new Date().toISOString();
 
           console.error(`❌ Failed to process ${item.operation_type} (${item.id}):`, {
             error: error.message,
@@ -190,19 +384,31 @@ class OfflineQueueService {
             maxRetries: item.max_retries
           });
 
-          if (item.retry_count >= item.max_retries) {
+          if (this.handlers[item.operation_type]?.isRejected?.(error)) {
+            // Сервер отклонил операцию - повтор не поможет, решает пользователь
+            console.error(`🚫 Server rejected item ${item.id}`);
+            await this.moveToFailedQueue(item, 'rejected');
+            await this.removeFromQueue(item.id);
+          } else if (item.retry_count >= item.max_retries) {
             // Превышен лимит попыток - перемещаем в failed queue
             console.error(`💀 Max retries exceeded for item ${item.id}`);
             await this.moveToFailedQueue(item);
             await this.removeFromQueue(item.id);
           } else {
             // Обновляем счетчик попыток и пробуем позже
-            console.log(`🔁 Retry ${item.retry_count}/${item.max_retries} scheduled for ${item.id}`);
+            item.next_retry_at = new Date(
+              Date.now() + this.getRetryDelay(item.retry_count)
+            ).toISOString();
+            console.log(`🔁 Retry ${item.retry_count}/${item.max_retries} scheduled for ${item.id} at ${item.next_retry_at}`);
             await this.updateQueueItem(item);
+            hold(item);
+            remaining.push(item);
           }
         }
       }
 
+      this.scheduleNextRetry(remaining);
+
       console.log('✅ Queue processing completed');
 
     } catch (error) {
@@ -212,6 +418,71 @@ class OfflineQueueService {
     }
   }
 
+  /**
+   * Группа чередующихся событий операции ('attendance' или 'break')
+   *
+   * @param {Object} item - Элемент очереди
+   * @returns {string|null} null для операций вне последовательности
+   */
+  getSequenceGroup(item) {
+    const handler = this.handlers[item.operation_type];
+    return handler?.sequence ? handler.sequenceGroup || 'attendance' : null;
+  }
+
+  /**
+   * Упорядочить check-in/check-out и начало/конец перерыва по реальному времени
+   * операции и убрать невозможные последовательности (два check-in или два
+   * начала перерыва подряд). Посещаемость и перерывы чередуются независимо
+   * (см. sequenceGroup в offlineOperations.js).
+   * Повторные попытки попадают в конец очереди, поэтому порядок в массиве
+   * может не совпадать с порядком событий. Из двух одинаковых событий подряд
+   * остается более раннее. Остальные операции не перемещаются.
+   *
+   * @param {Array} queue - Очередь
+   * @returns {{queue: Array, dropped: Array, changed: boolean}}
+   */
+  normalizeSequence(queue) {
+    const getSequence = item =>
+      item.status === 'completed' ? null : this.handlers[item.operation_type]?.sequence || null;
+    const eventTime = item => Date.parse(item.payload?.timestamp || item.created_at) || 0;
+
+    const slots = [];
+    queue.forEach((item, index) => {
+      if (getSequence(item)) slots.push(index);
+    });
+
+    // Array.prototype.sort стабильна - события с одинаковым временем сохраняют порядок
+    const ordered = slots.map(index => queue[index]).sort((a, b) => eventTime(a) - eventTime(b));
+
+    const dropped = [];
+    const lastSequence = {};
+    ordered.forEach(item => {
+      const sequence = getSequence(item);
+      const group = this.getSequenceGroup(item);
+      if (sequence === lastSequence[group]) {
+        dropped.push(item);
+        return;
+      }
+      lastSequence[group] = sequence;
+      // Check-in и check-out закрывают перерыв на сервере - следующий начинается заново
+      if (group === 'attendance') delete lastSequence.break;
+    });
+
+    const reordered = [...queue];
+    slots.forEach((index, position) => {
+      reordered[index] = ordered[position];
+    });
+
+    const changed =
+      dropped.length > 0 || slots.some((index, position) => queue[index] !== ordered[position]);
+
+    return {
+      queue: reordered.filter(item => !dropped.includes(item)),
+      dropped,
+      changed,
+    };
+  }
+
   /**
    * Обработать одну операцию из очереди
    *
@@ -219,21 +490,17 @@ class OfflineQueueService {
    * @returns {Promise<Object>} Результат API вызова
    */
   async processItem(item) {
-    switch (item.operation_type) {
-      case 'check-in':
-        return await apiService.biometrics.checkIn(
-          item.payload.image,
-          item.payload.location
-        );
+    const handler = this.getHandler(item.operation_type);
 
-      case 'check-out':
-        return await apiService.biometrics.checkOut(
-          item.payload.image,
-          item.payload.location
-        );
-
-      default:
-        throw new Error(`Unknown operation type: ${item.operation_type}`);
+    try {
+      return await handler.execute(item.payload, item);
+    } catch (error) {
+      // Сервер сообщает, что операция уже применена - считаем успехом
+      if (handler.isAlreadyApplied && handler.isAlreadyApplied(error)) {
+        console.log(`☑️  ${item.operation_type} ${item.id} already applied on server`);
+        return { already_applied: true };
+      }
+      throw error;
     }
   }
 
@@ -287,17 +554,21 @@ class OfflineQueueService {
 
   /**
    * Переместить операцию в очередь неудачных
-   * Вызывается когда превышен лимит попыток
+   * Вызывается когда превышен лимит попыток, сервер отклонил операцию или
+   * последовательность невозможна
    *
    * @param {Object} item - Элемент для перемещения
+   * @param {string} [reason='max_retries'] - Причина: 'max_retries' | 'rejected' |
+   *   'impossible_sequence'
    */
-  async moveToFailedQueue(item) {
+  async moveToFailedQueue(item, reason = 'max_retries') {
     try {
       const failedQueue = await this.getFailedQueue();
 
       failedQueue.push({
         ...item,
         failed_at: new Date().toISOString(),
+        failure_reason: reason,
         status: 'failed'
       });
 
@@ -306,10 +577,22 @@ class OfflineQueueService {
       console.log(`💀 Moved to failed queue: ${item.id}`);
 
       // Критическое уведомление пользователю (только не в тестах)
-      if (typeof Alert !== 'undefined' && Alert && Alert.alert) {
+      if (typeof Alert !== 'undefined' && Alert && Alert.alert && reason === 'impossible_sequence') {
         Alert.alert(
           "⚠️ Операция не выполнена",
-          `${item.operation_type === 'check-in' ? 'Check-in' : 'Check-out'} не удалось отправить после ${item.max_retries} попыток.\n\nОбратитесь в HR для ручной корректировки.`,
+          `${this.getOperationLabel(item.operation_type)} пропущен: такое же событие уже стоит в очереди перед ним.\n\nОбратитесь в HR для ручной корректировки.`,
+          [{ text: "OK" }]
+        );
+      } else if (typeof Alert !== 'undefined' && Alert && Alert.alert && reason === 'rejected') {
+        Alert.alert(
+          "⚠️ Операция не выполнена",
+          `${this.getOperationLabel(item.operation_type)} отклонен сервером: ${item.last_error}\n\nОбратитесь в HR для ручной корректировки.`,
+          [{ text: "OK" }]
+        );
+      } else if (typeof Alert !== 'undefined' && Alert && Alert.alert) {
+        Alert.alert(
+          "⚠️ Операция не выполнена",
+          `${this.getOperationLabel(item.operation_type)} не удалось отправить после ${item.max_retries} попыток.\n\nОбратитесь в HR для ручной корректировки.`,
           [
             { text: "Отмена", style: "cancel" },
             {
@@ -351,6 +634,7 @@ class OfflineQueueService {
         // Сбрасываем счетчик попыток
         item.retry_count = 0;
         item.status = 'pending';
+        item.next_retry_at = null;
 
         // Перемещаем обратно в основную очередь
         const queue = await this.getQueue();
@@ -364,13 +648,138 @@ class OfflineQueueService {
         console.log(`♻️  Retrying failed item: ${itemId}`);
 
         // Запускаем обработку очереди
-        this.processQueue();
+        await this.processQueue();
       }
     } catch (error) {
       console.error('❌ Failed to retry item:', error);
     }
   }
 
+  /**
+   * Повторить операцию сейчас, не дожидаясь backoff
+   * Работает и для pending, и для failed операций
+   *
+   * @param {string} itemId - ID операции
+   */
+  async retryNow(itemId) {
+    try {
+      const queue = await this.getQueue();
+      const item = queue.find(i => i.id === itemId);
+
+      if (!item) {
+        await this.retryFailedItem(itemId);
+        return;
+      }
+
+      item.next_retry_at = null;
+      await this.updateQueueItem(item);
+
+      console.log(`⚡ Retrying queued item now: ${itemId}`);
+      await this.processQueue();
+    } catch (error) {
+      console.error('❌ Failed to retry item now:', error);
+    }
+  }
+
+  /**
+   * Вернуть все неудачные операции в очередь и сразу обработать всю очередь
+   */
+  async retryAll() {
+    try {
+      const failedQueue = await this.getFailedQueue();
+      const queue = await this.getQueue();
+
+      failedQueue.forEach(item => {
+        queue.push({ ...item, retry_count: 0, status: 'pending', next_retry_at: null });
+      });
+
+      await AsyncStorage.setItem(this.QUEUE_KEY, JSON.stringify(queue));
+      await this.clearFailedQueue();
+
+      console.log(`♻️  Retrying all: ${queue.length} items (${failedQueue.length} failed)`);
+      await this.processQueue({ force: true });
+    } catch (error) {
+      console.error('❌ Failed to retry all items:', error);
+    }
+  }
+
+  /**
+   * Удалить элемент из очереди неудачных
+   * @param {string} itemId - ID элемента для удаления
+   */
+  async removeFromFailedQueue(itemId) {
+    try {
+      const failedQueue = await this.getFailedQueue();
+      const filtered = failedQueue.filter(item => item.id !== itemId);
+      await AsyncStorage.setItem(this.FAILED_QUEUE_KEY, JSON.stringify(filtered));
+      console.log(`🗑️  Removed item from failed queue: ${itemId}`);
+    } catch (error) {
+      console.error('❌ Failed to remove from failed queue:', error);
+    }
+  }
+
+  /**
+   * Отказаться от операции (pending или failed) - она не будет отправлена
+   * @param {string} itemId - ID операции
+   */
+  async discard(itemId) {
+    const queue = await this.getQueue();
+
+    if (queue.some(item => item.id === itemId)) {
+      await this.removeFromQueue(itemId);
+    } else {
+      await this.removeFromFailedQueue(itemId);
+    }
+  }
+
+  /**
+   * Поля операции, которые можно исправить в очереди (editableFields обработчика)
+   * @param {Object} item - Элемент очереди
+   * @returns {Array<{key: string, label: string}>} Только поля, которые есть в payload.data
+   */
+  getEditableFields(item) {
+    const fields = this.handlers[item.operation_type]?.editableFields || [];
+    const data = item.payload?.data || {};
+    return fields.filter(field => field.key in data);
+  }
+
+  /**
+   * Исправить данные операции (pending или failed) перед повтором
+   * Меняются только поля из getEditableFields
+   *
+   * @param {string} itemId - ID операции
+   * @param {Object} changes - Новые значения полей payload.data
+   * @returns {Promise<boolean>} false, если операция не найдена
+   */
+  async editItem(itemId, changes) {
+    const queue = await this.getQueue();
+    const inQueue = queue.some(item => item.id === itemId);
+    const list = inQueue ? queue : await this.getFailedQueue();
+    const item = list.find(i => i.id === itemId);
+    if (!item) return false;
+
+    const handler = this.getHandler(item.operation_type);
+    const edited = this.getEditableFields(item)
+      .filter(field => field.key in changes)
+      .map(field => [field.key, changes[field.key]]);
+
+    item.payload = {
+      ...item.payload,
+      data: { ...item.payload.data, ...Object.fromEntries(edited) },
+    };
+    item.conflict_key = handler.getConflictKey(item.payload);
+    // Новые данные - новый ключ, иначе сервер отбросит их как повтор
+    item.idempotency_key = generateIdempotencyKey(item.operation_type);
+    item.edited_at = new Date().toISOString();
+
+    await AsyncStorage.setItem(
+      inQueue ? this.QUEUE_KEY : this.FAILED_QUEUE_KEY,
+      JSON.stringify(list)
+    );
+    console.log(`✏️  Edited queued item: ${itemId}`);
+    return true;
+  }
+
   /**
    * Получить статус очереди (для отображения в UI)
    *
@@ -0,0 +1,103 @@
+// src/services/PayslipService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import * as Print from 'expo-print';
+import { APP_CONFIG } from '../config';
+import { buildPayslip, renderPayslipHtml } from '../utils/payslip';
+import { shareFileUri } from '../utils/fileExport';
+import { getUserCacheKey } from '../utils/userCache';
+
+// Number of payroll snapshots kept for offline use
+const MAX_CACHED_SNAPSHOTS = 24;
+
+/**
+ * PayslipService
+ *
+ * Generates payslip PDFs and keeps a per-user cache of the payroll data
+ * they were built from, so payslips can still be produced without network.
+ *
+ * @example
+ * import PayslipService from './services/PayslipService';
+ *
+ * await PayslipService.cachePayrollSnapshot('2025-07:all:1', payrollItems);
+ * await PayslipService.generatePayslip(payrollItem, '2025-07');
+ */
+class PayslipService {
+  /**
+   * Cache key is bound to the signed-in user, like the employees cache,
+   * so it is removed together with the other user caches on logout.
+   */
+  getCacheKey() {
+    return getUserCacheKey(APP_CONFIG.STORAGE_KEYS.PAYROLL_CACHE);
+  }
+
+  async readCache() {
+    try {
+      const cached = await AsyncStorage.getItem(await this.getCacheKey());
+      return cached ? JSON.parse(cached) : {};
+    } catch (error) {
+      console.warn('Payroll cache read error:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Stores transformed payroll items for offline payslip rendering
+   * @param {string} snapshotKey - Period + filter scope, e.g. "2025-07:all:1"
+   * @param {Array} items - Transformed payroll items
+   */
+  async cachePayrollSnapshot(snapshotKey, items) {
+    try {
+      const cache = await this.readCache();
+      cache[snapshotKey] = { items, cached_at: new Date().toISOString() };
+
+      // Drop the oldest snapshots beyond the limit
+      const keys = Object.keys(cache).sort(
+        (a, b) => new Date(cache[b].cached_at) - new Date(cache[a].cached_at)
+      );
+      keys.slice(MAX_CACHED_SNAPSHOTS).forEach(key => delete cache[key]);
+
+      await AsyncStorage.setItem(await this.getCacheKey(), JSON.stringify(cache));
+    } catch (error) {
+      console.warn('Payroll cache write error:', error);
+    }
+  }
+
+  /**
+   * @param {string} snapshotKey - Key used in cachePayrollSnapshot
+   * @returns {Promise<{items: Array, cachedAt: string}|null>}
+   */
+  async getCachedPayrollSnapshot(snapshotKey) {
+    const cache = await this.readCache();
+    const snapshot = cache[snapshotKey];
+    return snapshot ? { items: snapshot.items || [], cachedAt: snapshot.cached_at } : null;
+  }
+
+  /**
+   * Renders a payslip and opens it for printing / sharing.
+   * Web opens the browser print dialog (Save as PDF); mobile creates a PDF and shares it.
+   * @param {Object} item - Transformed payroll item
+   * @param {string} periodKey - Period in YYYY-MM format
+   * @returns {Promise<{uri: string|null, shared: boolean}>}
+   */
+  async generatePayslip(item, periodKey) {
+    const payslip = buildPayslip(item, periodKey);
+    const html = renderPayslipHtml(payslip);
+
+    if (Platform.OS === 'web') {
+      await Print.printAsync({ html });
+      return { uri: null, shared: true };
+    }
+
+    const { uri } = await Print.printToFileAsync({ html });
+    const shared = await shareFileUri(uri, {
+      mimeType: 'application/pdf',
+      uti: 'com.adobe.pdf',
+      dialogTitle: `Payslip ${payslip.employee.name} ${periodKey}`,
+    });
+
+    return { uri, shared };
+  }
+}
+
+export default new PayslipService();
@@ -0,0 +1,233 @@
+// src/services/offlineOperations.js
+import apiService from '../api/apiService';
+import { buildClaimedEventTime } from '../utils/eventClock';
+
+/**
+ * Operation registry for OfflineQueueService.
+ *
+ * Every queued write has a handler describing:
+ * - label: name shown to the user in queue alerts
+ * - describe(payload): short detail line for the queue inspector
+ * - buildPayload(payload): fields persisted in the queue
+ * - getConflictKey(payload): identifies the entity the write targets (null = never conflicts)
+ * - conflictStrategy: what to do when a pending item with the same conflict key exists
+ * - getIdempotencyKey(payload, item): key sent with the request so replays are ignored server-side
+ * - execute(payload, item): performs the API call
+ * - isAlreadyApplied(error): optional, server errors meaning the write already happened
+ * - isRejected(error): optional, server errors no retry can fix; the item goes straight to the
+ *   failed queue for the user to resolve
+ * - sequence: optional, 'in' | 'out' for attendance events that must alternate
+ * - sequenceGroup: optional, events alternating independently of check-in/out ('break')
+ * - editableFields: optional, [{ key, label }] fields of payload.data the user can correct in
+ *   the queue inspector, e.g. after the server refused them
+ */
+
+export const OPERATION_TYPES = {
+  CHECK_IN: 'check-in',
+  CHECK_OUT: 'check-out',
+  MANUAL_CHECKOUT: 'manual-checkout',
+  BREAK_START: 'break-start',
+  BREAK_END: 'break-end',
+  EMPLOYEE_CREATE: 'employee-create',
+  EMPLOYEE_UPDATE: 'employee-update',
+  INVITATION_SEND: 'invitation-send',
+};
+
+export const CONFLICT_STRATEGIES = {
+  KEEP_BOTH: 'keep-both', // enqueue anyway
+  SKIP: 'skip', // keep the pending item, drop the new one
+  REPLACE: 'replace', // new payload overwrites the pending one
+  MERGE: 'merge', // shallow-merge payload.data into the pending one
+};
+
+/**
+ * Detects errors caused by missing connectivity rather than a server answer
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export const isNetworkError = error =>
+  !!error &&
+  (error.message === 'Network Error' ||
+    error.message?.includes('timeout') ||
+    error.code === 'ECONNABORTED' ||
+    error.code === 'ERR_NETWORK' ||
+    !error.response);
+
+/**
+ * Client-generated idempotency key for a single write attempt
+ * @param {string} type - Operation type, used as prefix
+ * @returns {string}
+ */
+export const generateIdempotencyKey = type =>
+  `${type}:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Fields of the employee form a queued create or update can be corrected in
+const EMPLOYEE_EDITABLE_FIELDS = [
+  { key: 'first_name', label: 'First name' },
+  { key: 'last_name', label: 'Last name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+];
+
+const responseText = error => JSON.stringify(error?.response?.data || {}).toLowerCase();
+
+/**
+ * Server recognised a replay: 409 or an explicit duplicate / state message
+ * @param {Error} error - Axios error
+ * @param {RegExp} statePattern - Message meaning the attendance state already matches
+ * @returns {boolean}
+ */
+const isDuplicateResponse = (error, statePattern) => {
+  const status = error?.response?.status;
+  if (status === 409) return true;
+  if (status !== 400) return false;
+  const text = responseText(error);
+  return text.includes('duplicate') || statePattern.test(text);
+};
+
+/**
+ * Server refused the write because the attendance state does not allow it
+ * @param {Error} error - Axios error
+ * @param {RegExp} statePattern - Message describing the conflicting state
+ * @returns {boolean}
+ */
+const isStateRejection = (error, statePattern) =>
+  error?.response?.status === 400 && statePattern.test(responseText(error));
+
+export const OPERATION_HANDLERS = {
+  [OPERATION_TYPES.CHECK_IN]: {
+    label: 'Check-in',
+    conflictStrategy: CONFLICT_STRATEGIES.KEEP_BOTH,
+    describe: payload => payload.location || 'Location not available',
+    buildPayload: ({ image, location, officeId = null }) => ({ image, location, officeId }),
+    getConflictKey: () => null,
+    getIdempotencyKey: (_payload, item) => `check-in:${item.id}`,
+    execute: (payload, item) =>
+      apiService.biometrics.checkIn(payload.image, payload.location, null, {
+        idempotencyKey: item.idempotency_key,
+        eventTime: buildClaimedEventTime(payload),
+        officeId: payload.officeId ?? null,
+      }),
+    // The first attempt reached the server before the connection dropped
+    isAlreadyApplied: error => isDuplicateResponse(error, /already checked in/),
+    sequence: 'in',
+  },
+
+  [OPERATION_TYPES.CHECK_OUT]: {
+    label: 'Check-out',
+    conflictStrategy: CONFLICT_STRATEGIES.KEEP_BOTH,
+    describe: payload => payload.location || 'Location not available',
+    buildPayload: ({ image, location }) => ({ image, location }),
+    getConflictKey: () => null,
+    getIdempotencyKey: (_payload, item) => `check-out:${item.id}`,
+    execute: (payload, item) =>
+      apiService.biometrics.checkOut(payload.image, payload.location, {
+        idempotencyKey: item.idempotency_key,
+        eventTime: buildClaimedEventTime(payload),
+      }),
+    isAlreadyApplied: error => isDuplicateResponse(error, /already checked out/),
+    // No open session to close: the punch was refused, not applied
+    isRejected: error => isStateRejection(error, /no active check-in/),
+    sequence: 'out',
+  },
+
+  // One open session per employee - a second queued checkout adds nothing
+  [OPERATION_TYPES.MANUAL_CHECKOUT]: {
+    label: 'Manual check-out',
+    conflictStrategy: CONFLICT_STRATEGIES.SKIP,
+    describe: payload => `Employee #${payload.employeeId}`,
+    buildPayload: ({ employeeId }) => ({ employeeId }),
+    getConflictKey: payload => `manual-checkout:${payload.employeeId}`,
+    getIdempotencyKey: (payload, item) => `manual-checkout:${payload.employeeId}:${item.id}`,
+    execute: (payload, item) =>
+      apiService.worktime.quickCheckout(payload.employeeId, {
+        idempotencyKey: item.idempotency_key,
+        eventTime: buildClaimedEventTime(payload),
+      }),
+    // Session was already closed (e.g. by a manager) - nothing left to do
+    isAlreadyApplied: error =>
+      [400, 404].includes(error?.response?.status) &&
+      /no active|not checked in|already checked out/.test(responseText(error)),
+    sequence: 'out',
+  },
+
+  [OPERATION_TYPES.BREAK_START]: {
+    label: 'Break start',
+    conflictStrategy: CONFLICT_STRATEGIES.KEEP_BOTH,
+    describe: () => 'Break',
+    buildPayload: () => ({}),
+    getConflictKey: () => null,
+    getIdempotencyKey: (_payload, item) => `break-start:${item.id}`,
+    execute: (payload, item) =>
+      apiService.worktime.startBreak({
+        idempotencyKey: item.idempotency_key,
+        eventTime: buildClaimedEventTime(payload),
+      }),
+    isAlreadyApplied: error => isDuplicateResponse(error, /already on (a )?break/),
+    sequence: 'in',
+    sequenceGroup: 'break',
+  },
+
+  [OPERATION_TYPES.BREAK_END]: {
+    label: 'Break end',
+    conflictStrategy: CONFLICT_STRATEGIES.KEEP_BOTH,
+    describe: () => 'Back to work',
+    buildPayload: () => ({}),
+    getConflictKey: () => null,
+    getIdempotencyKey: (_payload, item) => `break-end:${item.id}`,
+    execute: (payload, item) =>
+      apiService.worktime.endBreak({
+        idempotencyKey: item.idempotency_key,
+        eventTime: buildClaimedEventTime(payload),
+      }),
+    isAlreadyApplied: error => isDuplicateResponse(error, /not on (a )?break/),
+    // No break or session left to close: the punch was refused, not applied
+    isRejected: error => isStateRejection(error, /no active (break|check-in)/),
+    sequence: 'out',
+    sequenceGroup: 'break',
+  },
+
+  // Latest form state wins; keyed by email so re-submits do not create duplicates
+  [OPERATION_TYPES.EMPLOYEE_CREATE]: {
+    label: 'New employee',
+    conflictStrategy: CONFLICT_STRATEGIES.REPLACE,
+    describe: payload => payload.data?.email || '',
+    buildPayload: ({ data }) => ({ data }),
+    getConflictKey: payload => `employee-create:${payload.data?.email?.toLowerCase()}`,
+    getIdempotencyKey: payload => `employee-create:${payload.data?.email?.toLowerCase()}`,
+    execute: (payload, item) =>
+      apiService.employees.create(payload.data, { idempotencyKey: item.idempotency_key }),
+    editableFields: EMPLOYEE_EDITABLE_FIELDS,
+  },
+
+  // PATCH semantics - pending edits to the same employee are merged, newer fields win
+  [OPERATION_TYPES.EMPLOYEE_UPDATE]: {
+    label: 'Employee update',
+    conflictStrategy: CONFLICT_STRATEGIES.MERGE,
+    describe: payload => `Employee #${payload.employeeId}`,
+    buildPayload: ({ employeeId, data }) => ({ employeeId, data }),
+    getConflictKey: payload => `employee-update:${payload.employeeId}`,
+    getIdempotencyKey: (payload, item) => `employee-update:${payload.employeeId}:${item.id}`,
+    execute: (payload, item) =>
+      apiService.employees.update(payload.employeeId, payload.data, {
+        idempotencyKey: item.idempotency_key,
+      }),
+    editableFields: EMPLOYEE_EDITABLE_FIELDS,
+  },
+
+  [OPERATION_TYPES.INVITATION_SEND]: {
+    label: 'Invitation',
+    conflictStrategy: CONFLICT_STRATEGIES.SKIP,
+    describe: payload => `Employee #${payload.employeeId}`,
+    buildPayload: ({ employeeId, baseUrl }) => ({ employeeId, baseUrl }),
+    getConflictKey: payload => `invitation-send:${payload.employeeId}`,
+    getIdempotencyKey: (payload, item) => `invitation-send:${payload.employeeId}:${item.id}`,
+    execute: (payload, item) =>
+      apiService.employees.sendInvitation(payload.employeeId, payload.baseUrl, {
+        idempotencyKey: item.idempotency_key,
+      }),
+    isAlreadyApplied: error =>
+      error?.response?.status === 400 &&
+      /already (invited|registered|active)/.test(responseText(error)),
+  },
+};
@@ -0,0 +1,76 @@
+/**
+ * Tests for signed-in devices
+ * @jest-environment node
+ */
+
+import {
+  buildDeviceSessions,
+  describeDeviceSession,
+  describeLastSeen,
+  normalizeDeviceSession,
+} from '../deviceSessions';
+
+const at = (day, hours, minutes = 0) => new Date(Date.UTC(2025, 2, day, hours, minutes));
+
+const device = (id, deviceId, lastSeen, extra = {}) => ({
+  id,
+  device_id: deviceId,
+  device_model: `Phone ${id}`,
+  platform: 'android',
+  last_seen: lastSeen ? lastSeen.toISOString() : null,
+  ...extra,
+});
+
+describe('Device sessions', () => {
+  test('normalizes a session and recognizes this device', () => {
+    const session = normalizeDeviceSession(
+      device(1, 'ios_1', at(10, 9), {
+        platform: 'ios',
+        os_version: '17.4',
+        device_name: "Dana's iPhone",
+        biometric_verified: true,
+      }),
+      { currentDeviceId: 'ios_1' }
+    );
+
+    expect(session).toEqual(
+      expect.objectContaining({
+        id: 1,
+        deviceId: 'ios_1',
+        name: "Dana's iPhone",
+        platformLabel: 'iOS',
+        lastSeen: at(10, 9),
+        biometricVerified: true,
+        isCurrent: true,
+      })
+    );
+    expect(describeDeviceSession(session)).toBe('iOS 17.4 · Biometric verified');
+  });
+
+  test('lists this device first, then the most recently seen', () => {
+    const sessions = buildDeviceSessions(
+      {
+        results: [
+          device(1, 'a', at(8, 9)),
+          device(2, 'b', null),
+          device(3, 'c', at(10, 9)),
+          device(4, 'd', at(1, 9), { is_current: true }),
+        ],
+      },
+      { currentDeviceId: 'x' }
+    );
+
+    expect(sessions.map(session => session.id)).toEqual([4, 3, 1, 2]);
+    expect(describeDeviceSession(sessions[1])).toBe('Android · Not biometric verified');
+  });
+
+  test('describes when a device was last seen', () => {
+    const now = at(10, 12);
+
+    expect(describeLastSeen(at(10, 11, 58), now)).toBe('Active now');
+    expect(describeLastSeen(at(10, 11, 30), now)).toBe('30m ago');
+    expect(describeLastSeen(at(10, 7), now)).toBe('5h ago');
+    expect(describeLastSeen(at(7, 12), now)).toBe('3d ago');
+    expect(describeLastSeen(null, now)).toBe('Never seen');
+  });
+});
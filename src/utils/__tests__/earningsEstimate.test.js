@@ -0,0 +1,139 @@
+/**
+ * Tests for the earnings estimate
+ * @jest-environment node
+ */
+
+import {
+  countWorkingDays,
+  estimateEarnings,
+  getCompensation,
+  reconcileEarnings,
+} from '../earningsEstimate';
+import { buildPremiumWindows } from '../premiumHours';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+import { at } from './helpers';
+
+describe('Earnings estimate', () => {
+  let windows;
+
+  beforeAll(() => {
+    setCompanyTimeZone(getDeviceTimeZone());
+
+    // Purim on Thursday 13 March 2025, Shabbat from Friday 17:30
+    windows = buildPremiumWindows({
+      holidays: [{ date: '2025-03-13', name: 'Purim' }],
+      shabbatWeeks: [
+        {
+          date: '2025-03-14',
+          start: new Date(2025, 2, 14, 17, 30),
+          end: new Date(2025, 2, 15, 18, 30),
+        },
+      ],
+    });
+  });
+
+  test('pays hourly work with daily overtime tiers and the Shabbat rate', () => {
+    const estimate = estimateEarnings({
+      worklogs: [
+        // Second session of Monday: all overtime, past the 2 hours at 125%
+        { check_in: at(10, 20), check_out: at(10, 21) },
+        {
+          check_in: at(10, 7),
+          check_out: at(10, 19),
+          breaks: [{ start: at(10, 12), end: at(10, 12, 30) }],
+        },
+        { check_in: at(14, 10), check_out: at(14, 19) },
+      ],
+      employee: { employment_type: 'hourly', hourly_rate: '50' },
+      windows,
+    });
+
+    expect(estimate).toMatchObject({
+      employment_type: 'hourly',
+      total_hours: 21.5,
+      regular_hours: 16.1,
+      overtime_hours: 3.9,
+      sabbath_hours: 1.5,
+      regular_pay: 805,
+      overtime_pay: 267.5,
+      sabbath_pay: 112.5,
+      total_salary: 1185,
+      worked_days: 2,
+      breakdown: {
+        overtime_125_hours: 2,
+        overtime_125_pay: 125,
+        overtime_150_hours: 1.9,
+        overtime_150_pay: 142.5,
+      },
+    });
+  });
+
+  test('adds only the premium of holiday hours to a monthly salary', () => {
+    const estimate = estimateEarnings({
+      worklogs: [{ check_in: at(13, 9), check_out: at(13, 12) }],
+      employee: { employment_type: 'full_time', monthly_salary: 18200 },
+      windows,
+    });
+
+    expect(estimate).toMatchObject({
+      base_salary: 18200,
+      holiday_hours: 3,
+      holiday_pay: 150,
+      regular_pay: 0,
+      total_salary: 18350,
+    });
+    expect(getCompensation({ hourly_rate: 40 })).toEqual({
+      type: 'hourly',
+      hourlyRate: 40,
+      monthlySalary: 0,
+    });
+  });
+
+  test('prorates a monthly salary by the days worked out of the working days', () => {
+    const march = { from: new Date(2025, 2, 1), to: new Date(2025, 2, 31) };
+    // 22 Sunday to Thursday days in March 2025, less Purim
+    expect(countWorkingDays(march, windows)).toBe(21);
+
+    const estimate = estimateEarnings({
+      worklogs: [
+        { check_in: at(2, 9), check_out: at(2, 17) },
+        { check_in: at(3, 9), check_out: at(3, 17) },
+        { check_in: at(4, 9), check_out: at(4, 17) },
+      ],
+      employee: { employment_type: 'full_time', monthly_salary: 21000 },
+      windows,
+      period: march,
+    });
+
+    expect(estimate).toMatchObject({
+      base_salary: 3000,
+      monthly_salary: 21000,
+      worked_days: 3,
+      total_working_days: 21,
+      total_salary: 3000,
+    });
+    expect(
+      estimateEarnings({
+        worklogs: [{ check_in: at(2, 9), check_out: at(2, 17) }],
+        employee: { employment_type: 'full_time', monthly_salary: 21000 },
+        period: march,
+        totalWorkingDays: 20,
+      }).base_salary
+    ).toBe(1050);
+  });
+
+  test('reconciles the amounts the server reports', () => {
+    const estimate = { total_salary: 1185, overtime_pay: 267.5, sabbath_pay: 112.5 };
+
+    expect(
+      reconcileEarnings(estimate, {
+        total_salary: '1200.00',
+        overtime_pay: 267.5,
+        sabbath_pay: null,
+      })
+    ).toEqual([
+      { key: 'total', label: 'Total', estimated: 1185, actual: 1200, difference: 15 },
+      { key: 'overtime', label: 'Overtime pay', estimated: 267.5, actual: 267.5, difference: 0 },
+    ]);
+  });
+});
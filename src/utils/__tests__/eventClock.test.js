@@ -0,0 +1,115 @@
+/**
+ * Tests for event time capture and clock sanity checks
+ * @jest-environment node
+ */
+
+import { AppState } from 'react-native';
+import { CLOCK_DRIFT_TOLERANCE_MS, buildClaimedEventTime, captureEventTime } from '../eventClock';
+
+jest.mock('react-native', () => ({
+  AppState: { currentState: 'active', addEventListener: jest.fn() },
+}));
+
+const [[, changeAppState]] = AppState.addEventListener.mock.calls;
+
+describe('Event clock', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('captures ISO time, offset east of UTC and a monotonic reading', () => {
+    const captured = captureEventTime();
+
+    expect(Date.parse(captured.timestamp)).toBe(captured.clock.wall_ms);
+    expect(captured.timezone_offset).toBe(0 - new Date(captured.timestamp).getTimezoneOffset());
+    expect(captured.clock.monotonic_ms).toEqual(expect.any(Number));
+    expect(Math.abs(captured.clock.session_drift_ms)).toBeLessThan(CLOCK_DRIFT_TOLERANCE_MS);
+  });
+
+  test('claims the captured time and reports elapsed monotonic time', () => {
+    const captured = captureEventTime();
+    const monotonicAtCapture = captured.clock.monotonic_ms;
+
+    jest.spyOn(performance, 'now').mockReturnValue(monotonicAtCapture + 5000);
+    jest.spyOn(Date, 'now').mockReturnValue(captured.clock.wall_ms + 5000);
+
+    expect(buildClaimedEventTime(captured)).toEqual({
+      event_time: captured.timestamp,
+      event_tz_offset: captured.timezone_offset,
+      clock_check: {
+        same_session: true,
+        monotonic_elapsed_ms: 5000,
+        session_drift_ms: captured.clock.session_drift_ms,
+        replay_drift_ms: 0,
+        suspicious: false,
+      },
+    });
+  });
+
+  test('flags a device clock moved between the event and the replay', () => {
+    const captured = captureEventTime();
+
+    jest.spyOn(performance, 'now').mockReturnValue(captured.clock.monotonic_ms + 60 * 1000);
+    // One minute passed in the foreground, but the wall clock says two hours
+    jest.spyOn(Date, 'now').mockReturnValue(captured.clock.wall_ms + 2 * 60 * 60 * 1000);
+
+    const { clock_check: clockCheck } = buildClaimedEventTime(captured);
+
+    expect(clockCheck.replay_drift_ms).toBe(2 * 60 * 60 * 1000 - 60 * 1000);
+    expect(clockCheck.suspicious).toBe(true);
+  });
+
+  test('does not flag the wall clock running ahead while the app was in the background', () => {
+    const captured = captureEventTime();
+    changeAppState('background');
+    changeAppState('active');
+
+    // The device slept for two hours: the monotonic clock stood still
+    jest.spyOn(performance, 'now').mockReturnValue(captured.clock.monotonic_ms + 60 * 1000);
+    jest.spyOn(Date, 'now').mockReturnValue(captured.clock.wall_ms + 2 * 60 * 60 * 1000);
+
+    const { clock_check: clockCheck } = buildClaimedEventTime(captured);
+
+    expect(clockCheck.replay_drift_ms).toBe(2 * 60 * 60 * 1000 - 60 * 1000);
+    expect(clockCheck.suspicious).toBe(false);
+  });
+
+  test('flags a clock set back even across a background period', () => {
+    const captured = captureEventTime();
+    changeAppState('background');
+    changeAppState('active');
+
+    jest.spyOn(performance, 'now').mockReturnValue(captured.clock.monotonic_ms + 60 * 60 * 1000);
+    jest.spyOn(Date, 'now').mockReturnValue(captured.clock.wall_ms + 60 * 1000);
+
+    expect(buildClaimedEventTime(captured).clock_check.suspicious).toBe(true);
+  });
+
+  test('flags a clock moved before the event within the same app run', () => {
+    const captured = captureEventTime();
+    captured.clock.session_drift_ms = -3 * 60 * 60 * 1000;
+
+    expect(buildClaimedEventTime(captured).clock_check.suspicious).toBe(true);
+  });
+
+  test('cannot verify events captured in a previous app run', () => {
+    const claimed = buildClaimedEventTime({
+      timestamp: '2025-01-12T08:00:00.000Z',
+      timezone_offset: 120,
+      clock: { session_id: 'previous-run', wall_ms: 0, monotonic_ms: 0, session_drift_ms: 0 },
+    });
+
+    expect(claimed.clock_check).toEqual({
+      same_session: false,
+      monotonic_elapsed_ms: null,
+      session_drift_ms: 0,
+      replay_drift_ms: null,
+      suspicious: false,
+    });
+  });
+
+  test('returns undefined when no time was captured', () => {
+    expect(buildClaimedEventTime(undefined)).toBeUndefined();
+    expect(buildClaimedEventTime({ employeeId: 1 })).toBeUndefined();
+  });
+});
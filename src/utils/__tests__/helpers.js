@@ -0,0 +1,6 @@
+/**
+ * Shared fixtures for the util tests
+ */
+
+// Local time on a day of March 2025, the month the fixtures are set in
+export const at = (day, hours, minutes = 0) => new Date(2025, 2, day, hours, minutes);
@@ -0,0 +1,73 @@
+/**
+ * Tests for the holiday and Shabbat calendar
+ * @jest-environment node
+ */
+
+import {
+  describeShabbatTimes,
+  getShabbatEves,
+  groupHolidaysByMonth,
+  normalizeHoliday,
+  normalizeShabbatTimes,
+} from '../holidayCalendar';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+
+describe('Holiday calendar', () => {
+  beforeAll(() => setCompanyTimeZone(getDeviceTimeZone()));
+
+  test('normalizes holidays and drops malformed dates', () => {
+    expect(normalizeHoliday({ date: '2025-04-13T00:00:00Z', name: 'Pesach' })).toEqual({
+      date: '2025-04-13',
+      name: 'Pesach',
+      isShabbat: false,
+    });
+    expect(normalizeHoliday({ date: '2025-02-30', name: 'Nothing' })).toBeNull();
+  });
+
+  test('groups a year of holidays by month without weekly Shabbat', () => {
+    const months = groupHolidaysByMonth(
+      {
+        results: [
+          { date: '2025-04-19', name: 'Pesach VII' },
+          { date: '2025-03-14', name: 'Purim' },
+          { date: '2025-03-15', name: 'Shabbat', is_shabbat: true },
+          { date: '2025-04-13', name: 'Pesach I' },
+          { date: '2026-04-02', name: 'Pesach I' },
+        ],
+      },
+      2025
+    );
+
+    expect(months.map(group => [group.label, group.holidays.map(h => h.name)])).toEqual([
+      ['March', ['Purim']],
+      ['April', ['Pesach I', 'Pesach VII']],
+    ]);
+  });
+
+  test('lists the Fridays of a month', () => {
+    expect(getShabbatEves(2025, 3)).toEqual([
+      '2025-03-07',
+      '2025-03-14',
+      '2025-03-21',
+      '2025-03-28',
+    ]);
+    expect(getShabbatEves(2025, 8)[0]).toBe('2025-08-01');
+  });
+
+  test('describes Shabbat times in the company zone', () => {
+    const times = normalizeShabbatTimes(
+      {
+        shabbat_start: new Date(2025, 2, 14, 17, 29).toISOString(),
+        shabbat_end: new Date(2025, 2, 15, 18, 30).toISOString(),
+        parasha: 'Tzav',
+      },
+      '2025-03-14'
+    );
+
+    expect(times.parasha).toBe('Tzav');
+    expect(describeShabbatTimes(times)).toBe('Fri 17:29 – Sat 18:30');
+    expect(describeShabbatTimes(normalizeShabbatTimes(null, '2025-03-21'))).toBe(
+      'Times not available'
+    );
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Tests for the office list model and geofence matching
+ * @jest-environment node
+ */
+
+import {
+  DEFAULT_CHECK_RADIUS,
+  findMatchingOffice,
+  getNearestOffice,
+  getOfficeCoordinates,
+  isOfficeLocated,
+  isPointInPolygon,
+  normalizeOffice,
+  normalizeOfficeSettings,
+  resolveOfficeSettings,
+  serializeOffice,
+} from '../offices';
+import { DEFAULT_TIME_ZONE } from '../timeZone';
+
+// ~111 m per 0.001 degree of latitude
+const HQ = normalizeOffice({
+  id: 'hq',
+  name: 'HQ',
+  location: { latitude: 32.0853, longitude: 34.7818 },
+  checkRadius: 200,
+});
+const ANNEX = normalizeOffice({
+  id: 'annex',
+  name: 'Annex',
+  location: { latitude: 32.0868, longitude: 34.7818 },
+  checkRadius: 200,
+});
+// Long, narrow warehouse running east-west (~20 m x ~470 m)
+const WAREHOUSE = normalizeOffice({
+  id: 'warehouse',
+  name: 'Warehouse',
+  geofenceType: 'polygon',
+  polygon: [
+    { latitude: 31.25, longitude: 34.79 },
+    { latitude: 31.25, longitude: 34.795 },
+    { latitude: 31.2502, longitude: 34.795 },
+    { latitude: 31.2502, longitude: 34.79 },
+  ],
+});
+const REMOTE_SITE = normalizeOffice({
+  id: 'haifa',
+  name: 'Haifa',
+  location: { latitude: 32.794, longitude: 34.9896 },
+  checkRadius: 100,
+});
+
+describe('Office settings model', () => {
+  test('migrates single-office settings into a Main Office', () => {
+    const settings = normalizeOfficeSettings({
+      location: { latitude: '32.0853', longitude: 34.7818 },
+      checkRadius: '150',
+      remotePolicy: 'office-only',
+    });
+
+    expect(settings).toEqual({
+      offices: [
+        {
+          id: 'office-1',
+          name: 'Main Office',
+          location: { latitude: 32.0853, longitude: 34.7818 },
+          geofenceType: 'circle',
+          checkRadius: 150,
+          polygon: [],
+          remotePolicy: 'office-only',
+        },
+      ],
+    });
+  });
+
+  test('drops a legacy office that never had coordinates', () => {
+    expect(
+      normalizeOfficeSettings({
+        location: { latitude: null, longitude: null },
+        checkRadius: 100,
+        remotePolicy: 'hybrid',
+      })
+    ).toEqual({ offices: [] });
+    expect(normalizeOfficeSettings(null)).toEqual({ offices: [] });
+  });
+
+  test('fills defaults for incomplete offices', () => {
+    const { offices } = normalizeOfficeSettings({
+      offices: [
+        { id: 'a', name: ' Lab ' },
+        { checkRadius: -5, remotePolicy: 'sometimes' },
+      ],
+    });
+
+    expect(offices[0]).toMatchObject({ id: 'a', name: 'Lab' });
+    expect(offices[1]).toEqual({
+      id: 'office-2',
+      name: 'Office 2',
+      location: { latitude: null, longitude: null },
+      geofenceType: 'circle',
+      checkRadius: DEFAULT_CHECK_RADIUS,
+      polygon: [],
+      remotePolicy: 'hybrid',
+    });
+  });
+});
+
+describe('Server-synced office settings', () => {
+  const remote = {
+    offices: [serializeOffice(HQ), serializeOffice(ANNEX)],
+    time_zone: 'Europe/Berlin',
+    version: 4,
+    updated_at: '2025-03-02T10:00:00Z',
+  };
+
+  test('round-trips offices through the server format', () => {
+    expect(serializeOffice(HQ)).toEqual({
+      id: 'hq',
+      name: 'HQ',
+      latitude: 32.0853,
+      longitude: 34.7818,
+      geofence_type: 'circle',
+      check_radius: 200,
+      polygon: [],
+      remote_policy: 'hybrid',
+    });
+    expect(normalizeOffice(serializeOffice(HQ))).toEqual(HQ);
+  });
+
+  test('takes server settings with a new version', () => {
+    const cached = { offices: [REMOTE_SITE], version: 3, updatedAt: null };
+
+    expect(resolveOfficeSettings(cached, remote)).toEqual({
+      settings: {
+        offices: [HQ, ANNEX],
+        timeZone: 'Europe/Berlin',
+        version: 4,
+        updatedAt: '2025-03-02T10:00:00Z',
+      },
+      changed: true,
+    });
+  });
+
+  test('keeps the cache when the version is unchanged', () => {
+    const cached = { offices: [HQ, ANNEX], version: 4, updatedAt: '2025-03-02T10:00:00Z' };
+
+    expect(resolveOfficeSettings(cached, remote)).toEqual({ settings: cached, changed: false });
+  });
+
+  test('applies offices removed on the server', () => {
+    const cached = { offices: [HQ], version: 4, updatedAt: null };
+    const { settings, changed } = resolveOfficeSettings(cached, { offices: [], version: 5 });
+
+    expect(changed).toBe(true);
+    expect(settings.offices).toEqual([]);
+  });
+
+  test('falls back to the default time zone when the server has none or an unknown one', () => {
+    expect(resolveOfficeSettings(null, { offices: [], version: 1 }).settings.timeZone).toBe(
+      DEFAULT_TIME_ZONE
+    );
+    expect(
+      resolveOfficeSettings(null, { offices: [], time_zone: 'Mars/Olympus', version: 1 }).settings
+        .timeZone
+    ).toBe(DEFAULT_TIME_ZONE);
+  });
+
+  test('keeps offices saved on this device until the server is configured', () => {
+    const cached = { offices: [HQ], version: null, updatedAt: null };
+
+    expect(resolveOfficeSettings(cached, { offices: [], version: null })).toEqual({
+      settings: cached,
+      changed: false,
+    });
+  });
+});
+
+describe('Office geofences', () => {
+  const offices = [HQ, ANNEX, REMOTE_SITE];
+
+  test('matches the nearest office when geofences overlap', () => {
+    // Between both sites, closer to the annex
+    const coords = { latitude: 32.0864, longitude: 34.7818 };
+
+    expect(findMatchingOffice(offices, coords)).toBe(ANNEX);
+    expect(findMatchingOffice(offices, HQ.location)).toBe(HQ);
+  });
+
+  test('uses each office radius', () => {
+    // ~130 m from Haifa: outside its 100 m radius
+    const coords = { latitude: 32.79517, longitude: 34.9896 };
+
+    expect(findMatchingOffice(offices, coords)).toBeNull();
+    expect(findMatchingOffice(offices, coords, 150)).toBe(REMOTE_SITE);
+  });
+
+  test('returns null outside every office or without a position', () => {
+    expect(findMatchingOffice(offices, { latitude: 31.7683, longitude: 35.2137 })).toBeNull();
+    expect(findMatchingOffice(offices, null)).toBeNull();
+    expect(findMatchingOffice([], HQ.location)).toBeNull();
+  });
+
+  test('ignores offices without coordinates', () => {
+    const unlocated = normalizeOffice({ id: 'new', name: 'New' }, 3);
+
+    expect(getNearestOffice([unlocated], HQ.location)).toBeNull();
+    expect(findMatchingOffice([unlocated, HQ], HQ.location)).toBe(HQ);
+  });
+
+  test('reports the nearest office and its distance', () => {
+    const nearest = getNearestOffice(offices, { latitude: 32.0, longitude: 34.7818 });
+
+    expect(nearest.office).toBe(HQ);
+    expect(nearest.distance).toBeGreaterThan(9000);
+    expect(nearest.distance).toBeLessThan(10000);
+  });
+});
+
+describe('Polygon geofences', () => {
+  test('tests points against the polygon', () => {
+    expect(isPointInPolygon({ latitude: 31.2501, longitude: 34.7925 }, WAREHOUSE.polygon)).toBe(
+      true
+    );
+    expect(isPointInPolygon({ latitude: 31.2505, longitude: 34.7925 }, WAREHOUSE.polygon)).toBe(
+      false
+    );
+  });
+
+  test('covers the ends of a narrow site that a circle would miss', () => {
+    // Loading dock at the far east end, ~235 m from the center
+    const dock = { latitude: 31.2501, longitude: 34.7949 };
+    // Street running along the long side, ~30 m away
+    const street = { latitude: 31.2505, longitude: 34.7925 };
+
+    expect(findMatchingOffice([WAREHOUSE], dock)).toBe(WAREHOUSE);
+    expect(findMatchingOffice([WAREHOUSE], street)).toBeNull();
+  });
+
+  test('ignores the custom radius for polygon offices', () => {
+    const street = { latitude: 31.2505, longitude: 34.7925 };
+
+    expect(findMatchingOffice([WAREHOUSE], street, 1000)).toBeNull();
+  });
+
+  test('uses the vertex center when no location is given', () => {
+    expect(WAREHOUSE.location.latitude).toBeCloseTo(31.2501, 6);
+    expect(WAREHOUSE.location.longitude).toBeCloseTo(34.7925, 6);
+  });
+
+  test('gives every located office a reference point', () => {
+    const { location: _location, ...unlocated } = WAREHOUSE;
+
+    expect(getOfficeCoordinates(HQ)).toEqual({ latitude: 32.0853, longitude: 34.7818 });
+    expect(getOfficeCoordinates(unlocated).latitude).toBeCloseTo(31.2501, 6);
+    expect(getOfficeCoordinates(normalizeOffice({ name: 'Nowhere' }))).toBeNull();
+  });
+
+  test('measures distance to the nearest edge', () => {
+    const inside = getNearestOffice([WAREHOUSE], { latitude: 31.2501, longitude: 34.7925 });
+    const street = getNearestOffice([WAREHOUSE], { latitude: 31.2505, longitude: 34.7925 });
+
+    expect(inside.distance).toBe(0);
+    // 0.0003 degrees of latitude north of the edge
+    expect(street.distance).toBeCloseTo(33.4, 0);
+  });
+
+  test('needs at least three vertices', () => {
+    const line = normalizeOffice({
+      geofenceType: 'polygon',
+      polygon: [WAREHOUSE.polygon[0], WAREHOUSE.polygon[1]],
+    });
+
+    expect(isOfficeLocated(line)).toBe(false);
+    expect(findMatchingOffice([line], WAREHOUSE.polygon[0])).toBeNull();
+  });
+
+  test('round-trips through the server format', () => {
+    expect(normalizeOffice(serializeOffice(WAREHOUSE))).toEqual(WAREHOUSE);
+  });
+});
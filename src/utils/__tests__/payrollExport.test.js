@@ -0,0 +1,118 @@
+/**
+ * Tests for payroll CSV/XLSX export serializers
+ * @jest-environment node
+ */
+
+import * as XLSX from 'xlsx';
+import {
+  buildPayrollRows,
+  buildPayrollCsv,
+  buildPayrollWorkbook,
+  exportPayroll,
+  getPayrollExportFilename,
+  EXPORT_FORMATS,
+  PAYROLL_EXPORT_COLUMNS,
+} from '../payrollExport';
+import { shareFile } from '../fileExport';
+
+jest.mock('../fileExport', () => ({
+  shareFile: jest.fn(() => Promise.resolve({ uri: 'file:///cache/x', shared: true })),
+}));
+
+const payrollData = [
+  {
+    employee: { id: 1, name: 'Dana Levi', email: 'dana@example.com' },
+    period: 'July 2025',
+    status: 'calculated',
+    hourlyRate: 50,
+    baseSalary: 0,
+    workedDays: 20,
+    hoursWorked: 172.5,
+    regularHours: 160,
+    overtimeHours: 12.5,
+    holidayHours: 0,
+    sabbathHours: 8,
+    regularPayAmount: 8000,
+    overtimePay: '781.25',
+    holidayPay: 0,
+    sabbathPay: 600,
+    bonuses: 0,
+    compensatoryDays: 1,
+    totalPayout: 9381.25,
+  },
+  {
+    employee: { id: 2, name: 'Cohen, "Avi"', email: 'avi@example.com' },
+    period: 'July 2025',
+    status: 'calculated',
+    hourlyRate: 40,
+    hoursWorked: 10,
+    regularHours: 10,
+    regularPayAmount: 400,
+    totalPayout: 400,
+  },
+];
+
+describe('Payroll Export', () => {
+  test('builds header, one row per employee and a totals row', () => {
+    const rows = buildPayrollRows(payrollData);
+
+    expect(rows).toHaveLength(4);
+    expect(rows[0]).toEqual(PAYROLL_EXPORT_COLUMNS.map(c => c.header));
+
+    const totals = rows[3];
+    const totalIndex = rows[0].indexOf('Total Payout');
+    const rateIndex = rows[0].indexOf('Hourly Rate');
+    expect(totals[0]).toBe('TOTAL');
+    expect(totals[totalIndex]).toBe(9781.25);
+    expect(totals[rateIndex]).toBe('');
+  });
+
+  test('normalizes missing and string values to numbers', () => {
+    const rows = buildPayrollRows(payrollData);
+    const header = rows[0];
+
+    expect(rows[1][header.indexOf('Overtime Pay')]).toBe(781.25);
+    expect(rows[2][header.indexOf('Sabbath Hours')]).toBe(0);
+  });
+
+  test('CSV escapes quotes and commas and starts with a BOM', () => {
+    const csv = buildPayrollCsv(payrollData);
+
+    expect(csv.charCodeAt(0)).toBe(0xfeff);
+    expect(csv).toContain('"Cohen, ""Avi"""');
+    expect(csv.split('\r\n').filter(Boolean)).toHaveLength(4);
+  });
+
+  test('XLSX workbook round-trips the same rows', () => {
+    const base64 = buildPayrollWorkbook(payrollData, 'Payroll 2025-07');
+    const workbook = XLSX.read(base64, { type: 'base64' });
+
+    expect(workbook.SheetNames).toEqual(['Payroll 2025-07']);
+    const sheetRows = XLSX.utils.sheet_to_json(workbook.Sheets['Payroll 2025-07'], {
+      header: 1,
+      defval: '',
+    });
+    expect(sheetRows).toEqual(buildPayrollRows(payrollData));
+  });
+
+  test('handles empty input', () => {
+    expect(buildPayrollRows([])).toHaveLength(2);
+    expect(buildPayrollRows(null)).toHaveLength(2);
+  });
+
+  test('exportPayroll passes the right file description to shareFile', async () => {
+    const result = await exportPayroll(payrollData, {
+      format: EXPORT_FORMATS.XLSX,
+      periodKey: '2025-07',
+    });
+
+    expect(getPayrollExportFilename('2025-07', 'csv')).toBe('payroll_2025-07.csv');
+    expect(result).toEqual({ filename: 'payroll_2025-07.xlsx', rowCount: 2, shared: true });
+    expect(shareFile).toHaveBeenCalledWith(
+      expect.objectContaining({
+        filename: 'payroll_2025-07.xlsx',
+        encoding: 'base64',
+      })
+    );
+  });
+});
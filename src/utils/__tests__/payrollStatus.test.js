@@ -0,0 +1,105 @@
+/**
+ * Tests for the payroll status model
+ * @jest-environment node
+ */
+
+import {
+  PAYROLL_STATUS,
+  canTransitionPayroll,
+  findSalaryRecord,
+  getPayrollStatusLabel,
+  normalizePayrollStatus,
+  normalizeStatusHistory,
+} from '../payrollStatus';
+
+describe('Payroll Status Model', () => {
+  test('normalizes backend and legacy values', () => {
+    expect(normalizePayrollStatus('Draft')).toBe(PAYROLL_STATUS.DRAFT);
+    expect(normalizePayrollStatus('In Progress')).toBe(PAYROLL_STATUS.CALCULATED);
+    expect(normalizePayrollStatus('CONFIRMED')).toBe(PAYROLL_STATUS.CONFIRMED);
+    expect(normalizePayrollStatus('paid')).toBe(PAYROLL_STATUS.PAID);
+    expect(normalizePayrollStatus(undefined)).toBe(PAYROLL_STATUS.CALCULATED);
+    expect(normalizePayrollStatus('weird', PAYROLL_STATUS.DRAFT)).toBe(PAYROLL_STATUS.DRAFT);
+  });
+
+  test('allows only forward transitions and reopen from confirmed', () => {
+    expect(canTransitionPayroll('draft', PAYROLL_STATUS.CALCULATED)).toBe(true);
+    expect(canTransitionPayroll('calculated', PAYROLL_STATUS.CONFIRMED)).toBe(true);
+    expect(canTransitionPayroll('confirmed', PAYROLL_STATUS.PAID)).toBe(true);
+    expect(canTransitionPayroll('confirmed', PAYROLL_STATUS.CALCULATED)).toBe(true);
+
+    expect(canTransitionPayroll('draft', PAYROLL_STATUS.CONFIRMED)).toBe(false);
+    expect(canTransitionPayroll('calculated', PAYROLL_STATUS.PAID)).toBe(false);
+    expect(canTransitionPayroll('paid', PAYROLL_STATUS.CALCULATED)).toBe(false);
+  });
+
+  test('labels statuses', () => {
+    expect(getPayrollStatusLabel('confirmed')).toBe('Confirmed');
+    expect(getPayrollStatusLabel('In Progress')).toBe('Calculated');
+  });
+
+  test('normalizes history entries and sorts newest first', () => {
+    const history = normalizeStatusHistory([
+      {
+        from_status: 'calculated',
+        to_status: 'confirmed',
+        performed_by: { id: 7, first_name: 'Rina', last_name: 'Katz' },
+        performed_at: '2025-07-02T10:00:00Z',
+      },
+      {
+        from_status: 'confirmed',
+        to_status: 'paid',
+        performed_by: 'accountant@example.com',
+        performed_at: '2025-07-05T09:00:00Z',
+        note: 'Bank transfer',
+      },
+    ]);
+
+    expect(history[0]).toEqual({
+      from: 'confirmed',
+      to: 'paid',
+      by: 'accountant@example.com',
+      byId: null,
+      at: '2025-07-05T09:00:00Z',
+      note: 'Bank transfer',
+    });
+    expect(history[1].by).toBe('Rina Katz');
+    expect(history[1].byId).toBe(7);
+    expect(normalizeStatusHistory(null)).toEqual([]);
+  });
+
+  test('keeps the performer id when the performer object is null', () => {
+    const [entry] = normalizeStatusHistory([
+      {
+        to_status: 'confirmed',
+        performed_by: null,
+        performed_by_id: 12,
+        performed_by_name: 'Avi Levi',
+      },
+    ]);
+
+    expect(entry).toEqual(expect.objectContaining({ by: 'Avi Levi', byId: 12 }));
+  });
+
+  test('finds the salary record of an employee', () => {
+    const salaries = {
+      results: [
+        { employee: { id: 3 }, salary_id: 30, status: 'calculated' },
+        {
+          employee: { id: 4 },
+          salary_id: 40,
+          status: 'approved',
+          status_history: [{ to_status: 'confirmed', performed_by: 'Rina' }],
+        },
+      ],
+    };
+
+    expect(findSalaryRecord(salaries, '4')).toEqual({
+      salaryId: 40,
+      status: PAYROLL_STATUS.CONFIRMED,
+      statusHistory: [expect.objectContaining({ to: PAYROLL_STATUS.CONFIRMED, by: 'Rina' })],
+    });
+    expect(findSalaryRecord(salaries, 5)).toBeNull();
+    expect(findSalaryRecord(null, 5)).toBeNull();
+  });
+});
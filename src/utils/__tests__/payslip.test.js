@@ -0,0 +1,126 @@
+/**
+ * Tests for payslip builder and renderer
+ * @jest-environment node
+ */
+
+import { buildPayslip, canAccessPayslip, renderPayslipHtml } from '../payslip';
+
+const hourlyItem = {
+  employee: { id: 12, name: 'Dana <Levi>', email: 'dana@example.com' },
+  period: 'July 2025 (Current)',
+  hourlyRate: 50,
+  hoursWorked: 182,
+  regularHours: 160,
+  overtimeHours: 14,
+  sabbathHours: 8,
+  sabbathPay: 600,
+  bonuses: 250,
+  compensatoryDays: 1,
+  regularPayAmount: 8000,
+  totalPayout: 9845,
+  enhancedBreakdown: {
+    breakdown: {
+      overtime_125_hours: 10,
+      overtime_125_pay: 625,
+      overtime_150_hours: 4,
+      overtime_150_pay: 300,
+    },
+  },
+};
+
+describe('Payslip', () => {
+  test('builds earnings lines with overtime tiers from enhanced earnings', () => {
+    const payslip = buildPayslip(hourlyItem, '2025-07');
+
+    expect(payslip.periodLabel).toBe('July 2025');
+    expect(payslip.employmentType).toBe('Hourly');
+    expect(payslip.lines.map(line => line.label)).toEqual([
+      'Regular hours',
+      'Overtime 125%',
+      'Overtime 150%',
+      'Sabbath work',
+      'Bonuses',
+    ]);
+    expect(payslip.lines[1]).toEqual({
+      label: 'Overtime 125%',
+      quantity: 10,
+      rate: 62.5,
+      amount: 625,
+    });
+    expect(payslip.totalGross).toBe(9845);
+  });
+
+  test('falls back to a single overtime line and base salary for monthly employees', () => {
+    const payslip = buildPayslip(
+      { employee: { name: 'Avi' }, baseSalary: 12000, overtimeHours: 3, overtimePay: 400 },
+      '2025-06'
+    );
+
+    expect(payslip.employmentType).toBe('Monthly');
+    expect(payslip.lines).toEqual([
+      { label: 'Base salary', quantity: null, rate: null, amount: 12000 },
+      { label: 'Overtime', quantity: 3, rate: null, amount: 400 },
+    ]);
+    expect(payslip.totalGross).toBe(12400);
+  });
+
+  test('adds the prorated part of a monthly salary so the lines add up to gross pay', () => {
+    const item = {
+      employee: { name: 'Avi' },
+      baseSalary: 12000,
+      overtimeHours: 3,
+      overtimePay: 400,
+      workedDays: 11,
+      totalWorkingDays: 22,
+      totalPayout: 6400,
+    };
+
+    expect(buildPayslip(item, '2025-06').lines).toEqual([
+      { label: 'Base salary', quantity: null, rate: null, amount: 12000 },
+      { label: 'Overtime', quantity: 3, rate: null, amount: 400 },
+      {
+        label: 'Salary adjustment (11 of 22 days worked)',
+        quantity: null,
+        rate: null,
+        amount: -6000,
+      },
+    ]);
+
+    const prorated = buildPayslip(
+      { ...item, enhancedBreakdown: { prorated_base_salary: 6000 } },
+      '2025-06'
+    );
+    expect(prorated.lines.map(line => line.amount)).toEqual([6000, 400]);
+    expect(prorated.totalGross).toBe(6400);
+  });
+
+  test('renders self-contained, escaped HTML', () => {
+    const html = renderPayslipHtml(buildPayslip(hourlyItem, '2025-07'), {
+      generatedAt: new Date('2025-08-01T10:00:00Z'),
+    });
+
+    expect(html).toContain('Dana &lt;Levi&gt;');
+    expect(html).not.toContain('Dana <Levi>');
+    expect(html).toContain('₪9,845.00');
+    expect(html).toContain('Compensatory days earned');
+    expect(html).not.toMatch(/<(link|script)\b/);
+  });
+
+  test('employees can access only their own payslips, accountants any', () => {
+    const user = { id: 3, employee_id: 12, email: 'dana@example.com' };
+
+    expect(canAccessPayslip({ isAccountant: true, user, employee: { id: 99 } })).toBe(true);
+    expect(canAccessPayslip({ isAccountant: false, user, employee: { id: 12 } })).toBe(true);
+    expect(
+      canAccessPayslip({
+        isAccountant: false,
+        user,
+        employee: { id: 5, email: 'DANA@example.com' },
+      })
+    ).toBe(true);
+    expect(canAccessPayslip({ isAccountant: false, user, employee: { id: 99 } })).toBe(false);
+    expect(
+      canAccessPayslip({ isAccountant: false, user, employee: { id: 99 }, selfScoped: true })
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for premium-rate windows and the split of worked time
+ * @jest-environment node
+ */
+
+import {
+  buildPremiumWindows,
+  describeWorkedSplit,
+  findPremiumWindow,
+  splitWorkedMinutes,
+} from '../premiumHours';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+import { at } from './helpers';
+
+describe('Premium hours', () => {
+  let windows;
+
+  beforeAll(() => {
+    setCompanyTimeZone(getDeviceTimeZone());
+
+    // Friday 14 March 2025: Shabbat from 17:30 to Saturday 18:30; Purim on Thursday 13
+    windows = buildPremiumWindows({
+      holidays: [
+        { date: '2025-03-13', name: 'Purim' },
+        { date: '2025-03-15', name: 'Shabbat', is_shabbat: true },
+      ],
+      shabbatWeeks: [{ date: '2025-03-14', start: at(14, 17, 30), end: at(15, 18, 30) }],
+    });
+  });
+
+  test('builds holiday days and Shabbat windows in order', () => {
+    expect(windows).toEqual([
+      { type: 'holiday', name: 'Purim', start: at(13, 0), end: at(14, 0) },
+      { type: 'sabbath', name: 'Shabbat', start: at(14, 17, 30), end: at(15, 18, 30) },
+    ]);
+  });
+
+  test('falls back to the whole Saturday without Shabbat times', () => {
+    const [shabbat] = buildPremiumWindows({
+      shabbatWeeks: [{ date: '2025-03-14', start: null, end: null }],
+    });
+
+    expect(shabbat.start).toEqual(at(15, 0));
+    expect(shabbat.end).toEqual(at(16, 0));
+  });
+
+  test('finds a window in effect or starting within the horizon', () => {
+    const hours = 60 * 60 * 1000;
+
+    expect(findPremiumWindow(windows, at(14, 9), 8 * hours)).toBeNull();
+    expect(findPremiumWindow(windows, at(14, 10), 8 * hours).name).toBe('Shabbat');
+    expect(findPremiumWindow(windows, at(13, 10)).name).toBe('Purim');
+    expect(findPremiumWindow(windows, at(16, 10), 8 * hours)).toBeNull();
+  });
+
+  test('splits a Friday session into regular, overtime and Shabbat minutes', () => {
+    const split = splitWorkedMinutes({
+      start: at(14, 8),
+      end: at(14, 19),
+      breaks: [{ start: at(14, 12), end: at(14, 12, 30) }],
+      windows,
+    });
+
+    // 9h worked before candle lighting: 8h 36m regular, 24m overtime, then 1h 30m Shabbat
+    expect(split).toEqual({ regular: 516, overtime: 24, sabbath: 90, holiday: 0 });
+    expect(describeWorkedSplit(split)).toBe('Regular 8h 36m · Overtime 0h 24m · Shabbat 1h 30m');
+  });
+
+  test('counts an open break up to now and a running holiday session', () => {
+    const split = splitWorkedMinutes({
+      start: at(13, 22),
+      end: at(14, 2),
+      breaks: [{ start: at(14, 1), end: null }],
+      windows,
+    });
+
+    expect(split).toEqual({ regular: 60, overtime: 0, sabbath: 0, holiday: 120 });
+    expect(describeWorkedSplit({ regular: 0, overtime: 0, sabbath: 0, holiday: 0 })).toBe('');
+  });
+});
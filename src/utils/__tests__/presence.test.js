@@ -0,0 +1,138 @@
+/**
+ * Tests for the team presence board
+ * @jest-environment node
+ */
+
+import { buildPresenceBoard, isOfficeSession, PRESENCE_STATUS } from '../presence';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+import { at } from './helpers';
+
+jest.mock('../../config', () => ({
+  APP_CONFIG: { ORPHANED_SESSION_THRESHOLD_HOURS: 12 },
+}));
+
+const utc = (day, hours, minutes = 0) => new Date(Date.UTC(2025, 2, day, hours, minutes));
+
+const employee = (id, firstName, extra = {}) => ({
+  id,
+  first_name: firstName,
+  last_name: 'Levi',
+  ...extra,
+});
+
+const worklog = (id, employeeId, checkIn, checkOut, extra = {}) => ({
+  id,
+  employee: employeeId,
+  check_in: checkIn.toISOString(),
+  check_out: checkOut ? checkOut.toISOString() : null,
+  ...extra,
+});
+
+const byStatus = groups =>
+  Object.fromEntries(groups.map(group => [group.status, group.entries.map(entry => entry.name)]));
+
+describe('Presence board', () => {
+  beforeAll(() => setCompanyTimeZone(getDeviceTimeZone()));
+
+  const NOW = at(10, 9, 30);
+  const employees = [
+    employee(1, 'Dana'),
+    employee(2, 'Avi'),
+    employee(3, 'Noa'),
+    employee(4, 'Eli'),
+    employee(5, 'Gil', { is_active: false }),
+  ];
+  const offices = [{ id: 'hq', name: 'HQ' }];
+
+  test('tells office and remote sessions apart', () => {
+    expect(isOfficeSession({ office_id: 'hq' })).toBe(true);
+    expect(isOfficeSession({ location_check_in: 'Office (32.08, 34.78)' })).toBe(true);
+    expect(isOfficeSession({ location_check_in: 'Remote' })).toBe(false);
+  });
+
+  test('places every active employee in one group', () => {
+    const groups = buildPresenceBoard(employees, {
+      openSessions: {
+        results: [
+          worklog(11, 1, at(10, 8, 45), null, { office_id: 'hq' }),
+          worklog(12, 2, at(10, 9, 5), null, { location_check_in: 'Remote' }),
+        ],
+      },
+      todayLogs: { results: [worklog(13, 3, at(10, 6), at(10, 9))] },
+      offices,
+      now: NOW,
+    });
+
+    expect(byStatus(groups)).toEqual({
+      [PRESENCE_STATUS.IN_OFFICE]: ['Dana Levi'],
+      [PRESENCE_STATUS.REMOTE]: ['Avi Levi'],
+      [PRESENCE_STATUS.NOT_ARRIVED]: ['Eli Levi'],
+      [PRESENCE_STATUS.CHECKED_OUT]: ['Noa Levi'],
+    });
+    expect(groups[0].entries[0]).toEqual(
+      expect.objectContaining({ since: at(10, 8, 45), elapsedHours: 0.75, officeName: 'HQ' })
+    );
+    expect(groups[3].entries[0]).toEqual(
+      expect.objectContaining({ since: at(10, 6), until: at(10, 9), elapsedHours: 3 })
+    );
+  });
+
+  test('counts a night shift checked in yesterday as worked today', () => {
+    const groups = buildPresenceBoard([employee(1, 'Dana')], {
+      openSessions: [],
+      todayLogs: [worklog(11, 1, at(9, 22), at(10, 6))],
+      now: NOW,
+    });
+
+    expect(byStatus(groups)[PRESENCE_STATUS.CHECKED_OUT]).toEqual(['Dana Levi']);
+    expect(groups[3].entries[0]).toEqual(
+      expect.objectContaining({ since: at(9, 22), until: at(10, 6), elapsedHours: 6 })
+    );
+  });
+
+  test('flags a session left open since yesterday', () => {
+    const [inOffice] = buildPresenceBoard([employee(1, 'Dana')], {
+      openSessions: [worklog(11, 1, at(9, 8), null, { office_id: 'hq' })],
+      now: NOW,
+    });
+
+    expect(inOffice.entries[0]).toEqual(
+      expect.objectContaining({ orphaned: true, elapsedHours: 25.5, officeName: null })
+    );
+  });
+
+  test('lists checked-in people missing from the employee list', () => {
+    const groups = buildPresenceBoard([], {
+      openSessions: [worklog(11, 7, at(10, 8), null, { employee_name: 'Rina Katz' })],
+      now: NOW,
+    });
+
+    expect(byStatus(groups)[PRESENCE_STATUS.REMOTE]).toEqual(['Rina Katz']);
+  });
+});
+
+describe('Presence board in the company time zone', () => {
+  // Israel is UTC+2 in March 2025
+  beforeAll(() => setCompanyTimeZone('Asia/Jerusalem'));
+
+  test('counts work after midnight in Israel as today', () => {
+    const groups = buildPresenceBoard([employee(1, 'Dana'), employee(2, 'Avi')], {
+      openSessions: [],
+      todayLogs: [
+        // 00:15 to 01:00 today in Israel, still yesterday in UTC
+        worklog(11, 1, utc(9, 22, 15), utc(9, 23)),
+        // 21:00 to 23:30 yesterday in Israel
+        worklog(12, 2, utc(9, 19), utc(9, 21, 30)),
+      ],
+      now: utc(10, 7, 30),
+    });
+
+    expect(byStatus(groups)).toEqual(
+      expect.objectContaining({
+        [PRESENCE_STATUS.CHECKED_OUT]: ['Dana Levi'],
+        [PRESENCE_STATUS.NOT_ARRIVED]: ['Avi Levi'],
+      })
+    );
+    expect(groups[3].entries[0].elapsedHours).toBe(0.75);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for orphaned session detection
+ * @jest-environment node
+ */
+
+import {
+  SESSION_ANOMALY,
+  describeSessionAnomaly,
+  detectSessionAnomaly,
+  findOrphanedSessions,
+} from '../sessionAnomalies';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+import { at } from './helpers';
+
+jest.mock('../../config', () => ({
+  APP_CONFIG: { ORPHANED_SESSION_THRESHOLD_HOURS: 12 },
+}));
+
+const openLog = (id, checkIn, employee = { id: 7, first_name: 'Dana', last_name: 'Levi' }) => ({
+  id,
+  employee,
+  check_in: checkIn.toISOString(),
+  check_out: null,
+});
+
+describe('Session anomalies', () => {
+  beforeAll(() => setCompanyTimeZone(getDeviceTimeZone()));
+
+  const NOW = at(20, 23);
+
+  test('ignores closed and normal open sessions', () => {
+    const closed = { ...openLog(1, at(20, 9)), check_out: at(20, 17).toISOString() };
+
+    expect(detectSessionAnomaly(closed, { now: NOW })).toBeNull();
+    expect(detectSessionAnomaly(openLog(2, at(20, 14)), { now: NOW })).toBeNull();
+    expect(detectSessionAnomaly({ id: 3, check_in: 'not a date' }, { now: NOW })).toBeNull();
+  });
+
+  test('flags sessions open longer than the threshold', () => {
+    const anomaly = detectSessionAnomaly(openLog(1, at(20, 8)), { now: NOW });
+
+    expect(anomaly).toEqual({
+      worklogId: 1,
+      employeeId: 7,
+      employeeName: 'Dana Levi',
+      checkIn: at(20, 8).toISOString(),
+      openHours: 15,
+      anomalies: [SESSION_ANOMALY.LONG_OPEN],
+    });
+  });
+
+  test('uses a custom threshold', () => {
+    expect(detectSessionAnomaly(openLog(1, at(20, 14)), { now: NOW, thresholdHours: 8 })).toEqual(
+      expect.objectContaining({ anomalies: [SESSION_ANOMALY.LONG_OPEN] })
+    );
+  });
+
+  test('flags sessions that crossed midnight', () => {
+    const anomaly = detectSessionAnomaly(openLog(1, at(19, 22)), { now: at(20, 2) });
+
+    expect(anomaly.anomalies).toEqual([SESSION_ANOMALY.CROSSED_MIDNIGHT]);
+  });
+
+  test('reads the employee from flat worklog fields', () => {
+    const anomaly = detectSessionAnomaly(
+      { id: 4, employee: 9, employee_name: 'Avi Cohen', check_in: at(18, 9).toISOString() },
+      { now: NOW }
+    );
+
+    expect(anomaly.employeeId).toBe(9);
+    expect(anomaly.employeeName).toBe('Avi Cohen');
+  });
+
+  test('lists orphaned sessions longest open first', () => {
+    const flagged = findOrphanedSessions(
+      [openLog(1, at(19, 9)), openLog(2, at(20, 20)), openLog(3, at(17, 9))],
+      { now: NOW }
+    );
+
+    expect(flagged.map(session => session.worklogId)).toEqual([3, 1]);
+    expect(findOrphanedSessions(null)).toEqual([]);
+  });
+
+  test('describes how long a session has been open', () => {
+    const anomaly = detectSessionAnomaly(openLog(1, at(19, 9)), { now: NOW });
+
+    expect(describeSessionAnomaly(anomaly)).toMatch(/^Open 38h · since \w{3},? 09:00$/);
+  });
+});
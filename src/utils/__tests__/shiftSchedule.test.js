@@ -0,0 +1,177 @@
+/**
+ * Tests for planned shifts and the attendance comparison
+ * @jest-environment node
+ */
+
+import {
+  ATTENDANCE_ISSUE,
+  compareAttendance,
+  countAttendanceIssues,
+  describeAttendanceIssue,
+  getWeekDays,
+  getWeekStart,
+  normalizeShift,
+  parseTimeOfDay,
+  shiftsToTemplateDays,
+  validateShiftTimes,
+} from '../shiftSchedule';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+import { at } from './helpers';
+
+jest.mock('../../config', () => ({
+  APP_CONFIG: { ORPHANED_SESSION_THRESHOLD_HOURS: 12, ATTENDANCE_GRACE_MINUTES: 5 },
+}));
+
+const utc = (day, hours, minutes = 0) => new Date(Date.UTC(2025, 2, day, hours, minutes));
+
+const shift = (id, employeeId, date, startTime, endTime) => ({
+  id,
+  employee: employeeId,
+  date,
+  start_time: startTime,
+  end_time: endTime,
+});
+
+const worklog = (id, employeeId, checkIn, checkOut) => ({
+  id,
+  employee: employeeId,
+  check_in: checkIn.toISOString(),
+  check_out: checkOut ? checkOut.toISOString() : null,
+});
+
+const issueTypes = issues => issues.map(issue => [issue.type, issue.employeeId, issue.minutes]);
+
+describe('Shift schedule', () => {
+  beforeAll(() => setCompanyTimeZone(getDeviceTimeZone()));
+
+  test('parses and validates shift times', () => {
+    expect(parseTimeOfDay('9:30')).toEqual({ hour: 9, minute: 30 });
+    expect(parseTimeOfDay('17:00:00')).toEqual({ hour: 17, minute: 0 });
+    expect(parseTimeOfDay('24:00')).toBeNull();
+    expect(validateShiftTimes('09:00', '17:00')).toBeNull();
+    expect(validateShiftTimes('9', '17:00')).toBe('Enter the start time as HH:MM');
+    expect(validateShiftTimes('09:00', '9:00')).not.toBeNull();
+  });
+
+  test('builds weeks from Sunday', () => {
+    const weekStart = getWeekStart(new Date(2025, 2, 12));
+    expect(getWeekDays(weekStart)).toEqual([
+      '2025-03-09',
+      '2025-03-10',
+      '2025-03-11',
+      '2025-03-12',
+      '2025-03-13',
+      '2025-03-14',
+      '2025-03-15',
+    ]);
+  });
+
+  test('runs a shift ending before it starts into the next day', () => {
+    const night = normalizeShift(shift(1, 7, '2025-03-10', '22:00', '06:00'));
+
+    expect(night).toEqual(
+      expect.objectContaining({ employeeId: 7, start: at(10, 22), end: at(11, 6) })
+    );
+    expect(normalizeShift(shift(2, 7, '2025-02-30', '09:00', '17:00'))).toBeNull();
+  });
+
+  test('turns a week of shifts into template days', () => {
+    const shifts = [
+      shift(1, 7, '2025-03-11', '09:00', '17:00'),
+      shift(2, 7, '2025-03-09', '8:00', '16:00'),
+    ].map(normalizeShift);
+
+    expect(shiftsToTemplateDays(shifts)).toEqual([
+      { weekday: 0, start_time: '08:00', end_time: '16:00' },
+      { weekday: 2, start_time: '09:00', end_time: '17:00' },
+    ]);
+  });
+
+  test('finds late arrivals, early departures, no-shows and unplanned work', () => {
+    const shifts = [
+      shift(1, 1, '2025-03-10', '09:00', '17:00'),
+      shift(2, 2, '2025-03-10', '09:00', '17:00'),
+      shift(3, 3, '2025-03-10', '09:00', '17:00'),
+      shift(4, 4, '2025-03-10', '09:00', '17:00'),
+    ];
+    const worklogs = [
+      worklog(11, 1, at(10, 9, 25), at(10, 17)),
+      worklog(12, 2, at(10, 9, 3), at(10, 15, 30)),
+      worklog(14, 4, at(10, 8, 55), at(10, 17, 2)),
+      worklog(15, 5, at(10, 10), at(10, 12)),
+    ];
+
+    const issues = compareAttendance(shifts, worklogs, { now: at(10, 20) });
+
+    expect(issueTypes(issues)).toEqual(
+      expect.arrayContaining([
+        [ATTENDANCE_ISSUE.LATE, 1, 25],
+        [ATTENDANCE_ISSUE.EARLY_DEPARTURE, 2, 90],
+        [ATTENDANCE_ISSUE.NO_SHOW, 3, 480],
+        [ATTENDANCE_ISSUE.UNPLANNED, 5, 120],
+      ])
+    );
+    expect(issues).toHaveLength(4);
+    expect(countAttendanceIssues(issues)).toEqual({
+      [ATTENDANCE_ISSUE.LATE]: 1,
+      [ATTENDANCE_ISSUE.EARLY_DEPARTURE]: 1,
+      [ATTENDANCE_ISSUE.NO_SHOW]: 1,
+      [ATTENDANCE_ISSUE.UNPLANNED]: 1,
+    });
+  });
+
+  test('does not judge shifts that are still ahead or running', () => {
+    const shifts = [
+      shift(1, 1, '2025-03-10', '09:00', '17:00'),
+      shift(2, 2, '2025-03-10', '12:00', '20:00'),
+      shift(3, 3, '2025-03-10', '09:00', '17:00'),
+    ];
+    const worklogs = [worklog(11, 1, at(10, 9), null), worklog(13, 3, at(10, 9), at(10, 10))];
+
+    expect(compareAttendance(shifts, worklogs, { now: at(10, 11) })).toEqual([]);
+  });
+
+  test('matches a night session to a night shift', () => {
+    const issues = compareAttendance(
+      [shift(1, 1, '2025-03-10', '22:00', '06:00')],
+      [worklog(11, 1, at(10, 22, 30), at(11, 6))],
+      { now: at(11, 8) }
+    );
+
+    expect(issueTypes(issues)).toEqual([[ATTENDANCE_ISSUE.LATE, 1, 30]]);
+    expect(describeAttendanceIssue(issues[0])).toBe('Mon 22:00–06:00 · 30m late');
+  });
+});
+
+describe('Shift schedule in the company time zone', () => {
+  // Israel is UTC+2 until the switch to summer time on 28 March 2025 at 02:00
+  beforeAll(() => setCompanyTimeZone('Asia/Jerusalem'));
+
+  test('places shift times on the clock in Israel', () => {
+    expect(normalizeShift(shift(1, 7, '2025-03-10', '09:00', '17:00'))).toEqual(
+      expect.objectContaining({ start: utc(10, 7), end: utc(10, 15) })
+    );
+    // Ends in summer time: 7 hours long
+    expect(normalizeShift(shift(2, 7, '2025-03-27', '22:00', '06:00'))).toEqual(
+      expect.objectContaining({ start: utc(27, 20), end: utc(28, 3) })
+    );
+  });
+
+  test('compares attendance on the clock in Israel', () => {
+    const issues = compareAttendance(
+      [shift(1, 1, '2025-03-10', '09:00', '17:00')],
+      [
+        worklog(11, 1, utc(10, 7, 20), utc(10, 15)),
+        // 00:30 to 02:30 on 10 March in Israel
+        worklog(12, 2, utc(9, 22, 30), utc(10, 0, 30)),
+      ],
+      { now: utc(10, 18) }
+    );
+
+    expect(issueTypes(issues)).toEqual([
+      [ATTENDANCE_ISSUE.LATE, 1, 20],
+      [ATTENDANCE_ISSUE.UNPLANNED, 2, 120],
+    ]);
+    expect(issues[1].date).toBe('2025-03-10');
+  });
+});
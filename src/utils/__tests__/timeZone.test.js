@@ -0,0 +1,83 @@
+/**
+ * Tests for company time zone day boundaries
+ * @jest-environment node
+ */
+
+import {
+  DEFAULT_TIME_ZONE,
+  getCompanyTimeZone,
+  getZonedParts,
+  isValidTimeZone,
+  setCompanyTimeZone,
+  startOfZonedDay,
+  toZonedDateKey,
+  zonedTimeToUtc,
+} from '../timeZone';
+import { buildTimesheet, totalsByDay } from '../timesheet';
+import { getPayPeriodRange } from '../worktimeCalendar';
+
+const utc = (month, day, hours, minutes = 0) =>
+  new Date(Date.UTC(2025, month - 1, day, hours, minutes));
+
+describe('Company time zone', () => {
+  afterEach(() => setCompanyTimeZone(DEFAULT_TIME_ZONE));
+
+  test('accepts known IANA zones only', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+
+    setCompanyTimeZone('Mars/Olympus');
+    expect(getCompanyTimeZone()).toBe(DEFAULT_TIME_ZONE);
+  });
+
+  test('reads wall-clock time in the zone, not the device', () => {
+    // 22:30 UTC is already the next day in Israel (UTC+2 in winter)
+    expect(getZonedParts(utc(3, 9, 22, 30), 'Asia/Jerusalem')).toEqual({
+      year: 2025,
+      month: 3,
+      day: 10,
+      hour: 0,
+      minute: 30,
+      second: 0,
+    });
+    expect(toZonedDateKey(utc(3, 9, 22, 30), 'America/New_York')).toBe('2025-03-09');
+  });
+
+  test('converts wall-clock time to an instant across a DST change', () => {
+    // Israel moves to UTC+3 on 28 March 2025 at 02:00
+    expect(zonedTimeToUtc({ year: 2025, month: 3, day: 27, hour: 12 }, 'Asia/Jerusalem')).toEqual(
+      utc(3, 27, 10)
+    );
+    expect(zonedTimeToUtc({ year: 2025, month: 3, day: 28, hour: 12 }, 'Asia/Jerusalem')).toEqual(
+      utc(3, 28, 9)
+    );
+    expect(startOfZonedDay(utc(3, 27, 23), 0, 'Asia/Jerusalem')).toEqual(utc(3, 27, 22));
+    expect(startOfZonedDay(utc(3, 27, 23), 1, 'Asia/Jerusalem')).toEqual(utc(3, 28, 21));
+  });
+
+  test('buckets shifts into company days on any device', () => {
+    setCompanyTimeZone('Asia/Jerusalem');
+    const { segments } = buildTimesheet([
+      // 01:00-07:00 in Israel, still the previous day in UTC
+      { id: 1, check_in: utc(3, 9, 23).toISOString(), check_out: utc(3, 10, 5).toISOString() },
+      // 22:00-06:00 in Israel, split at Israeli midnight
+      { id: 2, check_in: utc(3, 11, 20).toISOString(), check_out: utc(3, 12, 4).toISOString() },
+    ]);
+
+    expect(totalsByDay(segments)).toEqual({
+      '2025-03-10': 6,
+      '2025-03-11': 2,
+      '2025-03-12': 6,
+    });
+  });
+
+  test('starts the pay period on the company 1st of the month', () => {
+    setCompanyTimeZone('Asia/Jerusalem');
+
+    // 01:30 on 1 April in Israel, 31 March in UTC
+    expect(getPayPeriodRange(0, utc(3, 31, 22, 30))).toEqual(
+      expect.objectContaining({ year: 2025, month: 4 })
+    );
+  });
+});
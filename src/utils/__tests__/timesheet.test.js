@@ -0,0 +1,183 @@
+/**
+ * Tests for timesheet aggregation
+ * @jest-environment node
+ */
+
+import {
+  buildTimesheet,
+  formatHours,
+  getWorklogEmployeeId,
+  getWorklogEmployeeName,
+  normalizeWorklog,
+  peakEmployeeHoursByDay,
+  splitSessionByDay,
+  sumBreakHours,
+  totalsByDay,
+  totalsByPayPeriod,
+  totalsByWeek,
+} from '../timesheet';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+
+const at = (month, day, hours, minutes = 0) => new Date(2025, month - 1, day, hours, minutes);
+const utc = (month, day, hours, minutes = 0) =>
+  new Date(Date.UTC(2025, month - 1, day, hours, minutes));
+
+const worklog = (id, checkIn, checkOut, extra = {}) => ({
+  id,
+  employee: { id: 1, first_name: 'Dana', last_name: 'Levi' },
+  check_in: checkIn.toISOString(),
+  check_out: checkOut ? checkOut.toISOString() : null,
+  ...extra,
+});
+
+describe('Timesheet', () => {
+  beforeAll(() => setCompanyTimeZone(getDeviceTimeZone()));
+
+  const NOW = at(3, 12, 12);
+
+  test('reads the employee from nested or flat fields', () => {
+    expect(getWorklogEmployeeId({ employee: { id: 3 } })).toBe(3);
+    expect(getWorklogEmployeeId({ employee: 9 })).toBe(9);
+    expect(getWorklogEmployeeId({ employee_id: 4 })).toBe(4);
+    expect(getWorklogEmployeeId({})).toBeNull();
+
+    expect(getWorklogEmployeeName(worklog(1, NOW))).toBe('Dana Levi');
+    expect(getWorklogEmployeeName({ employee: 9, employee_name: 'Avi Cohen' })).toBe('Avi Cohen');
+    expect(getWorklogEmployeeName({ employee: { email: 'noa@example.com' } })).toBe('noa');
+    expect(getWorklogEmployeeName({})).toBe('Unknown Employee');
+  });
+
+  test('prefers server hours for closed sessions and counts open ones to now', () => {
+    const closed = normalizeWorklog(
+      worklog(1, at(3, 10, 9), at(3, 10, 18), { total_hours: '8.5' })
+    );
+    const open = normalizeWorklog(worklog(2, at(3, 12, 8)), { now: NOW });
+
+    expect(closed).toEqual(
+      expect.objectContaining({ worklogId: 1, employeeId: 1, open: false, hours: 8.5 })
+    );
+    expect(open).toEqual(expect.objectContaining({ open: true, hours: 4 }));
+    expect(normalizeWorklog({ id: 3, check_in: 'garbage' })).toBeNull();
+  });
+
+  test('leaves breaks out of worked hours', () => {
+    const breaks = [
+      { start: at(3, 12, 9).toISOString(), end: at(3, 12, 9, 30).toISOString() },
+      { start: at(3, 12, 11, 30).toISOString(), end: null },
+    ];
+    const open = normalizeWorklog(worklog(1, at(3, 12, 8), null, { breaks }), { now: NOW });
+    const closed = normalizeWorklog(worklog(2, at(3, 10, 9), at(3, 10, 18), { break_minutes: 45 }));
+
+    expect(open).toEqual(expect.objectContaining({ hours: 3, breakHours: 1, onBreak: true }));
+    expect(closed).toEqual(expect.objectContaining({ hours: 8.25, onBreak: false }));
+    expect(sumBreakHours(breaks, at(3, 12, 11))).toBe(0.5);
+  });
+
+  test('splits a night shift at local midnight', () => {
+    const session = normalizeWorklog(worklog(1, at(3, 10, 22), at(3, 11, 6)));
+    const segments = splitSessionByDay(session);
+
+    expect(segments.map(({ dateKey, hours }) => [dateKey, hours])).toEqual([
+      ['2025-03-10', 2],
+      ['2025-03-11', 6],
+    ]);
+    expect(segments[1].start).toEqual(at(3, 11, 0));
+  });
+
+  test('spreads server hours in proportion to time on each day', () => {
+    const session = normalizeWorklog(
+      worklog(1, at(3, 10, 20), at(3, 11, 4), { total_hours: 6 }) // 8h on the clock
+    );
+
+    expect(totalsByDay(splitSessionByDay(session))).toEqual({
+      '2025-03-10': 3,
+      '2025-03-11': 3,
+    });
+  });
+
+  test('aggregates by day, week and pay period', () => {
+    const { sessions, segments } = buildTimesheet(
+      [
+        worklog(1, at(2, 28, 20), at(3, 1, 2)), // crosses into a new pay period
+        worklog(2, at(3, 3, 9), at(3, 3, 17)),
+        worklog(3, at(3, 12, 9)), // still open
+        { id: 4, check_in: null },
+      ],
+      { now: NOW }
+    );
+
+    expect(sessions).toHaveLength(3);
+    expect(totalsByDay(segments)).toEqual({
+      '2025-02-28': 4,
+      '2025-03-01': 2,
+      '2025-03-03': 8,
+      '2025-03-12': 3,
+    });
+    expect(totalsByWeek(segments)).toEqual({
+      '2025-02-23': 6,
+      '2025-03-02': 8,
+      '2025-03-09': 3,
+    });
+    expect(totalsByPayPeriod(segments)).toEqual({ '2025-02': 4, '2025-03': 13 });
+  });
+
+  test('can leave out sessions still in progress', () => {
+    const { sessions } = buildTimesheet([worklog(1, at(3, 12, 9))], {
+      now: NOW,
+      includeOpen: false,
+    });
+
+    expect(sessions).toEqual([]);
+  });
+
+  test('finds the longest day of a single employee', () => {
+    const { segments } = buildTimesheet([
+      worklog(1, at(3, 10, 8), at(3, 10, 14)),
+      worklog(2, at(3, 10, 15), at(3, 10, 18)),
+      worklog(3, at(3, 10, 9), at(3, 10, 17), { employee: { id: 2 } }),
+    ]);
+
+    expect(totalsByDay(segments)).toEqual({ '2025-03-10': 17 });
+    expect(peakEmployeeHoursByDay(segments)).toEqual({ '2025-03-10': 9 });
+  });
+
+  test('formats hours without rounding up to 60 minutes', () => {
+    expect(formatHours(7.75)).toBe('7h 45m');
+    expect(formatHours(7.999)).toBe('8h 0m');
+    expect(formatHours(null)).toBe('0h 0m');
+  });
+});
+
+describe('Timesheet in the company time zone', () => {
+  // Israel is UTC+2 until the switch to summer time on 28 March 2025 at 02:00
+  beforeAll(() => setCompanyTimeZone('Asia/Jerusalem'));
+
+  test('splits a night shift at midnight in Israel', () => {
+    const session = normalizeWorklog(worklog(1, utc(3, 10, 20), utc(3, 11, 4)));
+    const segments = splitSessionByDay(session);
+
+    expect(segments.map(({ dateKey, hours }) => [dateKey, hours])).toEqual([
+      ['2025-03-10', 2],
+      ['2025-03-11', 6],
+    ]);
+    expect(segments[1].start).toEqual(utc(3, 10, 22));
+  });
+
+  test('counts the short night of the summer time switch', () => {
+    // 22:00 to 06:00 on the clock, 7 hours worked
+    const session = normalizeWorklog(worklog(1, utc(3, 27, 20), utc(3, 28, 3)));
+
+    expect(totalsByDay(splitSessionByDay(session))).toEqual({
+      '2025-03-27': 2,
+      '2025-03-28': 5,
+    });
+  });
+
+  test('puts early hours in the pay period of the day in Israel', () => {
+    // 01:00 to 05:00 on 1 March in Israel, still February in UTC
+    const { segments } = buildTimesheet([worklog(1, utc(2, 28, 23), utc(3, 1, 3))]);
+
+    expect(totalsByDay(segments)).toEqual({ '2025-03-01': 4 });
+    expect(totalsByPayPeriod(segments)).toEqual({ '2025-03': 4 });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the auth token lifecycle
+ * @jest-environment node
+ */
+
+import { createTokenLifecycle } from '../tokenLifecycle';
+
+const HOUR = 60 * 60 * 1000;
+
+const setup = ({ expiresAt, refresh } = {}) => {
+  const state = { expiresAt };
+  const options = {
+    refresh: jest.fn(
+      refresh ||
+        (async () => {
+          state.expiresAt = Date.now() + 48 * HOUR;
+          return { token: 'fresh' };
+        })
+    ),
+    getExpiresAt: jest.fn(async () => state.expiresAt),
+    refreshAheadMs: 24 * HOUR,
+    retryDelayMs: 5 * 60 * 1000,
+  };
+  return { state, options, lifecycle: createTokenLifecycle(options) };
+};
+
+describe('Token lifecycle', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2025, 2, 10, 9));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('shares one refresh between concurrent callers', async () => {
+    let finish;
+    const { options, lifecycle } = setup({
+      refresh: () => new Promise(resolve => (finish = resolve)),
+    });
+
+    const first = lifecycle.refresh();
+    const second = lifecycle.refresh();
+    expect(lifecycle.isRefreshing()).toBe(true);
+
+    finish({ token: 'fresh' });
+    await expect(Promise.all([first, second])).resolves.toEqual([
+      { token: 'fresh' },
+      { token: 'fresh' },
+    ]);
+    expect(options.refresh).toHaveBeenCalledTimes(1);
+    expect(lifecycle.isRefreshing()).toBe(false);
+
+    const next = lifecycle.refresh();
+    finish({ token: 'newer' });
+    await expect(next).resolves.toEqual({ token: 'newer' });
+    expect(options.refresh).toHaveBeenCalledTimes(2);
+  });
+
+  test('refreshes ahead of expiry and re-arms for the new token', async () => {
+    const { options, lifecycle } = setup({ expiresAt: Date.now() + 30 * HOUR });
+
+    await lifecycle.start();
+    expect(options.refresh).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(6 * HOUR - 1);
+    expect(options.refresh).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(options.refresh).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(24 * HOUR);
+    expect(options.refresh).toHaveBeenCalledTimes(2);
+
+    lifecycle.stop();
+    await jest.advanceTimersByTimeAsync(48 * HOUR);
+    expect(options.refresh).toHaveBeenCalledTimes(2);
+  });
+
+  test('waits for a token valid for months in steps setTimeout can hold', async () => {
+    const DAY = 24 * HOUR;
+    const { options, lifecycle } = setup({ expiresAt: Date.now() + 61 * DAY });
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+
+    await lifecycle.start();
+    await jest.advanceTimersByTimeAsync(30 * DAY);
+    expect(options.refresh).not.toHaveBeenCalled();
+    expect(options.getExpiresAt.mock.calls.length).toBeGreaterThan(1);
+
+    await jest.advanceTimersByTimeAsync(30 * DAY);
+    expect(options.refresh).toHaveBeenCalledTimes(1);
+    expect(Math.max(...setTimeoutSpy.mock.calls.map(([, delay]) => delay))).toBeLessThan(2 ** 31);
+
+    lifecycle.stop();
+    setTimeoutSpy.mockRestore();
+  });
+
+  test('refreshes at once when the token is already due', async () => {
+    const { options, lifecycle } = setup({ expiresAt: new Date(Date.now() + HOUR).toISOString() });
+
+    await expect(lifecycle.refreshIfDue()).resolves.toBe(true);
+    expect(options.refresh).toHaveBeenCalledTimes(1);
+    await expect(lifecycle.refreshIfDue()).resolves.toBe(false);
+  });
+
+  test('retries a failed refresh later and sets no timer without an expiry', async () => {
+    const { state, options, lifecycle } = setup({ expiresAt: Date.now() + HOUR });
+    options.refresh.mockRejectedValueOnce(new Error('offline'));
+
+    await expect(lifecycle.start()).resolves.toBe(false);
+    expect(options.refresh).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    expect(options.refresh).toHaveBeenCalledTimes(2);
+
+    state.expiresAt = null;
+    await expect(lifecycle.refreshIfDue()).resolves.toBe(false);
+    await jest.advanceTimersByTimeAsync(100 * HOUR);
+    expect(options.refresh).toHaveBeenCalledTimes(2);
+  });
+});
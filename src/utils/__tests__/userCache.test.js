@@ -0,0 +1,52 @@
+/**
+ * Tests for per-user cache keys
+ * @jest-environment node
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { clearUserCaches, getUserCacheKey } from '../userCache';
+
+jest.mock('../../config', () => ({
+  APP_CONFIG: {
+    STORAGE_KEYS: {
+      USER_DATA: 'MyHours.UserData',
+      EMPLOYEES_CACHE: 'MyHours.EmployeesCache',
+      CACHE_TIMESTAMP: 'MyHours.CacheTimestamp',
+      PAYROLL_CACHE: 'MyHours.PayrollCache',
+    },
+  },
+}));
+
+describe('User caches', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('keys a cache by the signed-in user, not the token', async () => {
+    AsyncStorage.getItem.mockResolvedValueOnce(
+      JSON.stringify({ id: 7, email: 'dana@example.com' })
+    );
+    await expect(getUserCacheKey('MyHours.PayrollCache')).resolves.toBe('MyHours.PayrollCache_7');
+
+    AsyncStorage.getItem.mockResolvedValueOnce(null);
+    await expect(getUserCacheKey('MyHours.PayrollCache')).resolves.toBe(
+      'MyHours.PayrollCache_anonymous'
+    );
+  });
+
+  test('clears the caches of every user, including token-keyed ones', async () => {
+    AsyncStorage.getAllKeys.mockResolvedValueOnce([
+      'MyHours.UserData',
+      'MyHours.EmployeesCache_7',
+      'MyHours.CacheTimestamp_7',
+      'MyHours.PayrollCache_a1b2c3d4',
+      'MyHours.HolidaysCache',
+    ]);
+
+    await clearUserCaches();
+
+    expect(AsyncStorage.multiRemove).toHaveBeenCalledWith([
+      'MyHours.EmployeesCache_7',
+      'MyHours.CacheTimestamp_7',
+      'MyHours.PayrollCache_a1b2c3d4',
+    ]);
+  });
+});
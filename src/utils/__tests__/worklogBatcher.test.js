@@ -0,0 +1,125 @@
+/**
+ * Tests for batched, cached worklog loading
+ * @jest-environment node
+ */
+
+import { createWorklogBatcher, runWithConcurrency } from '../worklogBatcher';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+import { at } from './helpers';
+
+const worklog = (id, employeeId, checkIn) => ({
+  id,
+  employee: employeeId,
+  check_in: checkIn.toISOString(),
+  check_out: null,
+});
+
+const ids = count => Array.from({ length: count }, (_, index) => index + 1);
+
+describe('Worklog batcher', () => {
+  beforeAll(() => setCompanyTimeZone(getDeviceTimeZone()));
+
+  test('coalesces employees and days into a few range requests', async () => {
+    const fetchLogs = jest.fn(async ({ employeeIds }) =>
+      employeeIds.flatMap(id => [
+        worklog(id * 10, id, at(9, 22)),
+        worklog(id * 10 + 1, id, at(10, 8)),
+      ])
+    );
+    const batcher = createWorklogBatcher({ fetchLogs, batchSize: 25 });
+
+    const [today, yesterday] = await Promise.all([
+      batcher.loadMany(ids(60), '2025-03-10'),
+      batcher.loadMany(ids(60), '2025-03-09'),
+    ]);
+
+    expect(fetchLogs).toHaveBeenCalledTimes(3);
+    expect(fetchLogs.mock.calls.map(([call]) => call.employeeIds.length)).toEqual([25, 25, 10]);
+    expect(fetchLogs).toHaveBeenCalledWith(
+      expect.objectContaining({ dateFrom: '2025-03-09', dateTo: '2025-03-10' })
+    );
+    expect(today[7].map(log => log.id)).toEqual([71]);
+    expect(yesterday[7].map(log => log.id)).toEqual([70]);
+  });
+
+  test('answers from the cache until the entry expires', async () => {
+    let time = 0;
+    const fetchLogs = jest.fn(async () => []);
+    const batcher = createWorklogBatcher({ fetchLogs, ttlFor: () => 1000, clock: () => time });
+
+    expect(await batcher.loadMany([1, 2], '2025-03-10')).toEqual({ 1: [], 2: [] });
+    await batcher.load(1, '2025-03-10');
+    expect(fetchLogs).toHaveBeenCalledTimes(1);
+
+    time = 1500;
+    await batcher.load(1, '2025-03-10');
+    expect(fetchLogs).toHaveBeenCalledTimes(2);
+
+    batcher.invalidate({ employeeId: 1 });
+    await batcher.load(1, '2025-03-10');
+    expect(fetchLogs).toHaveBeenCalledTimes(3);
+  });
+
+  test('shares a request already on its way', async () => {
+    const fetchLogs = jest.fn(async () => []);
+    const batcher = createWorklogBatcher({ fetchLogs });
+
+    await Promise.all([batcher.load(1, '2025-03-10'), batcher.load(1, '2025-03-10')]);
+
+    expect(fetchLogs).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not cache an answer invalidated while it was loading', async () => {
+    const responses = [];
+    const fetchLogs = jest.fn(() => new Promise(resolve => responses.push(resolve)));
+    const batcher = createWorklogBatcher({ fetchLogs });
+
+    const stale = batcher.loadMany([1, 2], '2025-03-10');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    batcher.invalidate({ employeeId: 1, date: '2025-03-10' });
+    const fresh = batcher.load(1, '2025-03-10');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(fetchLogs).toHaveBeenCalledTimes(2);
+
+    responses[0]([worklog(10, 1, at(10, 8))]);
+    responses[1]([worklog(10, 1, at(10, 8)), worklog(11, 1, at(10, 14))]);
+    expect((await stale)[1].map(log => log.id)).toEqual([10]);
+    expect((await fresh).map(log => log.id)).toEqual([10, 11]);
+
+    await batcher.loadMany([1, 2], '2025-03-10');
+    expect(fetchLogs).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails only the employees of a failed batch', async () => {
+    const fetchLogs = jest.fn(async ({ employeeIds }) => {
+      if (employeeIds.includes(3)) throw new Error('timeout');
+      return [];
+    });
+    const batcher = createWorklogBatcher({ fetchLogs, batchSize: 2 });
+
+    const results = await Promise.allSettled(ids(4).map(id => batcher.load(id, '2025-03-10')));
+
+    expect(results.map(result => result.status)).toEqual([
+      'fulfilled',
+      'fulfilled',
+      'rejected',
+      'rejected',
+    ]);
+  });
+
+  test('limits requests in flight', async () => {
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running -= 1;
+    };
+
+    const results = await runWithConcurrency(Array(7).fill(task), 3);
+
+    expect(peak).toBe(3);
+    expect(results.every(result => result.status === 'fulfilled')).toBe(true);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for worklog correction requests
+ * @jest-environment node
+ */
+
+import {
+  buildCorrectedTimes,
+  buildCorrectionPayload,
+  formatTimeInput,
+  parseTimeInput,
+  validateCorrection,
+} from '../worklogCorrections';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+import { at } from './helpers';
+
+describe('Worklog corrections', () => {
+  beforeAll(() => setCompanyTimeZone(getDeviceTimeZone()));
+
+  const NOW = at(20, 12);
+
+  test('parses 24-hour times', () => {
+    expect(parseTimeInput('9:05')).toEqual({ hours: 9, minutes: 5 });
+    expect(parseTimeInput(' 18.30 ')).toEqual({ hours: 18, minutes: 30 });
+    expect(parseTimeInput('24:00')).toBeNull();
+    expect(parseTimeInput('9:75')).toBeNull();
+    expect(parseTimeInput('')).toBeNull();
+  });
+
+  test('formats times for the inputs', () => {
+    expect(formatTimeInput(at(10, 8, 5))).toBe('08:05');
+    expect(formatTimeInput('')).toBe('');
+  });
+
+  test('builds corrected times on the worklog day', () => {
+    expect(buildCorrectedTimes(at(10, 9), '08:30', '17:15')).toEqual({
+      checkIn: at(10, 8, 30),
+      checkOut: at(10, 17, 15),
+      overnight: false,
+    });
+  });
+
+  test('moves an earlier check-out to the next day', () => {
+    const corrected = buildCorrectedTimes(at(10, 22), '22:00', '06:00');
+
+    expect(corrected.checkOut).toEqual(at(11, 6));
+    expect(corrected.overnight).toBe(true);
+  });
+
+  test('rejects malformed times', () => {
+    expect(buildCorrectedTimes(at(10, 9), 'nine', '17:00')).toBeNull();
+    expect(buildCorrectedTimes(at(10, 9), '09:00', '5pm')).toBeNull();
+  });
+
+  test('accepts a fixed forgotten check-out', () => {
+    expect(
+      validateCorrection(
+        {
+          checkIn: at(10, 9),
+          checkOut: at(10, 18),
+          reason: 'Forgot to check out',
+          original: { checkIn: at(10, 9), checkOut: null },
+        },
+        NOW
+      )
+    ).toBeNull();
+  });
+
+  test.each([
+    ['missing check-out', { checkOut: null }, 'Enter the check-out time as HH:MM'],
+    ['future check-out', { checkOut: at(20, 18) }, 'Check-out cannot be in the future'],
+    ['over-long shift', { checkOut: at(11, 10) }, 'A shift cannot be longer than 24 hours'],
+    ['short reason', { reason: 'oops' }, 'Please explain why the times are wrong'],
+    [
+      'unchanged times',
+      { original: { checkIn: at(10, 9), checkOut: at(10, 18) } },
+      'The proposed times are the same as the recorded ones',
+    ],
+  ])('rejects %s', (_name, overrides, message) => {
+    const correction = {
+      checkIn: at(10, 9),
+      checkOut: at(10, 18),
+      reason: 'Wrong punch time',
+      original: { checkIn: at(10, 9, 30), checkOut: at(10, 18) },
+      ...overrides,
+    };
+
+    expect(validateCorrection(correction, NOW)).toBe(message);
+  });
+
+  test('builds the request body', () => {
+    expect(
+      buildCorrectionPayload(42, {
+        checkIn: at(10, 9),
+        checkOut: at(10, 18),
+        reason: '  Forgot to check out ',
+      })
+    ).toEqual({
+      worklog: 42,
+      requested_check_in: at(10, 9).toISOString(),
+      requested_check_out: at(10, 18).toISOString(),
+      reason: 'Forgot to check out',
+    });
+  });
+});
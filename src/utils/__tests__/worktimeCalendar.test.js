@@ -0,0 +1,102 @@
+/**
+ * Tests for worktime date ranges and calendar
+ * @jest-environment node
+ */
+
+import {
+  DAY_STATUS,
+  buildCalendarMonth,
+  getLookbackRange,
+  getPayPeriodRange,
+  indexHolidays,
+  parseDateKey,
+  toDateKey,
+  validateDateRange,
+} from '../worktimeCalendar';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+
+const day = (month, date) => new Date(2025, month - 1, date);
+
+describe('Worktime calendar', () => {
+  beforeAll(() => setCompanyTimeZone(getDeviceTimeZone()));
+
+  const NOW = new Date(2025, 2, 20, 15, 30);
+
+  test('converts between dates and YYYY-MM-DD', () => {
+    expect(toDateKey(day(3, 5))).toBe('2025-03-05');
+    expect(parseDateKey(' 2025-03-05 ')).toEqual(day(3, 5));
+    expect(parseDateKey('2025-02-30')).toBeNull();
+    expect(parseDateKey('05/03/2025')).toBeNull();
+  });
+
+  test('looks back whole days from today', () => {
+    expect(getLookbackRange(7, NOW)).toEqual({ from: day(3, 13), to: day(3, 20) });
+  });
+
+  test('aligns pay periods with payroll months', () => {
+    expect(getPayPeriodRange(0, NOW)).toEqual({
+      from: day(3, 1),
+      to: day(3, 31),
+      year: 2025,
+      month: 3,
+    });
+    expect(getPayPeriodRange(-1, NOW)).toEqual({
+      from: day(2, 1),
+      to: day(2, 28),
+      year: 2025,
+      month: 2,
+    });
+    expect(getPayPeriodRange(-3, NOW).from).toEqual(new Date(2024, 11, 1));
+  });
+
+  test.each([
+    ['a missing start', null, day(3, 10), 'Enter the start date as YYYY-MM-DD'],
+    ['a reversed range', day(3, 10), day(3, 1), 'The start date must be before the end date'],
+    ['a future start', day(4, 1), day(4, 5), 'The start date cannot be in the future'],
+    [
+      'an over-long range',
+      new Date(2024, 0, 1),
+      day(3, 1),
+      'A range cannot be longer than 366 days',
+    ],
+  ])('rejects %s', (_name, from, to, message) => {
+    expect(validateDateRange(from, to, NOW)).toBe(message);
+  });
+
+  test('accepts a single-day range', () => {
+    expect(validateDateRange(day(3, 10), day(3, 10), NOW)).toBeNull();
+  });
+
+  test('builds a Sunday-first month grid', () => {
+    const weeks = buildCalendarMonth(2025, 3);
+
+    // March 2025 starts on a Saturday and spans six weeks
+    expect(weeks).toHaveLength(6);
+    expect(weeks[0].slice(0, 6)).toEqual(Array(6).fill(null));
+    expect(weeks[0][6]).toEqual(expect.objectContaining({ dateKey: '2025-03-01', day: 1 }));
+    expect(weeks.flat().filter(Boolean)).toHaveLength(31);
+  });
+
+  test('colors days by holiday, Sabbath and overtime', () => {
+    const holidays = indexHolidays([
+      { date: '2025-03-14', name: 'Purim', is_shabbat: false },
+      { date: 'not a date', name: 'Broken' },
+    ]);
+    const cells = buildCalendarMonth(2025, 3, {
+      hoursByDay: { '2025-03-10': 17.5, '2025-03-11': 9, '2025-03-14': 10 },
+      peakHours: { '2025-03-10': 8, '2025-03-11': 9, '2025-03-14': 10 },
+      holidays,
+    })
+      .flat()
+      .filter(Boolean);
+    const cell = date => cells.find(c => c.day === date);
+
+    expect(cell(10)).toEqual(expect.objectContaining({ hours: 17.5, status: null }));
+    expect(cell(11).status).toBe(DAY_STATUS.OVERTIME);
+    expect(cell(14)).toEqual(
+      expect.objectContaining({ status: DAY_STATUS.HOLIDAY, holidayName: 'Purim' })
+    );
+    expect(cell(15).status).toBe(DAY_STATUS.SABBATH);
+    expect(Object.keys(holidays)).toEqual(['2025-03-14']);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for worktime CSV/iCal export serializers
+ * @jest-environment node
+ */
+
+import {
+  buildWorktimeCalendar,
+  buildWorktimeCsv,
+  buildWorktimeRows,
+  exportWorktime,
+  getWorktimeExportFilename,
+  WORKTIME_EXPORT_COLUMNS,
+  WORKTIME_EXPORT_FORMATS,
+} from '../worktimeExport';
+import { shareFile } from '../fileExport';
+import { getDeviceTimeZone, setCompanyTimeZone } from '../timeZone';
+import { at } from './helpers';
+
+jest.mock('../fileExport', () => ({
+  shareFile: jest.fn(() => Promise.resolve({ uri: 'file:///cache/x', shared: true })),
+}));
+
+const icsTime = date => date.toISOString().replace(/[-:]|\.000/g, '');
+
+const worktimeData = [
+  {
+    id: 12,
+    worklogId: 12,
+    employee: { id: 2, name: 'Cohen, "Avi"' },
+    checkInRaw: at(11, 22).toISOString(),
+    checkOutRaw: at(12, 6, 30).toISOString(),
+    hoursValue: 8.5,
+    workMode: 'Remote',
+  },
+  {
+    id: 11,
+    worklogId: 11,
+    employee: { id: 1, name: 'Dana Levi' },
+    checkInRaw: at(10, 9).toISOString(),
+    checkOutRaw: at(10, 17, 15).toISOString(),
+    hoursValue: 8.25,
+    workMode: 'Office',
+  },
+  {
+    id: 13,
+    worklogId: 13,
+    employee: { id: 1, name: 'Dana Levi' },
+    checkInRaw: at(13, 8).toISOString(),
+    checkOutRaw: null,
+    hoursValue: 0,
+    workMode: 'Office',
+  },
+];
+
+describe('Worktime Export', () => {
+  beforeAll(() => setCompanyTimeZone(getDeviceTimeZone()));
+
+  test('builds header, rows oldest first and a totals row', () => {
+    const rows = buildWorktimeRows(worktimeData);
+
+    expect(rows).toHaveLength(5);
+    expect(rows[0]).toEqual(WORKTIME_EXPORT_COLUMNS.map(c => c.header));
+    expect(rows[1]).toEqual(['Dana Levi', '2025-03-10', '09:00', '17:15', 8.25, 'Office']);
+    expect(rows[3]).toEqual(['Dana Levi', '2025-03-13', '08:00', '', 0, 'Office']);
+    expect(rows[4]).toEqual(['TOTAL', '', '', '', 16.75, '']);
+  });
+
+  test('dates check-outs on another day', () => {
+    expect(buildWorktimeRows(worktimeData)[2][3]).toBe('2025-03-12 06:30');
+  });
+
+  test('CSV escapes quotes and commas and starts with a BOM', () => {
+    const csv = buildWorktimeCsv(worktimeData);
+
+    expect(csv.charCodeAt(0)).toBe(0xfeff);
+    expect(csv).toContain('"Cohen, ""Avi"""');
+    expect(csv.split('\r\n').filter(Boolean)).toHaveLength(5);
+  });
+
+  test('iCalendar holds one event per completed session', () => {
+    const ics = buildWorktimeCalendar(worktimeData, new Date(Date.UTC(2025, 2, 20, 12)));
+    const lines = ics.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toContain('UID:worklog-11@myhours-app');
+    expect(lines).toContain('DTSTAMP:20250320T120000Z');
+    expect(lines).toContain(`DTSTART:${icsTime(at(10, 9))}`);
+    expect(ics).toContain('SUMMARY:Work · Cohen\\, "Avi" (8.5h)');
+    expect(ics).not.toContain('worklog-13');
+  });
+
+  test('folds long iCalendar lines', () => {
+    const longName = [{ ...worktimeData[1], employee: { name: 'X'.repeat(100) } }];
+    const lines = buildWorktimeCalendar(longName).split('\r\n');
+
+    expect(lines.every(line => line.length <= 75)).toBe(true);
+    expect(lines.some(line => line.startsWith(' X'))).toBe(true);
+  });
+
+  test('folds by UTF-8 octets without splitting a character', () => {
+    const name = 'דנה לוי 👩‍💻 '.repeat(10);
+    const hebrewName = [{ ...worktimeData[1], employee: { name } }];
+    const ics = buildWorktimeCalendar(hebrewName);
+
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(ics.replace(/\r\n /g, '')).toContain(`SUMMARY:Work · ${name.trim()}`);
+  });
+
+  test('names the file after the employee and range', () => {
+    const range = { from: at(1, 0), to: at(31, 0) };
+
+    expect(getWorktimeExportFilename({ ...range, employeeName: 'Dana Levi' }, 'csv')).toBe(
+      'worktime_dana-levi_2025-03-01_2025-03-31.csv'
+    );
+    expect(getWorktimeExportFilename(range, 'ics')).toBe('worktime_all_2025-03-01_2025-03-31.ics');
+  });
+
+  test('exportWorktime passes the right file description to shareFile', async () => {
+    const result = await exportWorktime(worktimeData, {
+      format: WORKTIME_EXPORT_FORMATS.ICS,
+      range: { from: at(10, 0), to: at(13, 0) },
+    });
+
+    expect(result).toEqual({
+      filename: 'worktime_all_2025-03-10_2025-03-13.ics',
+      rowCount: 3,
+      shared: true,
+    });
+    expect(shareFile).toHaveBeenCalledWith(
+      expect.objectContaining({
+        filename: 'worktime_all_2025-03-10_2025-03-13.ics',
+        mimeType: 'text/calendar',
+      })
+    );
+  });
+});
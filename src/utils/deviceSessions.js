@@ -0,0 +1,86 @@
+/**
+ * Signed-in devices
+ * Every login creates a session bound to the device that made it. Listing
+ * them lets a user (or an admin, for an employee) sign out a lost phone.
+ */
+
+import { listOf, toDate } from './timesheet';
+
+const MINUTE_MS = 60 * 1000;
+
+// Seen this recently counts as in use right now
+const ACTIVE_NOW_MINUTES = 5;
+
+const PLATFORM_LABELS = {
+  ios: 'iOS',
+  android: 'Android',
+  web: 'Web',
+};
+
+/**
+ * Normalizes a session from the devices endpoint
+ * @param {Object} session - { id, device_id, device_name | device_model, platform,
+ *   os_version, app_version, last_seen | last_activity, created_at, biometric_verified,
+ *   is_current }
+ * @param {Object} [options]
+ * @param {string} [options.currentDeviceId] - This app's device id
+ * @returns {Object} { id, deviceId, name, platform, platformLabel, osVersion, appVersion,
+ *   lastSeen, signedInAt, biometricVerified, isCurrent }
+ */
+export const normalizeDeviceSession = (session, { currentDeviceId } = {}) => {
+  const platform = String(session.platform || '').toLowerCase();
+  const deviceId = session.device_id ?? null;
+
+  return {
+    id: session.id ?? deviceId,
+    deviceId,
+    name: session.device_name || session.device_model || 'Unknown device',
+    platform,
+    platformLabel: PLATFORM_LABELS[platform] || session.platform || 'Unknown',
+    osVersion: session.os_version || null,
+    appVersion: session.app_version || null,
+    lastSeen: toDate(session.last_seen ?? session.last_activity),
+    signedInAt: toDate(session.created_at),
+    biometricVerified: !!(session.biometric_verified ?? session.biometric_registered),
+    isCurrent: session.is_current === true || (!!currentDeviceId && deviceId === currentDeviceId),
+  };
+};
+
+/**
+ * Sessions from the API, this device first, then the most recently seen
+ * @returns {Array<Object>} See normalizeDeviceSession
+ */
+export const buildDeviceSessions = (response, options = {}) =>
+  listOf(response)
+    .map(session => normalizeDeviceSession(session, options))
+    .sort((a, b) => {
+      if (a.isCurrent !== b.isCurrent) return a.isCurrent ? -1 : 1;
+      return (b.lastSeen?.getTime() ?? 0) - (a.lastSeen?.getTime() ?? 0);
+    });
+
+/**
+ * When a session was last used, e.g. "Active now", "12m ago", "3h ago",
+ * "2d ago", or the date for anything older than a week
+ */
+export const describeLastSeen = (lastSeen, now = new Date()) => {
+  if (!lastSeen) return 'Never seen';
+
+  const minutes = Math.floor((now - lastSeen) / MINUTE_MS);
+  if (minutes < ACTIVE_NOW_MINUTES) return 'Active now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  if (days < 7) return `${days}d ago`;
+  return lastSeen.toLocaleDateString();
+};
+
+/**
+ * One-line summary: platform, OS version and whether the session passed
+ * biometric verification
+ */
+export const describeDeviceSession = session =>
+  [
+    session.osVersion ? `${session.platformLabel} ${session.osVersion}` : session.platformLabel,
+    session.biometricVerified ? 'Biometric verified' : 'Not biometric verified',
+  ].join(' · ');
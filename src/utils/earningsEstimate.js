@@ -0,0 +1,225 @@
+/**
+ * Earnings estimate
+ * Projects a period's pay from the worklogs between payroll runs, following
+ * the server's payroll rules: the first 2 overtime hours of a company day are
+ * paid at 125% and the rest at 150%; Shabbat and holiday hours at 150%.
+ * Monthly employees earn their salary, prorated by the days worked out of the
+ * period's working days, plus overtime at the hourly equivalent of the salary;
+ * Shabbat and holiday hours add only the premium, the hours themselves being
+ * covered by the salary. The result has the shape of the
+ * enhanced earnings payload, so the payroll screen and payslips read it as is.
+ */
+
+import { splitWorkedMinutes } from './premiumHours';
+import { toZonedDateKey } from './timeZone';
+import { toDate } from './timesheet';
+import { DAY_STATUS, OVERTIME_DAILY_HOURS, toDateKey } from './worktimeCalendar';
+
+export const EMPLOYMENT_TYPES = {
+  HOURLY: 'hourly',
+  FULL_TIME: 'full_time',
+};
+
+export const PAY_RATES = {
+  OVERTIME_125: 1.25,
+  OVERTIME_150: 1.5,
+  SABBATH: 1.5,
+  HOLIDAY: 1.5,
+};
+
+// Overtime hours per day paid at 125% before 150% applies
+export const OVERTIME_FIRST_TIER_HOURS = 2;
+
+// Monthly hours a full-time salary pays for, used for its hourly equivalent
+export const MONTHLY_NORM_HOURS = 182;
+
+// Working week, Sunday to Thursday (Date#getDay)
+const WORKING_WEEKDAYS = [0, 1, 2, 3, 4];
+
+const toNumber = value => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Pay terms of an employee, as edited in EmployeeForm
+ * @param {Object} employee - { employment_type, hourly_rate, monthly_salary }
+ * @returns {{type: string, hourlyRate: number, monthlySalary: number}} hourlyRate is the
+ *   salary's hourly equivalent for monthly employees
+ */
+export const getCompensation = employee => {
+  const monthlySalary = toNumber(employee?.monthly_salary ?? employee?.base_salary);
+  const isHourly =
+    employee?.employment_type === EMPLOYMENT_TYPES.HOURLY ||
+    (!employee?.employment_type && !monthlySalary);
+
+  return isHourly
+    ? {
+        type: EMPLOYMENT_TYPES.HOURLY,
+        hourlyRate: toNumber(employee?.hourly_rate),
+        monthlySalary: 0,
+      }
+    : {
+        type: EMPLOYMENT_TYPES.FULL_TIME,
+        hourlyRate: monthlySalary / MONTHLY_NORM_HOURS,
+        monthlySalary,
+      };
+};
+
+/**
+ * Working days of a period: Sunday to Thursday, holidays excluded
+ * @param {{from: Date, to: Date}} period - Calendar dates, see getPayPeriodRange
+ * @param {Array<Object>} [windows] - See buildPremiumWindows
+ * @returns {number}
+ */
+export const countWorkingDays = ({ from, to }, windows = []) => {
+  const holidays = new Set(
+    windows
+      .filter(window => window.type === DAY_STATUS.HOLIDAY)
+      .map(window => toZonedDateKey(window.start))
+  );
+  let count = 0;
+  for (let day = new Date(from); day <= to; day.setDate(day.getDate() + 1)) {
+    if (WORKING_WEEKDAYS.includes(day.getDay()) && !holidays.has(toDateKey(day))) count += 1;
+  }
+  return count;
+};
+
+/**
+ * Estimates a period's earnings from its worklogs
+ * @param {Object} params
+ * @param {Array<Object>} params.worklogs - Worklogs from the API, all within the period
+ * @param {Object} params.employee - See getCompensation
+ * @param {Array<Object>} [params.windows] - Holiday and Shabbat windows, see buildPremiumWindows
+ * @param {Date} [params.now=new Date()] - End of a session still in progress
+ * @param {{from: Date, to: Date}} [params.period] - Pay period, for the working days a
+ *   monthly salary is prorated by
+ * @param {number} [params.totalWorkingDays] - Working days of the period when known, e.g.
+ *   total_working_days of the server payload; counted from `period` otherwise
+ * @returns {Object} Enhanced earnings shape: hours, pay per kind, total_salary, and
+ *   breakdown.overtime_125_* / overtime_150_*; estimated is always true. base_salary is
+ *   the prorated salary, monthly_salary the full one; without working days to prorate
+ *   by, base_salary is the full salary
+ */
+export const estimateEarnings = ({
+  worklogs,
+  employee,
+  windows = [],
+  now = new Date(),
+  period = null,
+  totalWorkingDays = null,
+}) => {
+  const compensation = getCompensation(employee);
+  const hours = { regular: 0, overtime125: 0, overtime150: 0, sabbath: 0, holiday: 0 };
+  const workedByDay = {};
+  const overtimeByDay = {};
+
+  (Array.isArray(worklogs) ? worklogs : [])
+    .map(worklog => ({ worklog, checkIn: toDate(worklog?.check_in) }))
+    .filter(({ checkIn }) => checkIn)
+    .sort((a, b) => a.checkIn - b.checkIn)
+    .forEach(({ worklog, checkIn }) => {
+      // Overtime counts per company day, over all of its sessions
+      const day = toZonedDateKey(checkIn);
+      const workedBefore = workedByDay[day] || 0;
+      const split = splitWorkedMinutes({
+        start: checkIn,
+        end: toDate(worklog.check_out) || now,
+        breaks: Array.isArray(worklog.breaks) ? worklog.breaks : [],
+        windows,
+        overtimeAfterHours: Math.max(0, OVERTIME_DAILY_HOURS - workedBefore),
+      });
+
+      const overtime = split.overtime / 60;
+      const firstTier = Math.min(
+        overtime,
+        Math.max(0, OVERTIME_FIRST_TIER_HOURS - (overtimeByDay[day] || 0))
+      );
+      hours.regular += split.regular / 60;
+      hours.overtime125 += firstTier;
+      hours.overtime150 += overtime - firstTier;
+      hours.sabbath += split.sabbath / 60;
+      hours.holiday += split.holiday / 60;
+
+      workedByDay[day] =
+        workedBefore + (split.regular + split.overtime + split.sabbath + split.holiday) / 60;
+      overtimeByDay[day] = (overtimeByDay[day] || 0) + overtime;
+    });
+
+  const rate = compensation.hourlyRate;
+  const isHourly = compensation.type === EMPLOYMENT_TYPES.HOURLY;
+  const workedDays = Object.keys(workedByDay).length;
+  const workingDays = totalWorkingDays || (period ? countWorkingDays(period, windows) : 0);
+  const baseSalary = workingDays
+    ? compensation.monthlySalary * Math.min(1, workedDays / workingDays)
+    : compensation.monthlySalary;
+  // The salary already pays for Shabbat and holiday hours; only the premium is added
+  const premiumOf = multiplier => (isHourly ? multiplier : multiplier - 1);
+
+  const regularPay = isHourly ? hours.regular * rate : 0;
+  const overtime125Pay = hours.overtime125 * rate * PAY_RATES.OVERTIME_125;
+  const overtime150Pay = hours.overtime150 * rate * PAY_RATES.OVERTIME_150;
+  const sabbathPay = hours.sabbath * rate * premiumOf(PAY_RATES.SABBATH);
+  const holidayPay = hours.holiday * rate * premiumOf(PAY_RATES.HOLIDAY);
+  const total = baseSalary + regularPay + overtime125Pay + overtime150Pay + sabbathPay + holidayPay;
+
+  return {
+    estimated: true,
+    employment_type: compensation.type,
+    hourly_rate: isHourly ? round(rate) : 0,
+    base_salary: round(baseSalary),
+    monthly_salary: round(compensation.monthlySalary),
+    total_hours: round(
+      hours.regular + hours.overtime125 + hours.overtime150 + hours.sabbath + hours.holiday
+    ),
+    regular_hours: round(hours.regular),
+    overtime_hours: round(hours.overtime125 + hours.overtime150),
+    sabbath_hours: round(hours.sabbath),
+    holiday_hours: round(hours.holiday),
+    regular_pay: round(regularPay),
+    overtime_pay: round(overtime125Pay + overtime150Pay),
+    sabbath_pay: round(sabbathPay),
+    holiday_pay: round(holidayPay),
+    total_salary: round(total),
+    worked_days: workedDays,
+    total_working_days: workingDays,
+    breakdown: {
+      overtime_125_hours: round(hours.overtime125),
+      overtime_125_pay: round(overtime125Pay),
+      overtime_150_hours: round(hours.overtime150),
+      overtime_150_pay: round(overtime150Pay),
+    },
+  };
+};
+
+const RECONCILED_FIELDS = [
+  { key: 'total', label: 'Total', fields: ['total_salary', 'total_payout', 'total', 'amount'] },
+  { key: 'regular', label: 'Regular pay', fields: ['regular_pay', 'regular_pay_amount'] },
+  { key: 'overtime', label: 'Overtime pay', fields: ['overtime_pay'] },
+  { key: 'sabbath', label: 'Shabbat pay', fields: ['sabbath_pay', 'shabbat_pay'] },
+  { key: 'holiday', label: 'Holiday pay', fields: ['holiday_pay'] },
+];
+
+const pickAmount = (earnings, fields) => {
+  const field = fields.find(name => earnings?.[name] != null && earnings[name] !== '');
+  return field ? round(toNumber(earnings[field])) : null;
+};
+
+/**
+ * Differences between an estimate and the server's figure for the same period
+ * @param {Object} estimate - See estimateEarnings
+ * @param {Object} server - Enhanced earnings payload from the API
+ * @returns {Array<Object>} { key, label, estimated, actual, difference } for the amounts
+ *   the server reports; difference is actual minus estimated
+ */
+export const reconcileEarnings = (estimate, server) =>
+  RECONCILED_FIELDS.map(({ key, label, fields }) => ({
+    key,
+    label,
+    estimated: pickAmount(estimate, fields) ?? 0,
+    actual: pickAmount(server, fields),
+  }))
+    .filter(line => line.actual !== null)
+    .map(line => ({ ...line, difference: round(line.actual - line.estimated) }));
@@ -0,0 +1,122 @@
+/**
+ * Event clock
+ * Captures when an attendance event really happened so queued punches can be
+ * replayed later with their original time. The wall clock can be edited by the
+ * user, so every capture also stores a monotonic reading: comparing how far both
+ * clocks advanced reveals changes to the device time.
+ * The monotonic clock stops while the device sleeps, so the wall clock moving
+ * further ahead is only an edit when the app stayed in the foreground (a device
+ * cannot sleep then). The wall clock falling behind is an edit either way.
+ */
+
+import { AppState } from 'react-native';
+
+// Wall vs monotonic difference above this is reported as a clock edit
+export const CLOCK_DRIFT_TOLERANCE_MS = 2 * 60 * 1000;
+
+const monotonicNow = () =>
+  typeof globalThis.performance?.now === 'function' ? globalThis.performance.now() : null;
+
+const readClocks = () => ({ wall: Date.now(), monotonic: monotonicNow() });
+
+// Monotonic readings are only comparable within one app process
+const SESSION = {
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  ...readClocks(),
+};
+
+// Stretch of time the app has spent in the foreground without interruption
+const foreground = { id: 0, start: AppState?.currentState === 'active' ? readClocks() : null };
+
+AppState?.addEventListener?.('change', state => {
+  foreground.id += 1;
+  foreground.start = state === 'active' ? readClocks() : null;
+});
+
+/**
+ * Whether a drift can only come from the device time being changed
+ * @param {number|null} drift - See measureDrift
+ * @param {boolean} stayedInForeground - No sleep was possible between the readings
+ */
+const isClockEdit = (drift, stayedInForeground) =>
+  Number.isFinite(drift) &&
+  (drift < -CLOCK_DRIFT_TOLERANCE_MS || (stayedInForeground && drift > CLOCK_DRIFT_TOLERANCE_MS));
+
+/**
+ * How much further the wall clock moved than the monotonic clock between two readings
+ * @param {{wall: number, monotonic: number|null}} from
+ * @param {{wall: number, monotonic: number|null}} to
+ * @returns {number|null} Drift in ms (positive = clock moved forward), null if unknown
+ */
+const measureDrift = (from, to) => {
+  if (![from.wall, from.monotonic, to.wall, to.monotonic].every(Number.isFinite)) {
+    return null;
+  }
+  return Math.round(to.wall - from.wall - (to.monotonic - from.monotonic));
+};
+
+/**
+ * Captures the device time of an event
+ * @returns {{timestamp: string, timezone_offset: number, clock: Object}}
+ *   timestamp - ISO time, timezone_offset - minutes east of UTC,
+ *   clock - monotonic reading, drift since app start and since the app came to the foreground
+ */
+export const captureEventTime = () => {
+  const reading = readClocks();
+
+  return {
+    timestamp: new Date(reading.wall).toISOString(),
+    timezone_offset: 0 - new Date(reading.wall).getTimezoneOffset(), // 0 - x avoids -0 for UTC
+    clock: {
+      session_id: SESSION.id,
+      wall_ms: reading.wall,
+      monotonic_ms: reading.monotonic,
+      session_drift_ms: measureDrift(SESSION, reading),
+      foreground_id: foreground.start ? foreground.id : null,
+      foreground_drift_ms: foreground.start ? measureDrift(foreground.start, reading) : null,
+    },
+  };
+};
+
+/**
+ * Builds the claimed event time sent with a replayed request
+ * @param {Object} captured - Result of captureEventTime (stored in the queue payload)
+ * @returns {Object|undefined} event_time, event_tz_offset and clock_check fields,
+ *   undefined when nothing was captured
+ */
+export const buildClaimedEventTime = captured => {
+  if (!captured?.timestamp) return undefined;
+
+  const clock = captured.clock || {};
+  const sameSession = !!clock.session_id && clock.session_id === SESSION.id;
+  const now = readClocks();
+  const sameForeground =
+    sameSession && Number.isInteger(clock.foreground_id) && clock.foreground_id === foreground.id;
+
+  const replayDrift = sameSession
+    ? measureDrift({ wall: clock.wall_ms, monotonic: clock.monotonic_ms }, now)
+    : null;
+  const monotonicElapsed =
+    sameSession && Number.isFinite(clock.monotonic_ms) && Number.isFinite(now.monotonic)
+      ? Math.round(now.monotonic - clock.monotonic_ms)
+      : null;
+
+  return {
+    event_time: captured.timestamp,
+    event_tz_offset: Number.isFinite(captured.timezone_offset) ? captured.timezone_offset : null,
+    clock_check: {
+      // false after an app restart: the event time can no longer be verified
+      same_session: sameSession,
+      // time since the event by the monotonic clock; lets the server derive
+      // the event time from its own clock
+      monotonic_elapsed_ms: monotonicElapsed,
+      session_drift_ms: Number.isFinite(clock.session_drift_ms) ? clock.session_drift_ms : null,
+      replay_drift_ms: replayDrift,
+      // Forward jumps may be sleep; they only count while the app stayed in the foreground
+      suspicious:
+        isClockEdit(clock.session_drift_ms, false) ||
+        isClockEdit(clock.foreground_drift_ms, true) ||
+        isClockEdit(replayDrift, sameForeground),
+    },
+  };
+};
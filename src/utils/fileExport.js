@@ -0,0 +1,94 @@
+/**
+ * Cross-platform file output helpers
+ * Web: triggers a browser download. Mobile: writes to cache and opens the share sheet.
+ */
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+/**
+ * Decodes a base64 string into bytes for Blob construction on web
+ * @param {string} base64 - Base64 encoded payload
+ * @returns {Uint8Array} Decoded bytes
+ */
+const base64ToBytes = base64 => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Starts a browser download for the given content
+ * @param {Object} file - File description (see shareFile)
+ */
+const downloadOnWeb = ({ filename, content, mimeType, encoding }) => {
+  const data = encoding === 'base64' ? base64ToBytes(content) : content;
+  const blob = new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Opens the native share sheet for a file that already exists on disk
+ * @param {string} uri - Local file URI
+ * @param {Object} [options]
+ * @param {string} [options.mimeType] - MIME type for Android
+ * @param {string} [options.uti] - iOS Uniform Type Identifier
+ * @param {string} [options.dialogTitle] - Android share dialog title
+ * @returns {Promise<boolean>} false when sharing is not available on the device
+ */
+export const shareFileUri = async (uri, { mimeType, uti, dialogTitle } = {}) => {
+  const canShare = await Sharing.isAvailableAsync();
+  if (!canShare) {
+    console.warn('Sharing is not available on this device, file saved to cache only');
+    return false;
+  }
+
+  await Sharing.shareAsync(uri, { mimeType, UTI: uti, dialogTitle });
+  return true;
+};
+
+/**
+ * Saves a generated file and hands it to the user
+ * @param {Object} file
+ * @param {string} file.filename - Target file name, e.g. payroll_2025-07.csv
+ * @param {string} file.content - File body (utf8 text or base64)
+ * @param {string} file.mimeType - MIME type used for the download / share sheet
+ * @param {'utf8'|'base64'} [file.encoding='utf8'] - Encoding of content
+ * @param {string} [file.uti] - iOS Uniform Type Identifier for the share sheet
+ * @param {string} [file.dialogTitle] - Android share dialog title
+ * @returns {Promise<{uri: string|null, shared: boolean}>}
+ */
+export const shareFile = async ({
+  filename,
+  content,
+  mimeType,
+  encoding = 'utf8',
+  uti,
+  dialogTitle,
+}) => {
+  if (Platform.OS === 'web') {
+    downloadOnWeb({ filename, content, mimeType, encoding });
+    return { uri: null, shared: true };
+  }
+
+  const uri = `${FileSystem.cacheDirectory}${filename}`;
+  await FileSystem.writeAsStringAsync(uri, content, {
+    encoding: encoding === 'base64' ? FileSystem.EncodingType.Base64 : FileSystem.EncodingType.UTF8,
+  });
+
+  const shared = await shareFileUri(uri, { mimeType, uti, dialogTitle: dialogTitle || filename });
+  return { uri, shared };
+};
@@ -0,0 +1,106 @@
+/**
+ * Holiday and Shabbat calendar
+ * Holidays come from the integrations API as whole company days. Shabbat
+ * runs from Friday's candle lighting to Saturday's havdalah, at times the
+ * server calculates for a location in the company zone. Payroll pays the
+ * hours worked in either at their own rates.
+ */
+
+import { getZonedParts } from './timeZone';
+import { listOf, toDate } from './timesheet';
+import { parseDateKey, toDateKey } from './worktimeCalendar';
+
+const FRIDAY = 5;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Normalizes a holiday from the integrations API
+ * @param {Object} holiday - { date, name, is_shabbat }
+ * @returns {Object|null} { date, name, isShabbat }, null without a valid date
+ */
+export const normalizeHoliday = holiday => {
+  const date = parseDateKey(String(holiday?.date || '').slice(0, 10));
+  if (!date) return null;
+
+  return {
+    date: toDateKey(date),
+    name: holiday.name || (holiday.is_shabbat ? 'Shabbat' : 'Holiday'),
+    isShabbat: !!holiday.is_shabbat,
+  };
+};
+
+/**
+ * Holidays of a year by month, in date order. Weekly Shabbat entries are
+ * left out; they are shown with their times instead.
+ * @param {Array<Object>|Object} holidays - Holidays from the API
+ * @param {number} year
+ * @returns {Array<Object>} { month, label, holidays }, months without holidays omitted
+ */
+export const groupHolidaysByMonth = (holidays, year) => {
+  const months = new Map();
+
+  listOf(holidays)
+    .map(normalizeHoliday)
+    .filter(holiday => holiday && !holiday.isShabbat && holiday.date.startsWith(`${year}-`))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(holiday => {
+      const month = Number(holiday.date.slice(5, 7));
+      if (!months.has(month)) {
+        months.set(month, {
+          month,
+          label: new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long' }),
+          holidays: [],
+        });
+      }
+      months.get(month).holidays.push(holiday);
+    });
+
+  return [...months.values()];
+};
+
+/**
+ * Fridays of a month as YYYY-MM-DD, the days Shabbat starts
+ * @param {number} year
+ * @param {number} month - 1-12
+ */
+export const getShabbatEves = (year, month) => {
+  const day = new Date(year, month - 1, 1);
+  day.setDate(day.getDate() + ((FRIDAY - day.getDay() + 7) % 7));
+
+  const fridays = [];
+  while (day.getMonth() === month - 1) {
+    fridays.push(toDateKey(day));
+    day.setDate(day.getDate() + 7);
+  }
+  return fridays;
+};
+
+/**
+ * Normalizes Shabbat times from the integrations API
+ * @param {Object} times - { shabbat_start | candle_lighting, shabbat_end | havdalah, parasha }
+ * @param {string} date - Friday the times were asked for
+ * @returns {{date: string, start: Date|null, end: Date|null, parasha: string|null}}
+ */
+export const normalizeShabbatTimes = (times, date) => ({
+  date,
+  start: toDate(times?.shabbat_start ?? times?.candle_lighting ?? times?.start),
+  end: toDate(times?.shabbat_end ?? times?.havdalah ?? times?.end),
+  parasha: times?.parasha || times?.torah_portion || null,
+});
+
+/**
+ * Wall-clock time of an instant in the company zone as HH:MM
+ */
+export const formatZonedClock = date => {
+  const { hour, minute } = getZonedParts(date);
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+/**
+ * e.g. "Fri 17:29 – Sat 18:30"
+ */
+export const describeShabbatTimes = times => {
+  if (!times?.start || !times?.end) return 'Times not available';
+  return `Fri ${formatZonedClock(times.start)} – Sat ${formatZonedClock(times.end)}`;
+};
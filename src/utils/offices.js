@@ -0,0 +1,318 @@
+/**
+ * Office (site) model and geofence helpers
+ * Office settings hold a list of named offices, each with its own coordinates,
+ * geofence and remote-work policy. A geofence is either a circle (checkRadius
+ * meters around the location) or a polygon of at least three vertices.
+ * The settings also carry the company time zone (see timeZone.js).
+ */
+
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from './timeZone';
+
+export const DEFAULT_CHECK_RADIUS = 100;
+
+// Geofence shapes: 'circle' | 'polygon'
+export const GEOFENCE_TYPES = ['circle', 'polygon'];
+
+export const MIN_POLYGON_VERTICES = 3;
+
+// Work policy flags: 'office-only' | 'remote-only' | 'hybrid'
+export const REMOTE_POLICIES = ['office-only', 'remote-only', 'hybrid'];
+
+export const REMOTE_POLICY_LABELS = {
+  'office-only': 'Office Only',
+  'remote-only': 'Remote Only',
+  hybrid: 'Hybrid',
+};
+
+const toRad = deg => (deg * Math.PI) / 180;
+
+const toNumber = value => (typeof value === 'number' ? value : parseFloat(value));
+
+const METERS_PER_DEGREE = 111320;
+
+const toPoint = point => {
+  const latitude = toNumber(point?.latitude);
+  const longitude = toNumber(point?.longitude);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Haversine distance between two lat/lng points (meters)
+ */
+export const distanceMeters = (lat1, lon1, lat2, lon2) => {
+  const R = 6371000; // Earth radius
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Ray-casting point-in-polygon test; longitude is x, latitude is y.
+ * Accurate for building-sized polygons away from the antimeridian.
+ * @param {{latitude: number, longitude: number}} point
+ * @param {Array<{latitude: number, longitude: number}>} polygon - Vertices in order
+ * @returns {boolean}
+ */
+export const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses =
+      a.latitude > point.latitude !== b.latitude > point.latitude &&
+      point.longitude <
+        ((b.longitude - a.longitude) * (point.latitude - a.latitude)) / (b.latitude - a.latitude) +
+          a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Distance (meters) from a point outside a polygon to its nearest edge,
+ * on a local flat projection around the point
+ */
+const distanceToPolygonEdge = (point, polygon) => {
+  const metersPerLon = METERS_PER_DEGREE * Math.cos(toRad(point.latitude));
+  const project = vertex => ({
+    x: (vertex.longitude - point.longitude) * metersPerLon,
+    y: (vertex.latitude - point.latitude) * METERS_PER_DEGREE,
+  });
+
+  return polygon.reduce((min, vertex, i) => {
+    const a = project(vertex);
+    const b = project(polygon[(i + 1) % polygon.length]);
+    const lengthSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+    // Closest point of segment a-b to the origin (the point itself)
+    const t =
+      lengthSq > 0
+        ? Math.min(1, Math.max(0, -(a.x * (b.x - a.x) + a.y * (b.y - a.y)) / lengthSq))
+        : 0;
+    const distance = Math.hypot(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y));
+    return Math.min(min, distance);
+  }, Infinity);
+};
+
+/**
+ * Vertex average, used as the reference point of a polygon office without a location
+ */
+export const getPolygonCenter = polygon => ({
+  latitude: polygon.reduce((sum, vertex) => sum + vertex.latitude, 0) / polygon.length,
+  longitude: polygon.reduce((sum, vertex) => sum + vertex.longitude, 0) / polygon.length,
+});
+
+/**
+ * Reference point of an office: its location, or the center of its polygon
+ * @returns {{latitude: number, longitude: number}|null} null when the office is not located
+ */
+export const getOfficeCoordinates = office => {
+  if (office?.location?.latitude != null && office?.location?.longitude != null) {
+    return { latitude: office.location.latitude, longitude: office.location.longitude };
+  }
+  return office?.polygon?.length >= MIN_POLYGON_VERTICES ? getPolygonCenter(office.polygon) : null;
+};
+
+/**
+ * @returns {string} Locally unique office id
+ */
+export const generateOfficeId = () =>
+  `office_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Fills defaults and coerces types of a stored office
+ * @param {Object} office - Raw office
+ * @param {number} [index=0] - Position in the list, used for fallback id / name
+ * @returns {Object} { id, name, location: { latitude, longitude }, geofenceType, checkRadius,
+ *   polygon: [{ latitude, longitude }], remotePolicy }
+ */
+export const normalizeOffice = (office = {}, index = 0) => {
+  // Accepts both the app format and the server format (see serializeOffice)
+  const checkRadius = toNumber(office.checkRadius ?? office.check_radius);
+  const remotePolicy = office.remotePolicy ?? office.remote_policy;
+  const geofenceType = office.geofenceType ?? office.geofence_type;
+  const polygon = (Array.isArray(office.polygon) ? office.polygon : [])
+    .map(toPoint)
+    .filter(Boolean);
+  // Polygon offices may omit the location; their center is used instead
+  const location =
+    toPoint({
+      latitude: office.location?.latitude ?? office.latitude,
+      longitude: office.location?.longitude ?? office.longitude,
+    }) ?? (polygon.length >= MIN_POLYGON_VERTICES ? getPolygonCenter(polygon) : null);
+
+  return {
+    id: office.id ? String(office.id) : `office-${index + 1}`,
+    name: office.name?.trim() || (index === 0 ? 'Main Office' : `Office ${index + 1}`),
+    location: location ?? { latitude: null, longitude: null },
+    geofenceType: GEOFENCE_TYPES.includes(geofenceType) ? geofenceType : 'circle',
+    checkRadius: checkRadius > 0 ? checkRadius : DEFAULT_CHECK_RADIUS,
+    polygon,
+    remotePolicy: REMOTE_POLICIES.includes(remotePolicy) ? remotePolicy : 'hybrid',
+  };
+};
+
+/**
+ * Converts an office to the format used by the settings API
+ * @param {Object} office - Normalized office
+ * @returns {Object} { id, name, latitude, longitude, geofence_type, check_radius, polygon,
+ *   remote_policy }
+ */
+export const serializeOffice = office => ({
+  id: office.id,
+  name: office.name,
+  latitude: office.location.latitude,
+  longitude: office.location.longitude,
+  geofence_type: office.geofenceType,
+  check_radius: office.checkRadius,
+  polygon: office.polygon.map(({ latitude, longitude }) => ({ latitude, longitude })),
+  remote_policy: office.remotePolicy,
+});
+
+/**
+ * Whether the office has coordinates and can be used for geofencing
+ */
+export const isOfficeLocated = office =>
+  office?.geofenceType === 'polygon'
+    ? office.polygon?.length >= MIN_POLYGON_VERTICES
+    : office?.location?.latitude != null && office?.location?.longitude != null;
+
+/**
+ * Distance (meters) from a point to the office: to the center for circles,
+ * to the nearest edge for polygons (0 inside)
+ */
+const distanceToOffice = (office, point) => {
+  if (office.geofenceType === 'polygon') {
+    return isPointInPolygon(point, office.polygon)
+      ? 0
+      : distanceToPolygonEdge(point, office.polygon);
+  }
+  return distanceMeters(
+    point.latitude,
+    point.longitude,
+    office.location.latitude,
+    office.location.longitude
+  );
+};
+
+/**
+ * Whether the point lies within the office geofence
+ * @param {Object} office - Normalized, located office
+ * @param {{latitude: number, longitude: number}} point
+ * @param {number} [customRadius] - Overrides the radius of circle offices
+ */
+const isWithinGeofence = (office, point, customRadius) =>
+  office.geofenceType === 'polygon'
+    ? isPointInPolygon(point, office.polygon)
+    : distanceToOffice(office, point) <=
+      (typeof customRadius === 'number' ? customRadius : office.checkRadius);
+
+/**
+ * Converts stored settings into the list model.
+ * Settings saved before multi-office support ({ location, checkRadius, remotePolicy })
+ * become a single "Main Office".
+ * @param {Object|null} stored - Parsed value from storage
+ * @returns {{offices: Array<Object>}}
+ */
+export const normalizeOfficeSettings = stored => {
+  if (Array.isArray(stored?.offices)) {
+    return { offices: stored.offices.map(normalizeOffice) };
+  }
+
+  if (stored?.location) {
+    const office = normalizeOffice({ ...stored, id: 'office-1', name: 'Main Office' });
+    return { offices: isOfficeLocated(office) ? [office] : [] };
+  }
+
+  return { offices: [] };
+};
+
+/**
+ * Company time zone from stored or server settings; unknown zones fall back
+ * to DEFAULT_TIME_ZONE
+ */
+export const normalizeTimeZone = timeZone =>
+  isValidTimeZone(timeZone) ? timeZone.trim() : DEFAULT_TIME_ZONE;
+
+/**
+ * Chooses between cached settings and settings fetched from the server.
+ * The server is the source of truth; the cache is kept when both have the same
+ * version, or when the server was never configured and the cache still holds
+ * offices saved on this device before settings were synced (the admin publishes
+ * them with the next save).
+ * @param {Object|null} cached - { offices, version } from the local cache
+ * @param {Object} remote - Server response { offices, time_zone, version, updated_at }
+ * @returns {{settings: Object, changed: boolean}} settings - { offices, timeZone, version,
+ *   updatedAt }
+ */
+export const resolveOfficeSettings = (cached, remote) => {
+  const remoteVersion = remote?.version ?? null;
+  const cachedVersion = cached?.version ?? null;
+
+  if (cached && remoteVersion !== null && remoteVersion === cachedVersion) {
+    return { settings: cached, changed: false };
+  }
+
+  const remoteOffices = Array.isArray(remote?.offices) ? remote.offices : [];
+  const unpublished = cachedVersion === null && cached?.offices?.length > 0;
+  if (!remoteVersion && remoteOffices.length === 0 && unpublished) {
+    return { settings: cached, changed: false };
+  }
+
+  return {
+    settings: {
+      ...normalizeOfficeSettings({ offices: remoteOffices }),
+      timeZone: normalizeTimeZone(remote?.time_zone),
+      version: remoteVersion,
+      updatedAt: remote?.updated_at ?? null,
+    },
+    changed: true,
+  };
+};
+
+/**
+ * Nearest configured office to a point
+ * @param {Array<Object>} offices - Normalized offices
+ * @param {{latitude: number, longitude: number}} coords - Device position
+ * @returns {{office: Object, distance: number}|null} distance - meters to the circle center
+ *   or to the polygon edge (0 inside)
+ */
+export const getNearestOffice = (offices, coords) => {
+  const point = toPoint(coords);
+  if (!point) return null;
+
+  return (offices || []).filter(isOfficeLocated).reduce((nearest, office) => {
+    const distance = distanceToOffice(office, point);
+    return !nearest || distance < nearest.distance ? { office, distance } : nearest;
+  }, null);
+};
+
+/**
+ * Office whose geofence contains the point; the one with the closest center
+ * when geofences overlap
+ * @param {Array<Object>} offices - Normalized offices
+ * @param {{latitude: number, longitude: number}} coords - Device position
+ * @param {number} [customRadius] - Overrides the radius of every circle office
+ * @returns {Object|null} Matching office
+ */
+export const findMatchingOffice = (offices, coords, customRadius) => {
+  const point = toPoint(coords);
+  if (!point) return null;
+
+  const matches = (offices || [])
+    .filter(office => isOfficeLocated(office) && isWithinGeofence(office, point, customRadius))
+    .map(office => ({
+      office,
+      distance: distanceMeters(
+        point.latitude,
+        point.longitude,
+        office.location.latitude,
+        office.location.longitude
+      ),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  return matches.length > 0 ? matches[0].office : null;
+};
@@ -0,0 +1,143 @@
+/**
+ * Payroll export serializers (CSV / XLSX)
+ * Works on the transformed payroll items produced by app/payroll.js
+ */
+import * as XLSX from 'xlsx';
+import { shareFile } from './fileExport';
+import { getPayrollStatusLabel } from './payrollStatus';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+};
+
+/**
+ * Rounds a money/hours value to two decimals, tolerating strings and nulls
+ * @param {*} value - Raw value from the API
+ * @returns {number} Rounded number (0 when not numeric)
+ */
+const toAmount = value => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.round(number * 100) / 100 : 0;
+};
+
+/**
+ * Column definitions shared by CSV and XLSX output.
+ * `numeric` columns are summed into the totals row.
+ */
+export const PAYROLL_EXPORT_COLUMNS = [
+  { header: 'Employee', value: item => item.employee?.name || '' },
+  { header: 'Email', value: item => item.employee?.email || '' },
+  { header: 'Period', value: item => item.period || '' },
+  { header: 'Status', value: item => (item.status ? getPayrollStatusLabel(item.status) : '') },
+  { header: 'Hourly Rate', value: item => toAmount(item.hourlyRate) },
+  { header: 'Base Salary', value: item => toAmount(item.baseSalary) },
+  { header: 'Worked Days', numeric: true, value: item => toAmount(item.workedDays) },
+  { header: 'Total Hours', numeric: true, value: item => toAmount(item.hoursWorked) },
+  { header: 'Regular Hours', numeric: true, value: item => toAmount(item.regularHours) },
+  { header: 'Overtime Hours', numeric: true, value: item => toAmount(item.overtimeHours) },
+  { header: 'Holiday Hours', numeric: true, value: item => toAmount(item.holidayHours) },
+  { header: 'Sabbath Hours', numeric: true, value: item => toAmount(item.sabbathHours) },
+  { header: 'Regular Pay', numeric: true, value: item => toAmount(item.regularPayAmount) },
+  { header: 'Overtime Pay', numeric: true, value: item => toAmount(item.overtimePay) },
+  { header: 'Holiday Pay', numeric: true, value: item => toAmount(item.holidayPay) },
+  { header: 'Sabbath Pay', numeric: true, value: item => toAmount(item.sabbathPay) },
+  { header: 'Bonuses', numeric: true, value: item => toAmount(item.bonuses) },
+  { header: 'Compensatory Days', numeric: true, value: item => toAmount(item.compensatoryDays) },
+  { header: 'Total Payout', numeric: true, value: item => toAmount(item.totalPayout) },
+];
+
+/**
+ * Builds a two-dimensional table: header row, one row per employee and a totals row
+ * @param {Array} payrollData - Transformed payroll items
+ * @returns {Array<Array<string|number>>} Table rows
+ */
+export const buildPayrollRows = payrollData => {
+  const items = Array.isArray(payrollData) ? payrollData : [];
+  const header = PAYROLL_EXPORT_COLUMNS.map(column => column.header);
+  const rows = items.map(item => PAYROLL_EXPORT_COLUMNS.map(column => column.value(item)));
+
+  const totals = PAYROLL_EXPORT_COLUMNS.map((column, index) => {
+    if (index === 0) return 'TOTAL';
+    if (!column.numeric) return '';
+    return toAmount(rows.reduce((sum, row) => sum + row[index], 0));
+  });
+
+  return [header, ...rows, totals];
+};
+
+/**
+ * Escapes a single CSV cell according to RFC 4180
+ * @param {string|number} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export const escapeCsvCell = value => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes payroll items to CSV.
+ * Prefixed with a UTF-8 BOM so Excel keeps Hebrew names and the ₪ sign intact.
+ * @param {Array} payrollData - Transformed payroll items
+ * @returns {string} CSV document
+ */
+export const buildPayrollCsv = payrollData => {
+  const lines = buildPayrollRows(payrollData).map(row => row.map(escapeCsvCell).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Serializes payroll items to an XLSX workbook
+ * @param {Array} payrollData - Transformed payroll items
+ * @param {string} [sheetName='Payroll'] - Worksheet name (max 31 chars)
+ * @returns {string} Base64 encoded .xlsx file
+ */
+export const buildPayrollWorkbook = (payrollData, sheetName = 'Payroll') => {
+  const worksheet = XLSX.utils.aoa_to_sheet(buildPayrollRows(payrollData));
+  worksheet['!cols'] = PAYROLL_EXPORT_COLUMNS.map(column => ({
+    wch: Math.max(column.header.length + 2, 12),
+  }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, sheetName.slice(0, 31));
+  return XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' });
+};
+
+/**
+ * Builds the export file name for a period
+ * @param {string} periodKey - Period in YYYY-MM format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string} File name, e.g. payroll_2025-07.xlsx
+ */
+export const getPayrollExportFilename = (periodKey, format) => `payroll_${periodKey}.${format}`;
+
+/**
+ * Generates the payroll file and shares (mobile) or downloads (web) it
+ * @param {Array} payrollData - Transformed payroll items
+ * @param {Object} options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.periodKey - Period in YYYY-MM format
+ * @returns {Promise<{filename: string, rowCount: number, shared: boolean}>}
+ */
+export const exportPayroll = async (payrollData, { format, periodKey }) => {
+  const filename = getPayrollExportFilename(periodKey, format);
+
+  const file =
+    format === EXPORT_FORMATS.XLSX
+      ? {
+          content: buildPayrollWorkbook(payrollData, `Payroll ${periodKey}`),
+          encoding: 'base64',
+          mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          uti: 'org.openxmlformats.spreadsheetml.sheet',
+        }
+      : {
+          content: buildPayrollCsv(payrollData),
+          encoding: 'utf8',
+          mimeType: 'text/csv',
+          uti: 'public.comma-separated-values-text',
+        };
+
+  const { shared } = await shareFile({ ...file, filename, dialogTitle: 'Export payroll' });
+  return { filename, rowCount: payrollData.length, shared };
+};
@@ -0,0 +1,128 @@
+/**
+ * Payroll status model: Draft → Calculated → Confirmed → Paid
+ * Confirmed records can be reopened back to Calculated until they are paid.
+ */
+
+export const PAYROLL_STATUS = {
+  DRAFT: 'draft',
+  CALCULATED: 'calculated',
+  CONFIRMED: 'confirmed',
+  PAID: 'paid',
+};
+
+export const PAYROLL_STATUS_LABELS = {
+  [PAYROLL_STATUS.DRAFT]: 'Draft',
+  [PAYROLL_STATUS.CALCULATED]: 'Calculated',
+  [PAYROLL_STATUS.CONFIRMED]: 'Confirmed',
+  [PAYROLL_STATUS.PAID]: 'Paid',
+};
+
+/**
+ * Allowed transitions per status
+ */
+export const PAYROLL_TRANSITIONS = {
+  [PAYROLL_STATUS.DRAFT]: [PAYROLL_STATUS.CALCULATED],
+  [PAYROLL_STATUS.CALCULATED]: [PAYROLL_STATUS.CALCULATED, PAYROLL_STATUS.CONFIRMED],
+  [PAYROLL_STATUS.CONFIRMED]: [PAYROLL_STATUS.CALCULATED, PAYROLL_STATUS.PAID],
+  [PAYROLL_STATUS.PAID]: [],
+};
+
+// Backend / legacy values mapped onto the status model
+const STATUS_ALIASES = {
+  draft: PAYROLL_STATUS.DRAFT,
+  pending: PAYROLL_STATUS.DRAFT,
+  'in progress': PAYROLL_STATUS.CALCULATED,
+  in_progress: PAYROLL_STATUS.CALCULATED,
+  calculated: PAYROLL_STATUS.CALCULATED,
+  reopened: PAYROLL_STATUS.CALCULATED,
+  confirmed: PAYROLL_STATUS.CONFIRMED,
+  approved: PAYROLL_STATUS.CONFIRMED,
+  paid: PAYROLL_STATUS.PAID,
+};
+
+/**
+ * Normalizes any status value coming from the API
+ * @param {string} status - Raw status
+ * @param {string} [fallback] - Status used when the value is unknown
+ * @returns {string} One of PAYROLL_STATUS
+ */
+export const normalizePayrollStatus = (status, fallback = PAYROLL_STATUS.CALCULATED) => {
+  if (!status || typeof status !== 'string') return fallback;
+  return STATUS_ALIASES[status.trim().toLowerCase()] || fallback;
+};
+
+/**
+ * @param {string} status - One of PAYROLL_STATUS
+ * @returns {string} Human readable label
+ */
+export const getPayrollStatusLabel = status =>
+  PAYROLL_STATUS_LABELS[normalizePayrollStatus(status)] || 'Unknown';
+
+/**
+ * Checks whether a record may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export const canTransitionPayroll = (from, to) =>
+  (PAYROLL_TRANSITIONS[normalizePayrollStatus(from)] || []).includes(to);
+
+/**
+ * Normalizes an audit trail entry from the API
+ * @param {Object} entry - Raw history entry
+ * @returns {{from: string|null, to: string, by: string, byId: *, at: string|null, note: string}}
+ */
+export const normalizeStatusHistoryEntry = entry => {
+  const actor = entry?.performed_by || entry?.user || entry?.actor;
+  const actorName =
+    typeof actor === 'string'
+      ? actor
+      : actor?.name ||
+        `${actor?.first_name || ''} ${actor?.last_name || ''}`.trim() ||
+        actor?.email ||
+        entry?.performed_by_name ||
+        'Unknown';
+
+  return {
+    from: entry?.from_status ? normalizePayrollStatus(entry.from_status) : null,
+    to: normalizePayrollStatus(entry?.to_status || entry?.status),
+    by: actorName,
+    byId: (actor && typeof actor === 'object' ? actor.id : null) ?? entry?.performed_by_id ?? null,
+    at: entry?.performed_at || entry?.created_at || entry?.timestamp || null,
+    note: entry?.note || entry?.reason || '',
+  };
+};
+
+/**
+ * Normalizes and sorts (newest first) an audit trail
+ * @param {Array} history - Raw history entries
+ * @returns {Array} Normalized entries
+ */
+export const normalizeStatusHistory = history =>
+  (Array.isArray(history) ? history : [])
+    .map(normalizeStatusHistoryEntry)
+    .sort((a, b) => new Date(b.at || 0) - new Date(a.at || 0));
+
+/**
+ * Salary record of an employee in a salaries list response. Earnings rows carry
+ * no salary record id, so the status actions look it up here.
+ * @param {Array|Object} salaries - Salaries list, plain or paginated
+ * @param {number|string} employeeId
+ * @returns {{salaryId: *, status: string, statusHistory: Array}|null} null when the
+ *   employee has no salary record for the period yet
+ */
+export const findSalaryRecord = (salaries, employeeId) => {
+  const list = (Array.isArray(salaries) ? salaries : salaries?.results) || [];
+  const record = list.find(
+    salary =>
+      String(salary?.employee?.id ?? salary?.employee_id ?? salary?.employee) === String(employeeId)
+  );
+  const salaryId = record?.salary_id || record?.payroll_id || null;
+  if (!salaryId) return null;
+
+  return {
+    salaryId,
+    status: normalizePayrollStatus(record.status || record.payroll_status),
+    statusHistory: normalizeStatusHistory(record.status_history),
+  };
+};
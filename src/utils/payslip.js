@@ -0,0 +1,313 @@
+/**
+ * Payslip builder and HTML renderer
+ * Turns a payroll item (with its enhanced_earnings payload) into a printable document.
+ * The output is self-contained HTML so it can be rendered to PDF without network access.
+ */
+
+const toAmount = value => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.round(number * 100) / 100 : 0;
+};
+
+/**
+ * Returns the first numeric value found for any of the keys across the given sources
+ * @param {Array<Object>} sources - Objects to search, in priority order
+ * @param {Array<string>} keys - Candidate field names
+ * @returns {number|null} Value or null when none of the keys is present
+ */
+const pick = (sources, keys) => {
+  for (const source of sources) {
+    if (!source || typeof source !== 'object') continue;
+    for (const key of keys) {
+      if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+        return toAmount(source[key]);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks whether the current user may download a payslip
+ * @param {Object} params
+ * @param {boolean} params.isAccountant - User has accountant (or admin) access
+ * @param {Object} params.user - Current user
+ * @param {Object} params.employee - Employee the payslip belongs to
+ * @param {boolean} [params.selfScoped=false] - Record came from the user's own earnings endpoint
+ * @returns {boolean}
+ */
+export const canAccessPayslip = ({ isAccountant, user, employee, selfScoped = false }) => {
+  if (isAccountant) return true;
+  if (!user || !employee) return false;
+  if (selfScoped) return true;
+
+  const ownIds = [user.employee_id, user.id].filter(id => id !== undefined && id !== null);
+  if (ownIds.some(id => String(id) === String(employee.id))) return true;
+
+  return (
+    !!user.email && !!employee.email && user.email.toLowerCase() === employee.email.toLowerCase()
+  );
+};
+
+/**
+ * Builds a normalized payslip from a transformed payroll item
+ * @param {Object} item - Payroll item from app/payroll.js (enhancedBreakdown = raw API data)
+ * @param {string} periodKey - Period in YYYY-MM format
+ * @returns {Object} Payslip model used by renderPayslipHtml
+ */
+export const buildPayslip = (item, periodKey) => {
+  const raw = item.enhancedBreakdown || {};
+  const sources = [raw.breakdown, raw.summary, raw];
+
+  const hourlyRate = toAmount(item.hourlyRate);
+  const isHourly = hourlyRate > 0;
+
+  const overtime125Hours = pick(sources, ['overtime_125_hours', 'overtime_hours_125']);
+  const overtime150Hours = pick(sources, ['overtime_150_hours', 'overtime_hours_150']);
+  const overtime125Pay = pick(sources, ['overtime_125_pay', 'overtime_pay_125']);
+  const overtime150Pay = pick(sources, ['overtime_150_pay', 'overtime_pay_150']);
+  const hasOvertimeTiers = overtime125Hours !== null || overtime150Hours !== null;
+
+  const lines = [];
+
+  if (isHourly) {
+    lines.push({
+      label: 'Regular hours',
+      quantity: toAmount(item.regularHours),
+      rate: hourlyRate,
+      amount:
+        pick(sources, ['regular_pay', 'regular_pay_amount']) ?? toAmount(item.regularPayAmount),
+    });
+  } else {
+    lines.push({
+      label: 'Base salary',
+      quantity: null,
+      rate: null,
+      // The prorated base when the server sends it, the full monthly salary otherwise
+      amount:
+        pick(sources, ['base_pay', 'base_salary_pay', 'prorated_base_salary']) ??
+        toAmount(item.baseSalary),
+    });
+  }
+
+  if (hasOvertimeTiers) {
+    if (overtime125Hours) {
+      lines.push({
+        label: 'Overtime 125%',
+        quantity: overtime125Hours,
+        rate: isHourly ? toAmount(hourlyRate * 1.25) : null,
+        amount: overtime125Pay ?? 0,
+      });
+    }
+    if (overtime150Hours) {
+      lines.push({
+        label: 'Overtime 150%',
+        quantity: overtime150Hours,
+        rate: isHourly ? toAmount(hourlyRate * 1.5) : null,
+        amount: overtime150Pay ?? 0,
+      });
+    }
+  } else if (toAmount(item.overtimeHours) > 0) {
+    lines.push({
+      label: 'Overtime',
+      quantity: toAmount(item.overtimeHours),
+      rate: null,
+      amount: toAmount(item.overtimePay),
+    });
+  }
+
+  if (toAmount(item.holidayHours) > 0 || toAmount(item.holidayPay) > 0) {
+    lines.push({
+      label: 'Holiday work',
+      quantity: toAmount(item.holidayHours),
+      rate: null,
+      amount: toAmount(item.holidayPay),
+    });
+  }
+
+  if (toAmount(item.sabbathHours) > 0 || toAmount(item.sabbathPay) > 0) {
+    lines.push({
+      label: 'Sabbath work',
+      quantity: toAmount(item.sabbathHours),
+      rate: null,
+      amount: toAmount(item.sabbathPay),
+    });
+  }
+
+  if (toAmount(item.bonuses) > 0) {
+    lines.push({ label: 'Bonuses', quantity: null, rate: null, amount: toAmount(item.bonuses) });
+  }
+
+  const sumOf = payslipLines => toAmount(payslipLines.reduce((sum, line) => sum + line.amount, 0));
+  const totalPayout = toAmount(item.totalPayout);
+
+  // A monthly salary is prorated by the days worked; when only the full salary
+  // is known, the difference to the gross pay gets its own line so the lines add up
+  if (!isHourly && totalPayout > 0) {
+    const difference = toAmount(totalPayout - sumOf(lines));
+    if (difference !== 0) {
+      const days = toAmount(item.totalWorkingDays)
+        ? ` (${toAmount(item.workedDays)} of ${toAmount(item.totalWorkingDays)} days worked)`
+        : '';
+      lines.push({
+        label: `Salary adjustment${days}`,
+        quantity: null,
+        rate: null,
+        amount: difference,
+      });
+    }
+  }
+
+  const linesTotal = sumOf(lines);
+
+  return {
+    employee: {
+      id: item.employee?.id ?? null,
+      name: item.employee?.name || 'Unknown Employee',
+      email: item.employee?.email || '',
+    },
+    periodKey,
+    periodLabel: (item.period || periodKey).replace(' (Current)', ''),
+    employmentType: isHourly ? 'Hourly' : 'Monthly',
+    status: item.status || null,
+    hours: {
+      total: toAmount(item.hoursWorked),
+      regular: toAmount(item.regularHours),
+      overtime: toAmount(item.overtimeHours),
+      holiday: toAmount(item.holidayHours),
+      sabbath: toAmount(item.sabbathHours),
+    },
+    workedDays: toAmount(item.workedDays),
+    totalWorkingDays: toAmount(item.totalWorkingDays),
+    compensatoryDays: toAmount(item.compensatoryDays),
+    lines,
+    totalGross: totalPayout || linesTotal,
+  };
+};
+
+const escapeHtml = value =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatMoney = value =>
+  `₪${toAmount(value).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * Renders a payslip as a standalone HTML document (A4, no external assets)
+ * @param {Object} payslip - Result of buildPayslip
+ * @param {Object} [options]
+ * @param {string} [options.companyName='MyHours'] - Header title
+ * @param {Date} [options.generatedAt=new Date()] - Generation timestamp shown in the footer
+ * @returns {string} HTML document
+ */
+export const renderPayslipHtml = (
+  payslip,
+  { companyName = 'MyHours', generatedAt = new Date() } = {}
+) => {
+  const lineRows = payslip.lines
+    .map(
+      line => `
+        <tr>
+          <td>${escapeHtml(line.label)}</td>
+          <td class="num">${line.quantity === null ? '' : `${line.quantity}h`}</td>
+          <td class="num">${line.rate === null ? '' : formatMoney(line.rate)}</td>
+          <td class="num">${formatMoney(line.amount)}</td>
+        </tr>`
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Payslip ${escapeHtml(payslip.employee.name)} ${escapeHtml(payslip.periodKey)}</title>
+  <style>
+    @page { size: A4; margin: 18mm; }
+    body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #1a1a2e; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0; }
+    .muted { color: #666; }
+    .header { display: flex; justify-content: space-between; border-bottom: 2px solid #0f3460; padding-bottom: 8px; margin-bottom: 16px; }
+    .grid { display: flex; gap: 24px; margin-bottom: 16px; }
+    .grid div { flex: 1; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    th { background: #f2f4f8; }
+    .num { text-align: right; }
+    .total td { font-weight: bold; border-top: 2px solid #0f3460; border-bottom: none; font-size: 14px; }
+    .footer { margin-top: 24px; font-size: 10px; color: #888; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>${escapeHtml(companyName)}</h1>
+      <div class="muted">Payslip</div>
+    </div>
+    <div style="text-align: right">
+      <strong>${escapeHtml(payslip.periodLabel)}</strong>
+      <div class="muted">${escapeHtml(payslip.periodKey)}</div>
+    </div>
+  </div>
+
+  <div class="grid">
+    <div>
+      <div class="muted">Employee</div>
+      <strong>${escapeHtml(payslip.employee.name)}</strong>
+      <div>${escapeHtml(payslip.employee.email)}</div>
+    </div>
+    <div>
+      <div class="muted">Employment type</div>
+      <strong>${escapeHtml(payslip.employmentType)}</strong>
+      <div>Worked days: ${payslip.workedDays}${payslip.totalWorkingDays ? ` / ${payslip.totalWorkingDays}` : ''}</div>
+    </div>
+  </div>
+
+  <table>
+    <thead>
+      <tr><th>Hours</th><th class="num">Total</th><th class="num">Regular</th><th class="num">Overtime</th><th class="num">Holiday</th><th class="num">Sabbath</th></tr>
+    </thead>
+    <tbody>
+      <tr>
+        <td></td>
+        <td class="num">${payslip.hours.total}h</td>
+        <td class="num">${payslip.hours.regular}h</td>
+        <td class="num">${payslip.hours.overtime}h</td>
+        <td class="num">${payslip.hours.holiday}h</td>
+        <td class="num">${payslip.hours.sabbath}h</td>
+      </tr>
+    </tbody>
+  </table>
+
+  <table>
+    <thead>
+      <tr><th>Earnings</th><th class="num">Hours</th><th class="num">Rate</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${lineRows}
+      <tr class="total">
+        <td colspan="3">Gross pay</td>
+        <td class="num">${formatMoney(payslip.totalGross)}</td>
+      </tr>
+    </tbody>
+  </table>
+
+  ${
+    payslip.compensatoryDays > 0
+      ? `<div>Compensatory days earned: <strong>${payslip.compensatoryDays}</strong></div>`
+      : ''
+  }
+
+  <div class="footer">
+    Generated ${escapeHtml(generatedAt.toLocaleString('en-US'))}. This document is informational and
+    does not replace the official payslip issued by payroll.
+  </div>
+</body>
+</html>`;
+};
@@ -0,0 +1,151 @@
+/**
+ * Premium-rate windows and the split of worked time
+ * Holidays cover a whole company day; Shabbat runs from Friday's candle
+ * lighting to Saturday's havdalah (the whole Saturday when the times are not
+ * known). Worked minutes inside a window are paid at its rate; other minutes
+ * past the daily overtime threshold are overtime. A holiday falling on
+ * Shabbat counts as holiday, like the month calendar.
+ */
+
+import { normalizeHoliday } from './holidayCalendar';
+import { zonedTimeToUtc } from './timeZone';
+import { listOf, toDate } from './timesheet';
+import { DAY_STATUS, OVERTIME_DAILY_HOURS, parseDateKey } from './worktimeCalendar';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Earlier entries win where windows overlap
+const WINDOW_PRIORITY = [DAY_STATUS.HOLIDAY, DAY_STATUS.SABBATH];
+
+// Start and end of a company day given as YYYY-MM-DD
+const zonedDayWindow = (dateKey, dayOffset = 0) => {
+  const day = parseDateKey(dateKey);
+  const parts = { year: day.getFullYear(), month: day.getMonth() + 1, hour: 0, minute: 0 };
+  return {
+    start: zonedTimeToUtc({ ...parts, day: day.getDate() + dayOffset }),
+    end: zonedTimeToUtc({ ...parts, day: day.getDate() + dayOffset + 1 }),
+  };
+};
+
+/**
+ * Premium-rate windows from holidays and Shabbat times
+ * @param {Object} sources
+ * @param {Array<Object>|Object} [sources.holidays] - Holidays from the integrations API
+ * @param {Array<Object>} [sources.shabbatWeeks] - See normalizeShabbatTimes
+ * @returns {Array<Object>} { type, name, start, end } sorted by start; type is
+ *   DAY_STATUS.HOLIDAY or DAY_STATUS.SABBATH
+ */
+export const buildPremiumWindows = ({ holidays = [], shabbatWeeks = [] } = {}) => {
+  const windows = [];
+
+  listOf(holidays)
+    .map(normalizeHoliday)
+    .filter(holiday => holiday && !holiday.isShabbat)
+    .forEach(holiday => {
+      windows.push({
+        type: DAY_STATUS.HOLIDAY,
+        name: holiday.name,
+        ...zonedDayWindow(holiday.date),
+      });
+    });
+
+  shabbatWeeks.forEach(week => {
+    if (!parseDateKey(week?.date)) return;
+    const start = toDate(week.start);
+    const end = toDate(week.end);
+    windows.push({
+      type: DAY_STATUS.SABBATH,
+      name: 'Shabbat',
+      ...(start && end && start < end ? { start, end } : zonedDayWindow(week.date, 1)),
+    });
+  });
+
+  return windows.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * The first window that is in effect at `from` or starts within `horizonMs`
+ * of it, e.g. to warn before a check-in that premium rates will apply
+ * @returns {Object|null} See buildPremiumWindows
+ */
+export const findPremiumWindow = (windows, from = new Date(), horizonMs = 0) =>
+  windows.find(window => window.end > from && window.start <= from.getTime() + horizonMs) || null;
+
+/**
+ * Splits worked time into regular, overtime, Shabbat and holiday minutes
+ * @param {Object} session
+ * @param {Date|string} session.start - Check-in
+ * @param {Date|string} [session.end=new Date()] - Check-out, or now while the session is open
+ * @param {Array<Object>} [session.breaks] - { start, end }, end null while the break runs
+ * @param {Array<Object>} [session.windows] - See buildPremiumWindows
+ * @param {number} [session.overtimeAfterHours=OVERTIME_DAILY_HOURS] - Worked hours
+ *   (premium ones included) after which regular time becomes overtime
+ * @returns {{regular: number, overtime: number, sabbath: number, holiday: number}} Whole minutes
+ */
+export const splitWorkedMinutes = ({
+  start,
+  end = new Date(),
+  breaks = [],
+  windows = [],
+  overtimeAfterHours = OVERTIME_DAILY_HOURS,
+}) => {
+  const totals = { regular: 0, overtime: 0, [DAY_STATUS.SABBATH]: 0, [DAY_STATUS.HOLIDAY]: 0 };
+  const from = toDate(start);
+  const to = toDate(end);
+  if (!from || !to || to <= from) return totals;
+
+  const pauses = breaks
+    .map(item => ({ start: toDate(item?.start), end: toDate(item?.end) || to }))
+    .filter(item => item.start && item.end > item.start);
+
+  // Every point where the kind of time can change
+  const cuts = [from, to, ...pauses.flatMap(item => [item.start, item.end])]
+    .concat(windows.flatMap(window => [window.start, window.end]))
+    .map(date => date.getTime())
+    .filter(time => time >= from.getTime() && time <= to.getTime());
+  const points = [...new Set(cuts)].sort((a, b) => a - b);
+
+  const thresholdMs = overtimeAfterHours * HOUR_MS;
+  let workedMs = 0;
+
+  for (let i = 0; i < points.length - 1; i += 1) {
+    const length = points[i + 1] - points[i];
+    const middle = points[i] + length / 2;
+    if (pauses.some(item => item.start <= middle && item.end > middle)) continue;
+
+    const window = WINDOW_PRIORITY.map(type =>
+      windows.find(item => item.type === type && item.start <= middle && item.end > middle)
+    ).find(Boolean);
+
+    if (window) {
+      totals[window.type] += length;
+    } else {
+      const regular = Math.min(length, Math.max(0, thresholdMs - workedMs));
+      totals.regular += regular;
+      totals.overtime += length - regular;
+    }
+    workedMs += length;
+  }
+
+  return Object.fromEntries(
+    Object.entries(totals).map(([kind, ms]) => [kind, Math.floor(ms / MINUTE_MS)])
+  );
+};
+
+const SPLIT_LABELS = {
+  regular: 'Regular',
+  overtime: 'Overtime',
+  [DAY_STATUS.SABBATH]: 'Shabbat',
+  [DAY_STATUS.HOLIDAY]: 'Holiday',
+};
+
+/**
+ * e.g. "Regular 8h 36m · Shabbat 1h 5m"; kinds without minutes are left out
+ * @param {Object} split - See splitWorkedMinutes
+ */
+export const describeWorkedSplit = split =>
+  Object.entries(SPLIT_LABELS)
+    .filter(([kind]) => split?.[kind] > 0)
+    .map(([kind, label]) => `${label} ${Math.floor(split[kind] / 60)}h ${split[kind] % 60}m`)
+    .join(' · ');
@@ -0,0 +1,141 @@
+/**
+ * Team presence ("who's in")
+ * Combines the open sessions from current_sessions with today's worklogs to
+ * place every employee in one group: at an office, remote, not arrived yet or
+ * already checked out.
+ */
+
+import { detectSessionAnomaly } from './sessionAnomalies';
+import { toZonedDateKey } from './timeZone';
+import {
+  buildTimesheet,
+  getWorklogEmployeeId,
+  getWorklogEmployeeName,
+  listOf,
+  normalizeWorklog,
+  totalsByDay,
+} from './timesheet';
+
+export const PRESENCE_STATUS = {
+  IN_OFFICE: 'in_office',
+  REMOTE: 'remote',
+  NOT_ARRIVED: 'not_arrived',
+  CHECKED_OUT: 'checked_out',
+};
+
+// Display order of the groups
+export const PRESENCE_GROUPS = [
+  { status: PRESENCE_STATUS.IN_OFFICE, label: 'At the Office' },
+  { status: PRESENCE_STATUS.REMOTE, label: 'Working Remotely' },
+  { status: PRESENCE_STATUS.NOT_ARRIVED, label: 'Not Yet Arrived' },
+  { status: PRESENCE_STATUS.CHECKED_OUT, label: 'Checked Out' },
+];
+
+/**
+ * Whether a session was checked in at an office: check-ins send the matched
+ * office id, older worklogs only have the location text
+ */
+export const isOfficeSession = worklog =>
+  worklog.office_id != null ||
+  worklog.office != null ||
+  /office/i.test(worklog.location_check_in || '');
+
+const getEmployeeName = employee =>
+  `${employee.first_name || ''} ${employee.last_name || ''}`.trim() || employee.email || 'Employee';
+
+/**
+ * Places employees in presence groups
+ * @param {Array<Object>} employees - Employees from the API; inactive ones are left out
+ * @param {Object} data
+ * @param {Array<Object>|Object} data.openSessions - Response of getCurrentSessions
+ * @param {Array<Object>|Object} [data.todayLogs] - Worklogs checked in today, and yesterday
+ *   for night shifts ending today (see getEmployeesDayLogs)
+ * @param {Array<Object>} [data.offices] - Normalized offices, for office names
+ * @param {Date} [data.now=new Date()]
+ * @returns {Array<Object>} PRESENCE_GROUPS with `entries`: { employeeId, name, status, since,
+ *   until, elapsedHours (net of breaks), onBreak, officeName, orphaned }
+ */
+export const buildPresenceBoard = (
+  employees,
+  { openSessions, todayLogs, offices = [], now = new Date() }
+) => {
+  const today = toZonedDateKey(now);
+  const officeNames = Object.fromEntries(offices.map(office => [office.id, office.name]));
+
+  const openByEmployee = new Map();
+  listOf(openSessions).forEach(worklog => {
+    const employeeId = getWorklogEmployeeId(worklog);
+    const session = normalizeWorklog(worklog, { now });
+    if (employeeId == null || !session?.open) return;
+
+    const current = openByEmployee.get(employeeId);
+    if (!current || session.checkIn > current.session.checkIn) {
+      openByEmployee.set(employeeId, { worklog, session });
+    }
+  });
+
+  const logsByEmployee = new Map();
+  listOf(todayLogs).forEach(worklog => {
+    const employeeId = getWorklogEmployeeId(worklog);
+    if (employeeId == null) return;
+    logsByEmployee.set(employeeId, [...(logsByEmployee.get(employeeId) || []), worklog]);
+  });
+
+  const toEntry = (employeeId, name) => {
+    const open = openByEmployee.get(employeeId);
+    if (open) {
+      const atOffice = isOfficeSession(open.worklog);
+      return {
+        employeeId,
+        name,
+        status: atOffice ? PRESENCE_STATUS.IN_OFFICE : PRESENCE_STATUS.REMOTE,
+        since: open.session.checkIn,
+        until: null,
+        elapsedHours: open.session.hours,
+        onBreak: open.session.onBreak,
+        officeName: atOffice
+          ? officeNames[String(open.worklog.office_id ?? open.worklog.office)] || null
+          : null,
+        orphaned: !!detectSessionAnomaly(open.worklog, { now }),
+      };
+    }
+
+    const { sessions, segments } = buildTimesheet(logsByEmployee.get(employeeId), {
+      now,
+      includeOpen: false,
+    });
+    const workedToday = sessions.filter(
+      session =>
+        toZonedDateKey(session.checkOut) === today || toZonedDateKey(session.checkIn) === today
+    );
+    if (workedToday.length === 0) {
+      return { employeeId, name, status: PRESENCE_STATUS.NOT_ARRIVED, elapsedHours: 0 };
+    }
+
+    return {
+      employeeId,
+      name,
+      status: PRESENCE_STATUS.CHECKED_OUT,
+      since: new Date(Math.min(...workedToday.map(session => session.checkIn))),
+      until: new Date(Math.max(...workedToday.map(session => session.checkOut))),
+      elapsedHours: totalsByDay(segments)[today] || 0,
+    };
+  };
+
+  const entries = (Array.isArray(employees) ? employees : [])
+    .filter(employee => employee.is_active !== false)
+    .map(employee => toEntry(employee.id, getEmployeeName(employee)));
+
+  // Someone checked in but missing from the employee list still counts as present
+  const listed = new Set(entries.map(entry => entry.employeeId));
+  openByEmployee.forEach(({ worklog }, employeeId) => {
+    if (!listed.has(employeeId)) entries.push(toEntry(employeeId, getWorklogEmployeeName(worklog)));
+  });
+
+  return PRESENCE_GROUPS.map(group => ({
+    ...group,
+    entries: entries
+      .filter(entry => entry.status === group.status)
+      .sort((a, b) => (a.since && b.since ? a.since - b.since : a.name.localeCompare(b.name))),
+  }));
+};
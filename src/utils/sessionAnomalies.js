@@ -0,0 +1,87 @@
+/**
+ * Orphaned session detection
+ * A worklog with a check-in but no check-out is normally a shift in progress.
+ * When it stays open longer than a threshold, or past midnight, the employee
+ * most likely forgot to check out; such sessions are flagged so they can be
+ * closed or corrected instead of showing "Still working" for days.
+ */
+
+import { APP_CONFIG } from '../config';
+import { getCompanyTimeZone, startOfZonedDay } from './timeZone';
+import { getWorklogEmployeeId, getWorklogEmployeeName } from './timesheet';
+
+export const SESSION_ANOMALY = {
+  LONG_OPEN: 'long_open',
+  CROSSED_MIDNIGHT: 'crossed_midnight',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getThresholdHours = thresholdHours =>
+  thresholdHours > 0 ? thresholdHours : APP_CONFIG.ORPHANED_SESSION_THRESHOLD_HOURS;
+
+/**
+ * Checks a single worklog
+ * @param {Object} worklog - Worklog from the API (check_in, check_out, employee...)
+ * @param {Object} [options]
+ * @param {number} [options.thresholdHours] - Open longer than this is flagged
+ *   (APP_CONFIG.ORPHANED_SESSION_THRESHOLD_HOURS by default)
+ * @param {Date} [options.now=new Date()]
+ * @returns {Object|null} { worklogId, employeeId, employeeName, checkIn, openHours, anomalies },
+ *   null for closed or normal sessions
+ */
+export const detectSessionAnomaly = (worklog, { thresholdHours, now = new Date() } = {}) => {
+  if (!worklog?.check_in || worklog.check_out) return null;
+
+  const checkIn = new Date(worklog.check_in);
+  if (Number.isNaN(checkIn.getTime())) return null;
+
+  const openHours = (now - checkIn) / HOUR_MS;
+  const anomalies = [];
+
+  if (openHours > getThresholdHours(thresholdHours)) {
+    anomalies.push(SESSION_ANOMALY.LONG_OPEN);
+  }
+
+  // Midnight of the company's day, not the device's
+  if (checkIn < startOfZonedDay(now)) {
+    anomalies.push(SESSION_ANOMALY.CROSSED_MIDNIGHT);
+  }
+
+  if (anomalies.length === 0) return null;
+
+  return {
+    worklogId: worklog.id,
+    employeeId: getWorklogEmployeeId(worklog),
+    employeeName: getWorklogEmployeeName(worklog),
+    checkIn: worklog.check_in,
+    openHours,
+    anomalies,
+  };
+};
+
+/**
+ * Flags orphaned sessions in a list of worklogs, longest open first
+ * @param {Array<Object>} worklogs
+ * @param {Object} [options] - See detectSessionAnomaly
+ * @returns {Array<Object>}
+ */
+export const findOrphanedSessions = (worklogs, options) =>
+  (Array.isArray(worklogs) ? worklogs : [])
+    .map(worklog => detectSessionAnomaly(worklog, options))
+    .filter(Boolean)
+    .sort((a, b) => b.openHours - a.openHours);
+
+/**
+ * Short human-readable summary, e.g. "Open 26h · since Mon 09:00"
+ */
+export const describeSessionAnomaly = anomaly => {
+  const since = new Date(anomaly.checkIn).toLocaleString('en-US', {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+    timeZone: getCompanyTimeZone(),
+  });
+  return `Open ${Math.floor(anomaly.openHours)}h · since ${since}`;
+};
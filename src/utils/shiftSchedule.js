@@ -0,0 +1,252 @@
+/**
+ * Planned shifts and attendance
+ * A shift is planned for one employee on one company day with wall-clock
+ * start and end times; an end at or before the start runs into the next day.
+ * Comparing the plan with worklogs gives late arrivals, early departures,
+ * no-shows and work that was not planned.
+ */
+
+import { APP_CONFIG } from '../config';
+import { toZonedDateKey, zonedTimeToUtc } from './timeZone';
+import { buildTimesheet, listOf } from './timesheet';
+import { parseDateKey, toDateKey } from './worktimeCalendar';
+
+export const ATTENDANCE_ISSUE = {
+  LATE: 'late',
+  EARLY_DEPARTURE: 'early_departure',
+  NO_SHOW: 'no_show',
+  UNPLANNED: 'unplanned',
+};
+
+export const ATTENDANCE_ISSUE_LABELS = {
+  [ATTENDANCE_ISSUE.LATE]: 'Late',
+  [ATTENDANCE_ISSUE.EARLY_DEPARTURE]: 'Left Early',
+  [ATTENDANCE_ISSUE.NO_SHOW]: 'No-show',
+  [ATTENDANCE_ISSUE.UNPLANNED]: 'Unplanned',
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parses a wall-clock time such as "09:00" or "9:30"
+ * @returns {{hour: number, minute: number}|null} null when malformed
+ */
+export const parseTimeOfDay = value => {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  return hour < 24 && minute < 60 ? { hour, minute } : null;
+};
+
+/**
+ * Wall-clock time as HH:MM, e.g. for form fields
+ */
+export const formatTimeOfDay = value => {
+  const time = parseTimeOfDay(value);
+  return time
+    ? `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`
+    : '';
+};
+
+/**
+ * Sunday of the week containing a calendar day (device-local midnight, see
+ * worktimeCalendar.js)
+ */
+export const getWeekStart = date => {
+  const sunday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  sunday.setDate(sunday.getDate() - sunday.getDay());
+  return sunday;
+};
+
+/**
+ * The seven days of a week as YYYY-MM-DD
+ */
+export const getWeekDays = weekStart =>
+  Array.from({ length: 7 }, (_, index) => {
+    const day = new Date(weekStart);
+    day.setDate(day.getDate() + index);
+    return toDateKey(day);
+  });
+
+/**
+ * Normalizes an API shift
+ * @param {Object} shift - { id, employee, date, start_time, end_time, template }
+ * @returns {Object|null} { shiftId, employeeId, date, startTime, endTime, start, end,
+ *   templateId }, null when the day or a time is missing or malformed
+ */
+export const normalizeShift = shift => {
+  const day = parseDateKey(shift?.date);
+  const startTime = parseTimeOfDay(shift?.start_time);
+  const endTime = parseTimeOfDay(shift?.end_time);
+  if (!day || !startTime || !endTime) return null;
+
+  const dayParts = { year: day.getFullYear(), month: day.getMonth() + 1, day: day.getDate() };
+  const overnight = endTime.hour * 60 + endTime.minute <= startTime.hour * 60 + startTime.minute;
+  const employee = shift.employee;
+
+  return {
+    shiftId: shift.id ?? null,
+    employeeId: employee && typeof employee === 'object' ? employee.id : (employee ?? null),
+    date: shift.date,
+    startTime: formatTimeOfDay(shift.start_time),
+    endTime: formatTimeOfDay(shift.end_time),
+    start: zonedTimeToUtc({ ...dayParts, ...startTime }),
+    end: zonedTimeToUtc({ ...dayParts, day: dayParts.day + (overnight ? 1 : 0), ...endTime }),
+    templateId: shift.template ?? null,
+  };
+};
+
+/**
+ * Validates the times typed for a shift
+ * @returns {string|null} Error message, or null when the shift can be saved
+ */
+export const validateShiftTimes = (startTime, endTime) => {
+  if (!parseTimeOfDay(startTime)) return 'Enter the start time as HH:MM';
+  if (!parseTimeOfDay(endTime)) return 'Enter the end time as HH:MM';
+  if (formatTimeOfDay(startTime) === formatTimeOfDay(endTime)) {
+    return 'A shift must end at a different time than it starts';
+  }
+  return null;
+};
+
+/**
+ * A week of shifts as a template: one entry per weekday with a shift
+ * @param {Array<Object>} shifts - Normalized shifts of one employee
+ * @returns {Array<Object>} { weekday, start_time, end_time } in the server format
+ */
+export const shiftsToTemplateDays = shifts =>
+  shifts
+    .map(shift => ({
+      weekday: parseDateKey(shift.date).getDay(),
+      start_time: shift.startTime,
+      end_time: shift.endTime,
+    }))
+    .sort((a, b) => a.weekday - b.weekday);
+
+/**
+ * Compares planned shifts with worked sessions
+ * A session belongs to the shifts it overlaps. A shift is a no-show once its
+ * grace period has passed without a session, late when the first session
+ * starts after the grace period, and left early when, once the shift is over,
+ * the last session ended more than the grace period before it. Sessions overlapping no shift
+ * are unplanned work.
+ * @param {Array<Object>|Object} shifts - Shifts from the API
+ * @param {Array<Object>|Object} worklogs - Worklogs from the API covering the same days
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Shifts still ahead are not judged
+ * @param {number} [options.graceMinutes] - APP_CONFIG.ATTENDANCE_GRACE_MINUTES by default
+ * @returns {Array<Object>} { type, employeeId, date, shift, session, minutes }, newest first;
+ *   `minutes` is how late, how early or how long the unplanned work was
+ */
+export const compareAttendance = (
+  shifts,
+  worklogs,
+  { now = new Date(), graceMinutes = APP_CONFIG.ATTENDANCE_GRACE_MINUTES } = {}
+) => {
+  const grace = graceMinutes * MINUTE_MS;
+  const planned = listOf(shifts)
+    .map(normalizeShift)
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+  const { sessions } = buildTimesheet(listOf(worklogs), { now });
+  const endOf = session => session.checkOut || now;
+  const overlaps = (shift, session) =>
+    String(session.employeeId) === String(shift.employeeId) &&
+    session.checkIn < shift.end &&
+    endOf(session) > shift.start;
+
+  const issues = [];
+  const matched = new Set();
+
+  planned.forEach(shift => {
+    if (now < shift.start) return;
+
+    const worked = sessions.filter(session => overlaps(shift, session));
+    worked.forEach(session => matched.add(session));
+    const issue = (type, minutes, session = null) =>
+      issues.push({
+        type,
+        employeeId: shift.employeeId,
+        date: shift.date,
+        shift,
+        session,
+        minutes,
+      });
+
+    if (worked.length === 0) {
+      if (now - shift.start > grace) {
+        issue(ATTENDANCE_ISSUE.NO_SHOW, Math.round((shift.end - shift.start) / MINUTE_MS));
+      }
+      return;
+    }
+
+    const first = worked.reduce((a, b) => (b.checkIn < a.checkIn ? b : a));
+    if (first.checkIn - shift.start > grace) {
+      issue(ATTENDANCE_ISSUE.LATE, Math.round((first.checkIn - shift.start) / MINUTE_MS), first);
+    }
+
+    const last = worked.reduce((a, b) => (endOf(b) > endOf(a) ? b : a));
+    if (!last.open && now >= shift.end && shift.end - last.checkOut > grace) {
+      issue(
+        ATTENDANCE_ISSUE.EARLY_DEPARTURE,
+        Math.round((shift.end - last.checkOut) / MINUTE_MS),
+        last
+      );
+    }
+  });
+
+  sessions
+    .filter(session => !matched.has(session))
+    .forEach(session => {
+      const minutes = Math.round((endOf(session) - session.checkIn) / MINUTE_MS);
+      if (minutes <= graceMinutes) return;
+
+      issues.push({
+        type: ATTENDANCE_ISSUE.UNPLANNED,
+        employeeId: session.employeeId,
+        date: toZonedDateKey(session.checkIn),
+        shift: null,
+        session,
+        minutes,
+      });
+    });
+
+  const startOf = issue => (issue.shift ? issue.shift.start : issue.session.checkIn);
+  return issues.sort((a, b) => startOf(b) - startOf(a));
+};
+
+/**
+ * Number of issues of each type
+ * @returns {Object<string, number>}
+ */
+export const countAttendanceIssues = issues =>
+  Object.values(ATTENDANCE_ISSUE).reduce((counts, type) => {
+    counts[type] = issues.filter(issue => issue.type === type).length;
+    return counts;
+  }, {});
+
+const formatDuration = minutes =>
+  minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+
+/**
+ * Short human-readable summary, e.g. "Mon 09:00–17:00 · 25m late"
+ */
+export const describeAttendanceIssue = issue => {
+  const weekday = WEEKDAY_LABELS[parseDateKey(issue.date).getDay()];
+  const planned = issue.shift ? `${weekday} ${issue.shift.startTime}–${issue.shift.endTime}` : '';
+
+  switch (issue.type) {
+    case ATTENDANCE_ISSUE.LATE:
+      return `${planned} · ${formatDuration(issue.minutes)} late`;
+    case ATTENDANCE_ISSUE.EARLY_DEPARTURE:
+      return `${planned} · left ${formatDuration(issue.minutes)} early`;
+    case ATTENDANCE_ISSUE.NO_SHOW:
+      return `${planned} · no check-in`;
+    default:
+      return `${weekday} · ${formatDuration(issue.minutes)} without a planned shift`;
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * Company time zone
+ * Work days, pay periods and Sabbath are defined by the company's local time,
+ * not by the device: a shift starting at 01:00 in Israel belongs to that
+ * Israeli day even on a phone set to UTC. The zone is part of the office
+ * settings; OfficeContext makes it active with setCompanyTimeZone.
+ */
+
+export const DEFAULT_TIME_ZONE = 'Asia/Jerusalem';
+
+let companyTimeZone = DEFAULT_TIME_ZONE;
+
+const formatters = new Map();
+
+const getFormatter = timeZone => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour12: false,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Whether the runtime knows an IANA zone name, e.g. "Asia/Jerusalem"
+ */
+export const isValidTimeZone = timeZone => {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    getFormatter(timeZone.trim());
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const getDeviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const getCompanyTimeZone = () => companyTimeZone;
+
+/**
+ * Makes a zone the one used for day boundaries; unknown zones fall back to
+ * DEFAULT_TIME_ZONE
+ */
+export const setCompanyTimeZone = timeZone => {
+  companyTimeZone = isValidTimeZone(timeZone) ? timeZone.trim() : DEFAULT_TIME_ZONE;
+};
+
+/**
+ * Wall-clock fields of an instant in a zone
+ * @param {Date} date
+ * @param {string} [timeZone] - Company zone by default
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ *   month is 1-12
+ */
+export const getZonedParts = (date, timeZone = companyTimeZone) => {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    // Some engines print midnight as 24
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Offset of a zone from UTC at an instant, in minutes (+120 for Israel in winter)
+ */
+export const getTimeZoneOffset = (date, timeZone = companyTimeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Instant of a wall-clock time in a zone. Out-of-range fields roll over
+ * (day 32 is the 1st of the next month).
+ * @param {Object} wallClock - { year, month (1-12), day, hour, minute }
+ * @param {string} [timeZone] - Company zone by default
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (
+  { year, month, day, hour = 0, minute = 0, second = 0 },
+  timeZone = companyTimeZone
+) => {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstGuess = wallClockAsUtc - getTimeZoneOffset(new Date(wallClockAsUtc), timeZone) * 60000;
+  // Re-check the offset at the result in case a DST change lies in between
+  const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+  return new Date(wallClockAsUtc - offset * 60000);
+};
+
+/**
+ * Day of an instant in a zone as YYYY-MM-DD
+ */
+export const toZonedDateKey = (date, timeZone = companyTimeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Day of an instant in a zone as a device-local midnight Date, the form used
+ * for calendar days and ranges (see worktimeCalendar.js)
+ */
+export const getZonedCalendarDate = (date, timeZone = companyTimeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Instant the zone's day containing `date` begins
+ * @param {Date} date
+ * @param {number} [dayOffset=0] - 1 for the start of the next day
+ * @param {string} [timeZone] - Company zone by default
+ * @returns {Date}
+ */
+export const startOfZonedDay = (date, dayOffset = 0, timeZone = companyTimeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: day + dayOffset }, timeZone);
+};
@@ -0,0 +1,246 @@
+/**
+ * Timesheet aggregation
+ * One place that turns API worklogs into hours, shared by the dashboard, team
+ * management and worktime history so every tab shows the same numbers.
+ * Days are calendar days in the company time zone (see timeZone.js): a shift
+ * from 22:00 to 06:00 counts 2h on the first day and 6h on the second.
+ */
+
+import { startOfZonedDay, toZonedDateKey } from './timeZone';
+import { parseDateKey, toDateKey } from './worktimeCalendar';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Date from an API timestamp or a Date
+ * @returns {Date|null} null when missing or unparsable
+ */
+export const toDate = value => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Rows of a list response, plain or paginated ({ results })
+ * @returns {Array}
+ */
+export const listOf = response => (Array.isArray(response) ? response : response?.results || []);
+
+const employeeObjectOf = worklog => {
+  const employee = worklog.employee || worklog.employee_data;
+  return employee && typeof employee === 'object' ? employee : {};
+};
+
+/**
+ * Employee id of a worklog; the API sends either a nested object or a plain id
+ * @returns {number|string|null}
+ */
+export const getWorklogEmployeeId = worklog =>
+  employeeObjectOf(worklog).id ??
+  worklog.employee_id ??
+  (worklog.employee && typeof worklog.employee !== 'object' ? worklog.employee : null);
+
+/**
+ * Display name of a worklog's employee, from whichever fields the endpoint filled in
+ * @returns {string}
+ */
+export const getWorklogEmployeeName = worklog => {
+  const employee = employeeObjectOf(worklog);
+
+  if (employee.first_name || employee.last_name) {
+    return `${employee.first_name || ''} ${employee.last_name || ''}`.trim();
+  }
+
+  const name =
+    employee.employee_name ||
+    worklog.employee_name ||
+    employee.name ||
+    employee.get_full_name ||
+    employee.full_name ||
+    (typeof worklog.employee === 'string' ? worklog.employee : null);
+  if (name) return name;
+
+  if (employee.email) return employee.email.split('@')[0];
+  return 'Unknown Employee';
+};
+
+/**
+ * Hours spent on breaks up to `end`
+ * @param {Array<Object>} breaks - { start, end } from the API; end is null while the break runs
+ * @param {Date} end - End of the session, or now while it is open
+ * @returns {number}
+ */
+export const sumBreakHours = (breaks, end) =>
+  (Array.isArray(breaks) ? breaks : []).reduce((total, item) => {
+    const start = toDate(item?.start);
+    if (!start) return total;
+    const stop = toDate(item.end) || end;
+    return total + Math.max(0, (Math.min(stop, end) - start) / HOUR_MS);
+  }, 0);
+
+const breakHoursOf = (worklog, end) => {
+  if (Array.isArray(worklog.breaks)) return sumBreakHours(worklog.breaks, end);
+  const minutes = parseFloat(worklog.break_minutes);
+  return Number.isFinite(minutes) ? minutes / 60 : 0;
+};
+
+/**
+ * Normalizes an API worklog
+ * Hours are net of breaks. Closed sessions use the server's total_hours when
+ * present (breaks are already deducted there); otherwise hours come from the
+ * timestamps minus the recorded breaks. Open sessions count up to `now`.
+ * @param {Object} worklog - Worklog from the API
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @returns {Object|null} { worklogId, employeeId, employeeName, checkIn, checkOut, open, hours,
+ *   breakHours, onBreak }, null when the check-in is missing or invalid
+ */
+export const normalizeWorklog = (worklog, { now = new Date() } = {}) => {
+  const checkIn = toDate(worklog?.check_in);
+  if (!checkIn) return null;
+
+  const checkOut = toDate(worklog.check_out);
+  const end = checkOut || now;
+  const breakHours = breakHoursOf(worklog, end);
+  const netHours = Math.max(0, (end - checkIn) / HOUR_MS - breakHours);
+  const serverHours = parseFloat(worklog.total_hours ?? worklog.hours_worked);
+
+  return {
+    worklogId: worklog.id ?? null,
+    employeeId: getWorklogEmployeeId(worklog),
+    employeeName: getWorklogEmployeeName(worklog),
+    checkIn,
+    checkOut,
+    open: !checkOut,
+    hours: checkOut && Number.isFinite(serverHours) ? serverHours : netHours,
+    breakHours,
+    onBreak: !checkOut && Array.isArray(worklog.breaks) && worklog.breaks.some(item => !item?.end),
+  };
+};
+
+/**
+ * Splits a normalized session at midnights in the company time zone
+ * Hours are spread in proportion to the time spent on each day, so a
+ * server-side total (after breaks) is kept exactly.
+ * @param {Object} session - See normalizeWorklog
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - End of open sessions
+ * @returns {Array<Object>} { worklogId, employeeId, dateKey, start, end, hours }
+ */
+export const splitSessionByDay = (session, { now = new Date() } = {}) => {
+  const start = session.checkIn;
+  const end = session.checkOut || now;
+  const duration = end - start;
+
+  if (duration <= 0) {
+    return session.hours > 0
+      ? [
+          {
+            worklogId: session.worklogId,
+            employeeId: session.employeeId,
+            dateKey: toZonedDateKey(start),
+            start,
+            end: start,
+            hours: session.hours,
+          },
+        ]
+      : [];
+  }
+
+  const segments = [];
+  let segmentStart = start;
+  while (segmentStart < end) {
+    const nextMidnight = startOfZonedDay(segmentStart, 1);
+    const segmentEnd = nextMidnight < end ? nextMidnight : end;
+
+    segments.push({
+      worklogId: session.worklogId,
+      employeeId: session.employeeId,
+      dateKey: toZonedDateKey(segmentStart),
+      start: segmentStart,
+      end: segmentEnd,
+      hours: (session.hours * (segmentEnd - segmentStart)) / duration,
+    });
+    segmentStart = segmentEnd;
+  }
+  return segments;
+};
+
+/**
+ * Normalizes worklogs and splits them into per-day segments
+ * @param {Array<Object>} worklogs - Worklogs from the API
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {boolean} [options.includeOpen=true] - Count sessions still in progress
+ * @returns {{sessions: Array<Object>, segments: Array<Object>}}
+ */
+export const buildTimesheet = (worklogs, { now = new Date(), includeOpen = true } = {}) => {
+  const sessions = (Array.isArray(worklogs) ? worklogs : [])
+    .map(worklog => normalizeWorklog(worklog, { now }))
+    .filter(session => session && (includeOpen || !session.open));
+
+  return {
+    sessions,
+    segments: sessions.flatMap(session => splitSessionByDay(session, { now })),
+  };
+};
+
+const sumBy = (segments, keyOf) =>
+  (Array.isArray(segments) ? segments : []).reduce((totals, segment) => {
+    const key = keyOf(segment);
+    totals[key] = (totals[key] || 0) + segment.hours;
+    return totals;
+  }, {});
+
+/**
+ * Hours per day (YYYY-MM-DD)
+ * @param {Array<Object>} segments - See buildTimesheet
+ * @returns {Object<string, number>}
+ */
+export const totalsByDay = segments => sumBy(segments, segment => segment.dateKey);
+
+/**
+ * Hours per week, keyed by the Sunday that starts it (YYYY-MM-DD)
+ * @param {Array<Object>} segments - See buildTimesheet
+ * @returns {Object<string, number>}
+ */
+export const totalsByWeek = segments =>
+  sumBy(segments, segment => {
+    const sunday = parseDateKey(segment.dateKey);
+    sunday.setDate(sunday.getDate() - sunday.getDay());
+    return toDateKey(sunday);
+  });
+
+/**
+ * Hours per pay period (payroll month, YYYY-MM)
+ * @param {Array<Object>} segments - See buildTimesheet
+ * @returns {Object<string, number>}
+ */
+export const totalsByPayPeriod = segments =>
+  sumBy(segments, segment => segment.dateKey.slice(0, 7));
+
+/**
+ * Longest day worked by a single employee, per day. Overtime is per person,
+ * so a team total must not be compared against the daily limit.
+ * @param {Array<Object>} segments - See buildTimesheet
+ * @returns {Object<string, number>}
+ */
+export const peakEmployeeHoursByDay = segments =>
+  Object.entries(
+    sumBy(segments, segment => `${segment.dateKey}|${segment.employeeId ?? ''}`)
+  ).reduce((peaks, [key, hours]) => {
+    const dateKey = key.split('|')[0];
+    peaks[dateKey] = Math.max(peaks[dateKey] || 0, hours);
+    return peaks;
+  }, {});
+
+/**
+ * Hours as shown across the app, e.g. "7h 45m"
+ * @param {number} hours
+ * @returns {string}
+ */
+export const formatHours = hours => {
+  const totalMinutes = Math.round(Math.max(0, hours || 0) * 60);
+  return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+};
@@ -0,0 +1,136 @@
+/**
+ * Auth token lifecycle
+ * Keeps one refresh in flight at a time: every caller that needs a fresh
+ * token (proactive timer, app returning to the foreground, requests that got
+ * a 401 on any API client) waits for the same refresh instead of starting its
+ * own. Between refreshes a timer fires `refreshAheadMs` before the token
+ * expires so a shift is not interrupted by an expired session.
+ */
+
+// Longest delay setTimeout honors; longer ones fire at once. The timer wakes
+// up at most this late and re-checks the expiry.
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Creates a token lifecycle manager
+ * @param {Object} options
+ * @param {Function} options.refresh - Async, renews the stored token; rejects when it cannot
+ * @param {Function} options.getExpiresAt - Async, expiry of the stored token as a Date,
+ *   ISO string or timestamp; null when unknown (no timer is set then)
+ * @param {number} options.refreshAheadMs - How long before expiry to refresh
+ * @param {number} options.retryDelayMs - Wait before trying again after a failed
+ *   proactive refresh
+ * @param {Function} [options.clock=Date.now]
+ * @returns {{refresh: Function, refreshIfDue: Function, start: Function, stop: Function,
+ *   isRefreshing: Function}}
+ */
+export const createTokenLifecycle = ({
+  refresh,
+  getExpiresAt,
+  refreshAheadMs,
+  retryDelayMs,
+  clock = Date.now,
+}) => {
+  let inFlight = null;
+  let timer = null;
+  let running = false;
+
+  const clearTimer = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  };
+
+  const setTimer = delay => {
+    clearTimer();
+    if (!running) return;
+    const wait = Math.min(delay, MAX_TIMER_DELAY_MS);
+    timer = setTimeout(() => {
+      timer = null;
+      refreshIfDue().catch(() => {});
+    }, wait);
+  };
+
+  const readExpiry = async () => {
+    const value = await getExpiresAt();
+    if (value === null || value === undefined) return null;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+  };
+
+  // Time until the proactive refresh is due; null when the expiry is unknown
+  const timeUntilDue = async () => {
+    const expiresAt = await readExpiry();
+    return expiresAt === null ? null : Math.max(0, expiresAt - refreshAheadMs - clock());
+  };
+
+  const schedule = async () => {
+    const delay = await timeUntilDue();
+    if (delay === null) {
+      clearTimer();
+    } else {
+      setTimer(delay);
+    }
+  };
+
+  /**
+   * Refreshes the token, joining the refresh already in flight if there is one
+   * @returns {Promise<*>} Result of `options.refresh`
+   */
+  const refreshToken = () => {
+    if (!inFlight) {
+      inFlight = (async () => {
+        try {
+          const result = await refresh();
+          await schedule();
+          return result;
+        } catch (error) {
+          setTimer(retryDelayMs);
+          throw error;
+        } finally {
+          inFlight = null;
+        }
+      })();
+    }
+    return inFlight;
+  };
+
+  /**
+   * Refreshes when the token expires within `refreshAheadMs`, otherwise only
+   * re-arms the timer (e.g. after the app was suspended and timers did not run)
+   * @returns {Promise<boolean>} Whether a refresh was made
+   */
+  const refreshIfDue = async () => {
+    if (inFlight) {
+      await inFlight;
+      return true;
+    }
+    const delay = await timeUntilDue();
+    if (delay === null) return false;
+    if (delay > 0) {
+      setTimer(delay);
+      return false;
+    }
+    await refreshToken();
+    return true;
+  };
+
+  return {
+    refresh: refreshToken,
+    refreshIfDue,
+    /**
+     * Starts proactive refreshing for the signed-in session
+     */
+    start: () => {
+      running = true;
+      return refreshIfDue().catch(() => false);
+    },
+    /**
+     * Stops the timer, e.g. on logout. A refresh in flight still completes.
+     */
+    stop: () => {
+      running = false;
+      clearTimer();
+    },
+    isRefreshing: () => !!inFlight,
+  };
+};
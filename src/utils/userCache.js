@@ -0,0 +1,45 @@
+// src/utils/userCache.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { APP_CONFIG } from '../config';
+
+// Caches holding one user's data, stored as `${key}_${user id}`
+const USER_CACHE_KEYS = [
+  APP_CONFIG.STORAGE_KEYS.EMPLOYEES_CACHE,
+  APP_CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP,
+  APP_CONFIG.STORAGE_KEYS.PAYROLL_CACHE,
+];
+
+/**
+ * Storage key of a per-user cache. Bound to the signed-in user rather than
+ * the auth token, so the cache survives token refreshes.
+ * @param {string} baseKey - One of USER_CACHE_KEYS
+ * @returns {Promise<string>}
+ */
+export const getUserCacheKey = async baseKey => {
+  let userId = null;
+  try {
+    const userData = await AsyncStorage.getItem(APP_CONFIG.STORAGE_KEYS.USER_DATA);
+    userId = userData ? JSON.parse(userData)?.id : null;
+  } catch (_error) {
+    // Unreadable user data - fall back to the anonymous cache
+  }
+  return `${baseKey}_${userId ?? 'anonymous'}`;
+};
+
+/**
+ * Removes the per-user caches of every user, e.g. on logout or when the
+ * token is rejected. Errors are logged, not thrown, so sign-out always completes.
+ */
+export const clearUserCaches = async () => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const userKeys = keys.filter(key =>
+      USER_CACHE_KEYS.some(baseKey => key.startsWith(`${baseKey}_`))
+    );
+    if (userKeys.length > 0) {
+      await AsyncStorage.multiRemove(userKeys);
+    }
+  } catch (error) {
+    console.warn('User cache clear error:', error);
+  }
+};
@@ -0,0 +1,215 @@
+/**
+ * Batched, cached worklog loading per (employee, day)
+ * Requests made in the same tick are coalesced: employees are grouped into
+ * chunks and each chunk is loaded with one date-range call, at most
+ * `maxConcurrent` calls at a time. Every (employee, day) in a loaded range is
+ * cached, including days without worklogs, so repeat visits cost nothing
+ * until the entry expires. Answers of a batch that arrive after an
+ * invalidate() covering their keys are handed to the callers that asked but
+ * not cached.
+ */
+
+import { toZonedDateKey } from './timeZone';
+import { getWorklogEmployeeId } from './timesheet';
+import { parseDateKey, toDateKey } from './worktimeCalendar';
+
+const cacheKey = (employeeId, date) => `${employeeId}|${date}`;
+
+const matchesFilter = (key, { employeeId, date }) => {
+  const [keyEmployee, keyDate] = key.split('|');
+  return (
+    (employeeId == null || keyEmployee === String(employeeId)) && (date == null || keyDate === date)
+  );
+};
+
+const daysBetween = (dateFrom, dateTo) => {
+  const days = [];
+  const day = parseDateKey(dateFrom);
+  const last = parseDateKey(dateTo);
+  while (day <= last) {
+    days.push(toDateKey(day));
+    day.setDate(day.getDate() + 1);
+  }
+  return days;
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Runs async tasks with at most `limit` in flight
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} limit
+ * @returns {Promise<Array>} Settled results in task order (see Promise.allSettled)
+ */
+export const runWithConcurrency = async (tasks, limit) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await tasks[index]() };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+};
+
+/**
+ * @param {Object} options
+ * @param {Function} options.fetchLogs - ({ employeeIds, dateFrom, dateTo }) => Promise<Array>
+ *   worklogs of those employees checked in between the two days (YYYY-MM-DD, inclusive)
+ * @param {number} [options.batchSize=25] - Employees per request
+ * @param {number} [options.maxConcurrent=3] - Requests in flight at once
+ * @param {Function} [options.ttlFor] - (date) => ms an entry of that day stays fresh
+ * @param {Function} [options.clock=Date.now]
+ * @returns {{load: Function, loadMany: Function, invalidate: Function}}
+ */
+export const createWorklogBatcher = ({
+  fetchLogs,
+  batchSize = 25,
+  maxConcurrent = 3,
+  ttlFor = () => 5 * 60 * 1000,
+  clock = Date.now,
+}) => {
+  const cache = new Map(); // key -> { logs, expiresAt }
+  const queued = new Map(); // key -> request waiting for the next batch
+  const inFlight = new Map(); // key -> request whose batch is loading
+  const loadingBatches = new Set(); // { invalidations } of each batch being loaded
+  let flushScheduled = false;
+
+  const store = (key, logs) => {
+    const [, date] = key.split('|');
+    cache.set(key, { logs, expiresAt: clock() + ttlFor(date) });
+  };
+
+  // Worklogs of every (employee, day) of the chunk, days without any included
+  const loadChunk = async (employeeIds, dateFrom, dateTo) => {
+    const logs = await fetchLogs({ employeeIds, dateFrom, dateTo });
+
+    const byKey = new Map();
+    (Array.isArray(logs) ? logs : []).forEach(log => {
+      if (!log?.check_in) return;
+      const key = cacheKey(getWorklogEmployeeId(log), toZonedDateKey(new Date(log.check_in)));
+      byKey.set(key, [...(byKey.get(key) || []), log]);
+    });
+    const days = daysBetween(dateFrom, dateTo);
+    return employeeIds.flatMap(employeeId =>
+      days.map(date => {
+        const key = cacheKey(employeeId, date);
+        return [key, byKey.get(key) || []];
+      })
+    );
+  };
+
+  const flush = async () => {
+    flushScheduled = false;
+    const requests = [...queued.entries()];
+    queued.clear();
+    requests.forEach(([key, request]) => inFlight.set(key, request));
+    const batch = { invalidations: [] };
+    loadingBatches.add(batch);
+
+    const dates = requests.map(([, request]) => request.date).sort();
+    const dateFrom = dates[0];
+    const dateTo = dates[dates.length - 1];
+    const chunks = chunk(
+      [...new Set(requests.map(([, request]) => request.employeeId))],
+      batchSize
+    );
+
+    const results = await runWithConcurrency(
+      chunks.map(employeeIds => () => loadChunk(employeeIds, dateFrom, dateTo)),
+      maxConcurrent
+    );
+    loadingBatches.delete(batch);
+
+    const loaded = new Map();
+    const failures = new Map();
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        chunks[index].forEach(employeeId => failures.set(employeeId, result.reason));
+      } else {
+        result.value.forEach(([key, logs]) => loaded.set(key, logs));
+      }
+    });
+    // Entries invalidated while the batch was loading may predate the change
+    loaded.forEach((logs, key) => {
+      if (!batch.invalidations.some(filter => matchesFilter(key, filter))) store(key, logs);
+    });
+
+    requests.forEach(([key, request]) => {
+      if (inFlight.get(key) === request) inFlight.delete(key);
+      if (failures.has(request.employeeId)) {
+        request.reject(failures.get(request.employeeId));
+      } else {
+        request.resolve(loaded.get(key) || []);
+      }
+    });
+  };
+
+  /**
+   * Worklogs of one employee checked in on a day
+   * @param {number|string} employeeId
+   * @param {string} date - YYYY-MM-DD in the company time zone
+   * @returns {Promise<Array<Object>>}
+   */
+  const load = (employeeId, date) => {
+    const key = cacheKey(employeeId, date);
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > clock()) return Promise.resolve(cached.logs);
+    const waiting = queued.get(key) || inFlight.get(key);
+    if (waiting) return waiting.promise;
+
+    const request = { employeeId, date };
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    queued.set(key, request);
+
+    if (!flushScheduled) {
+      flushScheduled = true;
+      // Let the caller queue its other employees before the batch goes out
+      setTimeout(flush, 0);
+    }
+    return request.promise;
+  };
+
+  /**
+   * Worklogs of several employees on a day
+   * @returns {Promise<Object<string, Array<Object>>>} Worklogs by employee id
+   */
+  const loadMany = async (employeeIds, date) => {
+    const lists = await Promise.all(employeeIds.map(employeeId => load(employeeId, date)));
+    return Object.fromEntries(employeeIds.map((employeeId, index) => [employeeId, lists[index]]));
+  };
+
+  /**
+   * Drops cached entries, e.g. after a check-in or on logout. Loads already on
+   * their way are not cached, and later calls for those keys fetch again.
+   * @param {Object} [filter] - { employeeId, date }; everything when omitted
+   */
+  const invalidate = (filter = {}) => {
+    [...cache.keys()].forEach(key => {
+      if (matchesFilter(key, filter)) cache.delete(key);
+    });
+    [...inFlight.keys()].forEach(key => {
+      if (matchesFilter(key, filter)) inFlight.delete(key);
+    });
+    loadingBatches.forEach(batch => batch.invalidations.push(filter));
+  };
+
+  return { load, loadMany, invalidate };
+};
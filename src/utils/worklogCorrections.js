@@ -0,0 +1,133 @@
+/**
+ * Worklog correction requests
+ * An employee proposes new check-in/check-out times for a worklog with a reason;
+ * a manager approves or rejects the request. The server keeps both the original
+ * and the corrected times for audit. Typed times are wall-clock times in the
+ * company time zone.
+ */
+
+import { getZonedParts, zonedTimeToUtc } from './timeZone';
+import { toDate } from './timesheet';
+
+export const CORRECTION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+export const CORRECTION_STATUS_LABELS = {
+  [CORRECTION_STATUS.PENDING]: 'Pending',
+  [CORRECTION_STATUS.APPROVED]: 'Approved',
+  [CORRECTION_STATUS.REJECTED]: 'Rejected',
+};
+
+// Longest shift a correction may produce
+export const MAX_CORRECTED_SHIFT_HOURS = 24;
+
+export const MIN_REASON_LENGTH = 5;
+
+/**
+ * Parses a time typed as "H:MM" or "HH:MM" (24-hour)
+ * @returns {{hours: number, minutes: number}|null}
+ */
+export const parseTimeInput = value => {
+  const match = /^(\d{1,2})[:.](\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+};
+
+/**
+ * Formats a date as "HH:MM" for the time inputs
+ */
+export const formatTimeInput = value => {
+  const date = toDate(value);
+  if (!date) return '';
+  const pad = n => String(n).padStart(2, '0');
+  const { hour, minute } = getZonedParts(date);
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+/**
+ * Builds corrected timestamps on the day of the worklog
+ * A check-out earlier than the check-in is taken as the next day (overnight shift).
+ * @param {Date|string} workDate - Day of the original check-in
+ * @param {string} checkInInput - "HH:MM"
+ * @param {string} [checkOutInput] - "HH:MM", empty when the session is still open
+ * @returns {{checkIn: Date, checkOut: Date|null, overnight: boolean}|null} null if a time is invalid
+ */
+export const buildCorrectedTimes = (workDate, checkInInput, checkOutInput) => {
+  const date = toDate(workDate);
+  const inTime = parseTimeInput(checkInInput);
+  if (!date || !inTime) return null;
+
+  const { year, month, day } = getZonedParts(date);
+  const checkIn = zonedTimeToUtc({ year, month, day, hour: inTime.hours, minute: inTime.minutes });
+
+  if (!String(checkOutInput || '').trim()) {
+    return { checkIn, checkOut: null, overnight: false };
+  }
+
+  const outTime = parseTimeInput(checkOutInput);
+  if (!outTime) return null;
+
+  const atOut = dayOffset =>
+    zonedTimeToUtc({
+      year,
+      month,
+      day: day + dayOffset,
+      hour: outTime.hours,
+      minute: outTime.minutes,
+    });
+  const sameDay = atOut(0);
+  const overnight = sameDay <= checkIn;
+
+  return { checkIn, checkOut: overnight ? atOut(1) : sameDay, overnight };
+};
+
+/**
+ * Validates a correction request before it is sent
+ * @param {Object} correction
+ * @param {Date} correction.checkIn - Corrected check-in
+ * @param {Date|null} correction.checkOut - Corrected check-out
+ * @param {string} correction.reason - Why the worklog is wrong
+ * @param {Object} [correction.original] - { checkIn, checkOut } currently recorded
+ * @param {Date} [now=new Date()]
+ * @returns {string|null} Error message, null when valid
+ */
+export const validateCorrection = ({ checkIn, checkOut, reason, original }, now = new Date()) => {
+  if (!toDate(checkIn)) return 'Enter the check-in time as HH:MM';
+  if (!checkOut) return 'Enter the check-out time as HH:MM';
+  if (checkOut > now) return 'Check-out cannot be in the future';
+
+  const hours = (checkOut - checkIn) / (1000 * 60 * 60);
+  if (hours > MAX_CORRECTED_SHIFT_HOURS) {
+    return `A shift cannot be longer than ${MAX_CORRECTED_SHIFT_HOURS} hours`;
+  }
+
+  if ((reason || '').trim().length < MIN_REASON_LENGTH) {
+    return 'Please explain why the times are wrong';
+  }
+
+  const originalIn = toDate(original?.checkIn);
+  const originalOut = toDate(original?.checkOut);
+  if (
+    originalIn?.getTime() === checkIn.getTime() &&
+    originalOut?.getTime() === checkOut.getTime()
+  ) {
+    return 'The proposed times are the same as the recorded ones';
+  }
+
+  return null;
+};
+
+/**
+ * Request body for a correction (see apiService.worktime.requestCorrection)
+ */
+export const buildCorrectionPayload = (worklogId, { checkIn, checkOut, reason }) => ({
+  worklog: worklogId,
+  requested_check_in: checkIn.toISOString(),
+  requested_check_out: checkOut ? checkOut.toISOString() : null,
+  reason: reason.trim(),
+});
@@ -0,0 +1,172 @@
+/**
+ * Date ranges and month calendar for worktime history
+ * Ranges are whole days (YYYY-MM-DD on both ends, inclusive). Pay periods
+ * follow payroll, which is calculated per calendar month. A day is held as a
+ * local-midnight Date used only as a label; "today" is the company's day
+ * (see timeZone.js).
+ */
+
+import { getZonedCalendarDate } from './timeZone';
+
+export const DAY_STATUS = {
+  OVERTIME: 'overtime',
+  HOLIDAY: 'holiday',
+  SABBATH: 'sabbath',
+};
+
+export const DAY_STATUS_LABELS = {
+  [DAY_STATUS.OVERTIME]: 'Overtime',
+  [DAY_STATUS.HOLIDAY]: 'Holiday',
+  [DAY_STATUS.SABBATH]: 'Sabbath',
+};
+
+// Standard day for a 5-day week (42h / 5); more than this is overtime
+export const OVERTIME_DAILY_HOURS = 8.6;
+
+// Longest custom range; larger requests time out on the worklog endpoint
+export const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SATURDAY = 6;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Calendar day of a day label as YYYY-MM-DD. Use toZonedDateKey for instants
+ * such as check-in times.
+ */
+export const toDateKey = date =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Parses a YYYY-MM-DD string to local midnight
+ * @returns {Date|null} null for malformed or non-existent dates (e.g. 2025-02-30)
+ */
+export const parseDateKey = value => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * The last `days` days up to today
+ * @returns {{from: Date, to: Date}}
+ */
+export const getLookbackRange = (days, now = new Date()) => {
+  const to = getZonedCalendarDate(now);
+  const from = new Date(to);
+  from.setDate(from.getDate() - days);
+  return { from, to };
+};
+
+/**
+ * Whole calendar month
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {{from: Date, to: Date}}
+ */
+export const getMonthRange = (year, month) => ({
+  from: new Date(year, month - 1, 1),
+  to: new Date(year, month, 0),
+});
+
+/**
+ * Pay period relative to the current one (0 = this month, -1 = previous month)
+ * @returns {{from: Date, to: Date, year: number, month: number}}
+ */
+export const getPayPeriodRange = (offset = 0, now = new Date()) => {
+  const today = getZonedCalendarDate(now);
+  const start = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+  const year = start.getFullYear();
+  const month = start.getMonth() + 1;
+  return { ...getMonthRange(year, month), year, month };
+};
+
+/**
+ * Validates a custom range
+ * @returns {string|null} Error message, or null when the range is usable
+ */
+export const validateDateRange = (from, to, now = new Date()) => {
+  if (!from) return 'Enter the start date as YYYY-MM-DD';
+  if (!to) return 'Enter the end date as YYYY-MM-DD';
+  if (from > to) return 'The start date must be before the end date';
+  if (from > getZonedCalendarDate(now)) return 'The start date cannot be in the future';
+  if (Math.round((to - from) / DAY_MS) + 1 > MAX_RANGE_DAYS) {
+    return `A range cannot be longer than ${MAX_RANGE_DAYS} days`;
+  }
+  return null;
+};
+
+/**
+ * Indexes holidays from the integrations API by day
+ * @param {Array<Object>} holidays - { date, name, is_shabbat }
+ * @returns {Object<string, {name: string, isShabbat: boolean}>}
+ */
+export const indexHolidays = holidays =>
+  (Array.isArray(holidays) ? holidays : []).reduce((index, holiday) => {
+    const date = parseDateKey(String(holiday?.date || '').slice(0, 10));
+    if (date) {
+      index[toDateKey(date)] = { name: holiday.name || '', isShabbat: !!holiday.is_shabbat };
+    }
+    return index;
+  }, {});
+
+/**
+ * Status used to color a calendar day. Holiday and Sabbath take priority
+ * over overtime since they are paid at their own rates.
+ * @returns {string|null} One of DAY_STATUS, null for a regular day
+ */
+export const getDayStatus = (date, hours, holiday) => {
+  if (holiday && !holiday.isShabbat) return DAY_STATUS.HOLIDAY;
+  if (holiday?.isShabbat || date.getDay() === SATURDAY) return DAY_STATUS.SABBATH;
+  if (hours > OVERTIME_DAILY_HOURS) return DAY_STATUS.OVERTIME;
+  return null;
+};
+
+/**
+ * Month grid starting on Sunday
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.hoursByDay] - See totalsByDay in timesheet.js
+ * @param {Object<string, number>} [options.peakHours] - See peakEmployeeHoursByDay;
+ *   decides overtime (hoursByDay by default)
+ * @param {Object<string, Object>} [options.holidays] - See indexHolidays
+ * @returns {Array<Array<Object|null>>} Weeks of 7 cells; days outside the month are null.
+ *   Cell: { date, dateKey, day, hours, status, holidayName }
+ */
+export const buildCalendarMonth = (
+  year,
+  month,
+  { hoursByDay = {}, peakHours = hoursByDay, holidays = {} } = {}
+) => {
+  const { to } = getMonthRange(year, month);
+  const cells = Array(new Date(year, month - 1, 1).getDay()).fill(null);
+
+  for (let day = 1; day <= to.getDate(); day += 1) {
+    const date = new Date(year, month - 1, day);
+    const dateKey = toDateKey(date);
+    const hours = hoursByDay[dateKey] || 0;
+    const holiday = holidays[dateKey];
+
+    cells.push({
+      date,
+      dateKey,
+      day,
+      hours,
+      status: getDayStatus(date, peakHours[dateKey] || 0, holiday),
+      holidayName: holiday && !holiday.isShabbat ? holiday.name : null,
+    });
+  }
+
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+};
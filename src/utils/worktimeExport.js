@@ -0,0 +1,228 @@
+/**
+ * Worktime history export (CSV timesheet / iCalendar)
+ * Works on the transformed worklog items produced by app/worktime.js, so the
+ * file holds exactly the rows on screen (employee, range and day filters).
+ * Dates and times in the CSV are in the company time zone.
+ */
+import { shareFile } from './fileExport';
+import { escapeCsvCell } from './payrollExport';
+import { getZonedParts, toZonedDateKey } from './timeZone';
+import { toDate } from './timesheet';
+import { toDateKey } from './worktimeCalendar';
+
+export const WORKTIME_EXPORT_FORMATS = {
+  CSV: 'csv',
+  ICS: 'ics',
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+const formatTime = date => {
+  const { hour, minute } = getZonedParts(date);
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+const toHours = value => (Number.isFinite(value) ? Math.round(value * 100) / 100 : 0);
+
+/**
+ * Column definitions for the CSV timesheet.
+ * Check-out carries its date when the shift ended on another day.
+ */
+export const WORKTIME_EXPORT_COLUMNS = [
+  { header: 'Employee', value: item => item.employee?.name || '' },
+  {
+    header: 'Date',
+    value: item => {
+      const checkIn = toDate(item.checkInRaw);
+      return checkIn ? toZonedDateKey(checkIn) : '';
+    },
+  },
+  {
+    header: 'Check-in',
+    value: item => {
+      const checkIn = toDate(item.checkInRaw);
+      return checkIn ? formatTime(checkIn) : '';
+    },
+  },
+  {
+    header: 'Check-out',
+    value: item => {
+      const checkIn = toDate(item.checkInRaw);
+      const checkOut = toDate(item.checkOutRaw);
+      if (!checkOut) return '';
+      return checkIn && toZonedDateKey(checkIn) === toZonedDateKey(checkOut)
+        ? formatTime(checkOut)
+        : `${toZonedDateKey(checkOut)} ${formatTime(checkOut)}`;
+    },
+  },
+  {
+    header: 'Total Hours',
+    numeric: true,
+    value: item => (item.checkOutRaw ? toHours(item.hoursValue) : 0),
+  },
+  { header: 'Work Mode', value: item => item.workMode || '' },
+];
+
+/**
+ * Builds a two-dimensional table: header row, one row per worklog (oldest
+ * first) and a totals row. Sessions still open count as 0 hours.
+ * @param {Array} worktimeData - Transformed worklog items
+ * @returns {Array<Array<string|number>>} Table rows
+ */
+export const buildWorktimeRows = worktimeData => {
+  const items = (Array.isArray(worktimeData) ? worktimeData : [])
+    .slice()
+    .sort((a, b) => (toDate(a.checkInRaw) || 0) - (toDate(b.checkInRaw) || 0));
+  const header = WORKTIME_EXPORT_COLUMNS.map(column => column.header);
+  const rows = items.map(item => WORKTIME_EXPORT_COLUMNS.map(column => column.value(item)));
+
+  const totals = WORKTIME_EXPORT_COLUMNS.map((column, index) => {
+    if (index === 0) return 'TOTAL';
+    if (!column.numeric) return '';
+    return toHours(rows.reduce((sum, row) => sum + row[index], 0));
+  });
+
+  return [header, ...rows, totals];
+};
+
+/**
+ * Serializes worklogs to CSV, with a UTF-8 BOM for Excel (see buildPayrollCsv)
+ * @param {Array} worktimeData - Transformed worklog items
+ * @returns {string} CSV document
+ */
+export const buildWorktimeCsv = worktimeData => {
+  const lines = buildWorktimeRows(worktimeData).map(row => row.map(escapeCsvCell).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * UTC timestamp in iCalendar form, e.g. 20250310T070000Z
+ */
+const toIcsTimestamp = date =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Escapes TEXT values (RFC 5545 §3.3.11)
+ */
+const escapeIcsText = value =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const utf8Length = char => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Folds content lines longer than 75 octets of UTF-8 (RFC 5545 §3.1),
+ * never inside a character
+ */
+const foldIcsLine = line => {
+  const parts = [''];
+  let octets = 0;
+  let limit = 75;
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (octets + size > limit) {
+      parts.push('');
+      octets = 0;
+      limit = 74; // after the leading space of a continuation line
+    }
+    parts[parts.length - 1] += char;
+    octets += size;
+  }
+  return parts.join('\r\n ');
+};
+
+/**
+ * Serializes completed work sessions to an iCalendar document.
+ * Open sessions have no end yet and are left out.
+ * @param {Array} worktimeData - Transformed worklog items
+ * @param {Date} [now=new Date()] - DTSTAMP of the events
+ * @returns {string} .ics document
+ */
+export const buildWorktimeCalendar = (worktimeData, now = new Date()) => {
+  const stamp = toIcsTimestamp(now);
+  const events = (Array.isArray(worktimeData) ? worktimeData : []).flatMap(item => {
+    const checkIn = toDate(item.checkInRaw);
+    const checkOut = toDate(item.checkOutRaw);
+    if (!checkIn || !checkOut) return [];
+
+    const name = item.employee?.name || 'Employee';
+    return [
+      'BEGIN:VEVENT',
+      `UID:worklog-${item.worklogId ?? item.id}@myhours-app`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${toIcsTimestamp(checkIn)}`,
+      `DTEND:${toIcsTimestamp(checkOut)}`,
+      `SUMMARY:${escapeIcsText(`Work · ${name} (${toHours(item.hoursValue)}h)`)}`,
+      `DESCRIPTION:${escapeIcsText(`Work mode: ${item.workMode || 'Office'}`)}`,
+      'END:VEVENT',
+    ];
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MyHours//Worktime Export//EN',
+    'CALSCALE:GREGORIAN',
+    ...events,
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Builds the export file name for an employee and range
+ * @param {Object} options
+ * @param {Date} options.from - First day of the range
+ * @param {Date} options.to - Last day of the range
+ * @param {string} [options.employeeName] - Omitted for all employees
+ * @param {string} format - One of WORKTIME_EXPORT_FORMATS
+ * @returns {string} File name, e.g. worktime_dana-levi_2025-03-01_2025-03-31.csv
+ */
+export const getWorktimeExportFilename = ({ from, to, employeeName }, format) => {
+  const who =
+    (employeeName || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '') || 'all';
+  return `worktime_${who}_${toDateKey(from)}_${toDateKey(to)}.${format}`;
+};
+
+/**
+ * Generates the worktime file and shares (mobile) or downloads (web) it
+ * @param {Array} worktimeData - Transformed worklog items
+ * @param {Object} options
+ * @param {string} options.format - One of WORKTIME_EXPORT_FORMATS
+ * @param {{from: Date, to: Date}} options.range - Range the data was loaded for
+ * @param {string} [options.employeeName] - Selected employee, if any
+ * @returns {Promise<{filename: string, rowCount: number, shared: boolean}>}
+ */
+export const exportWorktime = async (worktimeData, { format, range, employeeName }) => {
+  const filename = getWorktimeExportFilename({ ...range, employeeName }, format);
+
+  const file =
+    format === WORKTIME_EXPORT_FORMATS.ICS
+      ? {
+          content: buildWorktimeCalendar(worktimeData),
+          mimeType: 'text/calendar',
+          uti: 'public.calendar-event',
+        }
+      : {
+          content: buildWorktimeCsv(worktimeData),
+          mimeType: 'text/csv',
+          uti: 'public.comma-separated-values-text',
+        };
+
+  const { shared } = await shareFile({ ...file, filename, dialogTitle: 'Export worktime' });
+  return { filename, rowCount: worktimeData.length, shared };
+};